@@ -0,0 +1,383 @@
+const express = require("express");
+const crypto = require("crypto");
+const { z } = require("zod");
+const { RESET_EVENTS, recordRequestEvent } = require("./audit");
+const { listResetTokens, revokeResetToken, clearVehicleRateLimit } = require("./tokens");
+const { getOtpConfig } = require("./otp");
+const { listReviews, resolveReview } = require("./nip-change-notice");
+const { formatZodIssues, errorBody } = require("./i18n");
+const { clearLookupLockout } = require("./lookup-guard");
+const { listSigningKeys, rotateSigningKey } = require("./webhook-keys");
+const {
+  EMAIL_TEMPLATES,
+  listBrands,
+  buildResetLink,
+  buildReportLink,
+  buildResetEmail,
+  buildResetCodeEmail,
+  buildNipChangedEmail,
+} = require("./mail");
+const { createLogger } = require("./logger");
+
+const log = createLogger("admin");
+
+/**
+ * ADMIN_API_KEYS = "soporte1:<llave>,soporte2:<llave>" (el nombre es opcional y
+ * queda en la bitacora como `admin`). Se acepta `Authorization: Bearer <llave>`
+ * o `x-admin-api-key: <llave>`.
+ */
+function getAdminKeys() {
+  return String(process.env.ADMIN_API_KEYS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const idx = entry.indexOf(":");
+      const name = idx > 0 ? entry.slice(0, idx) : "admin";
+      const key = idx > 0 ? entry.slice(idx + 1) : entry;
+      return { name, digest: crypto.createHash("sha256").update(key).digest() };
+    });
+}
+
+function extractAdminKey(req) {
+  const auth = String(req.get("authorization") || "");
+  if (auth.toLowerCase().startsWith("bearer ")) return auth.slice(7).trim();
+  return String(req.get("x-admin-api-key") || "").trim();
+}
+
+function requireAdminAuth(req, res, next) {
+  const keys = getAdminKeys();
+  if (!keys.length) {
+    return res.status(503).json(errorBody(req, "admin_not_configured"));
+  }
+
+  const provided = extractAdminKey(req);
+  if (!provided) {
+    return res.status(401).json(errorBody(req, "unauthorized"));
+  }
+
+  // Comparacion en tiempo constante sobre digests de longitud fija
+  const digest = crypto.createHash("sha256").update(provided).digest();
+  const match = keys.find((k) => crypto.timingSafeEqual(k.digest, digest));
+  if (!match) {
+    return res.status(401).json(errorBody(req, "unauthorized"));
+  }
+
+  req.adminName = match.name;
+  return next();
+}
+
+const adminTokensQuerySchema = z.object({
+  cliente_id: z.string().trim().min(1).max(255),
+  vehiculo_id: z.string().trim().min(1).max(255).optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+});
+
+const adminTokenIdSchema = z.object({
+  id: z.coerce.number().int().positive(),
+});
+
+const adminRateLimitClearSchema = z.object({
+  cliente_id: z.string().trim().min(1).max(255),
+  vehiculo_id: z.string().trim().min(1).max(255).optional(),
+});
+
+const adminLockoutClearSchema = z
+  .object({
+    email: z.string().trim().toLowerCase().email().max(254).optional(),
+    whatsapp_id: z.string().trim().regex(/^\d{10}$/, "validation.phone_10_digits").optional(),
+    subnet: z.string().trim().min(2).max(64).optional(),
+  })
+  .refine((d) => d.email || d.whatsapp_id || d.subnet, { message: "validation.required", path: ["email"] });
+
+const adminReviewsQuerySchema = z.object({
+  estado: z.enum(["abierta", "resuelta", "todas"]).default("abierta"),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+});
+
+const adminResolveReviewSchema = z.object({
+  nota: z.string().trim().max(1000).optional(),
+});
+
+const adminRotateWebhookKeySchema = z.object({
+  kid: z.string().trim().min(1).max(32),
+  overlap_hours: z.coerce.number().int().min(0).max(720).optional(),
+});
+
+const adminEmailPreviewQuerySchema = z.object({
+  template: z.enum(EMAIL_TEMPLATES).default("reset-link"),
+  brand: z.string().trim().toLowerCase().regex(/^[a-z0-9_-]+$/).optional(),
+  format: z.enum(["html", "text", "json"]).default("html"),
+});
+
+function validationError(req, res, parsed) {
+  return res
+    .status(400)
+    .json(errorBody(req, "invalid_data", { errors: formatZodIssues(req.locale, parsed.error.issues) }));
+}
+
+function buildPreviewEmail(template, { brandId, locale }) {
+  const to = "cliente@ejemplo.com";
+  if (template === "reset-code") {
+    return buildResetCodeEmail({ to, brandId, locale, code: "123456", ttlMinutes: getOtpConfig().ttlMinutes });
+  }
+  if (template === "nip-changed") {
+    return buildNipChangedEmail({
+      to,
+      brandId,
+      locale,
+      apodos: ["Mi auto"],
+      changedAt: new Date(),
+      requestIp: "201.141.0.10",
+      userAgent: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)",
+      reportLink: buildReportLink("token-de-ejemplo", brandId),
+    });
+  }
+  return buildResetEmail({
+    to,
+    brandId,
+    locale,
+    link: buildResetLink("token-de-ejemplo", brandId),
+    ttlMinutes: Number(process.env.RESET_TOKEN_TTL_MINUTES || 60),
+  });
+}
+
+function createAdminRouter() {
+  const router = express.Router();
+  router.use(requireAdminAuth);
+
+  /**
+   * GET /admin/nip-reset/tokens?cliente_id=...&vehiculo_id=...
+   */
+  router.get("/nip-reset/tokens", async (req, res) => {
+    const parsed = adminTokensQuerySchema.safeParse(req.query || {});
+    if (!parsed.success) return validationError(req, res, parsed);
+
+    const { cliente_id, vehiculo_id, limit } = parsed.data;
+    try {
+      const tokens = await listResetTokens({ clienteId: cliente_id, vehiculoId: vehiculo_id || null, limit });
+      return res.status(200).json({ ok: true, tokens });
+    } catch (e) {
+      log.error("nip-reset/tokens", { err: e });
+      return res.status(500).json(errorBody(req, "operation_failed"));
+    }
+  });
+
+  /**
+   * POST /admin/nip-reset/tokens/:id/revoke
+   */
+  router.post("/nip-reset/tokens/:id/revoke", async (req, res) => {
+    const parsed = adminTokenIdSchema.safeParse(req.params || {});
+    if (!parsed.success) return validationError(req, res, parsed);
+
+    try {
+      const result = await revokeResetToken(parsed.data.id);
+      if (result.notFound) {
+        return res.status(404).json(errorBody(req, "admin_token_not_found"));
+      }
+      if (result.notActive) {
+        return res.status(409).json(errorBody(req, "admin_token_not_active"));
+      }
+
+      const lote = result.vehiculos.length > 1;
+      await recordRequestEvent(req, RESET_EVENTS.ADMIN_TOKEN_REVOCADO, {
+        cliente_id: result.token.cliente_id,
+        vehiculo_id: lote ? null : result.token.vehiculo_id,
+        detalle: {
+          admin: req.adminName,
+          registro_id: result.token.id,
+          ...(lote ? { vehiculos: result.vehiculos } : {}),
+        },
+      });
+      return res.status(200).json({
+        ok: true,
+        token: { ...result.token, status: "revoked" },
+        vehiculos: result.vehiculos,
+      });
+    } catch (e) {
+      log.error("nip-reset/revoke", { err: e });
+      return res.status(500).json(errorBody(req, "operation_failed"));
+    }
+  });
+
+  /**
+   * POST /admin/nip-reset/rate-limit/clear
+   */
+  router.post("/nip-reset/rate-limit/clear", async (req, res) => {
+    const parsed = adminRateLimitClearSchema.safeParse(req.body || {});
+    if (!parsed.success) return validationError(req, res, parsed);
+
+    const { cliente_id, vehiculo_id } = parsed.data;
+    try {
+      const cleared = await clearVehicleRateLimit(cliente_id, vehiculo_id || null);
+      await recordRequestEvent(req, RESET_EVENTS.ADMIN_RATE_LIMIT_LIMPIADO, {
+        cliente_id,
+        vehiculo_id: vehiculo_id || null,
+        detalle: { admin: req.adminName, registros: cleared },
+      });
+      return res.status(200).json({ ok: true, cleared });
+    } catch (e) {
+      log.error("nip-reset/rate-limit/clear", { err: e });
+      return res.status(500).json(errorBody(req, "operation_failed"));
+    }
+  });
+
+  /**
+   * POST /admin/nip-reset/lockout/clear
+   * Quita el bloqueo de lookup (y los fallos acumulados) por correo, telefono y/o
+   * subred (IP o CIDR).
+   */
+  router.post("/nip-reset/lockout/clear", async (req, res) => {
+    const parsed = adminLockoutClearSchema.safeParse(req.body || {});
+    if (!parsed.success) return validationError(req, res, parsed);
+
+    const { email, whatsapp_id, subnet } = parsed.data;
+    try {
+      const cleared = await clearLookupLockout({ email, whatsapp_id, subnet });
+      await recordRequestEvent(req, RESET_EVENTS.ADMIN_BLOQUEO_LIMPIADO, {
+        detalle: {
+          admin: req.adminName,
+          dimensiones: [email && "email", whatsapp_id && "whatsapp", subnet && "subnet"].filter(Boolean),
+          registros: cleared,
+        },
+      });
+      return res.status(200).json({ ok: true, cleared });
+    } catch (e) {
+      log.error("nip-reset/lockout/clear", { err: e });
+      return res.status(500).json(errorBody(req, "operation_failed"));
+    }
+  });
+
+  /**
+   * GET /admin/nip-reset/reviews?estado=abierta|resuelta|todas
+   * Cambios de NIP reportados como "no fui yo".
+   */
+  router.get("/nip-reset/reviews", async (req, res) => {
+    const parsed = adminReviewsQuerySchema.safeParse(req.query || {});
+    if (!parsed.success) return validationError(req, res, parsed);
+
+    const { estado, limit } = parsed.data;
+    try {
+      const reviews = await listReviews({ estado: estado === "todas" ? null : estado, limit });
+      return res.status(200).json({ ok: true, reviews });
+    } catch (e) {
+      log.error("nip-reset/reviews", { err: e });
+      return res.status(500).json(errorBody(req, "operation_failed"));
+    }
+  });
+
+  /**
+   * POST /admin/nip-reset/reviews/:id/resolve
+   */
+  router.post("/nip-reset/reviews/:id/resolve", async (req, res) => {
+    const parsedId = adminTokenIdSchema.safeParse(req.params || {});
+    if (!parsedId.success) return validationError(req, res, parsedId);
+    const parsed = adminResolveReviewSchema.safeParse(req.body || {});
+    if (!parsed.success) return validationError(req, res, parsed);
+
+    try {
+      const result = await resolveReview(parsedId.data.id, { resolvedBy: req.adminName, nota: parsed.data.nota || null });
+      if (result.notFound) {
+        return res.status(404).json(errorBody(req, "admin_review_not_found"));
+      }
+      if (result.notOpen) {
+        return res.status(409).json(errorBody(req, "admin_review_not_open"));
+      }
+
+      await recordRequestEvent(req, RESET_EVENTS.ADMIN_REVISION_RESUELTA, {
+        cliente_id: result.review.cliente_id,
+        vehiculo_id: result.review.vehiculo_id,
+        detalle: { admin: req.adminName, revision_id: result.review.id },
+      });
+      return res.status(200).json({ ok: true, review: result.review });
+    } catch (e) {
+      log.error("nip-reset/reviews/resolve", { err: e });
+      return res.status(500).json(errorBody(req, "operation_failed"));
+    }
+  });
+
+  /**
+   * GET /admin/nip-reset/webhook-keys
+   * Llaves de firma del webhook de persistencia (sin secretos).
+   */
+  router.get("/nip-reset/webhook-keys", async (req, res) => {
+    try {
+      const keys = await listSigningKeys();
+      return res.status(200).json({ ok: true, keys });
+    } catch (e) {
+      log.error("nip-reset/webhook-keys", { err: e });
+      return res.status(500).json(errorBody(req, "operation_failed"));
+    }
+  });
+
+  /**
+   * POST /admin/nip-reset/webhook-keys/rotate
+   * Firma con `kid` desde ahora; la anterior se sigue aceptando `overlap_hours`.
+   */
+  router.post("/nip-reset/webhook-keys/rotate", async (req, res) => {
+    const parsed = adminRotateWebhookKeySchema.safeParse(req.body || {});
+    if (!parsed.success) return validationError(req, res, parsed);
+
+    const { kid, overlap_hours } = parsed.data;
+    try {
+      const result = await rotateSigningKey({ kid, overlapHours: overlap_hours, rotatedBy: req.adminName });
+      if (result.notConfigured) {
+        return res.status(409).json(errorBody(req, "admin_webhook_key_not_configured"));
+      }
+      if (result.alreadyActive) {
+        return res.status(409).json(errorBody(req, "admin_webhook_key_active"));
+      }
+      if (result.retired) {
+        return res.status(409).json(errorBody(req, "admin_webhook_key_retired"));
+      }
+
+      await recordRequestEvent(req, RESET_EVENTS.ADMIN_LLAVE_WEBHOOK_ROTADA, {
+        detalle: {
+          admin: req.adminName,
+          kid: result.key.kid,
+          kid_anterior: result.previous.kid,
+          retiro_anterior: result.previous.retire_at,
+        },
+      });
+      return res.status(200).json({ ok: true, activa: result.key, anterior: result.previous });
+    } catch (e) {
+      log.error("nip-reset/webhook-keys/rotate", { err: e });
+      return res.status(500).json(errorBody(req, "operation_failed"));
+    }
+  });
+
+  /**
+   * GET /admin/email-preview?template=reset-link|reset-code|nip-changed&brand=...&format=html|text|json&locale=es|en
+   * Renderiza con datos de ejemplo; no envia nada.
+   */
+  router.get("/email-preview", (req, res) => {
+    const parsed = adminEmailPreviewQuerySchema.safeParse(req.query || {});
+    if (!parsed.success) return validationError(req, res, parsed);
+
+    const { template, brand, format } = parsed.data;
+    if (brand && !listBrands().includes(brand)) {
+      return res.status(404).json(errorBody(req, "admin_brand_not_found"));
+    }
+
+    try {
+      const mail = buildPreviewEmail(template, { brandId: brand, locale: req.locale });
+
+      if (format === "json") {
+        return res.status(200).json({ ok: true, template, brand: brand || null, locale: req.locale, ...mail });
+      }
+      if (format === "text") {
+        return res.status(200).type("text/plain; charset=utf-8").send(`Subject: ${mail.subject}\n\n${mail.text}`);
+      }
+      // La vista previa carga logo/iconos remotos de la marca
+      res.set("Content-Security-Policy", "default-src 'none'; img-src https: data:; style-src 'unsafe-inline'");
+      return res.status(200).type("html").send(mail.html);
+    } catch (e) {
+      log.error("email-preview", { err: e });
+      return res.status(500).json(errorBody(req, "operation_failed"));
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter, requireAdminAuth };
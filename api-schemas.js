@@ -0,0 +1,331 @@
+const { z } = require("zod");
+
+/**
+ * Contrato del API publico (/nip-reset/*): schemas de request que validan los
+ * endpoints y schemas de respuesta por status. `openapi.js` genera
+ * `/api/openapi.json` a partir de `API_ROUTES` y, fuera de produccion, valida
+ * cada respuesta contra el mismo schema.
+ *
+ * Las respuestas son `.strict()`: un campo nuevo sin documentar tambien es
+ * desviacion del contrato.
+ */
+
+/**
+ * Requests
+ */
+const nipResetLookupSchema = z.object({
+  email: z.string().trim().toLowerCase().email().max(254),
+  whatsapp_id: z.string().trim().regex(/^\d{10}$/, "validation.phone_10_digits"),
+  captcha_token: z.string().trim().max(4096).optional(),
+});
+
+// `vehiculoId` (uno) o `vehiculoIds` (lista o "all"): una sola liga para varios vehiculos
+const nipResetSendLinkSchema = z
+  .object({
+    email: z.string().trim().toLowerCase().email().max(254),
+    whatsapp_id: z.string().trim().regex(/^\d{10}$/, "validation.phone_10_digits"),
+    cliente_id: z.string().trim().min(1).max(255),
+    vehiculoId: z.string().trim().min(1).max(255).optional(),
+    vehiculoIds: z
+      .union([z.literal("all"), z.array(z.string().trim().min(1).max(255)).min(1).max(500)])
+      .optional(),
+    canal: z.enum(["email", "whatsapp"]).default("email"),
+    modo: z.enum(["liga", "codigo"]).default("liga"),
+    lookup_session: z.string().trim().max(8192).optional(),
+    captcha_token: z.string().trim().max(4096).optional(),
+  })
+  .refine((d) => Boolean(d.vehiculoId) !== Boolean(d.vehiculoIds), {
+    message: "validation.vehicle_selection",
+    path: ["vehiculoId"],
+  });
+
+const nipResetTokenInfoSchema = z.object({
+  token: z.string().trim().min(20).max(200),
+});
+
+const nipResetConfirmSchema = z.object({
+  token: z.string().trim().min(20).max(200),
+  nip: z.string().trim().regex(/^\d{4}$/, "validation.nip_4_digits"),
+  nipConfirm: z.string().trim().regex(/^\d{4}$/, "validation.nip_confirm_4_digits"),
+});
+
+const nipResetVerifyCodeSchema = z.object({
+  verificacion_id: z.string().trim().min(20).max(200),
+  codigo: z.string().trim().regex(/^\d{6}$/, "validation.code_6_digits"),
+});
+
+const nipResetConfirmStatusSchema = z.object({
+  request_id: z.string().trim().regex(/^[A-Za-z0-9-]{16,64}$/),
+});
+
+const nipResetReportChangeSchema = z.object({
+  token: z.string().trim().min(20).max(200),
+});
+
+/**
+ * Respuestas
+ */
+const apiErrorSchema = z
+  .object({
+    ok: z.literal(false),
+    error_code: z.string().describe("Llave estable del error (ver `i18n.js`); `message` va en el idioma del request"),
+    message: z.string(),
+  })
+  .strict();
+
+const validationErrorSchema = apiErrorSchema
+  .extend({
+    errors: z.array(z.object({ field: z.string(), msg: z.string() }).strict()).optional(),
+  })
+  .strict();
+
+const captchaErrorSchema = apiErrorSchema
+  .extend({
+    captcha_required: z.literal(true).optional(),
+    captcha_provider: z.string().optional(),
+  })
+  .strict();
+
+const vehiculoSchema = z
+  .object({
+    vehiculoId: z.string(),
+    identifica_tu_vehiculo: z.string(),
+  })
+  .strict();
+
+const confirmEstadoSchema = z.enum(["procesando", "confirmado", "parcial", "fallido"]);
+
+const confirmVehiculoSchema = z
+  .object({
+    vehiculoId: z.string(),
+    request_id: z.string(),
+    estado: confirmEstadoSchema,
+  })
+  .strict();
+
+const lookupResponseSchema = z
+  .object({
+    ok: z.literal(true),
+    step: z.enum(["confirmar_vehiculo_unico", "seleccionar_vehiculo"]),
+    lookup_session: z.string().optional(),
+    cliente_id: z.string(),
+    vehiculos: z.array(vehiculoSchema),
+  })
+  .strict();
+
+const sendLinkLoteShape = {
+  vehiculos: z.array(z.string()).optional(),
+  vehiculos_omitidos: z.array(z.string()).optional(),
+};
+
+const sendLinkResponseSchema = z.union([
+  z
+    .object({
+      ok: z.literal(true),
+      canal: z.enum(["email", "whatsapp"]),
+      ...sendLinkLoteShape,
+      message: z.string(),
+    })
+    .strict(),
+  z
+    .object({
+      ok: z.literal(true),
+      canal: z.enum(["email", "whatsapp"]),
+      modo: z.literal("codigo"),
+      verificacion_id: z.string(),
+      expira_en_minutos: z.number().int(),
+      ...sendLinkLoteShape,
+      message: z.string(),
+    })
+    .strict(),
+]);
+
+const verifyCodeResponseSchema = z
+  .object({
+    ok: z.literal(true),
+    token: z.string(),
+    expires_at: z.string().datetime(),
+  })
+  .strict();
+
+const verifyCodeErrorSchema = apiErrorSchema.extend({ intentos_restantes: z.number().int().optional() }).strict();
+
+const tokenInfoResponseSchema = z.union([
+  z
+    .object({
+      ok: z.literal(true),
+      cliente_id: z.string(),
+      vehiculoId: z.string(),
+      identifica_tu_vehiculo: z.string(),
+    })
+    .strict(),
+  z
+    .object({
+      ok: z.literal(true),
+      cliente_id: z.string(),
+      vehiculos: z.array(vehiculoSchema),
+    })
+    .strict(),
+]);
+
+const confirmResponseSchema = z
+  .object({
+    ok: z.literal(true),
+    estado: confirmEstadoSchema,
+    request_id: z.string(),
+    vehiculos: z.array(confirmVehiculoSchema).optional(),
+    message: z.string(),
+  })
+  .strict();
+
+// `error_code` es la regla del NIP (`nip_repetido`, ...) o el error de validacion
+const confirmRejectedSchema = apiErrorSchema.extend({ vehiculos: z.array(z.string()).optional() }).strict();
+
+const confirmFailedSchema = apiErrorSchema
+  .extend({
+    estado: z.literal("fallido").optional(),
+    request_id: z.string().optional(),
+    vehiculos: z.array(confirmVehiculoSchema).optional(),
+  })
+  .strict();
+
+const messageResponseSchema = z
+  .object({
+    ok: z.literal(true),
+    message: z.string(),
+  })
+  .strict();
+
+/**
+ * Rutas documentadas. `request` es `{ body }` o `{ query }`; `responses` va por
+ * status HTTP. 429 (rate limit) y 500 aplican a todas.
+ */
+const commonResponses = { 429: apiErrorSchema, 500: apiErrorSchema };
+
+const API_ROUTES = [
+  {
+    method: "post",
+    path: "/nip-reset/lookup",
+    summary: "Busca al cliente por correo y WhatsApp y lista sus vehiculos",
+    request: { body: nipResetLookupSchema },
+    responses: {
+      200: lookupResponseSchema,
+      400: validationErrorSchema,
+      403: captchaErrorSchema,
+      404: apiErrorSchema,
+      503: apiErrorSchema,
+      ...commonResponses,
+    },
+  },
+  {
+    method: "post",
+    path: "/nip-reset/send-link",
+    summary: "Envia la liga o el codigo de restablecimiento para uno o varios vehiculos",
+    request: { body: nipResetSendLinkSchema },
+    responses: {
+      200: sendLinkResponseSchema,
+      400: validationErrorSchema,
+      403: captchaErrorSchema,
+      404: apiErrorSchema,
+      503: apiErrorSchema,
+      ...commonResponses,
+    },
+  },
+  {
+    method: "post",
+    path: "/nip-reset/verify-code",
+    summary: "Valida el codigo de 6 digitos y entrega el token para confirm",
+    request: { body: nipResetVerifyCodeSchema },
+    responses: {
+      200: verifyCodeResponseSchema,
+      400: validationErrorSchema,
+      403: verifyCodeErrorSchema,
+      ...commonResponses,
+    },
+  },
+  {
+    method: "get",
+    path: "/nip-reset/token-info",
+    summary: "Valida la liga y regresa el vehiculo (o los vehiculos del lote)",
+    request: { query: nipResetTokenInfoSchema },
+    responses: {
+      200: tokenInfoResponseSchema,
+      400: apiErrorSchema,
+      403: apiErrorSchema,
+      ...commonResponses,
+    },
+  },
+  {
+    method: "post",
+    path: "/nip-reset/confirm",
+    summary: "Aplica el nuevo NIP (webhook de persistencia via outbox)",
+    request: { body: nipResetConfirmSchema },
+    responses: {
+      200: confirmResponseSchema,
+      202: confirmResponseSchema,
+      400: confirmRejectedSchema,
+      403: apiErrorSchema,
+      503: confirmFailedSchema,
+      ...commonResponses,
+    },
+  },
+  {
+    method: "get",
+    path: "/nip-reset/confirm-status",
+    summary: "Estado de un confirm por request_id",
+    request: { query: nipResetConfirmStatusSchema },
+    responses: {
+      200: confirmResponseSchema,
+      400: apiErrorSchema,
+      404: apiErrorSchema,
+      ...commonResponses,
+    },
+  },
+  {
+    method: "post",
+    path: "/nip-reset/report-change",
+    summary: "Reporta un cambio de NIP no reconocido (liga del aviso)",
+    request: { body: nipResetReportChangeSchema },
+    responses: {
+      200: messageResponseSchema,
+      400: apiErrorSchema,
+      403: apiErrorSchema,
+      ...commonResponses,
+    },
+  },
+];
+
+// Nombre en `components.schemas` del documento OpenAPI
+const API_SCHEMA_NAMES = new Map([
+  [nipResetLookupSchema, "LookupRequest"],
+  [nipResetSendLinkSchema, "SendLinkRequest"],
+  [nipResetVerifyCodeSchema, "VerifyCodeRequest"],
+  [nipResetConfirmSchema, "ConfirmRequest"],
+  [nipResetReportChangeSchema, "ReportChangeRequest"],
+  [apiErrorSchema, "Error"],
+  [validationErrorSchema, "ValidationError"],
+  [captchaErrorSchema, "CaptchaError"],
+  [vehiculoSchema, "Vehiculo"],
+  [confirmVehiculoSchema, "ConfirmVehiculo"],
+  [lookupResponseSchema, "LookupResponse"],
+  [sendLinkResponseSchema, "SendLinkResponse"],
+  [verifyCodeResponseSchema, "VerifyCodeResponse"],
+  [verifyCodeErrorSchema, "VerifyCodeError"],
+  [tokenInfoResponseSchema, "TokenInfoResponse"],
+  [confirmResponseSchema, "ConfirmResponse"],
+  [confirmRejectedSchema, "ConfirmRejected"],
+  [confirmFailedSchema, "ConfirmFailed"],
+  [messageResponseSchema, "MessageResponse"],
+]);
+
+module.exports = {
+  nipResetLookupSchema,
+  nipResetSendLinkSchema,
+  nipResetTokenInfoSchema,
+  nipResetConfirmSchema,
+  nipResetVerifyCodeSchema,
+  nipResetConfirmStatusSchema,
+  nipResetReportChangeSchema,
+  API_ROUTES,
+  API_SCHEMA_NAMES,
+};
@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+const { pool } = require("./db");
+const { resetEventsTotal } = require("./metrics");
+const { createLogger } = require("./logger");
+
+const log = createLogger("audit");
+
+/**
+ * Bitacora append-only `nip_reset_events`.
+ * Nunca guarda NIP ni token; el correo/telefono capturado se guarda solo como hash.
+ */
+const RESET_EVENTS = {
+  LOOKUP_EXITOSO: "LOOKUP_EXITOSO",
+  LOOKUP_FALLIDO: "LOOKUP_FALLIDO",
+  LOOKUP_BLOQUEADO: "LOOKUP_BLOQUEADO",
+  BLOQUEO_APLICADO: "BLOQUEO_APLICADO",
+  CAPTCHA_REQUERIDO: "CAPTCHA_REQUERIDO",
+  LIGA_EMITIDA: "LIGA_EMITIDA",
+  LIGA_LIMITADA: "LIGA_LIMITADA",
+  LIGA_CORREO_FALLIDO: "LIGA_CORREO_FALLIDO",
+  LIGA_WHATSAPP_FALLIDO: "LIGA_WHATSAPP_FALLIDO",
+  TOKEN_CONSULTADO: "TOKEN_CONSULTADO",
+  CODIGO_VERIFICADO: "CODIGO_VERIFICADO",
+  CODIGO_FALLIDO: "CODIGO_FALLIDO",
+  CODIGO_BLOQUEADO: "CODIGO_BLOQUEADO",
+  CONFIRM_INTENTO: "CONFIRM_INTENTO",
+  CONFIRM_EXITOSO: "CONFIRM_EXITOSO",
+  CONFIRM_WEBHOOK_FALLIDO: "CONFIRM_WEBHOOK_FALLIDO",
+  AVISO_CAMBIO_ENVIADO: "AVISO_CAMBIO_ENVIADO",
+  AVISO_CAMBIO_FALLIDO: "AVISO_CAMBIO_FALLIDO",
+  CAMBIO_NO_RECONOCIDO: "CAMBIO_NO_RECONOCIDO",
+  ADMIN_TOKEN_REVOCADO: "ADMIN_TOKEN_REVOCADO",
+  ADMIN_RATE_LIMIT_LIMPIADO: "ADMIN_RATE_LIMIT_LIMPIADO",
+  ADMIN_BLOQUEO_LIMPIADO: "ADMIN_BLOQUEO_LIMPIADO",
+  ADMIN_REVISION_RESUELTA: "ADMIN_REVISION_RESUELTA",
+  ADMIN_LLAVE_WEBHOOK_ROTADA: "ADMIN_LLAVE_WEBHOOK_ROTADA",
+};
+
+const FORBIDDEN_DETAIL_KEYS = /nip|token|password|secret/i;
+
+function sanitizeDetalle(detalle) {
+  const out = {};
+  for (const [k, v] of Object.entries(detalle || {})) {
+    if (FORBIDDEN_DETAIL_KEYS.test(k)) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * Hash estable de la identidad capturada (correo + telefono) para correlacionar
+ * intentos fallidos sin guardar PII en claro.
+ */
+function hashIdentity(email, whatsapp10) {
+  const normalized = `${String(email || "").trim().toLowerCase()}|${String(whatsapp10 || "").trim()}`;
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+/**
+ * La auditoria nunca rompe el flujo: un error de escritura solo se registra en log.
+ */
+async function recordResetEvent({
+  evento,
+  cliente_id = null,
+  vehiculo_id = null,
+  request_id = null,
+  request_ip = null,
+  user_agent = null,
+  detalle = {},
+}) {
+  resetEventsTotal.inc({ evento, resultado: detalle?.resultado || detalle?.motivo || "" });
+  try {
+    await pool.query(
+      `INSERT INTO nip_reset_events (evento, cliente_id, vehiculo_id, request_id, request_ip, user_agent, detalle)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+      [evento, cliente_id, vehiculo_id, request_id, request_ip, user_agent, sanitizeDetalle(detalle)]
+    );
+  } catch (e) {
+    log.warn("no se pudo registrar el evento", { evento, err: e });
+  }
+}
+
+function recordRequestEvent(req, evento, fields = {}) {
+  return recordResetEvent({
+    request_id: req.id || null,
+    ...fields,
+    evento,
+    request_ip: req.ip || null,
+    user_agent: req.get("user-agent") || null,
+  });
+}
+
+module.exports = {
+  RESET_EVENTS,
+  hashIdentity,
+  recordResetEvent,
+  recordRequestEvent,
+};
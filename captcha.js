@@ -0,0 +1,126 @@
+const { fetchWithTimeout } = require("./webhook");
+const { createLogger } = require("./logger");
+
+const log = createLogger("captcha");
+
+/**
+ * CAPTCHA para lookup/send-link cuando `lookup-guard` marca el request como
+ * sospechoso.
+ *
+ * Un verifier expone `verify({ token, remoteIp })` -> `true|false`. Se elige con
+ * CAPTCHA_PROVIDER (`none` por default, `turnstile`, `hcaptcha`, `recaptcha` o
+ * `stub` para local) o se reemplaza en pruebas con `setCaptchaVerifier`.
+ */
+const SITEVERIFY_URLS = {
+  turnstile: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+  hcaptcha: "https://api.hcaptcha.com/siteverify",
+  recaptcha: "https://www.google.com/recaptcha/api/siteverify",
+};
+
+function getCaptchaConfig() {
+  const provider = String(process.env.CAPTCHA_PROVIDER || "none").trim().toLowerCase();
+  if (provider !== "none" && provider !== "stub" && !SITEVERIFY_URLS[provider]) {
+    throw new Error(`CAPTCHA: CAPTCHA_PROVIDER invalido (${provider})`);
+  }
+
+  const config = {
+    provider,
+    secret: process.env.CAPTCHA_SECRET,
+    verifyUrl: SITEVERIFY_URLS[provider] || null,
+    timeoutMs: Number(process.env.CAPTCHA_TIMEOUT_MS || 5000),
+    stubToken: process.env.CAPTCHA_STUB_TOKEN || "captcha-ok",
+  };
+
+  if (SITEVERIFY_URLS[provider] && !config.secret) {
+    throw new Error("CAPTCHA: falta CAPTCHA_SECRET");
+  }
+  return config;
+}
+
+/**
+ * Los tres proveedores comparten el contrato de siteverify: POST form con
+ * `secret`, `response` y `remoteip`; responde `{ success }`. Si el proveedor no
+ * contesta el token se considera invalido.
+ */
+function createSiteverifyCaptchaVerifier(cfg) {
+  return {
+    name: cfg.provider,
+    async verify({ token, remoteIp }) {
+      const form = new URLSearchParams({ secret: cfg.secret, response: token });
+      if (remoteIp) form.set("remoteip", remoteIp);
+
+      try {
+        const resp = await fetchWithTimeout(
+          cfg.verifyUrl,
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            body: form.toString(),
+          },
+          cfg.timeoutMs
+        );
+        if (!resp.ok) {
+          log.warn("siteverify respondio error", { provider: cfg.provider, status: resp.status });
+          return false;
+        }
+        const data = await resp.json().catch(() => ({}));
+        if (!data.success) {
+          log.info("token rechazado", { provider: cfg.provider, error_codes: data["error-codes"] || [] });
+        }
+        return data.success === true;
+      } catch (e) {
+        log.warn("siteverify no disponible", { provider: cfg.provider, err: e });
+        return false;
+      }
+    },
+  };
+}
+
+/**
+ * Stub local: acepta solo CAPTCHA_STUB_TOKEN y guarda las verificaciones en
+ * memoria (`calls`).
+ */
+function createStubCaptchaVerifier(cfg = getCaptchaConfig()) {
+  const calls = [];
+  return {
+    name: "stub",
+    calls,
+    async verify({ token, remoteIp }) {
+      const ok = token === cfg.stubToken;
+      calls.push({ ok, remoteIp });
+      return ok;
+    },
+  };
+}
+
+let captchaVerifier;
+
+/**
+ * `null` con CAPTCHA_PROVIDER=none: los requests sospechosos pasan sin CAPTCHA
+ * (los bloqueos siguen aplicando).
+ */
+function getCaptchaVerifier() {
+  if (captchaVerifier !== undefined) return captchaVerifier;
+
+  const cfg = getCaptchaConfig();
+  if (cfg.provider === "none") {
+    captchaVerifier = null;
+  } else if (cfg.provider === "stub") {
+    captchaVerifier = createStubCaptchaVerifier(cfg);
+  } else {
+    captchaVerifier = createSiteverifyCaptchaVerifier(cfg);
+  }
+  return captchaVerifier;
+}
+
+function setCaptchaVerifier(verifier) {
+  captchaVerifier = verifier;
+}
+
+module.exports = {
+  getCaptchaConfig,
+  createSiteverifyCaptchaVerifier,
+  createStubCaptchaVerifier,
+  getCaptchaVerifier,
+  setCaptchaVerifier,
+};
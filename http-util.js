@@ -0,0 +1,34 @@
+/**
+ * Helpers HTTP genericos (sin dependencias del proyecto) que comparten el webhook,
+ * los proveedores de clientes y el readiness.
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Como `fetchWithTimeout`, pero el timeout tambien cubre la lectura del body:
+ * un body que se queda a medias aborta igual. Regresa `{ resp, text }`.
+ */
+async function fetchTextWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const resp = await fetch(url, { ...options, signal: controller.signal });
+    return { resp, text: await resp.text() };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { sleep, fetchWithTimeout, fetchTextWithTimeout };
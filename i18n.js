@@ -0,0 +1,243 @@
+/**
+ * Catalogo de mensajes de la API (es/en). Espanol es el fallback.
+ *
+ * El idioma sale del campo `locale` (body o query) y si no viene de
+ * `Accept-Language`; `localeMiddleware` deja `req.locale` y `req.t(key, vars)`.
+ * Las respuestas de error usan `errorBody` (la llave es el `error_code`).
+ */
+const DEFAULT_LOCALE = "es";
+const SUPPORTED_LOCALES = ["es", "en"];
+
+const MESSAGES = {
+  es: {
+    forbidden: "Forbidden",
+    unauthorized: "Unauthorized",
+    admin_not_configured: "Admin no configurado",
+    too_many_requests: "Demasiados intentos. Intenta nuevamente más tarde.",
+    service_unavailable: "El servicio no está disponible en este momento. Intenta nuevamente en unos minutos.",
+    operation_failed: "No fue posible completar la operación.",
+    operation_failed_retry: "No fue posible completar la operación. Intenta nuevamente.",
+    response_invalid: "La respuesta no cumple el contrato del API.",
+    invalid_data: "Datos inválidos.",
+    invalid_lookup_data: "Datos inválidos. Revisa correo y teléfono.",
+    invalid_send_link_data: "Datos inválidos. Revisa correo, teléfono y vehículo.",
+    wrong_data: "Datos incorrectos",
+    lookup_locked: "Demasiados intentos con datos incorrectos. Intenta nuevamente más tarde.",
+    captcha_required: "Confirma que no eres un robot para continuar.",
+    captcha_invalid: "No pudimos validar la verificación. Intenta de nuevo.",
+    link_sent_email: "Hemos enviado al correo registrado la URL para reiniciar tu NIP.",
+    link_sent_whatsapp: "Hemos enviado por WhatsApp al número registrado la URL para reiniciar tu NIP.",
+    code_sent_email: "Hemos enviado al correo registrado un código para reiniciar tu NIP.",
+    code_sent_whatsapp: "Hemos enviado por WhatsApp al número registrado un código para reiniciar tu NIP.",
+    code_invalid: "Código inválido o expirado.",
+    code_locked: "Código bloqueado por intentos fallidos. Solicita uno nuevo.",
+    code_incorrect: "Código incorrecto.",
+    token_invalid: "Token inválido.",
+    link_invalid: "Liga inválida o expirada.",
+    nip_mismatch: "Los NIP no coinciden.",
+    feature_not_configured: "Función en configuración. Solicita un nuevo restablecimiento.",
+    nip_confirmed: "Listo. Tu NIP se actualizó correctamente.",
+    nip_failed: "No fue posible aplicar tu nuevo NIP. Solicita un nuevo restablecimiento.",
+    nip_processing: "Estamos aplicando tu nuevo NIP.",
+    nip_processing_poll: "Estamos aplicando tu nuevo NIP. Consulta el estado en unos segundos.",
+    nip_partial: "Tu NIP se actualizó solo en algunos vehículos. Solicita un nuevo restablecimiento para los demás.",
+    too_many_vehicles: "Puedes restablecer máximo {max} vehículos a la vez.",
+    request_invalid: "Solicitud inválida.",
+    request_not_found: "Solicitud no encontrada.",
+    change_reported: "Gracias por avisarnos. Revisaremos tu vehículo y te contactaremos.",
+    admin_token_not_found: "Token no encontrado.",
+    admin_token_not_active: "El token ya no está activo.",
+    admin_brand_not_found: "Marca no encontrada.",
+    admin_review_not_found: "Revisión no encontrada.",
+    admin_review_not_open: "La revisión ya está resuelta.",
+    admin_webhook_key_not_configured: "La llave no está configurada en esta instancia.",
+    admin_webhook_key_active: "La llave ya es la activa.",
+    admin_webhook_key_retired: "La llave ya se retiró; agrega una nueva.",
+    "nip_policy.nip_repetido": "El NIP no puede repetir el mismo dígito.",
+    "nip_policy.nip_secuencial": "El NIP no puede ser una secuencia (por ejemplo 1234 o 9876).",
+    "nip_policy.nip_comun": "Ese NIP es muy común. Elige otro.",
+    "nip_policy.nip_telefono": "El NIP no puede tomarse de tu número de WhatsApp.",
+    "nip_policy.nip_reutilizado": "Ya usaste ese NIP recientemente. Elige uno distinto.",
+    "validation.phone_10_digits": "Teléfono debe ser de 10 dígitos",
+    "validation.nip_4_digits": "NIP debe ser de 4 dígitos",
+    "validation.nip_confirm_4_digits": "Confirmación debe ser de 4 dígitos",
+    "validation.code_6_digits": "Código debe ser de 6 dígitos",
+    "validation.required": "Campo requerido",
+    "validation.invalid_type": "Tipo de dato inválido",
+    "validation.invalid_email": "Correo inválido",
+    "validation.invalid_format": "Formato inválido",
+    "validation.too_short": "Debe tener al menos {min} caracteres",
+    "validation.too_long": "Debe tener máximo {max} caracteres",
+    "validation.too_small": "Debe ser mayor o igual a {min}",
+    "validation.too_big": "Debe ser menor o igual a {max}",
+    "validation.invalid_option": "Valor no permitido. Opciones: {options}",
+    "validation.invalid_value": "Valor inválido",
+    "validation.vehicle_selection": "Indica vehiculoId o vehiculoIds (uno de los dos)",
+  },
+  en: {
+    forbidden: "Forbidden",
+    unauthorized: "Unauthorized",
+    admin_not_configured: "Admin not configured",
+    too_many_requests: "Too many attempts. Please try again later.",
+    service_unavailable: "The service is temporarily unavailable. Please try again in a few minutes.",
+    operation_failed: "We could not complete the operation.",
+    operation_failed_retry: "We could not complete the operation. Please try again.",
+    response_invalid: "The response does not match the API contract.",
+    invalid_data: "Invalid data.",
+    invalid_lookup_data: "Invalid data. Check your email and phone number.",
+    invalid_send_link_data: "Invalid data. Check your email, phone number and vehicle.",
+    wrong_data: "Incorrect details",
+    lookup_locked: "Too many attempts with incorrect details. Please try again later.",
+    captcha_required: "Please confirm you are not a robot to continue.",
+    captcha_invalid: "We could not validate the verification. Please try again.",
+    link_sent_email: "We sent a link to reset your PIN to your registered email.",
+    link_sent_whatsapp: "We sent a link to reset your PIN by WhatsApp to your registered number.",
+    code_sent_email: "We sent a code to reset your PIN to your registered email.",
+    code_sent_whatsapp: "We sent a code to reset your PIN by WhatsApp to your registered number.",
+    code_invalid: "Invalid or expired code.",
+    code_locked: "Code locked after too many failed attempts. Request a new one.",
+    code_incorrect: "Incorrect code.",
+    token_invalid: "Invalid token.",
+    link_invalid: "Invalid or expired link.",
+    nip_mismatch: "The PINs do not match.",
+    feature_not_configured: "This feature is being set up. Please request a new reset.",
+    nip_confirmed: "Done. Your PIN was updated successfully.",
+    nip_failed: "We could not apply your new PIN. Please request a new reset.",
+    nip_processing: "We are applying your new PIN.",
+    nip_processing_poll: "We are applying your new PIN. Check the status in a few seconds.",
+    nip_partial: "Your PIN was updated for some vehicles only. Request a new reset for the others.",
+    too_many_vehicles: "You can reset at most {max} vehicles at once.",
+    request_invalid: "Invalid request.",
+    request_not_found: "Request not found.",
+    change_reported: "Thank you for letting us know. We will review your vehicle and contact you.",
+    admin_token_not_found: "Token not found.",
+    admin_token_not_active: "The token is no longer active.",
+    admin_brand_not_found: "Brand not found.",
+    admin_review_not_found: "Review not found.",
+    admin_review_not_open: "The review is already resolved.",
+    admin_webhook_key_not_configured: "The key is not configured on this instance.",
+    admin_webhook_key_active: "The key is already active.",
+    admin_webhook_key_retired: "The key was already retired; add a new one.",
+    "nip_policy.nip_repetido": "The PIN cannot repeat the same digit.",
+    "nip_policy.nip_secuencial": "The PIN cannot be a sequence (for example 1234 or 9876).",
+    "nip_policy.nip_comun": "That PIN is too common. Choose another one.",
+    "nip_policy.nip_telefono": "The PIN cannot be taken from your WhatsApp number.",
+    "nip_policy.nip_reutilizado": "You used that PIN recently. Choose a different one.",
+    "validation.phone_10_digits": "Phone number must be 10 digits",
+    "validation.nip_4_digits": "PIN must be 4 digits",
+    "validation.nip_confirm_4_digits": "Confirmation must be 4 digits",
+    "validation.code_6_digits": "Code must be 6 digits",
+    "validation.required": "Required",
+    "validation.invalid_type": "Invalid type",
+    "validation.invalid_email": "Invalid email",
+    "validation.invalid_format": "Invalid format",
+    "validation.too_short": "Must be at least {min} characters",
+    "validation.too_long": "Must be at most {max} characters",
+    "validation.too_small": "Must be greater than or equal to {min}",
+    "validation.too_big": "Must be less than or equal to {max}",
+    "validation.invalid_option": "Value not allowed. Options: {options}",
+    "validation.invalid_value": "Invalid value",
+    "validation.vehicle_selection": "Provide either vehiculoId or vehiculoIds (one of them)",
+  },
+};
+
+/**
+ * "en-US" -> "en"; regresa null si no es un idioma soportado.
+ */
+function normalizeLocale(value) {
+  const base = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : null;
+}
+
+function parseAcceptLanguage(header) {
+  return String(header || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const qParam = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      const q = qParam ? Number(qParam.slice(2)) : 1;
+      return { tag: tag.trim(), q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter((l) => l.tag && l.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+}
+
+function resolveLocale(req) {
+  const explicit = normalizeLocale(req.body?.locale) || normalizeLocale(req.query?.locale);
+  if (explicit) return explicit;
+
+  for (const { tag } of parseAcceptLanguage(req.get("accept-language"))) {
+    const locale = normalizeLocale(tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function t(locale, key, vars = {}) {
+  const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  const template = catalog[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+function hasMessage(key) {
+  return Object.prototype.hasOwnProperty.call(MESSAGES[DEFAULT_LOCALE], key);
+}
+
+/**
+ * Mensaje de un issue de zod: si el schema trae una llave del catalogo se
+ * traduce; si no, se arma por `code` (los mensajes por default de zod son en ingles).
+ */
+function translateZodIssue(locale, issue) {
+  if (hasMessage(issue.message)) return t(locale, issue.message);
+
+  switch (issue.code) {
+    case "invalid_type":
+      return t(locale, issue.received === "undefined" ? "validation.required" : "validation.invalid_type");
+    case "invalid_string":
+      return t(locale, issue.validation === "email" ? "validation.invalid_email" : "validation.invalid_format");
+    case "too_small":
+      return issue.type === "string"
+        ? t(locale, "validation.too_short", { min: issue.minimum })
+        : t(locale, "validation.too_small", { min: issue.minimum });
+    case "too_big":
+      return issue.type === "string"
+        ? t(locale, "validation.too_long", { max: issue.maximum })
+        : t(locale, "validation.too_big", { max: issue.maximum });
+    case "invalid_enum_value":
+      return t(locale, "validation.invalid_option", { options: (issue.options || []).join(", ") });
+    default:
+      return t(locale, "validation.invalid_value");
+  }
+}
+
+function formatZodIssues(locale, issues) {
+  return issues.map((i) => ({ field: i.path.join("."), msg: translateZodIssue(locale, i) }));
+}
+
+/**
+ * Cuerpo de error del API: `error_code` estable (la llave del catalogo, para el
+ * front y n8n) y `message` en el idioma del request. `fields` se agrega al cuerpo;
+ * `vars` solo interpola el mensaje. `messageKey` toma el mensaje de otra llave
+ * cuando el codigo no es la llave del catalogo (p. ej. `nip_policy.<regla>`).
+ */
+function errorBody(req, code, { vars, messageKey = code, ...fields } = {}) {
+  return { ok: false, error_code: code, message: t(req.locale, messageKey, vars), ...fields };
+}
+
+function localeMiddleware(req, res, next) {
+  req.locale = resolveLocale(req);
+  req.t = (key, vars) => t(req.locale, key, vars);
+  res.set("Content-Language", req.locale);
+  next();
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  resolveLocale,
+  t,
+  formatZodIssues,
+  errorBody,
+  localeMiddleware,
+};
@@ -1,17 +1,70 @@
 const express = require("express");
 const helmet = require("helmet");
 const cors = require("cors");
-const rateLimit = require("express-rate-limit");
 const crypto = require("crypto");
-const { z } = require("zod");
-const nodemailer = require("nodemailer");
 const path = require("path");
 const { pool } = require("./db");
+const { buildPersistNipFields, getOutboxNipKeyConfig } = require("./nip-crypto");
+const {
+  WEBHOOK_EVENTS,
+  getNipPersistWebhookConfig,
+  getWebhookSubscribers,
+  buildWebhookEvent,
+} = require("./webhook");
+const { sleep } = require("./http-util");
+const {
+  enqueueWebhookEvent,
+  enqueuePersistEvent,
+  dispatchOutboxEntry,
+  startOutboxDispatcher,
+  getOutboxStatusByRequestId,
+  getOutboxConfig,
+  summarizeOutboxEstados,
+  OUTBOX_STATUS_LABELS,
+} = require("./outbox");
+const { RESET_EVENTS, hashIdentity, recordRequestEvent } = require("./audit");
+const { TOKEN_INVALIDATION_REASONS, getBulkResetConfig, listRateLimitedVehicles } = require("./tokens");
+const { createAdminRouter } = require("./admin");
+const { buildResetLink, sendResetEmail, sendResetCodeEmail, closeMailer } = require("./mail");
+const { sendResetWhatsapp, sendResetCodeWhatsapp } = require("./whatsapp");
+const { getOtpConfig, generateOtpChallenge, otpMatches } = require("./otp");
+const { findContactoAndVehiculos, CustomerSourceUnavailableError } = require("./sources");
+const { normalizePhoneForAirtable } = require("./sources/phone");
+const { createLookupSession, verifyLookupSession } = require("./lookup-session");
+const { localeMiddleware, formatZodIssues, errorBody } = require("./i18n");
+const { reportNipChange } = require("./nip-change-notice");
+const { metricsMiddleware, renderMetrics } = require("./metrics");
+const { createLogger, requestIdMiddleware, REQUEST_ID_HEADER } = require("./logger");
+const { createLimiter, createIdentityLimiters } = require("./rate-limit");
+const { lookupGuardKeys, checkLookupGuard, recordLookupFailure, clearIdentityFailures } = require("./lookup-guard");
+const { getCaptchaVerifier } = require("./captcha");
+const { startTokenRetentionJob } = require("./retention");
+const { NIP_POLICY_CODES, getNipPolicyConfig, checkNipPolicy, isNipReused, recordNipHistory } = require("./nip-policy");
+const { drainingMiddleware, trackBackgroundTask, installShutdownHandlers } = require("./lifecycle");
+const { checkReadiness } = require("./readiness");
+const {
+  nipResetLookupSchema,
+  nipResetSendLinkSchema,
+  nipResetTokenInfoSchema,
+  nipResetConfirmSchema,
+  nipResetVerifyCodeSchema,
+  nipResetConfirmStatusSchema,
+  nipResetReportChangeSchema,
+} = require("./api-schemas");
+const { getOpenApiDocument, responseValidationMiddleware } = require("./openapi");
+
+const log = createLogger("api");
 
 const app = express();
 app.set("trust proxy", 1);
+app.use(requestIdMiddleware);
+app.use(drainingMiddleware);
 app.use(helmet());
 app.use(express.json({ limit: "10kb" }));
+app.use(localeMiddleware);
+app.use(metricsMiddleware);
+// Fuera de produccion las respuestas de /nip-reset/* se validan contra api-schemas.js
+app.use(responseValidationMiddleware());
 
 // Static assets (email logo/icons)
 app.use("/assets", express.static(path.join(__dirname, "assets"), { maxAge: "1h" }));
@@ -20,11 +73,10 @@ app.use("/assets", express.static(path.join(__dirname, "assets"), { maxAge: "1h"
  * Global rate limit (soft)
  */
 app.use(
-  rateLimit({
+  createLimiter({
+    name: "global",
     windowMs: 15 * 60 * 1000,
     max: 300,
-    standardHeaders: true,
-    legacyHeaders: false,
   })
 );
 
@@ -40,8 +92,54 @@ app.get("/api/db-health", async (req, res) => {
     const r = await pool.query("SELECT 1 AS ok");
     res.json({ ok: true, db: r.rows[0].ok === 1 });
   } catch (e) {
-    console.error("[db-health] error:", e?.message || e);
-    res.status(500).json({ ok: false, db: false });
+    log.error("db-health", { err: e });
+    res.status(500).json(errorBody(req, "service_unavailable", { db: false }));
+  }
+});
+
+/**
+ * Contrato del API publico (generado de api-schemas.js)
+ */
+app.get("/api/openapi.json", (req, res) => {
+  res.json(getOpenApiDocument());
+});
+
+/**
+ * Readiness con estado por dependencia (ver readiness.js). 503 si falta una
+ * dependencia requerida o si el proceso se esta apagando.
+ */
+app.get("/api/ready", async (req, res) => {
+  try {
+    const result = await checkReadiness();
+    const body = { status: result.status, checks: result.checks };
+    if (result.ready) return res.status(200).json({ ok: true, ...body });
+    return res.status(503).json(errorBody(req, "service_unavailable", body));
+  } catch (e) {
+    log.error("ready", { err: e });
+    res.status(503).json(errorBody(req, "service_unavailable", { status: "not_ready" }));
+  }
+});
+
+/**
+ * Prometheus. Con METRICS_TOKEN exige `Authorization: Bearer <token>`.
+ */
+app.get("/metrics", async (req, res) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (expected) {
+    const provided = String(req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    const a = crypto.createHash("sha256").update(provided).digest();
+    const b = crypto.createHash("sha256").update(expected).digest();
+    if (!crypto.timingSafeEqual(a, b)) {
+      return res.status(401).json(errorBody(req, "unauthorized"));
+    }
+  }
+
+  try {
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    return res.status(200).send(await renderMetrics());
+  } catch (e) {
+    log.error("metrics", { err: e });
+    return res.status(500).json(errorBody(req, "operation_failed"));
   }
 });
 
@@ -61,707 +159,269 @@ const corsForNipReset = cors({
     return cb(new Error("CORS: Origin no permitido"));
   },
   methods: ["GET", "POST", "OPTIONS"],
+  exposedHeaders: [REQUEST_ID_HEADER],
 });
 
 app.use("/nip-reset", corsForNipReset);
 
+/**
+ * Admin soporte (/admin/*): auth propia por API key, sin CORS del front
+ */
+app.use("/admin", createAdminRouter());
+
 // CORS error handler -> 403
 app.use((err, req, res, next) => {
   if (String(err?.message || "").startsWith("CORS:")) {
-    return res.status(403).json({ ok: false, message: "Forbidden" });
+    return res.status(403).json(errorBody(req, "forbidden"));
   }
   next(err);
 });
 
-/**
- * Schemas
- */
-const nipResetLookupSchema = z.object({
-  email: z.string().trim().toLowerCase().email().max(254),
-  whatsapp_id: z.string().trim().regex(/^\d{10}$/, "Teléfono debe ser de 10 dígitos"),
-});
-
-const nipResetSendLinkSchema = z.object({
-  email: z.string().trim().toLowerCase().email().max(254),
-  whatsapp_id: z.string().trim().regex(/^\d{10}$/, "Teléfono debe ser de 10 dígitos"),
-  cliente_id: z.string().trim().min(1).max(255),
-  vehiculoId: z.string().trim().min(1).max(255),
-});
-
-const nipResetTokenInfoSchema = z.object({
-  token: z.string().trim().min(20).max(200),
-});
-
-const nipResetConfirmSchema = z.object({
-  token: z.string().trim().min(20).max(200),
-  nip: z.string().trim().regex(/^\d{4}$/, "NIP debe ser de 4 dígitos"),
-  nipConfirm: z.string().trim().regex(/^\d{4}$/, "Confirmación debe ser de 4 dígitos"),
-});
-
 /**
  * Rate limits
  */
-const nipLookupLimiter = rateLimit({
+const nipLookupLimiter = createLimiter({
+  name: "lookup",
   windowMs: Number(process.env.NIP_LOOKUP_IP_RATE_WINDOW_MINUTES || process.env.NIP_RESET_IP_RATE_WINDOW_MINUTES || 15) * 60 * 1000,
   max: Number(process.env.NIP_LOOKUP_IP_RATE_MAX || process.env.NIP_RESET_IP_RATE_MAX || 10),
-  standardHeaders: true,
-  legacyHeaders: false,
 });
 
-const nipSendLinkLimiter = rateLimit({
+const nipSendLinkLimiter = createLimiter({
+  name: "send-link",
   windowMs: Number(process.env.NIP_SEND_LINK_IP_RATE_WINDOW_MINUTES || process.env.NIP_RESET_IP_RATE_WINDOW_MINUTES || 15) * 60 * 1000,
   max: Number(process.env.NIP_SEND_LINK_IP_RATE_MAX || process.env.NIP_RESET_IP_RATE_MAX || 3),
-  standardHeaders: true,
-  legacyHeaders: false,
 });
 
-const nipConfirmLimiter = rateLimit({
+const nipConfirmLimiter = createLimiter({
+  name: "confirm",
   windowMs: Number(process.env.NIP_CONFIRM_IP_RATE_WINDOW_MINUTES || 15) * 60 * 1000,
   max: Number(process.env.NIP_CONFIRM_IP_RATE_MAX || 15),
-  standardHeaders: true,
-  legacyHeaders: false,
 });
 
-/**
- * Airtable helpers
- */
-function normalizePhoneForAirtable(whatsappId10) {
-  return `52${whatsappId10}`;
-}
-
-function onlyDigits(value) {
-  if (value === null || value === undefined) return "";
-  return String(value).replace(/\D/g, "");
-}
-
-function normalizePhone10(value) {
-  const digits = onlyDigits(value);
-  if (digits.length < 10) return null;
-  return digits.slice(-10);
-}
-
-function airtableEscapeFormulaString(str) {
-  return String(str).replace(/'/g, "\\'");
-}
-
-function normalizeAirtableText(value) {
-  if (value === null || value === undefined) return null;
-  if (Array.isArray(value)) {
-    if (!value.length) return null;
-    return String(value[0]).trim() || null;
-  }
-  const text = String(value).trim();
-  return text || null;
-}
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-function getAirtableConfig() {
-  const vehiculosClienteIdFieldRaw = String(process.env.AIRTABLE_VEHICULOS_CLIENTE_ID_FIELD || "").trim();
-  const vehiculosWhatsappFieldRaw = String(process.env.AIRTABLE_VEHICULOS_WHATSAPP_FIELD || "").trim();
-
-  const config = {
-    apiKey: process.env.AIRTABLE_API_KEY,
-    baseId: process.env.AIRTABLE_BASE_ID,
-    contactosTable: process.env.AIRTABLE_CONTACTOS_TABLE_NAME || "Contactos",
-    contactosEmailField: process.env.AIRTABLE_CONTACTOS_EMAIL_FIELD || "email",
-    contactosWhatsappField: process.env.AIRTABLE_CONTACTOS_WHATSAPP_FIELD || "whatsapp_id",
-    contactosClienteIdField: process.env.AIRTABLE_CONTACTOS_CLIENTE_ID_FIELD || "cliente_id",
-    vehiculosTable: process.env.AIRTABLE_VEHICULOS_TABLE_NAME || "Vehiculos",
-    vehiculosContactoLinkField: process.env.AIRTABLE_VEHICULOS_CONTACTO_LINK_FIELD || "whatsappNumero",
-    vehiculosClienteIdField: vehiculosClienteIdFieldRaw || null,
-    vehiculosWhatsappField: vehiculosWhatsappFieldRaw || null,
-    vehiculosVehiculoIdField: process.env.AIRTABLE_VEHICULOS_VEHICULO_ID_FIELD || "vehiculoId",
-    vehiculosApodoField: process.env.AIRTABLE_VEHICULOS_APODO_FIELD || "apodo",
-  };
-
-  if (!config.apiKey || !config.baseId) {
-    throw new Error("Airtable: faltan AIRTABLE_API_KEY o AIRTABLE_BASE_ID");
-  }
-  return config;
-}
-
-async function airtableListRecords({ tableName, formula, maxRecords = 100 }) {
-  const cfg = getAirtableConfig();
-  const base = `https://api.airtable.com/v0/${cfg.baseId}/${encodeURIComponent(tableName)}`;
-  const query = new URLSearchParams({
-    maxRecords: String(maxRecords),
-    filterByFormula: formula,
-  });
-  const url = `${base}?${query.toString()}`;
-
-  const resp = await fetch(url, {
-    method: "GET",
-    headers: { Authorization: `Bearer ${cfg.apiKey}` },
-  });
-
-  if (!resp.ok) {
-    const txt = await resp.text().catch(() => "");
-    throw new Error(`Airtable lookup failed (${resp.status}): ${txt.slice(0, 200)}`);
-  }
-
-  const data = await resp.json();
-  return Array.isArray(data?.records) ? data.records : [];
-}
-
-async function airtableListRecordsSafe({ tableName, formula, maxRecords = 100, context = "lookup" }) {
-  try {
-    return await airtableListRecords({ tableName, formula, maxRecords });
-  } catch (e) {
-    console.warn(`[airtable-safe:${context}]`, e?.message || e);
-    return [];
-  }
-}
-
-async function findContactoByEmailWhatsapp(email, whatsapp10) {
-  const cfg = getAirtableConfig();
-  const phone10 = normalizePhone10(whatsapp10);
-  if (!phone10) return null;
-
-  const emailEsc = airtableEscapeFormulaString(email.toLowerCase());
-  const formula = `LOWER({${cfg.contactosEmailField}})='${emailEsc}'`;
-  const records = await airtableListRecords({
-    tableName: cfg.contactosTable,
-    formula,
-    maxRecords: 20,
-  });
+// Por identidad: mismo correo o whatsapp_id desde cualquier IP
+const nipLookupIdentityLimiters = createIdentityLimiters({
+  name: "lookup-identity",
+  windowMs: Number(process.env.NIP_LOOKUP_IDENTITY_RATE_WINDOW_MINUTES || 60) * 60 * 1000,
+  max: Number(process.env.NIP_LOOKUP_IDENTITY_RATE_MAX || 10),
+});
 
-  if (!records.length) return null;
-
-  let rec = null;
-  let clienteId = null;
-  for (const r of records) {
-    const raw = normalizeAirtableText(r?.fields?.[cfg.contactosWhatsappField]);
-    const last10 = normalizePhone10(raw);
-    if (last10 !== phone10) continue;
-    const cid = normalizeAirtableText(r?.fields?.[cfg.contactosClienteIdField]);
-    if (!cid) continue;
-    rec = r;
-    clienteId = cid;
-    break;
-  }
+const nipSendLinkIdentityLimiters = createIdentityLimiters({
+  name: "send-link-identity",
+  windowMs: Number(process.env.NIP_SEND_LINK_IDENTITY_RATE_WINDOW_MINUTES || 60) * 60 * 1000,
+  max: Number(process.env.NIP_SEND_LINK_IDENTITY_RATE_MAX || 5),
+});
 
-  if (!rec || !clienteId) return null;
+const nipVerifyCodeLimiter = createLimiter({
+  name: "verify-code",
+  windowMs: Number(process.env.NIP_VERIFY_CODE_IP_RATE_WINDOW_MINUTES || 15) * 60 * 1000,
+  max: Number(process.env.NIP_VERIFY_CODE_IP_RATE_MAX || 15),
+});
 
-  return {
-    contacto_record_id: rec.id,
-    cliente_id: clienteId,
-  };
-}
+const nipReportChangeLimiter = createLimiter({
+  name: "report-change",
+  windowMs: Number(process.env.NIP_REPORT_CHANGE_IP_RATE_WINDOW_MINUTES || 15) * 60 * 1000,
+  max: Number(process.env.NIP_REPORT_CHANGE_IP_RATE_MAX || 10),
+});
 
-function mapVehiculos(records, cfg) {
-  const out = [];
-  for (const rec of records) {
-    const vehiculoId = normalizeAirtableText(rec?.fields?.[cfg.vehiculosVehiculoIdField]);
-    if (!vehiculoId) continue;
-    const apodoRaw = normalizeAirtableText(rec?.fields?.[cfg.vehiculosApodoField]);
-    const apodo = apodoRaw || "Vehículo sin apodo";
-    out.push({
-      vehiculo_record_id: rec.id,
-      vehiculoId,
-      apodo,
-      identifica_tu_vehiculo: apodo,
-    });
-  }
-  return out;
+function customerSourceUnavailable(req, res) {
+  res.set("Retry-After", "30");
+  return res.status(503).json(errorBody(req, "service_unavailable"));
 }
 
-async function listVehiculosByContacto(contactoRecordId, clienteId, whatsapp10) {
-  const cfg = getAirtableConfig();
-  const collected = new Map();
-
-  const collect = (records) => {
-    for (const rec of records) {
-      if (!rec?.id) continue;
-      if (!collected.has(rec.id)) {
-        collected.set(rec.id, rec);
-      }
-    }
-  };
-
-  if (contactoRecordId) {
-    const contactoEsc = airtableEscapeFormulaString(contactoRecordId);
-    const formulaByLink = `FIND('${contactoEsc}', ARRAYJOIN({${cfg.vehiculosContactoLinkField}}, ','))`;
-    const byLink = await airtableListRecordsSafe({
-      tableName: cfg.vehiculosTable,
-      formula: formulaByLink,
-      maxRecords: 100,
-      context: "vehiculos_by_link",
-    });
-    collect(byLink);
-  }
-
-  // Fallback: algunos equipos guardan el campo configurado como texto/telefono
-  // (por ejemplo whatsappNumero) en lugar de record-link.
-  if (collected.size === 0 && whatsapp10 && cfg.vehiculosContactoLinkField) {
-    const phone10 = normalizePhone10(whatsapp10);
-    const phone12 = normalizePhoneForAirtable(phone10 || whatsapp10);
-    const phone10Esc = airtableEscapeFormulaString(phone10 || "");
-    const phone12Esc = airtableEscapeFormulaString(phone12);
-    const formulaByContactoFieldAsPhone =
-      `OR(({${cfg.vehiculosContactoLinkField}}&'')='${phone12Esc}', ({${cfg.vehiculosContactoLinkField}}&'')='${phone10Esc}')`;
-
-    const byContactoFieldAsPhone = await airtableListRecordsSafe({
-      tableName: cfg.vehiculosTable,
-      formula: formulaByContactoFieldAsPhone,
-      maxRecords: 100,
-      context: "vehiculos_by_contacto_field_as_phone",
-    });
-    collect(byContactoFieldAsPhone);
-  }
-
-  if (collected.size === 0 && clienteId && cfg.vehiculosClienteIdField) {
-    const clienteEsc = airtableEscapeFormulaString(clienteId);
-    const formulaByClienteId = `({${cfg.vehiculosClienteIdField}}&'')='${clienteEsc}'`;
-    const byClienteId = await airtableListRecordsSafe({
-      tableName: cfg.vehiculosTable,
-      formula: formulaByClienteId,
-      maxRecords: 100,
-      context: "vehiculos_by_cliente_id",
-    });
-    collect(byClienteId);
-  }
-
-  if (collected.size === 0 && whatsapp10 && cfg.vehiculosWhatsappField) {
-    const phone10 = normalizePhone10(whatsapp10);
-    const phone12 = normalizePhoneForAirtable(phone10 || whatsapp10);
-    const phoneEsc = airtableEscapeFormulaString(phone12);
-    const phone10Esc = airtableEscapeFormulaString(phone10 || "");
-    const formulaByWhatsapp = `OR(({${cfg.vehiculosWhatsappField}}&'')='${phoneEsc}', ({${cfg.vehiculosWhatsappField}}&'')='${phone10Esc}')`;
-    const byWhatsapp = await airtableListRecordsSafe({
-      tableName: cfg.vehiculosTable,
-      formula: formulaByWhatsapp,
-      maxRecords: 100,
-      context: "vehiculos_by_whatsapp",
+/**
+ * Bloqueo progresivo y CAPTCHA de lookup/send-link (ver lookup-guard.js).
+ * Regresa true si ya respondio: 429 si alguna llave esta bloqueada, 403 con
+ * `captcha_required` si el request es sospechoso y el token falta o no es valido.
+ */
+async function rejectByLookupGuard(req, res, guardKeys, captchaToken, identidadHash) {
+  const guard = await checkLookupGuard(guardKeys);
+  if (guard.locked) {
+    await recordRequestEvent(req, RESET_EVENTS.LOOKUP_BLOQUEADO, {
+      detalle: { dimension: guard.dimension, retry_after_s: guard.retryAfterSeconds, identidad_hash: identidadHash },
     });
-    collect(byWhatsapp);
+    res.set("Retry-After", String(guard.retryAfterSeconds));
+    res.status(429).json(errorBody(req, "lookup_locked"));
+    return true;
   }
 
-  return mapVehiculos(Array.from(collected.values()), cfg);
-}
-
-async function findContactoAndVehiculos(email, whatsapp10) {
-  const phone10 = normalizePhone10(whatsapp10);
-  if (!phone10) return null;
+  const verifier = guard.suspicious ? getCaptchaVerifier() : null;
+  if (!verifier) return false;
+  if (captchaToken && (await verifier.verify({ token: captchaToken, remoteIp: req.ip }))) return false;
 
-  const contacto = await findContactoByEmailWhatsapp(email, phone10);
-  if (!contacto) return null;
-
-  const vehiculos = await listVehiculosByContacto(
-    contacto.contacto_record_id,
-    contacto.cliente_id,
-    phone10
-  );
-  console.log("[nip-reset/lookup] contacto y vehiculos", {
-    contactoRecordId: contacto.contacto_record_id,
-    clienteId: contacto.cliente_id,
-    vehiculosEncontrados: Array.isArray(vehiculos) ? vehiculos.length : 0,
+  await recordRequestEvent(req, RESET_EVENTS.CAPTCHA_REQUERIDO, {
+    detalle: { resultado: captchaToken ? "invalido" : "faltante", proveedor: verifier.name, identidad_hash: identidadHash },
   });
-  return { ...contacto, vehiculos };
-}
-
-async function isVehicleRateLimited(clienteId, vehiculoId) {
-  const windowMinutes = Number(process.env.CUSTOMER_VEHICLE_RATE_WINDOW_MINUTES || 60);
-  const maxPerWindow = Number(process.env.CUSTOMER_VEHICLE_RATE_MAX || 2);
-  const q = `
-    SELECT COUNT(*)::int AS c
-    FROM nip_reset_tokens
-    WHERE cliente_id = $1
-      AND vehiculo_id = $2
-      AND created_at > now() - ($3 * interval '1 minute')
-  `;
-  const { rows } = await pool.query(q, [clienteId, vehiculoId, windowMinutes]);
-  return (rows?.[0]?.c || 0) >= maxPerWindow;
-}
-
-async function fetchWithTimeout(url, options, timeoutMs) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    return await fetch(url, { ...options, signal: controller.signal });
-  } finally {
-    clearTimeout(timer);
-  }
-}
-
-function buildWebhookSignature(secret, timestamp, payloadString) {
-  const stringToSign = `${timestamp}.${payloadString}`;
-  return crypto.createHmac("sha256", secret).update(stringToSign).digest("hex");
-}
-
-async function sendNipPersistWebhook(payload) {
-  const webhookUrl = process.env.NIP_PERSIST_WEBHOOK_URL;
-  const webhookSecret = process.env.NIP_PERSIST_WEBHOOK_SECRET;
-  if (!webhookUrl || !webhookSecret) {
-    throw new Error("Webhook persistencia NIP no configurado");
-  }
-
-  const timeoutMs = Number(process.env.NIP_PERSIST_WEBHOOK_TIMEOUT_MS || 8000);
-  const retryDelayMs = Number(process.env.NIP_PERSIST_WEBHOOK_RETRY_DELAY_MS || 400);
-  const maxAttempts = 2;
-
-  const body = JSON.stringify(payload);
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    const timestamp = new Date().toISOString();
-    const signature = buildWebhookSignature(webhookSecret, timestamp, body);
-
-    try {
-      const resp = await fetchWithTimeout(
-        webhookUrl,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "x-ama-event": payload.evento,
-            "x-ama-timestamp": timestamp,
-            "x-ama-signature": signature,
-          },
-          body,
-        },
-        timeoutMs
-      );
-
-      if (resp.ok) return;
-
-      const txt = await resp.text().catch(() => "");
-      const err = new Error(`Webhook persist failed (${resp.status}): ${txt.slice(0, 200)}`);
-      if (attempt === maxAttempts) throw err;
-    } catch (e) {
-      if (attempt === maxAttempts) throw e;
-    }
-
-    await sleep(retryDelayMs);
-  }
+  res.status(403).json(
+    errorBody(req, captchaToken ? "captcha_invalid" : "captcha_required", {
+      captcha_required: true,
+      captcha_provider: verifier.name,
+    })
+  );
+  return true;
 }
 
-/**
- * SMTP / Email
- */
-let mailTransporter = null;
-
-function getMailer() {
-  if (mailTransporter) return mailTransporter;
-
-  const host = process.env.SMTP_HOST;
-  const port = Number(process.env.SMTP_PORT || 465);
-  const secure = String(process.env.SMTP_SECURE || "true").toLowerCase() === "true";
-  const user = process.env.SMTP_USER;
-  const pass = process.env.SMTP_PASS;
-
-  if (!host || !user || !pass) {
-    throw new Error("SMTP: faltan variables de entorno");
+async function recordLookupGuardFailure(req, guardKeys, identidadHash) {
+  const newlyLocked = await recordLookupFailure(guardKeys);
+  for (const { dimension, minutes } of newlyLocked) {
+    log.warn("bloqueo aplicado", { route: req.path, dimension, minutes });
+    await recordRequestEvent(req, RESET_EVENTS.BLOQUEO_APLICADO, {
+      detalle: { dimension, minutos: minutes, identidad_hash: identidadHash },
+    });
   }
-
-  mailTransporter = nodemailer.createTransport({
-    host,
-    port,
-    secure,
-    auth: { user, pass },
-  });
-
-  return mailTransporter;
-}
-
-function buildResetEmail({ to, link, ttlMinutes }) {
-  const from = process.env.MAIL_FROM || `"AMA Track & Safe" <${process.env.SMTP_USER}>`;
-
-  const brandOrange = "#E27C39";
-  const brandDark = "#0D0D0D";
-  const facebookUrl = "https://www.facebook.com/profile.php?id=61585082213385";
-  const phoneDisplay = "55 9990 0577";
-  const waLink = "https://wa.me/525599900577";
-  const siteUrl = "https://amatracksafe.com.mx";
-
-  const logoUrl = process.env.MAIL_LOGO_URL || "";
-
-  // Cache-busting para Gmail (sube v=3, v=4 si vuelves a cambiar icons)
-  const assetsBase = "https://reset.amatracksafe.com.mx/assets";
-  const v = "3";
-  const lockIconUrl = `${assetsBase}/lock.png?v=${v}`;
-  const waIconUrl = `${assetsBase}/wa.png?v=${v}`;
-  const fbIconUrl = `${assetsBase}/fb.png?v=${v}`;
-
-  const subject = "Restablece tu NIP | AMA Track & Safe";
-
-  const text =
-`Hola,
-
-Recibimos una solicitud para restablecer tu NIP de seguridad.
-
-Abre esta liga para crear un nuevo NIP:
-${link}
-
-Este enlace expira en ${ttlMinutes} minutos.
-Si tú no hiciste esta solicitud, puedes ignorar este correo.
-
-— AMA Track & Safe
-${siteUrl}
-WhatsApp: ${phoneDisplay}
-Facebook: ${facebookUrl}
-`;
-
-  const headerLogo = logoUrl
-    ? `<img src="${logoUrl}" alt="AMA Track & Safe" style="display:block; height:72px; width:auto; max-width:320px; margin:0 auto;" />`
-    : `<div style="font-size:20px; font-weight:900; letter-spacing:.2px; color:${brandDark}; text-align:center;">
-         AMA <span style="color:${brandOrange};">Track</span> &amp; Safe
-       </div>`;
-
-  const lockBadge = `
-<table role="presentation" cellspacing="0" cellpadding="0" style="margin:0 auto;">
-  <tr>
-    <td style="width:56px; height:56px; border-radius:999px; background:${brandOrange}; text-align:center; vertical-align:middle;">
-      <img src="${lockIconUrl}" alt="Seguridad" width="26" height="26"
-           style="display:inline-block; vertical-align:middle; border:0; outline:none; text-decoration:none;" />
-    </td>
-  </tr>
-</table>`;
-
-  const html = `
-<!doctype html>
-<html lang="es">
-  <head>
-    <meta charset="utf-8">
-    <meta name="viewport" content="width=device-width,initial-scale=1">
-    <meta name="x-apple-disable-message-reformatting">
-    <title>Restablecer NIP</title>
-  </head>
-  <body style="margin:0; padding:0; background:#f4f6f8;">
-    <div style="display:none; max-height:0; overflow:hidden; opacity:0; color:transparent;">
-      Restablece tu NIP de seguridad. Enlace válido por ${ttlMinutes} minutos.
-    </div>
-
-    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="background:#f4f6f8; padding:24px 0;">
-      <tr>
-        <td align="center" style="padding:0 16px;">
-          <table role="presentation" width="640" cellspacing="0" cellpadding="0" style="width:100%; max-width:640px;">
-
-            <!-- Top orange line (más ancha) -->
-            <tr>
-              <td style="height:12px; background:${brandOrange}; border-radius:12px 12px 0 0;"></td>
-            </tr>
-
-            <!-- Header BLANCO -->
-            <tr>
-              <td style="background:#ffffff; padding:18px; border-left:1px solid #e9edf2; border-right:1px solid #e9edf2;">
-                ${headerLogo}
-              </td>
-            </tr>
-
-            <!-- Card -->
-            <tr>
-              <td style="background:#ffffff; padding:18px; border-left:1px solid #e9edf2; border-right:1px solid #e9edf2;">
-                <table role="presentation" width="100%" cellspacing="0" cellpadding="0"
-                  style="background:#ffffff; border:1px solid #eef1f5; border-radius:16px; overflow:hidden; box-shadow:0 8px 24px rgba(13,13,13,0.08);">
-                  <tr>
-                    <td style="padding:22px 22px 10px; text-align:center;">
-                      ${lockBadge}
-                      <h1 style="margin:14px 0 0; font-family:Arial, sans-serif; font-size:30px; line-height:1.2; color:#1b2430;">
-                        Restablecer tu NIP
-                      </h1>
-                      <p style="margin:10px 0 0; font-family:Arial, sans-serif; font-size:15px; line-height:1.6; color:#5b6673;">
-                        Crea un nuevo NIP de 4 dígitos para validar tu identidad al reportar un siniestro.
-                      </p>
-                    </td>
-                  </tr>
-
-                  <tr>
-                    <td style="padding:0 22px 12px; font-family:Arial, sans-serif; color:#2f3a48;">
-                      <p style="margin:0 0 10px; font-size:16px; line-height:1.6;">Hola,</p>
-                      <p style="margin:0 0 16px; font-size:16px; line-height:1.6;">
-                        Recibimos una solicitud para restablecer tu NIP de seguridad.
-                      </p>
-
-                      <!-- Button -->
-                      <table role="presentation" cellspacing="0" cellpadding="0" style="margin:0 auto 14px;">
-                        <tr>
-                          <td align="center" style="border-radius:10px; background:${brandDark}; box-shadow:0 8px 16px rgba(13,13,13,.18);">
-                            <a href="${link}"
-                              style="display:inline-block; padding:14px 22px; font-family:Arial, sans-serif; font-size:18px; font-weight:800; text-decoration:none; color:${brandOrange};">
-                              Restablecer NIP
-                            </a>
-                          </td>
-                        </tr>
-                      </table>
-
-                      <p style="margin:0 0 8px; font-size:14px; color:#6b7785;">
-                        O copia y pega este enlace en tu navegador:
-                      </p>
-
-                      <div style="background:#fff7f0; border:1px solid #ffd7bf; padding:12px; border-radius:10px; font-size:13px; line-height:1.5; word-break:break-all;">
-                        <a href="${link}" style="color:${brandOrange}; text-decoration:none;">${link}</a>
-                      </div>
-
-                      <div style="height:14px;"></div>
-
-                      <p style="margin:0; font-size:14px; color:#2f3a48;">
-                        <span style="color:${brandOrange}; font-weight:800;">Expira en ${ttlMinutes} minutos.</span>
-                      </p>
-
-                      <div style="height:10px;"></div>
-
-                      <p style="margin:0; font-size:13px; color:#6b7785;">
-                        Si tú no solicitaste este restablecimiento, puedes ignorar este correo.
-                      </p>
-                    </td>
-                  </tr>
-
-                  <tr>
-                    <td style="padding:14px 22px 18px;">
-                      <hr style="border:none; border-top:1px solid #eef1f5; margin:0;">
-                    </td>
-                  </tr>
-                </table>
-              </td>
-            </tr>
-
-            <!-- Footer orange -->
-            <tr>
-              <td style="background:${brandOrange}; padding:16px 18px; text-align:center; color:#fff; font-family:Arial, sans-serif; border-left:1px solid #e9edf2; border-right:1px solid #e9edf2;">
-                <div style="font-size:22px; font-weight:900; letter-spacing:.2px;">AMA Track &amp; Safe</div>
-                <div style="margin-top:6px; font-size:15px; font-weight:700;">
-                  <a href="${siteUrl}" style="color:#fff; text-decoration:none;">amatracksafe.com.mx</a>
-                </div>
-              </td>
-            </tr>
-
-            <!-- Footer dark -->
-            <tr>
-              <td style="background:${brandDark}; padding:14px 18px; border-radius:0 0 12px 12px;">
-                <table role="presentation" width="100%" cellspacing="0" cellpadding="0">
-
-                  <tr>
-                    <td style="text-align:center; padding:6px 0;">
-                      <a href="${waLink}"
-                         style="display:inline-flex; align-items:center; gap:10px; color:#ffffff; text-decoration:none; font-family:Arial, sans-serif; font-size:16px; font-weight:800;">
-                        <img src="${waIconUrl}" alt="WhatsApp" width="22" height="22"
-                             style="display:inline-block; vertical-align:middle; border:0; outline:none; text-decoration:none;" />
-                        <span style="display:inline-block; vertical-align:middle;">${phoneDisplay}</span>
-                      </a>
-                    </td>
-                  </tr>
-
-                  <tr>
-                    <td style="text-align:center; padding:6px 0;">
-                      <a href="${facebookUrl}"
-                         style="display:inline-flex; align-items:center; gap:10px; color:#ffffff; text-decoration:none; font-family:Arial, sans-serif; font-size:14px;">
-                        <img src="${fbIconUrl}" alt="Facebook" width="22" height="22"
-                             style="display:inline-block; vertical-align:middle; border:0; outline:none; text-decoration:none;" />
-                        <span style="display:inline-block; vertical-align:middle;">Facebook</span>
-                      </a>
-                    </td>
-                  </tr>
-
-                  <tr>
-                    <td style="text-align:center; padding-top:10px;">
-                      <div style="height:1px; background:#2b3644; width:100%;"></div>
-                    </td>
-                  </tr>
-
-                  <tr>
-                    <td style="text-align:center; padding-top:10px; color:#9aa6b2; font-family:Arial, sans-serif; font-size:11px;">
-                      Este correo fue enviado automáticamente. Por seguridad, no compartas este enlace.
-                    </td>
-                  </tr>
-                </table>
-              </td>
-            </tr>
-
-          </table>
-        </td>
-      </tr>
-    </table>
-  </body>
-</html>`;
-
-  return { from, to, subject, text, html };
-}
-
-async function sendResetEmail(toEmail, token, ttlMinutes) {
-  const base = process.env.RESET_LINK_BASE || "https://amatracksafe.com.mx/restablecer-nip";
-  const link = `${base}?token=${encodeURIComponent(token)}`;
-
-  const transporter = getMailer();
-  await transporter.verify();
-
-  const mail = buildResetEmail({ to: toEmail, link, ttlMinutes });
-  const info = await transporter.sendMail(mail);
-  console.log("[mail] sent:", info?.messageId || "ok");
 }
 
 /**
  * POST /nip-reset/lookup
  */
-app.post("/nip-reset/lookup", nipLookupLimiter, async (req, res) => {
+app.post("/nip-reset/lookup", nipLookupLimiter, ...nipLookupIdentityLimiters, async (req, res) => {
   const parsed = nipResetLookupSchema.safeParse(req.body);
   if (!parsed.success) {
-    return res.status(400).json({
-      ok: false,
-      message: "Datos inválidos. Revisa correo y teléfono.",
-      errors: parsed.error.issues.map((i) => ({ field: i.path.join("."), msg: i.message })),
-    });
+    return res
+      .status(400)
+      .json(errorBody(req, "invalid_lookup_data", { errors: formatZodIssues(req.locale, parsed.error.issues) }));
   }
 
-  const { email, whatsapp_id } = parsed.data;
+  const { email, whatsapp_id, captcha_token } = parsed.data;
+  const guardKeys = lookupGuardKeys(req, { email, whatsapp_id });
+  const identidadHash = hashIdentity(email, whatsapp_id);
 
   try {
+    if (await rejectByLookupGuard(req, res, guardKeys, captcha_token, identidadHash)) return;
+
     const found = await findContactoAndVehiculos(email, whatsapp_id);
     if (!found || !Array.isArray(found.vehiculos) || found.vehiculos.length === 0) {
-      return res.status(404).json({ ok: false, message: "Datos incorrectos" });
+      await recordRequestEvent(req, RESET_EVENTS.LOOKUP_FALLIDO, {
+        cliente_id: found?.cliente_id || null,
+        detalle: {
+          motivo: found ? "sin_vehiculos" : "contacto_no_encontrado",
+          identidad_hash: identidadHash,
+        },
+      });
+      await recordLookupGuardFailure(req, guardKeys, identidadHash);
+      return res.status(404).json(errorBody(req, "wrong_data"));
     }
 
+    await clearIdentityFailures(guardKeys);
+
+    await recordRequestEvent(req, RESET_EVENTS.LOOKUP_EXITOSO, {
+      cliente_id: found.cliente_id,
+      detalle: { vehiculos: found.vehiculos.length },
+    });
+
     const step = found.vehiculos.length === 1 ? "confirmar_vehiculo_unico" : "seleccionar_vehiculo";
+    const lookupSession = createLookupSession(found, { email, whatsapp_id });
     return res.status(200).json({
       ok: true,
       step,
+      ...(lookupSession ? { lookup_session: lookupSession } : {}),
       cliente_id: found.cliente_id,
-      contacto_record_id: found.contacto_record_id,
       vehiculos: found.vehiculos.map((v) => ({
         vehiculoId: v.vehiculoId,
-        vehiculo_record_id: v.vehiculo_record_id,
         identifica_tu_vehiculo: v.identifica_tu_vehiculo,
       })),
     });
   } catch (e) {
-    console.error("[nip-reset/lookup] error:", e?.message || e);
-    return res.status(500).json({ ok: false, message: "No fue posible completar la operación." });
+    if (e instanceof CustomerSourceUnavailableError) {
+      log.error("nip-reset/lookup: proveedor no disponible", { err: e });
+      await recordRequestEvent(req, RESET_EVENTS.LOOKUP_FALLIDO, {
+        detalle: { motivo: "proveedor_no_disponible", identidad_hash: identidadHash },
+      });
+      return customerSourceUnavailable(req, res);
+    }
+    log.error("nip-reset/lookup", { err: e });
+    return res.status(500).json(errorBody(req, "operation_failed"));
   }
 });
 
+/**
+ * Vehiculos del cliente que pide send-link: `ids` es la lista del request o "all".
+ * Regresa null si alguno no es del cliente (mismo 404 que un vehiculoId ajeno).
+ */
+function selectVehicles(vehiculos, ids) {
+  const own = vehiculos || [];
+  if (ids === "all") return own.length ? own : null;
+
+  const selected = [];
+  for (const id of new Set(ids)) {
+    const vehicle = own.find((v) => v.vehiculoId === id);
+    if (!vehicle) return null;
+    selected.push(vehicle);
+  }
+  return selected;
+}
+
+/**
+ * `NIP_RESET_SOLICITADO` por vehiculo para los suscriptores (sin token ni datos de
+ * contacto). La liga ya salio: un error aqui solo se registra.
+ */
+async function enqueueRequestedEvents(req, { cliente_id, vehicles, canal, modo, expiresAt, lote }) {
+  try {
+    for (const [i, vehicle] of vehicles.entries()) {
+      const event = buildWebhookEvent(
+        WEBHOOK_EVENTS.SOLICITADO,
+        {
+          ...(lote ? { lote_request_id: req.id } : {}),
+          cliente_id,
+          vehiculoId: vehicle.vehiculoId,
+          canal,
+          modo,
+          expires_at: expiresAt.toISOString(),
+        },
+        { requestId: lote ? `${req.id}-${i + 1}` : req.id }
+      );
+      await enqueueWebhookEvent(pool, event, { loteRequestId: lote ? req.id : null });
+    }
+  } catch (e) {
+    log.error("nip-reset/send-link: evento NIP_RESET_SOLICITADO", { err: e });
+  }
+}
+
 /**
  * POST /nip-reset/send-link
  */
-app.post("/nip-reset/send-link", nipSendLinkLimiter, async (req, res) => {
+app.post("/nip-reset/send-link", nipSendLinkLimiter, ...nipSendLinkIdentityLimiters, async (req, res) => {
   const parsed = nipResetSendLinkSchema.safeParse(req.body);
   if (!parsed.success) {
-    return res.status(400).json({
-      ok: false,
-      message: "Datos inválidos. Revisa correo, teléfono y vehículo.",
-      errors: parsed.error.issues.map((i) => ({ field: i.path.join("."), msg: i.message })),
-    });
+    return res
+      .status(400)
+      .json(errorBody(req, "invalid_send_link_data", { errors: formatZodIssues(req.locale, parsed.error.issues) }));
   }
 
-  const { email, whatsapp_id, cliente_id, vehiculoId } = parsed.data;
+  const { email, whatsapp_id, cliente_id, vehiculoId, vehiculoIds, canal, modo, lookup_session, captcha_token } =
+    parsed.data;
+  const lote = Boolean(vehiculoIds);
+  const guardKeys = lookupGuardKeys(req, { email, whatsapp_id });
+  const identidadHash = hashIdentity(email, whatsapp_id);
 
   try {
-    const found = await findContactoAndVehiculos(email, whatsapp_id);
-    if (!found || found.cliente_id !== cliente_id) {
-      return res.status(404).json({ ok: false, message: "Datos incorrectos" });
+    if (await rejectByLookupGuard(req, res, guardKeys, captcha_token, identidadHash)) return;
+
+    // Sesion firmada de lookup si es valida; si no, se vuelve a consultar (con cache)
+    const found =
+      (lookup_session && verifyLookupSession(lookup_session, { email, whatsapp_id })) ||
+      (await findContactoAndVehiculos(email, whatsapp_id));
+    const selectedVehicles = selectVehicles(
+      found && found.cliente_id === cliente_id ? found.vehiculos : [],
+      vehiculoIds || [vehiculoId]
+    );
+    if (!selectedVehicles) {
+      await recordLookupGuardFailure(req, guardKeys, identidadHash);
+      return res.status(404).json(errorBody(req, "wrong_data"));
     }
 
-    const selectedVehicle = (found.vehiculos || []).find((v) => v.vehiculoId === vehiculoId);
-    if (!selectedVehicle) {
-      return res.status(404).json({ ok: false, message: "Datos incorrectos" });
+    const { maxVehicles } = getBulkResetConfig();
+    if (selectedVehicles.length > maxVehicles) {
+      return res.status(400).json(errorBody(req, "too_many_vehicles", { vars: { max: maxVehicles } }));
     }
 
-    const vehicleLimited = await isVehicleRateLimited(cliente_id, vehiculoId);
-    if (vehicleLimited) {
-      return res.status(429).json({
-        ok: false,
-        message: "Demasiados intentos. Intenta nuevamente más tarde.",
-      });
+    // En lote se omiten los vehiculos que ya llegaron al limite; si no queda ninguno, 429
+    const limitedIds = await listRateLimitedVehicles(cliente_id, selectedVehicles.map((v) => v.vehiculoId));
+    for (const limitedId of limitedIds) {
+      await recordRequestEvent(req, RESET_EVENTS.LIGA_LIMITADA, { cliente_id, vehiculo_id: limitedId });
+    }
+    const vehicles = selectedVehicles.filter((v) => !limitedIds.includes(v.vehiculoId));
+    if (!vehicles.length) {
+      return res.status(429).json(errorBody(req, "too_many_requests"));
     }
 
     const ttlMinutes = Number(process.env.RESET_TOKEN_TTL_MINUTES || 60);
@@ -769,45 +429,67 @@ app.post("/nip-reset/send-link", nipSendLinkLimiter, async (req, res) => {
     const token = crypto.randomBytes(32).toString("base64url");
     const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
 
+    // Modo codigo: el token queda inutilizable (nadie conoce su valor) hasta que
+    // verify-code lo rota al validar el codigo
+    const otp = modo === "codigo" ? generateOtpChallenge() : null;
+    const otpMinutes = Math.min(getOtpConfig().ttlMinutes, ttlMinutes);
+    const otpExpiresAt = otp ? new Date(Date.now() + otpMinutes * 60_000) : null;
+
     const client = await pool.connect();
     try {
       await client.query("BEGIN");
       await client.query(
         `UPDATE nip_reset_tokens
-         SET used_at = now()
+         SET used_at = now(), invalidated_reason = $3
          WHERE cliente_id = $1
-           AND vehiculo_id = $2
+           AND vehiculo_id = ANY($2)
            AND used_at IS NULL`,
-        [cliente_id, vehiculoId]
+        [cliente_id, vehicles.map((v) => v.vehiculoId), TOKEN_INVALIDATION_REASONS.REEMPLAZADO]
       );
 
-      await client.query(
-        `INSERT INTO nip_reset_tokens (
-           customer_ref,
-           cliente_id,
-           contacto_record_id,
-           vehiculo_id,
-           vehiculo_record_id,
-           vehiculo_apodo,
-           token_hash,
-           expires_at,
-           request_ip,
-           user_agent
-         )
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
-        [
-          found.contacto_record_id,
-          cliente_id,
-          found.contacto_record_id,
-          vehiculoId,
-          selectedVehicle.vehiculo_record_id,
-          selectedVehicle.apodo,
-          tokenHash,
-          expiresAt,
-          req.ip || null,
-          req.get("user-agent") || null,
-        ]
-      );
+      // Una fila por vehiculo con el mismo token_hash; el reto del codigo va solo en la primera
+      for (const [i, vehicle] of vehicles.entries()) {
+        const withOtp = otp && i === 0;
+        await client.query(
+          `INSERT INTO nip_reset_tokens (
+             customer_ref,
+             cliente_id,
+             contacto_record_id,
+             vehiculo_id,
+             vehiculo_record_id,
+             vehiculo_apodo,
+             token_hash,
+             expires_at,
+             request_ip,
+             user_agent,
+             challenge_hash,
+             otp_hash,
+             otp_expires_at,
+             notify_email,
+             locale,
+             whatsapp_digits
+           )
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)`,
+          [
+            found.contacto_record_id,
+            cliente_id,
+            found.contacto_record_id,
+            vehicle.vehiculoId,
+            vehicle.vehiculo_record_id,
+            vehicle.apodo,
+            tokenHash,
+            expiresAt,
+            req.ip || null,
+            req.get("user-agent") || null,
+            withOtp ? otp.challengeHash : null,
+            withOtp ? otp.otpHash : null,
+            withOtp ? otpExpiresAt : null,
+            email,
+            req.locale,
+            whatsapp_id,
+          ]
+        );
+      }
 
       await client.query("COMMIT");
     } catch (txError) {
@@ -818,22 +500,196 @@ app.post("/nip-reset/send-link", nipSendLinkLimiter, async (req, res) => {
     }
 
     try {
-      await sendResetEmail(email, token, ttlMinutes);
-    } catch (mailErr) {
+      if (otp) {
+        if (canal === "whatsapp") {
+          await sendResetCodeWhatsapp(normalizePhoneForAirtable(whatsapp_id), otp.code, otpMinutes);
+        } else {
+          await sendResetCodeEmail(email, otp.code, otpMinutes, { locale: req.locale });
+        }
+      } else if (canal === "whatsapp") {
+        await sendResetWhatsapp(normalizePhoneForAirtable(whatsapp_id), buildResetLink(token), ttlMinutes);
+      } else {
+        await sendResetEmail(email, token, ttlMinutes, { locale: req.locale });
+      }
+    } catch (sendErr) {
+      const whatsapp = canal === "whatsapp";
       await pool.query(
-        "UPDATE nip_reset_tokens SET used_at = now() WHERE token_hash = $1 AND used_at IS NULL",
-        [tokenHash]
+        "UPDATE nip_reset_tokens SET used_at = now(), invalidated_reason = $2 WHERE token_hash = $1 AND used_at IS NULL",
+        [
+          tokenHash,
+          whatsapp ? TOKEN_INVALIDATION_REASONS.WHATSAPP_FALLIDO : TOKEN_INVALIDATION_REASONS.CORREO_FALLIDO,
+        ]
       );
-      throw mailErr;
+      for (const vehicle of vehicles) {
+        await recordRequestEvent(req, whatsapp ? RESET_EVENTS.LIGA_WHATSAPP_FALLIDO : RESET_EVENTS.LIGA_CORREO_FALLIDO, {
+          cliente_id,
+          vehiculo_id: vehicle.vehiculoId,
+          detalle: { error: String(sendErr?.message || sendErr).slice(0, 200) },
+        });
+      }
+      throw sendErr;
+    }
+
+    for (const vehicle of vehicles) {
+      await recordRequestEvent(req, RESET_EVENTS.LIGA_EMITIDA, {
+        cliente_id,
+        vehiculo_id: vehicle.vehiculoId,
+        detalle: { canal, modo, ttl_minutes: ttlMinutes, ...(lote ? { vehiculos_lote: vehicles.length } : {}) },
+      });
+    }
+
+    await enqueueRequestedEvents(req, { cliente_id, vehicles, canal, modo, expiresAt, lote });
+
+    // En lote el front muestra para que vehiculos salio la liga y cuales se omitieron por limite
+    const loteInfo = lote
+      ? { vehiculos: vehicles.map((v) => v.vehiculoId), vehiculos_omitidos: limitedIds }
+      : {};
+
+    if (otp) {
+      return res.status(200).json({
+        ok: true,
+        canal,
+        modo,
+        verificacion_id: otp.verificacionId,
+        expira_en_minutos: otpMinutes,
+        ...loteInfo,
+        message: req.t(canal === "whatsapp" ? "code_sent_whatsapp" : "code_sent_email"),
+      });
     }
 
     return res.status(200).json({
       ok: true,
-      message: "Hemos enviado al correo registrado la URL para reiniciar tu NIP.",
+      canal,
+      ...loteInfo,
+      message: req.t(canal === "whatsapp" ? "link_sent_whatsapp" : "link_sent_email"),
     });
   } catch (e) {
-    console.error("[nip-reset/send-link] error:", e?.message || e);
-    return res.status(500).json({ ok: false, message: "No fue posible completar la operación." });
+    if (e instanceof CustomerSourceUnavailableError) {
+      log.error("nip-reset/send-link: proveedor no disponible", { err: e });
+      return customerSourceUnavailable(req, res);
+    }
+    log.error("nip-reset/send-link", { err: e });
+    return res.status(500).json(errorBody(req, "operation_failed"));
+  }
+});
+
+/**
+ * POST /nip-reset/verify-code
+ */
+app.post("/nip-reset/verify-code", nipVerifyCodeLimiter, async (req, res) => {
+  const parsed = nipResetVerifyCodeSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res
+      .status(400)
+      .json(errorBody(req, "invalid_data", { errors: formatZodIssues(req.locale, parsed.error.issues) }));
+  }
+
+  const { verificacion_id, codigo } = parsed.data;
+  const challengeHash = crypto.createHash("sha256").update(verificacion_id).digest("hex");
+  const { maxAttempts } = getOtpConfig();
+
+  // Igual que en confirm: se audita al liberar la conexion
+  const intento = { evento: null, cliente_id: null, vehiculo_id: null, detalle: {} };
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const r = await client.query(
+      `SELECT id, cliente_id, vehiculo_id, token_hash, expires_at, used_at,
+              otp_hash, otp_expires_at, otp_attempts, otp_locked_at, otp_verified_at
+       FROM nip_reset_tokens
+       WHERE challenge_hash = $1
+       FOR UPDATE`,
+      [challengeHash]
+    );
+
+    if (r.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(403).json(errorBody(req, "code_invalid"));
+    }
+
+    const row = r.rows[0];
+    intento.cliente_id = row.cliente_id;
+    intento.vehiculo_id = row.vehiculo_id;
+
+    if (row.otp_locked_at) {
+      await client.query("ROLLBACK");
+      return res.status(429).json(errorBody(req, "code_locked"));
+    }
+
+    const now = Date.now();
+    if (
+      row.used_at ||
+      row.otp_verified_at ||
+      new Date(row.expires_at).getTime() < now ||
+      new Date(row.otp_expires_at).getTime() < now
+    ) {
+      await client.query("ROLLBACK");
+      return res.status(403).json(errorBody(req, "code_invalid"));
+    }
+
+    if (!otpMatches(row.otp_hash, verificacion_id, codigo)) {
+      const attempts = row.otp_attempts + 1;
+      const locked = attempts >= maxAttempts;
+      await client.query(
+        `UPDATE nip_reset_tokens
+         SET otp_attempts = $2,
+             otp_locked_at = CASE WHEN $3 THEN now() ELSE otp_locked_at END,
+             used_at = CASE WHEN $3 THEN now() ELSE used_at END,
+             invalidated_reason = CASE WHEN $3 THEN $4 ELSE invalidated_reason END
+         WHERE id = $1`,
+        [row.id, attempts, locked, TOKEN_INVALIDATION_REASONS.CODIGO_BLOQUEADO]
+      );
+      if (locked) {
+        // Liga de varios vehiculos: el bloqueo invalida tambien las demas filas del lote
+        await client.query(
+          `UPDATE nip_reset_tokens
+           SET used_at = now(), invalidated_reason = $2
+           WHERE token_hash = $1 AND used_at IS NULL`,
+          [row.token_hash, TOKEN_INVALIDATION_REASONS.CODIGO_BLOQUEADO]
+        );
+      }
+      await client.query("COMMIT");
+
+      intento.evento = locked ? RESET_EVENTS.CODIGO_BLOQUEADO : RESET_EVENTS.CODIGO_FALLIDO;
+      intento.detalle = { intentos: attempts };
+
+      if (locked) {
+        return res.status(429).json(errorBody(req, "code_locked"));
+      }
+      return res.status(403).json(errorBody(req, "code_incorrect", { intentos_restantes: maxAttempts - attempts }));
+    }
+
+    // Codigo valido: se rota el token para entregar uno que confirm acepte
+    const token = crypto.randomBytes(32).toString("base64url");
+    const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
+    await client.query(
+      "UPDATE nip_reset_tokens SET token_hash = $2, otp_verified_at = now() WHERE id = $1",
+      [row.id, tokenHash]
+    );
+    // Las demas filas de un lote comparten el token
+    await client.query(
+      "UPDATE nip_reset_tokens SET token_hash = $2 WHERE token_hash = $1 AND used_at IS NULL",
+      [row.token_hash, tokenHash]
+    );
+    await client.query("COMMIT");
+
+    intento.evento = RESET_EVENTS.CODIGO_VERIFICADO;
+    return res.status(200).json({ ok: true, token, expires_at: row.expires_at });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    log.error("nip-reset/verify-code", { err: e });
+    return res.status(500).json(errorBody(req, "operation_failed"));
+  } finally {
+    client.release();
+    if (intento.evento) {
+      await recordRequestEvent(req, intento.evento, {
+        cliente_id: intento.cliente_id,
+        vehiculo_id: intento.vehiculo_id,
+        detalle: intento.detalle,
+      });
+    }
   }
 });
 
@@ -843,28 +699,52 @@ app.post("/nip-reset/send-link", nipSendLinkLimiter, async (req, res) => {
 app.get("/nip-reset/token-info", async (req, res) => {
   const parsed = nipResetTokenInfoSchema.safeParse({ token: req.query?.token });
   if (!parsed.success) {
-    return res.status(400).json({ ok: false, message: "Token inválido." });
+    return res.status(400).json(errorBody(req, "token_invalid"));
   }
 
   const tokenHash = crypto.createHash("sha256").update(parsed.data.token).digest("hex");
 
   try {
+    // Una liga de varios vehiculos tiene una fila por vehiculo con el mismo token_hash
     const { rows } = await pool.query(
       `SELECT cliente_id, vehiculo_id, vehiculo_apodo, expires_at, used_at
        FROM nip_reset_tokens
        WHERE token_hash = $1
-       ORDER BY created_at DESC
-       LIMIT 1`,
+       ORDER BY id`,
       [tokenHash]
     );
 
     if (!rows.length) {
-      return res.status(403).json({ ok: false, message: "Liga inválida o expirada." });
+      await recordRequestEvent(req, RESET_EVENTS.TOKEN_CONSULTADO, { detalle: { resultado: "no_encontrado" } });
+      return res.status(403).json(errorBody(req, "link_invalid"));
     }
 
-    const row = rows[0];
-    if (row.used_at || new Date(row.expires_at).getTime() < Date.now()) {
-      return res.status(403).json({ ok: false, message: "Liga inválida o expirada." });
+    const lote = rows.length > 1;
+    const active = rows.filter((r) => !r.used_at);
+    const row = active[0] || rows[0];
+    const auditContext = { cliente_id: row.cliente_id, vehiculo_id: lote ? null : row.vehiculo_id };
+    if (!active.length || new Date(row.expires_at).getTime() < Date.now()) {
+      await recordRequestEvent(req, RESET_EVENTS.TOKEN_CONSULTADO, {
+        ...auditContext,
+        detalle: { resultado: active.length ? "expirado" : "usado" },
+      });
+      return res.status(403).json(errorBody(req, "link_invalid"));
+    }
+
+    await recordRequestEvent(req, RESET_EVENTS.TOKEN_CONSULTADO, {
+      ...auditContext,
+      detalle: { resultado: "valido", ...(lote ? { vehiculos: active.map((r) => r.vehiculo_id) } : {}) },
+    });
+
+    if (lote) {
+      return res.status(200).json({
+        ok: true,
+        cliente_id: row.cliente_id,
+        vehiculos: active.map((r) => ({
+          vehiculoId: r.vehiculo_id,
+          identifica_tu_vehiculo: r.vehiculo_apodo || "Vehículo sin apodo",
+        })),
+      });
     }
 
     return res.status(200).json({
@@ -874,27 +754,47 @@ app.get("/nip-reset/token-info", async (req, res) => {
       identifica_tu_vehiculo: row.vehiculo_apodo || "Vehículo sin apodo",
     });
   } catch (e) {
-    console.error("[nip-reset/token-info] error:", e?.message || e);
-    return res.status(500).json({ ok: false, message: "No fue posible completar la operación." });
+    log.error("nip-reset/token-info", { err: e });
+    return res.status(500).json(errorBody(req, "operation_failed"));
   }
 });
 
+// Estado de la confirmacion (o del lote) -> HTTP y mensaje
+const CONFIRM_ESTADO_HTTP = { confirmado: 200, parcial: 200, procesando: 202, fallido: 503 };
+const CONFIRM_ESTADO_MESSAGES = {
+  procesando: "nip_processing",
+  confirmado: "nip_confirmed",
+  parcial: "nip_partial",
+  fallido: "nip_failed",
+};
+
 /**
  * POST /nip-reset/confirm
  */
 app.post("/nip-reset/confirm", nipConfirmLimiter, async (req, res) => {
   const parsed = nipResetConfirmSchema.safeParse(req.body);
   if (!parsed.success) {
-    return res.status(400).json({ ok: false, message: "Datos inválidos." });
+    return res.status(400).json(errorBody(req, "invalid_data"));
   }
 
   const { token, nip, nipConfirm } = parsed.data;
   if (nip !== nipConfirm) {
-    return res.status(400).json({ ok: false, message: "Los NIP no coinciden." });
+    await recordRequestEvent(req, RESET_EVENTS.CONFIRM_INTENTO, { detalle: { resultado: "nip_no_coincide" } });
+    return res.status(400).json(errorBody(req, "nip_mismatch"));
   }
 
   const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
 
+  // Mismo id que el header x-request-id: correlaciona respuesta, logs, auditoria y webhook
+  const requestId = req.id;
+
+  // Se registra al liberar la conexion para no pedir otra del pool con el lock tomado
+  const intento = { resultado: "error", regla: null, cliente_id: null, vehiculo_id: null };
+
+  // Un evento del outbox por vehiculo; en una liga de varios vehiculos cada uno lleva
+  // su propio request_id (`<x-request-id>-<n>`) y `lote_request_id` = x-request-id
+  const eventos = [];
+  let lote = false;
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
@@ -907,87 +807,262 @@ app.post("/nip-reset/confirm", nipConfirmLimiter, async (req, res) => {
          vehiculo_id,
          vehiculo_record_id,
          vehiculo_apodo,
+         whatsapp_digits,
          expires_at,
          used_at
        FROM nip_reset_tokens
        WHERE token_hash = $1
-       ORDER BY created_at DESC
-       LIMIT 1
+       ORDER BY id
        FOR UPDATE`,
       [tokenHash]
     );
 
     if (r.rowCount === 0) {
+      intento.resultado = "token_invalido";
       await client.query("ROLLBACK");
-      return res.status(403).json({ ok: false, message: "Liga inválida o expirada." });
+      return res.status(403).json(errorBody(req, "link_invalid"));
     }
 
-    const row = r.rows[0];
+    // Los vehiculos del lote que otra liga reemplazo despues ya no se confirman con esta
+    lote = r.rowCount > 1;
+    const rows = r.rows.filter((t) => !t.used_at);
+    const row = rows[0] || r.rows[0];
+    intento.cliente_id = row.cliente_id;
+    intento.vehiculo_id = lote ? null : row.vehiculo_id;
 
-    if (row.used_at) {
+    if (!rows.length) {
+      intento.resultado = "token_usado";
       await client.query("ROLLBACK");
-      return res.status(403).json({ ok: false, message: "Liga inválida o expirada." });
+      return res.status(403).json(errorBody(req, "link_invalid"));
     }
 
     if (new Date(row.expires_at).getTime() < Date.now()) {
+      intento.resultado = "token_expirado";
       await client.query("ROLLBACK");
-      return res.status(403).json({ ok: false, message: "Liga inválida o expirada." });
+      return res.status(403).json(errorBody(req, "link_invalid"));
     }
 
-    if (!row.cliente_id || !row.vehiculo_id) {
+    if (rows.some((t) => !t.cliente_id || !t.vehiculo_id)) {
+      intento.resultado = "token_sin_contexto";
       await client.query("ROLLBACK");
-      return res.status(503).json({
-        ok: false,
-        message: "Función en configuración. Solicita un nuevo restablecimiento.",
-      });
+      return res.status(503).json(errorBody(req, "feature_not_configured"));
     }
 
-    const requestId =
-      typeof crypto.randomUUID === "function"
-        ? crypto.randomUUID()
-        : crypto.randomBytes(16).toString("hex");
-
-    const webhookPayload = {
-      evento: "NIP_RESET_CONFIRMADO",
-      request_id: requestId,
-      timestamp: new Date().toISOString(),
-      cliente_id: row.cliente_id,
-      vehiculoId: row.vehiculo_id,
-      contacto_record_id: row.contacto_record_id || row.customer_ref || null,
-      vehiculo_record_id: row.vehiculo_record_id || null,
-      apodo: row.vehiculo_apodo || null,
-      nuevo_nip: nip,
-    };
+    // Politica del NIP: el token sigue vigente para intentar con otro
+    const nipPolicy = getNipPolicyConfig();
+    let nipRejection = checkNipPolicy(nip, { whatsappDigits: row.whatsapp_digits }, nipPolicy);
+    const reusedIn = [];
+    if (!nipRejection) {
+      for (const t of rows) {
+        if (await isNipReused(client, { cliente_id: t.cliente_id, vehiculo_id: t.vehiculo_id, nip }, nipPolicy)) {
+          reusedIn.push(t.vehiculo_id);
+        }
+      }
+      if (reusedIn.length) nipRejection = NIP_POLICY_CODES.reutilizado;
+    }
+    if (nipRejection) {
+      intento.resultado = "nip_rechazado";
+      intento.regla = nipRejection;
+      await client.query("ROLLBACK");
+      return res.status(400).json(
+        errorBody(req, nipRejection, {
+          messageKey: `nip_policy.${nipRejection}`,
+          ...(lote && reusedIn.length ? { vehiculos: reusedIn } : {}),
+        })
+      );
+    }
 
     try {
-      await sendNipPersistWebhook(webhookPayload);
-    } catch (webhookError) {
+      getNipPersistWebhookConfig();
+      getWebhookSubscribers();
+      getOutboxNipKeyConfig();
+      for (const [i, t] of rows.entries()) {
+        const eventRequestId = lote ? `${requestId}-${i + 1}` : requestId;
+        const payload = buildWebhookEvent(
+          WEBHOOK_EVENTS.CONFIRMADO,
+          {
+            ...(lote ? { lote_request_id: requestId } : {}),
+            cliente_id: t.cliente_id,
+            vehiculoId: t.vehiculo_id,
+            contacto_record_id: t.contacto_record_id || t.customer_ref || null,
+            vehiculo_record_id: t.vehiculo_record_id || null,
+            apodo: t.vehiculo_apodo || null,
+            ...buildPersistNipFields(nip, {
+              request_id: eventRequestId,
+              cliente_id: t.cliente_id,
+              vehiculoId: t.vehiculo_id,
+            }),
+          },
+          { requestId: eventRequestId }
+        );
+        eventos.push({ payload, vehiculoId: t.vehiculo_id, outboxId: null });
+      }
+    } catch (configError) {
+      intento.resultado = "webhook_no_configurado";
       await client.query("ROLLBACK");
-      console.error("[nip-reset/confirm] webhook error:", webhookError?.message || webhookError);
-      return res.status(503).json({
-        ok: false,
-        message: "No fue posible completar la operación. Intenta nuevamente.",
-      });
+      log.error("nip-reset/confirm: webhook config error", { err: configError });
+      return res.status(503).json(errorBody(req, "operation_failed_retry"));
     }
 
     const u = await client.query(
-      "UPDATE nip_reset_tokens SET used_at = now() WHERE token_hash=$1 AND used_at IS NULL",
-      [tokenHash]
+      "UPDATE nip_reset_tokens SET used_at = now(), invalidated_reason = $2 WHERE token_hash=$1 AND used_at IS NULL",
+      [tokenHash, TOKEN_INVALIDATION_REASONS.CONFIRMADO]
     );
 
-    if (u.rowCount !== 1) {
+    if (u.rowCount !== rows.length) {
+      intento.resultado = "token_usado";
       await client.query("ROLLBACK");
-      return res.status(403).json({ ok: false, message: "Liga inválida o expirada." });
+      return res.status(403).json(errorBody(req, "link_invalid"));
     }
 
+    // Token consumido y eventos encolados en la misma transaccion
+    for (const evento of eventos) {
+      evento.outboxId = await enqueuePersistEvent(client, evento.payload, {
+        tokenHash,
+        loteRequestId: lote ? requestId : null,
+      });
+      await recordNipHistory(
+        client,
+        { cliente_id: evento.payload.cliente_id, vehiculo_id: evento.vehiculoId, nip, request_id: evento.payload.request_id },
+        nipPolicy
+      );
+    }
     await client.query("COMMIT");
-    return res.status(200).json({ ok: true, message: "Listo. Tu NIP se actualizó correctamente." });
+    intento.resultado = "encolado";
   } catch (e) {
     await client.query("ROLLBACK").catch(() => {});
-    console.error("nip-reset/confirm error:", e?.message || e);
-    return res.status(500).json({ ok: false, message: "No fue posible completar la operación." });
+    log.error("nip-reset/confirm", { err: e });
+    return res.status(500).json(errorBody(req, "operation_failed"));
   } finally {
     client.release();
+    await recordRequestEvent(req, RESET_EVENTS.CONFIRM_INTENTO, {
+      cliente_id: intento.cliente_id,
+      vehiculo_id: intento.vehiculo_id,
+      request_id: requestId,
+      detalle: {
+        resultado: intento.resultado,
+        ...(intento.regla ? { regla: intento.regla } : {}),
+        ...(lote && eventos.length ? { vehiculos: eventos.map((e) => e.vehiculoId) } : {}),
+      },
+    });
+  }
+
+  // Entrega inmediata con espera acotada; si n8n tarda, el despachador continua en segundo plano
+  const { inlineWaitMs } = getOutboxConfig();
+  const deliveries = await Promise.all(
+    eventos.map((evento) =>
+      Promise.race([
+        // Se registra para que un apagado espere la entrega aunque ya se haya respondido
+        trackBackgroundTask(
+          dispatchOutboxEntry(evento.outboxId).catch((e) => {
+            log.error("nip-reset/confirm: outbox dispatch error", { err: e });
+            return null;
+          })
+        ),
+        sleep(inlineWaitMs).then(() => null),
+      ])
+    )
+  );
+
+  if (lote) {
+    const vehiculos = eventos.map((evento, i) => ({
+      vehiculoId: evento.vehiculoId,
+      request_id: evento.payload.request_id,
+      estado: OUTBOX_STATUS_LABELS[deliveries[i]] || "procesando",
+    }));
+    const estado = summarizeOutboxEstados(vehiculos.map((v) => v.estado));
+    const body = { estado, request_id: requestId, vehiculos };
+    if (estado === "fallido") {
+      return res.status(CONFIRM_ESTADO_HTTP.fallido).json(errorBody(req, CONFIRM_ESTADO_MESSAGES.fallido, body));
+    }
+    return res
+      .status(CONFIRM_ESTADO_HTTP[estado])
+      .json({ ok: true, ...body, message: req.t(CONFIRM_ESTADO_MESSAGES[estado]) });
+  }
+
+  const [delivery] = deliveries;
+  if (delivery === "delivered") {
+    return res.status(200).json({
+      ok: true,
+      estado: "confirmado",
+      request_id: requestId,
+      message: req.t("nip_confirmed"),
+    });
+  }
+
+  if (delivery === "dead") {
+    return res.status(503).json(errorBody(req, "nip_failed", { estado: "fallido", request_id: requestId }));
+  }
+
+  return res.status(202).json({
+    ok: true,
+    estado: "procesando",
+    request_id: requestId,
+    message: req.t("nip_processing_poll"),
+  });
+});
+
+/**
+ * GET /nip-reset/confirm-status?request_id=...
+ */
+app.get("/nip-reset/confirm-status", async (req, res) => {
+  const parsed = nipResetConfirmStatusSchema.safeParse({ request_id: req.query?.request_id });
+  if (!parsed.success) {
+    return res.status(400).json(errorBody(req, "request_invalid"));
+  }
+
+  try {
+    const status = await getOutboxStatusByRequestId(parsed.data.request_id);
+    if (!status) {
+      return res.status(404).json(errorBody(req, "request_not_found"));
+    }
+
+    return res.status(200).json({
+      ok: true,
+      estado: status.estado,
+      request_id: status.request_id,
+      ...(status.vehiculos ? { vehiculos: status.vehiculos } : {}),
+      message: req.t(CONFIRM_ESTADO_MESSAGES[status.estado]),
+    });
+  } catch (e) {
+    log.error("nip-reset/confirm-status", { err: e });
+    return res.status(500).json(errorBody(req, "operation_failed"));
+  }
+});
+
+/**
+ * POST /nip-reset/report-change
+ * Liga "no fui yo" del aviso de cambio de NIP.
+ */
+app.post("/nip-reset/report-change", nipReportChangeLimiter, async (req, res) => {
+  const parsed = nipResetReportChangeSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json(errorBody(req, "token_invalid"));
+  }
+
+  try {
+    const result = await reportNipChange(parsed.data.token, {
+      requestIp: req.ip || null,
+      userAgent: req.get("user-agent") || null,
+    });
+    if (result.invalid) {
+      return res.status(403).json(errorBody(req, "link_invalid"));
+    }
+
+    if (!result.alreadyReported) {
+      for (const review of result.reviews) {
+        await recordRequestEvent(req, RESET_EVENTS.CAMBIO_NO_RECONOCIDO, {
+          cliente_id: review.cliente_id,
+          vehiculo_id: review.vehiculo_id,
+          detalle: { revision_id: review.id },
+        });
+      }
+    }
+
+    return res.status(200).json({ ok: true, message: req.t("change_reported") });
+  } catch (e) {
+    log.error("nip-reset/report-change", { err: e });
+    return res.status(500).json(errorBody(req, "operation_failed"));
   }
 });
 
@@ -995,11 +1070,24 @@ app.post("/nip-reset/confirm", nipConfirmLimiter, async (req, res) => {
  * Final error handler
  */
 app.use((err, req, res, next) => {
-  console.error("[unhandled] error:", err?.message || err);
-  res.status(500).json({ ok: false });
+  log.error("unhandled", { err });
+  res.status(500).json(errorBody(req, "operation_failed"));
 });
 
-const port = Number(process.env.PORT || 3000);
-app.listen(port, () => {
-  console.log(`ama-reset-nip-api listening on port ${port}`);
-});
+module.exports = { app };
+
+// `node index.js` levanta el servidor; `require("./index")` (pruebas) solo obtiene el app
+if (require.main === module) {
+  const port = Number(process.env.PORT || 3000);
+  const server = app.listen(port, () => {
+    log.info("listening", { port });
+  });
+  installShutdownHandlers({
+    server,
+    stopJobs: [startOutboxDispatcher(), startTokenRetentionJob()],
+    closeResources: [
+      { name: "smtp", close: closeMailer },
+      { name: "postgres", close: () => pool.end() },
+    ],
+  });
+}
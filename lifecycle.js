@@ -0,0 +1,119 @@
+const { createLogger } = require("./logger");
+const { sleep } = require("./http-util");
+
+const log = createLogger("lifecycle");
+
+/**
+ * Apagado ordenado con SIGTERM/SIGINT (redeploy):
+ * 1. `draining`: `/api/ready` responde 503 y las respuestas llevan `Connection: close`.
+ * 2. Espera SHUTDOWN_DRAIN_DELAY_MS (para que el balanceador deje de enviar trafico).
+ * 3. Detiene los jobs en proceso (outbox, retencion) esperando la corrida en curso.
+ * 4. `server.close()`: deja de aceptar conexiones y espera los requests en vuelo.
+ * 5. Espera el trabajo en segundo plano registrado con `trackBackgroundTask`
+ *    (entrega del webhook que `confirm` dejo corriendo, aviso de cambio).
+ * 6. Cierra recursos (transporter SMTP, pool de Postgres) y sale con 0.
+ *
+ * Si no termina en SHUTDOWN_TIMEOUT_MS corta las conexiones y sale con 1. Una
+ * segunda senal sale de inmediato.
+ */
+function getShutdownConfig() {
+  return {
+    timeoutMs: Number(process.env.SHUTDOWN_TIMEOUT_MS || 25000),
+    drainDelayMs: Number(process.env.SHUTDOWN_DRAIN_DELAY_MS || 0),
+  };
+}
+
+let draining = false;
+const backgroundTasks = new Set();
+
+function isDraining() {
+  return draining;
+}
+
+/**
+ * Registra una promesa que el apagado debe esperar. Regresa la misma promesa.
+ */
+function trackBackgroundTask(promise) {
+  backgroundTasks.add(promise);
+  const untrack = () => backgroundTasks.delete(promise);
+  promise.then(untrack, untrack);
+  return promise;
+}
+
+async function waitForBackgroundTasks() {
+  // Una tarea puede registrar otra (entrega -> aviso de cambio)
+  while (backgroundTasks.size) {
+    await Promise.allSettled([...backgroundTasks]);
+  }
+}
+
+function drainingMiddleware(req, res, next) {
+  if (draining) res.set("Connection", "close");
+  next();
+}
+
+/**
+ * `stopJobs`: funciones que detienen un job y regresan promesa;
+ * `closeResources`: `[{ name, close }]`, se cierran en orden al final.
+ */
+async function shutdown({ server, stopJobs = [], closeResources = [] }) {
+  const cfg = getShutdownConfig();
+  draining = true;
+
+  if (cfg.drainDelayMs > 0) await sleep(cfg.drainDelayMs);
+
+  await Promise.all(stopJobs.map((stop) => Promise.resolve(stop()).catch((e) => log.warn("job no se detuvo", { err: e }))));
+  await new Promise((resolve) => server.close(() => resolve()));
+  await waitForBackgroundTasks();
+
+  for (const { name, close } of closeResources) {
+    try {
+      await close();
+    } catch (e) {
+      log.warn("no se pudo cerrar", { resource: name, err: e });
+    }
+  }
+}
+
+function installShutdownHandlers({ server, stopJobs = [], closeResources = [] }) {
+  let shuttingDown = false;
+
+  const onSignal = (signal) => {
+    if (shuttingDown) {
+      log.warn("segunda senal, salida inmediata", { signal });
+      process.exit(1);
+    }
+    shuttingDown = true;
+
+    const { timeoutMs } = getShutdownConfig();
+    log.info("apagado iniciado", { signal, background_tasks: backgroundTasks.size });
+
+    const forced = setTimeout(() => {
+      log.error("apagado forzado por timeout", { timeout_ms: timeoutMs, background_tasks: backgroundTasks.size });
+      server.closeAllConnections?.();
+      process.exit(1);
+    }, timeoutMs);
+    forced.unref();
+
+    shutdown({ server, stopJobs, closeResources })
+      .then(() => {
+        log.info("apagado completo");
+        process.exit(0);
+      })
+      .catch((e) => {
+        log.error("apagado con error", { err: e });
+        process.exit(1);
+      });
+  };
+
+  process.on("SIGTERM", onSignal);
+  process.on("SIGINT", onSignal);
+}
+
+module.exports = {
+  getShutdownConfig,
+  isDraining,
+  trackBackgroundTask,
+  drainingMiddleware,
+  installShutdownHandlers,
+};
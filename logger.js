@@ -0,0 +1,147 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Logger estructurado: una linea JSON por evento
+ * (`{"time","level","component","msg","request_id",...}`).
+ *
+ * Pensado para mandarse a un agregador externo, asi que redacta solo:
+ * - campos cuyo nombre parece correo, telefono, token, NIP o secreto (y `cliente_id`);
+ * - correos y telefonos que aparezcan dentro de textos (p. ej. mensajes de error).
+ *
+ * El `request_id` sale del contexto del request (`requestIdMiddleware`), tambien
+ * dentro de funciones async que no reciben `req`.
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = "[redacted]";
+const REDACT_KEYS = /e-?mail|correo|phone|telefono|whatsapp|token|nip|password|secret|authorization|cookie|^cliente_?id$/i;
+const EMAIL_PATTERN = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+const PHONE_PATTERN = /(?<![\w-])\+?\d{10,13}(?![\w-])/g;
+const MAX_DEPTH = 5;
+
+const REQUEST_ID_HEADER = "x-request-id";
+
+const requestContext = new AsyncLocalStorage();
+
+function getLogLevel() {
+  const level = String(process.env.LOG_LEVEL || "info").trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : "info";
+}
+
+function scrubString(value) {
+  return value.replace(EMAIL_PATTERN, "[email]").replace(PHONE_PATTERN, "[phone]");
+}
+
+function serializeError(err, depth) {
+  const out = { name: err.name, message: scrubString(String(err.message || "")) };
+  if (err.code !== undefined) out.code = err.code;
+  if (err.status !== undefined) out.status = err.status;
+  if (getLogLevel() === "debug" && err.stack) out.stack = scrubString(err.stack);
+  if (err.cause && depth < MAX_DEPTH) out.cause = redact(err.cause, depth + 1);
+  return out;
+}
+
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "string") return scrubString(value);
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value !== "object") return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) return serializeError(value, depth);
+  if (depth >= MAX_DEPTH) return "[truncated]";
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = REDACT_KEYS.test(k) && v !== null && v !== undefined ? REDACTED : redact(v, depth + 1);
+  }
+  return out;
+}
+
+function write(level, component, msg, fields) {
+  if (LEVELS[level] < LEVELS[getLogLevel()]) return;
+
+  const ctx = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg: scrubString(String(msg)),
+    ...(ctx?.requestId ? { request_id: ctx.requestId } : {}),
+    ...redact(fields || {}),
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch {
+    line = JSON.stringify({ time: entry.time, level, component, msg: entry.msg, log_error: "unserializable" });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * `const log = createLogger("outbox"); log.warn("intento fallido", { err: e })`
+ */
+function createLogger(component) {
+  return {
+    debug: (msg, fields) => write("debug", component, msg, fields),
+    info: (msg, fields) => write("info", component, msg, fields),
+    warn: (msg, fields) => write("warn", component, msg, fields),
+    error: (msg, fields) => write("error", component, msg, fields),
+  };
+}
+
+function generateRequestId() {
+  return typeof crypto.randomUUID === "function" ? crypto.randomUUID() : crypto.randomBytes(16).toString("hex");
+}
+
+/**
+ * Ruta declarada (`/nip-reset/lookup`), nunca la URL cruda: el query puede traer tokens.
+ */
+function routeLabel(req) {
+  return req.route?.path ? `${req.baseUrl || ""}${req.route.path}` : "unmatched";
+}
+
+const httpLog = createLogger("http");
+
+/**
+ * Asigna el request id (`req.id`, header `x-request-id`) y escribe una linea por
+ * respuesta. El id siempre se genera aqui: `confirm` lo usa como `request_id`
+ * del webhook (unico en el outbox), asi que no se acepta el del cliente; si
+ * viene uno valido se registra como `upstream_request_id`.
+ */
+function requestIdMiddleware(req, res, next) {
+  const requestId = generateRequestId();
+  const upstream = String(req.get(REQUEST_ID_HEADER) || "");
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  const start = process.hrtime.bigint();
+  res.on("finish", () => {
+    const fields = {
+      method: req.method,
+      route: routeLabel(req),
+      status: res.statusCode,
+      duration_ms: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+    };
+    if (/^[A-Za-z0-9._-]{1,128}$/.test(upstream)) fields.upstream_request_id = upstream;
+    requestContext.run({ requestId }, () => {
+      if (res.statusCode >= 500) httpLog.error("request", fields);
+      else httpLog.info("request", fields);
+    });
+  });
+
+  requestContext.run({ requestId }, next);
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  createLogger,
+  redact,
+  routeLabel,
+  generateRequestId,
+  requestIdMiddleware,
+};
@@ -0,0 +1,202 @@
+const net = require("net");
+const { pool } = require("./db");
+const { createLogger } = require("./logger");
+const { normalizePhone10 } = require("./sources/phone");
+const { identityKey } = require("./rate-limit");
+
+const log = createLogger("lookup-guard");
+
+/**
+ * Deteccion de enumeracion en lookup/send-link.
+ *
+ * Cada "Datos incorrectos" suma un fallo al correo, al telefono y a la subred
+ * del cliente (/24 en IPv4, /64 en IPv6) en `lookup_failures`. Al llegar al umbral
+ * dentro de la ventana esa llave se bloquea `base * 2^nivel` minutos (tope
+ * LOOKUP_LOCKOUT_MAX_MINUTES); el nivel vuelve a 0 tras un periodo igual al tope
+ * sin actividad. Con fallos recientes (sin llegar al bloqueo) el request es
+ * "sospechoso" y, si hay CAPTCHA configurado, se exige.
+ *
+ * Correo y telefono se guardan como HMAC con IDENTITY_HASH_SECRET (`identityKey`,
+ * igual que las llaves de rate limit); la subred en claro.
+ */
+const PURGE_EVERY_MS = 60_000;
+
+function getLookupGuardConfig() {
+  return {
+    enabled: String(process.env.LOOKUP_LOCKOUT_ENABLED || "true").toLowerCase() !== "false",
+    windowMinutes: Number(process.env.LOOKUP_LOCKOUT_WINDOW_MINUTES || 30),
+    identityThreshold: Number(process.env.LOOKUP_LOCKOUT_IDENTITY_THRESHOLD || 5),
+    subnetThreshold: Number(process.env.LOOKUP_LOCKOUT_SUBNET_THRESHOLD || 20),
+    baseMinutes: Number(process.env.LOOKUP_LOCKOUT_BASE_MINUTES || 5),
+    maxMinutes: Number(process.env.LOOKUP_LOCKOUT_MAX_MINUTES || 1440),
+    captchaAfterFailures: Number(process.env.LOOKUP_CAPTCHA_AFTER_FAILURES || 3),
+  };
+}
+
+function expandIpv6(ip) {
+  const [head, tail] = ip.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail !== undefined && tail !== "" ? tail.split(":") : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  const groups = tail === undefined ? headGroups : [...headGroups, ...Array(missing).fill("0"), ...tailGroups];
+  return groups.map((g) => g.toLowerCase().replace(/^0+(?=.)/, ""));
+}
+
+/**
+ * "203.0.113.9" -> "203.0.113.0/24"; "2001:db8:1:2:3::9" -> "2001:db8:1:2::/64".
+ */
+function ipSubnet(ip) {
+  const value = String(ip || "").replace(/^::ffff:(?=\d+\.)/i, "");
+  if (net.isIPv4(value)) return `${value.split(".").slice(0, 3).join(".")}.0/24`;
+  if (net.isIPv6(value)) return `${expandIpv6(value).slice(0, 4).join(":")}::/64`;
+  return null;
+}
+
+function lookupGuardKeys(req, { email, whatsapp_id }) {
+  const keys = [];
+  const normalizedEmail = String(email || "").trim().toLowerCase();
+  const phone10 = normalizePhone10(whatsapp_id);
+  const subnet = ipSubnet(req.ip);
+
+  if (normalizedEmail) keys.push({ key: `email:${identityKey(normalizedEmail)}`, dimension: "email" });
+  if (phone10) keys.push({ key: `whatsapp:${identityKey(phone10)}`, dimension: "whatsapp" });
+  if (subnet) keys.push({ key: `subnet:${subnet}`, dimension: "subnet" });
+  return keys;
+}
+
+function thresholdFor(dimension, cfg) {
+  return dimension === "subnet" ? cfg.subnetThreshold : cfg.identityThreshold;
+}
+
+let lastPurgeAt = 0;
+
+function purgeStaleFailures(cfg) {
+  if (Date.now() - lastPurgeAt < PURGE_EVERY_MS) return;
+  lastPurgeAt = Date.now();
+  pool
+    .query(
+      `DELETE FROM lookup_failures
+       WHERE updated_at < now() - ($1 * interval '1 minute')
+         AND (locked_until IS NULL OR locked_until < now())`,
+      [Math.max(cfg.windowMinutes, cfg.maxMinutes)]
+    )
+    .catch((e) => log.warn("no se pudieron purgar fallos vencidos", { err: e }));
+}
+
+/**
+ * `{ locked, retryAfterSeconds, dimension, suspicious }`. Si la base falla no
+ * bloquea (el lookup sigue protegido por los rate limits).
+ */
+async function checkLookupGuard(keys) {
+  const cfg = getLookupGuardConfig();
+  const clear = { locked: false, retryAfterSeconds: 0, dimension: null, suspicious: false };
+  if (!cfg.enabled || !keys.length) return clear;
+
+  let rows;
+  try {
+    ({ rows } = await pool.query(
+      `SELECT dimension, failures, lock_level, locked_until,
+              window_started_at > now() - ($2 * interval '1 minute') AS in_window,
+              GREATEST(0, CEIL(EXTRACT(EPOCH FROM (locked_until - now()))))::int AS locked_seconds
+       FROM lookup_failures
+       WHERE key = ANY($1)`,
+      [keys.map((k) => k.key), cfg.windowMinutes]
+    ));
+  } catch (e) {
+    log.warn("no se pudo consultar el bloqueo", { err: e });
+    return clear;
+  }
+
+  const locked = rows.filter((r) => r.locked_seconds > 0).sort((a, b) => b.locked_seconds - a.locked_seconds)[0];
+  if (locked) {
+    return { locked: true, retryAfterSeconds: locked.locked_seconds, dimension: locked.dimension, suspicious: true };
+  }
+
+  const suspicious = rows.some((r) => r.lock_level > 0 || (r.in_window && r.failures >= cfg.captchaAfterFailures));
+  return { ...clear, suspicious };
+}
+
+/**
+ * Suma un fallo a cada llave; regresa las que quedaron bloqueadas en esta llamada
+ * (`[{ dimension, minutes }]`). Igual que la consulta, un error de base solo se
+ * registra en log.
+ */
+async function recordLookupFailure(keys) {
+  const cfg = getLookupGuardConfig();
+  if (!cfg.enabled || !keys.length) return [];
+  purgeStaleFailures(cfg);
+
+  try {
+    return await incrementFailures(keys, cfg);
+  } catch (e) {
+    log.warn("no se pudo registrar el fallo", { err: e });
+    return [];
+  }
+}
+
+async function incrementFailures(keys, cfg) {
+  const newlyLocked = [];
+  for (const { key, dimension } of keys) {
+    const { rows } = await pool.query(
+      `INSERT INTO lookup_failures (key, dimension, failures, window_started_at, updated_at)
+       VALUES ($1, $2, 1, now(), now())
+       ON CONFLICT (key) DO UPDATE SET
+         failures = CASE WHEN lookup_failures.window_started_at < now() - ($3 * interval '1 minute')
+                         THEN 1 ELSE lookup_failures.failures + 1 END,
+         window_started_at = CASE WHEN lookup_failures.window_started_at < now() - ($3 * interval '1 minute')
+                                  THEN now() ELSE lookup_failures.window_started_at END,
+         lock_level = CASE WHEN lookup_failures.updated_at < now() - ($4 * interval '1 minute')
+                           THEN 0 ELSE lookup_failures.lock_level END,
+         updated_at = now()
+       RETURNING failures, lock_level`,
+      [key, dimension, cfg.windowMinutes, cfg.maxMinutes]
+    );
+    if (rows[0].failures < thresholdFor(dimension, cfg)) continue;
+
+    const minutes = Math.min(cfg.baseMinutes * 2 ** rows[0].lock_level, cfg.maxMinutes);
+    await pool.query(
+      `UPDATE lookup_failures
+       SET locked_until = now() + ($2 * interval '1 minute'),
+           lock_level = lock_level + 1,
+           failures = 0,
+           window_started_at = now()
+       WHERE key = $1`,
+      [key, minutes]
+    );
+    newlyLocked.push({ dimension, minutes });
+  }
+  return newlyLocked;
+}
+
+/**
+ * Lookup exitoso: limpia los fallos del correo y del telefono (nunca los de la
+ * subred, para que un par valido no "lave" una enumeracion desde la misma red).
+ */
+async function clearIdentityFailures(keys) {
+  const identityKeys = keys.filter((k) => k.dimension !== "subnet").map((k) => k.key);
+  if (!identityKeys.length) return;
+  await pool
+    .query("DELETE FROM lookup_failures WHERE key = ANY($1)", [identityKeys])
+    .catch((e) => log.warn("no se pudieron limpiar los fallos", { err: e }));
+}
+
+/**
+ * Soporte: desbloquea por correo, telefono y/o subred. Regresa cuantas llaves borro.
+ */
+async function clearLookupLockout({ email, whatsapp_id, subnet }) {
+  const keys = lookupGuardKeys({ ip: null }, { email, whatsapp_id }).map((k) => k.key);
+  if (subnet) keys.push(`subnet:${ipSubnet(subnet.split("/")[0]) || subnet}`);
+  if (!keys.length) return 0;
+  const { rowCount } = await pool.query("DELETE FROM lookup_failures WHERE key = ANY($1)", [keys]);
+  return rowCount;
+}
+
+module.exports = {
+  getLookupGuardConfig,
+  ipSubnet,
+  lookupGuardKeys,
+  checkLookupGuard,
+  recordLookupFailure,
+  clearIdentityFailures,
+  clearLookupLockout,
+};
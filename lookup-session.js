@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+
+/**
+ * "Lookup session": resultado de lookup firmado con HMAC para que send-link no
+ * repita la consulta al proveedor. Formato `<payload base64url>.<firma base64url>`.
+ *
+ * El payload va cifrado (AES-256-GCM, `iv | cifrado | tag`) porque lleva los
+ * record ids que lookup ya no regresa; la firma impide alterar `cliente_id`,
+ * vehiculos o record ids, y `ih` amarra la sesion al correo + telefono con que
+ * se obtuvo.
+ */
+function getLookupSessionConfig() {
+  const secret = process.env.LOOKUP_SESSION_SECRET || "";
+  return {
+    enabled: secret.length >= 32,
+    secret,
+    ttlSeconds: Number(process.env.LOOKUP_SESSION_TTL_SECONDS || 600),
+  };
+}
+
+function identityHash(email, whatsapp10) {
+  return crypto
+    .createHash("sha256")
+    .update(`${String(email).trim().toLowerCase()}|${String(whatsapp10).trim()}`)
+    .digest("base64url");
+}
+
+function sign(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+function encryptionKey(secret) {
+  return crypto.createHmac("sha256", secret).update("lookup-session:aes-256-gcm").digest();
+}
+
+function encryptPayload(secret, payload) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), "utf8"), cipher.final()]);
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]).toString("base64url");
+}
+
+function decryptPayload(secret, data) {
+  const raw = Buffer.from(data, "base64url");
+  if (raw.length <= 28) throw new Error("lookup session corta");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(secret), raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(raw.length - 16));
+  const plaintext = Buffer.concat([decipher.update(raw.subarray(12, raw.length - 16)), decipher.final()]);
+  return JSON.parse(plaintext.toString("utf8"));
+}
+
+/**
+ * Regresa null si no hay LOOKUP_SESSION_SECRET configurado.
+ */
+function createLookupSession(found, { email, whatsapp_id }) {
+  const cfg = getLookupSessionConfig();
+  if (!cfg.enabled) return null;
+
+  const payload = {
+    cid: found.cliente_id,
+    crid: found.contacto_record_id,
+    ih: identityHash(email, whatsapp_id),
+    exp: Math.floor(Date.now() / 1000) + cfg.ttlSeconds,
+    v: found.vehiculos.map((veh) => [veh.vehiculoId, veh.vehiculo_record_id, veh.apodo]),
+  };
+  const data = encryptPayload(cfg.secret, payload);
+  return `${data}.${sign(cfg.secret, data)}`;
+}
+
+/**
+ * Regresa el mismo formato que `findContactoAndVehiculos`, o null si la sesion
+ * no es valida (firma, expiracion o identidad distinta).
+ */
+function verifyLookupSession(session, { email, whatsapp_id }) {
+  const cfg = getLookupSessionConfig();
+  if (!cfg.enabled || typeof session !== "string") return null;
+
+  const [data, signature, extra] = session.split(".");
+  if (!data || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(cfg.secret, data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let payload;
+  try {
+    payload = decryptPayload(cfg.secret, data);
+  } catch {
+    return null;
+  }
+
+  if (!payload || typeof payload.exp !== "number" || payload.exp * 1000 < Date.now()) return null;
+  if (payload.ih !== identityHash(email, whatsapp_id)) return null;
+  if (!Array.isArray(payload.v)) return null;
+
+  return {
+    cliente_id: payload.cid,
+    contacto_record_id: payload.crid,
+    vehiculos: payload.v.map(([vehiculoId, vehiculo_record_id, apodo]) => ({
+      vehiculoId,
+      vehiculo_record_id,
+      apodo,
+      identifica_tu_vehiculo: apodo,
+    })),
+  };
+}
+
+module.exports = { getLookupSessionConfig, createLookupSession, verifyLookupSession };
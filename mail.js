@@ -0,0 +1,338 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const { DEFAULT_LOCALE, normalizeLocale } = require("./i18n");
+const { mailSendDuration } = require("./metrics");
+const { createLogger } = require("./logger");
+
+const log = createLogger("mail");
+
+/**
+ * Correos de reset a partir de plantillas en `email-templates/`:
+ * `<plantilla>.subject.txt`, `<plantilla>.txt` y `<plantilla>.html` se renderizan
+ * con los mismos datos. La marca (logo, colores, contacto, assets) vive en
+ * `email-templates/brands/<marca>.json` y se elige con MAIL_BRAND.
+ * Hay una sola plantilla por correo; los textos por idioma viven en
+ * `email-templates/strings/<locale>.json` y se usan como `{{t.<llave>}}` (ver
+ * `loadEmailStrings`).
+ *
+ * Sintaxis de plantilla (subconjunto de mustache):
+ * - `{{a.b}}` valor (escapado en HTML), `{{{a.b}}}` sin escapar,
+ * - `{{#a.b}}...{{/a.b}}` solo si hay valor, `{{^a.b}}...{{/a.b}}` si no hay.
+ */
+const EMAIL_TEMPLATES = ["reset-link", "reset-code", "nip-changed"];
+
+function getMailTemplatesDir() {
+  return process.env.MAIL_TEMPLATES_DIR || path.join(__dirname, "email-templates");
+}
+
+function getDefaultBrandId() {
+  return String(process.env.MAIL_BRAND || "ama").trim().toLowerCase();
+}
+
+let mailTransporter = null;
+
+function getMailer() {
+  if (mailTransporter) return mailTransporter;
+
+  const host = process.env.SMTP_HOST;
+  const port = Number(process.env.SMTP_PORT || 465);
+  const secure = String(process.env.SMTP_SECURE || "true").toLowerCase() === "true";
+  const user = process.env.SMTP_USER;
+  const pass = process.env.SMTP_PASS;
+
+  if (!host || !user || !pass) {
+    throw new Error("SMTP: faltan variables de entorno");
+  }
+
+  mailTransporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: { user, pass },
+  });
+
+  return mailTransporter;
+}
+
+function setMailer(transporter) {
+  mailTransporter = transporter;
+}
+
+/**
+ * Apagado: cierra las conexiones SMTP abiertas (si el transporter llego a crearse).
+ */
+function closeMailer() {
+  if (mailTransporter && typeof mailTransporter.close === "function") mailTransporter.close();
+  mailTransporter = null;
+}
+
+const fileCache = new Map();
+
+function readTemplateFile(relPath) {
+  const fullPath = path.join(getMailTemplatesDir(), relPath);
+  if (!fileCache.has(fullPath)) {
+    fileCache.set(fullPath, fs.readFileSync(fullPath, "utf8"));
+  }
+  return fileCache.get(fullPath);
+}
+
+function mergeStrings(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    out[key] = value && typeof value === "object" ? mergeStrings(base?.[key], value) : value;
+  }
+  return out;
+}
+
+/**
+ * Textos de `strings/<locale>.json` sobre los de espanol: lo que falte en un
+ * idioma sale en espanol.
+ */
+function loadEmailStrings(locale) {
+  const base = JSON.parse(readTemplateFile(path.join("strings", `${DEFAULT_LOCALE}.json`)));
+  const normalized = normalizeLocale(locale) || DEFAULT_LOCALE;
+  if (normalized === DEFAULT_LOCALE) return base;
+  try {
+    return mergeStrings(base, JSON.parse(readTemplateFile(path.join("strings", `${normalized}.json`))));
+  } catch (e) {
+    if (e?.code !== "ENOENT") throw e;
+    return base;
+  }
+}
+
+/**
+ * Los textos pueden llevar variables (`{{ttl_minutes}}`). Las llaves `*_html`
+ * traen marcado: sus variables se escapan aqui y la plantilla las usa con `{{{...}}}`.
+ */
+function renderEmailStrings(strings, data) {
+  return Object.fromEntries(
+    Object.entries(strings).map(([key, value]) => [
+      key,
+      typeof value === "string"
+        ? renderTemplate(value, data, { html: key.endsWith("_html") })
+        : renderEmailStrings(value, data),
+    ])
+  );
+}
+
+function listBrands() {
+  return fs
+    .readdirSync(path.join(getMailTemplatesDir(), "brands"))
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => f.slice(0, -5))
+    .sort();
+}
+
+/**
+ * Carga la marca y aplica los overrides de entorno (MAIL_LOGO_URL,
+ * RESET_LINK_BASE, NIP_CHANGE_REPORT_LINK_BASE) cuando es la marca por default.
+ */
+function loadBrand(brandId = getDefaultBrandId()) {
+  const id = String(brandId || "").trim().toLowerCase();
+  if (!/^[a-z0-9_-]+$/.test(id)) {
+    throw new Error(`Correo: marca invalida (${brandId})`);
+  }
+
+  let brand;
+  try {
+    brand = JSON.parse(readTemplateFile(path.join("brands", `${id}.json`)));
+  } catch (e) {
+    throw new Error(`Correo: no se pudo cargar la marca ${id}: ${e?.message || e}`);
+  }
+
+  brand = {
+    ...brand,
+    id,
+    colors: { ...brand.colors },
+    contact: { ...brand.contact },
+    assets: { ...brand.assets },
+  };
+
+  if (id === getDefaultBrandId()) {
+    if (process.env.MAIL_LOGO_URL) brand.logo_url = process.env.MAIL_LOGO_URL;
+    if (process.env.RESET_LINK_BASE) brand.reset_link_base = process.env.RESET_LINK_BASE;
+    if (process.env.NIP_CHANGE_REPORT_LINK_BASE) brand.report_link_base = process.env.NIP_CHANGE_REPORT_LINK_BASE;
+  }
+  return brand;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function lookupPath(data, key) {
+  return key.split(".").reduce((acc, part) => (acc == null ? undefined : acc[part]), data);
+}
+
+function isPresent(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== "";
+}
+
+function renderTemplate(template, data, { html = false } = {}) {
+  const escape = html ? escapeHtml : String;
+
+  return (
+    template
+      // Una etiqueta de seccion sola en su linea no deja linea vacia
+      .replace(/^[ \t]*(\{\{[#^/]\s*[\w.]+\s*\}\})[ \t]*\r?\n/gm, "$1")
+      .replace(/\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g, (_, kind, key, inner) =>
+        isPresent(lookupPath(data, key)) === (kind === "#") ? inner : ""
+      )
+      // Una sola pasada: un valor que trae `{{...}}` no se vuelve a interpretar
+      .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (_, raw, key) =>
+        raw ? String(lookupPath(data, raw) ?? "") : escape(lookupPath(data, key) ?? "")
+      )
+  );
+}
+
+function buildMailFrom(brand) {
+  if (process.env.MAIL_FROM && brand.id === getDefaultBrandId()) return process.env.MAIL_FROM;
+  const fromName = String(brand.from_name || brand.name).replace(/"/g, "");
+  return `"${fromName}" <${brand.from_address || process.env.SMTP_USER}>`;
+}
+
+/**
+ * Renderiza asunto, texto y HTML de una plantilla con los datos de la marca.
+ */
+function renderEmail(templateName, { to, brandId, locale, ...vars }) {
+  if (!EMAIL_TEMPLATES.includes(templateName)) {
+    throw new Error(`Correo: plantilla desconocida (${templateName})`);
+  }
+
+  const brand = loadBrand(brandId);
+  const assetsBase = String(brand.assets.base || "").replace(/\/+$/, "");
+  // Cache-busting para Gmail: sube `assets.version` de la marca si cambian los iconos
+  const assetUrl = (file) => `${assetsBase}/${file}?v=${encodeURIComponent(brand.assets.version || "1")}`;
+
+  const data = {
+    ...vars,
+    brand,
+    assets: {
+      lock: assetUrl("lock.png"),
+      whatsapp: assetUrl("wa.png"),
+      facebook: assetUrl("fb.png"),
+    },
+  };
+  data.t = renderEmailStrings(loadEmailStrings(locale), data);
+
+  return {
+    from: buildMailFrom(brand),
+    to,
+    subject: renderTemplate(readTemplateFile(`${templateName}.subject.txt`), data).trim(),
+    text: renderTemplate(readTemplateFile(`${templateName}.txt`), data),
+    html: renderTemplate(readTemplateFile(`${templateName}.html`), data, { html: true }),
+  };
+}
+
+function buildResetLink(token, brandId) {
+  const base = loadBrand(brandId).reset_link_base || "https://amatracksafe.com.mx/restablecer-nip";
+  return `${base}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Liga "no fui yo" del aviso de cambio: abre la pagina del front, que hace
+ * POST /nip-reset/report-change (un GET no debe cambiar estado: los filtros de
+ * correo abren las ligas).
+ */
+function buildReportLink(token, brandId) {
+  const base = loadBrand(brandId).report_link_base || "https://amatracksafe.com.mx/reportar-cambio-nip";
+  return `${base}?token=${encodeURIComponent(token)}`;
+}
+
+function formatMailDate(date, locale) {
+  return new Intl.DateTimeFormat(normalizeLocale(locale) === "en" ? "en-US" : "es-MX", {
+    dateStyle: "long",
+    timeStyle: "short",
+    timeZone: process.env.MAIL_TIMEZONE || "America/Mexico_City",
+  }).format(date);
+}
+
+function buildResetEmail({ to, link, ttlMinutes, brandId, locale }) {
+  return renderEmail("reset-link", { to, brandId, locale, link, ttl_minutes: ttlMinutes });
+}
+
+function buildResetCodeEmail({ to, code, ttlMinutes, brandId, locale }) {
+  return renderEmail("reset-code", { to, brandId, locale, code, ttl_minutes: ttlMinutes });
+}
+
+/**
+ * `apodos`: los vehiculos cuyo NIP cambio; una liga de varios vehiculos manda un solo aviso.
+ */
+function buildNipChangedEmail({ to, apodos, changedAt, requestIp, userAgent, reportLink, brandId, locale }) {
+  return renderEmail("nip-changed", {
+    to,
+    brandId,
+    locale,
+    apodo: apodos.join(", "),
+    varios: apodos.length > 1,
+    changed_at: formatMailDate(changedAt, locale),
+    request_ip: requestIp,
+    user_agent: userAgent,
+    report_link: reportLink,
+  });
+}
+
+async function deliverMail(template, mail) {
+  const endTimer = mailSendDuration.startTimer({ template });
+  try {
+    const transporter = getMailer();
+    await transporter.verify();
+    const info = await transporter.sendMail(mail);
+    endTimer({ outcome: "ok" });
+    return info;
+  } catch (e) {
+    endTimer({ outcome: "error" });
+    throw e;
+  }
+}
+
+async function sendResetCodeEmail(toEmail, code, ttlMinutes, { locale } = {}) {
+  const info = await deliverMail("reset-code", buildResetCodeEmail({ to: toEmail, code, ttlMinutes, locale }));
+  log.info("enviado", { template: "reset-code", message_id: info?.messageId || null });
+}
+
+async function sendResetEmail(toEmail, token, ttlMinutes, { locale } = {}) {
+  const link = buildResetLink(token);
+  const info = await deliverMail("reset-link", buildResetEmail({ to: toEmail, link, ttlMinutes, locale }));
+  log.info("enviado", { template: "reset-link", message_id: info?.messageId || null });
+}
+
+async function sendNipChangedEmail(toEmail, { apodos, changedAt, requestIp, userAgent, reportToken, locale }) {
+  const mail = buildNipChangedEmail({
+    to: toEmail,
+    apodos,
+    changedAt,
+    requestIp,
+    userAgent,
+    reportLink: buildReportLink(reportToken),
+    locale,
+  });
+  const info = await deliverMail("nip-changed", mail);
+  log.info("enviado", { template: "nip-changed", message_id: info?.messageId || null });
+}
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  getMailer,
+  setMailer,
+  closeMailer,
+  listBrands,
+  loadBrand,
+  renderTemplate,
+  renderEmail,
+  buildResetLink,
+  buildReportLink,
+  buildResetEmail,
+  buildResetCodeEmail,
+  buildNipChangedEmail,
+  sendResetEmail,
+  sendResetCodeEmail,
+  sendNipChangedEmail,
+};
@@ -0,0 +1,200 @@
+/**
+ * Metricas Prometheus (formato de texto 0.0.4) sin dependencias externas.
+ *
+ * Contadores e histogramas viven en memoria por proceso; los gauges se calculan
+ * al momento del scrape con `collect`.
+ */
+const { pool } = require("./db");
+const { createLogger, routeLabel } = require("./logger");
+
+const log = createLogger("metrics");
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, labels, extra = "") {
+  const parts = labelNames.map((name) => `${name}="${escapeLabelValue(labels[name] ?? "")}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+  const values = new Map();
+  const metric = {
+    name,
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      const entry = values.get(key) || { labels, value: 0 };
+      entry.value += value;
+      values.set(key, entry);
+    },
+    async render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of values.values()) {
+        lines.push(`${name}${formatLabels(labelNames, labels)} ${value}`);
+      }
+      return lines.join("\n");
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const values = new Map();
+  const metric = {
+    name,
+    observe(labels, seconds) {
+      const key = labelKey(labelNames, labels);
+      const entry = values.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => {
+        if (seconds <= le) entry.counts[i] += 1;
+      });
+      entry.sum += seconds;
+      entry.count += 1;
+      values.set(key, entry);
+    },
+    /**
+     * `const end = startTimer({...}); ...; end({ outcome: "ok" })`
+     */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        metric.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+      };
+    },
+    async render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of values.values()) {
+        buckets.forEach((le, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, labels, `le="${le}"`)} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, labels, 'le="+Inf"')} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, labels)} ${count}`);
+      }
+      return lines.join("\n");
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * `collect` regresa un numero o `[{ labels, value }]`. Si falla, el gauge se omite
+ * del scrape (el resto de metricas se sigue publicando).
+ */
+function createGauge({ name, help, labelNames = [], collect }) {
+  const metric = {
+    name,
+    async render() {
+      let samples;
+      try {
+        const result = await collect();
+        samples = typeof result === "number" ? [{ labels: {}, value: result }] : result;
+      } catch (e) {
+        log.warn("gauge omitido", { metric: name, err: e });
+        return "";
+      }
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { labels, value } of samples) {
+        lines.push(`${name}${formatLabels(labelNames, labels)} ${value}`);
+      }
+      return lines.join("\n");
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+async function renderMetrics() {
+  const blocks = await Promise.all(registry.map((m) => m.render()));
+  return `${blocks.filter(Boolean).join("\n")}\n`;
+}
+
+/**
+ * Metricas del servicio
+ */
+const httpRequestsTotal = createCounter({
+  name: "ama_http_requests_total",
+  help: "Respuestas HTTP por ruta y status.",
+  labelNames: ["method", "route", "status"],
+});
+
+const resetEventsTotal = createCounter({
+  name: "ama_nip_reset_events_total",
+  help: "Eventos del embudo de reset (mismos que nip_reset_events) por resultado.",
+  labelNames: ["evento", "resultado"],
+});
+
+const airtableRequestDuration = createHistogram({
+  name: "ama_airtable_request_duration_seconds",
+  help: "Duracion de cada request HTTP a Airtable.",
+  labelNames: ["table", "outcome"],
+});
+
+const mailSendDuration = createHistogram({
+  name: "ama_mail_send_duration_seconds",
+  help: "Duracion del envio SMTP por plantilla.",
+  labelNames: ["template", "outcome"],
+});
+
+const webhookDuration = createHistogram({
+  name: "ama_nip_persist_webhook_duration_seconds",
+  help: "Duracion de cada intento de webhook por suscriptor (`nip_persist` es el de persistencia NIP).",
+  labelNames: ["subscriber", "outcome"],
+});
+
+createGauge({
+  name: "ama_nip_reset_active_tokens",
+  help: "Ligas de reset vigentes (sin usar y sin expirar); una liga de varios vehiculos cuenta una vez.",
+  collect: async () => {
+    // Un lote tiene una fila por vehiculo con el mismo token_hash
+    const { rows } = await pool.query(
+      "SELECT COUNT(DISTINCT token_hash)::int AS c FROM nip_reset_tokens WHERE used_at IS NULL AND expires_at > now()"
+    );
+    return rows[0].c;
+  },
+});
+
+createGauge({
+  name: "ama_nip_persist_outbox_events",
+  help: "Eventos del outbox de persistencia por status.",
+  labelNames: ["status"],
+  collect: async () => {
+    const { rows } = await pool.query("SELECT status, COUNT(*)::int AS c FROM nip_persist_outbox GROUP BY status");
+    return rows.map((r) => ({ labels: { status: r.status }, value: r.c }));
+  },
+});
+
+/**
+ * Cuenta cada respuesta con la ruta declarada (`/nip-reset/lookup`), no con la
+ * URL cruda, para no disparar la cardinalidad.
+ */
+function metricsMiddleware(req, res, next) {
+  res.on("finish", () => {
+    httpRequestsTotal.inc({ method: req.method, route: routeLabel(req), status: res.statusCode });
+  });
+  next();
+}
+
+module.exports = {
+  createCounter,
+  createHistogram,
+  createGauge,
+  renderMetrics,
+  metricsMiddleware,
+  resetEventsTotal,
+  airtableRequestDuration,
+  mailSendDuration,
+  webhookDuration,
+};
@@ -0,0 +1,158 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pool } = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATIONS_TABLE = "schema_migrations";
+
+// Llave fija para pg_advisory_lock: evita que dos contenedores migren a la vez
+const MIGRATIONS_LOCK_KEY = 727_001;
+
+/**
+ * Lee migrations/NNN_nombre.sql ordenadas por numero.
+ */
+function loadMigrationFiles() {
+  const files = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((f) => /^\d+_.+\.sql$/.test(f))
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10) || a.localeCompare(b));
+
+  const seen = new Set();
+  return files.map((file) => {
+    const version = file.split("_")[0];
+    if (seen.has(version)) {
+      throw new Error(`Migraciones: version duplicada ${version}`);
+    }
+    seen.add(version);
+
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+    return {
+      version,
+      name: file.replace(/\.sql$/, ""),
+      sql,
+      checksum: crypto.createHash("sha256").update(sql).digest("hex"),
+    };
+  });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS public.${MIGRATIONS_TABLE} (
+       version text PRIMARY KEY,
+       name text NOT NULL,
+       checksum text NOT NULL,
+       applied_at timestamptz NOT NULL DEFAULT now()
+     )`
+  );
+}
+
+async function getAppliedMigrations(client) {
+  const { rows } = await client.query(
+    `SELECT version, name, checksum, applied_at FROM public.${MIGRATIONS_TABLE} ORDER BY version`
+  );
+  return new Map(rows.map((r) => [r.version, r]));
+}
+
+function buildStatus(files, applied) {
+  return files.map((m) => {
+    const row = applied.get(m.version);
+    return {
+      version: m.version,
+      name: m.name,
+      applied: Boolean(row),
+      applied_at: row ? row.applied_at : null,
+      checksum_mismatch: Boolean(row && row.checksum !== m.checksum),
+    };
+  });
+}
+
+async function getMigrationStatus() {
+  const files = loadMigrationFiles();
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedMigrations(client);
+    return buildStatus(files, applied);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Aplica en orden las migraciones pendientes; cada una en su propia transaccion.
+ * Regresa la lista de versiones aplicadas en esta corrida.
+ */
+async function runMigrations({ log = console.log } = {}) {
+  const files = loadMigrationFiles();
+  const client = await pool.connect();
+  const appliedNow = [];
+
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATIONS_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedMigrations(client);
+
+    for (const m of files) {
+      const row = applied.get(m.version);
+      if (row) {
+        if (row.checksum !== m.checksum) {
+          log(`[migrate] aviso: ${m.name} cambio despues de aplicarse (checksum distinto)`);
+        }
+        continue;
+      }
+
+      try {
+        await client.query("BEGIN");
+        await client.query(m.sql);
+        await client.query(
+          `INSERT INTO public.${MIGRATIONS_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`,
+          [m.version, m.name, m.checksum]
+        );
+        await client.query("COMMIT");
+      } catch (e) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw new Error(`Migracion ${m.name} fallo: ${e?.message || e}`);
+      }
+
+      log(`[migrate] aplicada ${m.name}`);
+      appliedNow.push(m.version);
+    }
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATIONS_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+
+  return appliedNow;
+}
+
+async function main(command) {
+  if (command === "status") {
+    const status = await getMigrationStatus();
+    for (const s of status) {
+      const state = s.applied ? `aplicada ${new Date(s.applied_at).toISOString()}` : "pendiente";
+      const warn = s.checksum_mismatch ? " (checksum distinto)" : "";
+      console.log(`${s.version}  ${s.name}  ${state}${warn}`);
+    }
+    return;
+  }
+
+  if (command === "up") {
+    const applied = await runMigrations();
+    console.log(applied.length ? `[migrate] ${applied.length} migracion(es) aplicada(s)` : "[migrate] sin pendientes");
+    return;
+  }
+
+  throw new Error("Uso: node migrate.js <status|up>");
+}
+
+if (require.main === module) {
+  main(process.argv[2])
+    .catch((e) => {
+      console.error("[migrate] error:", e?.message || e);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { loadMigrationFiles, getMigrationStatus, runMigrations };
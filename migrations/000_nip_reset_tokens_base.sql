@@ -0,0 +1,14 @@
+-- v1.0.0.0 - Tabla base de tokens de reset (bootstrap para Postgres nuevo)
+CREATE TABLE IF NOT EXISTS public.nip_reset_tokens (
+  id bigserial PRIMARY KEY,
+  customer_ref text NOT NULL,
+  token_hash text NOT NULL,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  request_ip text,
+  user_agent text
+);
+
+CREATE INDEX IF NOT EXISTS idx_nip_reset_tokens_token_hash
+  ON public.nip_reset_tokens (token_hash);
@@ -0,0 +1,19 @@
+-- v1.1.0.1 - Token activo unico por cliente + vehiculo
+-- Antes de crear el indice se consumen duplicados activos, conservando el mas reciente.
+UPDATE public.nip_reset_tokens t
+SET used_at = now()
+WHERE t.used_at IS NULL
+  AND t.cliente_id IS NOT NULL
+  AND t.vehiculo_id IS NOT NULL
+  AND EXISTS (
+    SELECT 1
+    FROM public.nip_reset_tokens n
+    WHERE n.cliente_id = t.cliente_id
+      AND n.vehiculo_id = t.vehiculo_id
+      AND n.used_at IS NULL
+      AND (n.created_at, n.ctid) > (t.created_at, t.ctid)
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_nip_reset_tokens_cliente_vehiculo_activo
+  ON public.nip_reset_tokens (cliente_id, vehiculo_id)
+  WHERE used_at IS NULL;
@@ -0,0 +1,25 @@
+-- v1.2.0.0 - Outbox durable para el webhook de persistencia NIP
+CREATE TABLE IF NOT EXISTS public.nip_persist_outbox (
+  id bigserial PRIMARY KEY,
+  request_id text NOT NULL,
+  evento text NOT NULL,
+  payload jsonb NOT NULL,
+  token_hash text,
+  cliente_id text,
+  vehiculo_id text,
+  status text NOT NULL DEFAULT 'pending',
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  last_error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  delivered_at timestamptz,
+  CONSTRAINT ck_nip_persist_outbox_status CHECK (status IN ('pending', 'delivered', 'dead'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_nip_persist_outbox_request_id
+  ON public.nip_persist_outbox (request_id);
+
+CREATE INDEX IF NOT EXISTS idx_nip_persist_outbox_pending
+  ON public.nip_persist_outbox (next_attempt_at)
+  WHERE status = 'pending';
@@ -0,0 +1,31 @@
+-- v1.2.0.0 - Bitacora append-only de eventos de reset (auditoria soporte/fraude)
+CREATE TABLE IF NOT EXISTS public.nip_reset_events (
+  id bigserial PRIMARY KEY,
+  evento text NOT NULL,
+  cliente_id text,
+  vehiculo_id text,
+  request_id text,
+  request_ip text,
+  user_agent text,
+  detalle jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_nip_reset_events_cliente_vehiculo_created_at
+  ON public.nip_reset_events (cliente_id, vehiculo_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_nip_reset_events_request_id
+  ON public.nip_reset_events (request_id)
+  WHERE request_id IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION public.nip_reset_events_append_only()
+RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'nip_reset_events es append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_nip_reset_events_append_only ON public.nip_reset_events;
+CREATE TRIGGER trg_nip_reset_events_append_only
+  BEFORE UPDATE OR DELETE ON public.nip_reset_events
+  FOR EACH ROW EXECUTE FUNCTION public.nip_reset_events_append_only();
@@ -0,0 +1,4 @@
+-- v1.2.0.0 - Motivo de invalidacion y limpieza de ventana de rate limit (admin soporte)
+ALTER TABLE public.nip_reset_tokens
+  ADD COLUMN IF NOT EXISTS invalidated_reason text,
+  ADD COLUMN IF NOT EXISTS rate_limit_cleared_at timestamptz;
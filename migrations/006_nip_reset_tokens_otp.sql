@@ -0,0 +1,12 @@
+-- v1.2.0.0 - Modo codigo de verificacion (OTP) como alternativa a la liga
+ALTER TABLE public.nip_reset_tokens
+  ADD COLUMN IF NOT EXISTS challenge_hash text,
+  ADD COLUMN IF NOT EXISTS otp_hash text,
+  ADD COLUMN IF NOT EXISTS otp_expires_at timestamptz,
+  ADD COLUMN IF NOT EXISTS otp_attempts integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS otp_locked_at timestamptz,
+  ADD COLUMN IF NOT EXISTS otp_verified_at timestamptz;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_nip_reset_tokens_challenge_hash
+  ON public.nip_reset_tokens (challenge_hash)
+  WHERE challenge_hash IS NOT NULL;
@@ -0,0 +1,29 @@
+-- v1.2.0.0 - Contactos/Vehiculos en Postgres (CUSTOMER_SOURCE=postgres)
+-- record_id conserva el id de Airtable al migrar: n8n lo usa para persistir el NIP.
+CREATE TABLE IF NOT EXISTS public.contactos (
+  record_id text PRIMARY KEY,
+  email text NOT NULL,
+  whatsapp_id text NOT NULL,
+  cliente_id text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contactos_email_lower
+  ON public.contactos (lower(email));
+
+CREATE TABLE IF NOT EXISTS public.vehiculos (
+  record_id text PRIMARY KEY,
+  contacto_record_id text REFERENCES public.contactos (record_id),
+  cliente_id text,
+  vehiculo_id text NOT NULL,
+  apodo text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehiculos_contacto_record_id
+  ON public.vehiculos (contacto_record_id);
+
+CREATE INDEX IF NOT EXISTS idx_vehiculos_cliente_id
+  ON public.vehiculos (cliente_id);
@@ -0,0 +1,33 @@
+-- v1.2.0.0 - Aviso de cambio de NIP y reporte "no fui yo" (revision manual)
+ALTER TABLE public.nip_reset_tokens
+  ADD COLUMN IF NOT EXISTS notify_email text,
+  ADD COLUMN IF NOT EXISTS locale text,
+  ADD COLUMN IF NOT EXISTS change_notified_at timestamptz,
+  ADD COLUMN IF NOT EXISTS report_hash text,
+  ADD COLUMN IF NOT EXISTS reported_at timestamptz;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_nip_reset_tokens_report_hash
+  ON public.nip_reset_tokens (report_hash)
+  WHERE report_hash IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.nip_reset_reviews (
+  id bigserial PRIMARY KEY,
+  token_id bigint NOT NULL REFERENCES public.nip_reset_tokens (id),
+  cliente_id text NOT NULL,
+  vehiculo_id text NOT NULL,
+  motivo text NOT NULL DEFAULT 'cambio_no_reconocido',
+  estado text NOT NULL DEFAULT 'abierta',
+  request_ip text,
+  user_agent text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  resolved_at timestamptz,
+  resolved_by text,
+  nota text,
+  CONSTRAINT ck_nip_reset_reviews_estado CHECK (estado IN ('abierta', 'resuelta'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_nip_reset_reviews_token_id
+  ON public.nip_reset_reviews (token_id);
+
+CREATE INDEX IF NOT EXISTS idx_nip_reset_reviews_estado_created_at
+  ON public.nip_reset_reviews (estado, created_at DESC);
@@ -0,0 +1,9 @@
+-- v1.2.0.0 - Contadores compartidos de rate limit (RATE_LIMIT_STORE=postgres)
+CREATE TABLE IF NOT EXISTS public.rate_limit_counters (
+  key text PRIMARY KEY,
+  hits integer NOT NULL,
+  reset_at timestamptz NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_reset_at
+  ON public.rate_limit_counters (reset_at);
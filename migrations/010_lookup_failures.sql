@@ -0,0 +1,14 @@
+-- v1.2.0.0 - Lookups fallidos por correo, telefono y subred con bloqueo exponencial
+CREATE TABLE IF NOT EXISTS public.lookup_failures (
+  key text PRIMARY KEY,
+  dimension text NOT NULL,
+  failures integer NOT NULL DEFAULT 0,
+  window_started_at timestamptz NOT NULL DEFAULT now(),
+  lock_level integer NOT NULL DEFAULT 0,
+  locked_until timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT ck_lookup_failures_dimension CHECK (dimension IN ('email', 'whatsapp', 'subnet'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_lookup_failures_updated_at
+  ON public.lookup_failures (updated_at);
@@ -0,0 +1,16 @@
+-- v1.2.0.0 - Retencion de tokens: anonimizacion y estadisticas diarias de tokens purgados
+ALTER TABLE public.nip_reset_tokens
+  ADD COLUMN IF NOT EXISTS anonymized_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_nip_reset_tokens_retention
+  ON public.nip_reset_tokens (created_at)
+  WHERE anonymized_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS public.nip_reset_token_daily_stats (
+  dia date NOT NULL,
+  modo text NOT NULL,
+  resultado text NOT NULL,
+  tokens integer NOT NULL DEFAULT 0,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (dia, modo, resultado)
+);
@@ -0,0 +1,16 @@
+-- v1.2.0.0 - Politica de NIP: telefono del token e historial de NIP (solo HMAC con salt)
+ALTER TABLE public.nip_reset_tokens
+  ADD COLUMN IF NOT EXISTS whatsapp_digits text;
+
+CREATE TABLE IF NOT EXISTS public.nip_history (
+  id bigserial PRIMARY KEY,
+  cliente_id text NOT NULL,
+  vehiculo_id text NOT NULL,
+  request_id text NOT NULL,
+  nip_salt text NOT NULL,
+  nip_hash text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_nip_history_cliente_vehiculo_created_at
+  ON public.nip_history (cliente_id, vehiculo_id, created_at DESC);
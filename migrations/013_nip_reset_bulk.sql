@@ -0,0 +1,7 @@
+-- v1.2.0.0 - Reset de varios vehiculos con una liga: un evento del outbox por vehiculo agrupado por lote
+ALTER TABLE public.nip_persist_outbox
+  ADD COLUMN IF NOT EXISTS lote_request_id text;
+
+CREATE INDEX IF NOT EXISTS idx_nip_persist_outbox_lote_request_id
+  ON public.nip_persist_outbox (lote_request_id)
+  WHERE lote_request_id IS NOT NULL;
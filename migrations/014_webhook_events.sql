@@ -0,0 +1,28 @@
+-- v1.2.0.0 - Eventos de webhook versionados para varios suscriptores
+-- El outbox guarda una fila por evento y suscriptor; `nip_persist` es el webhook de persistencia NIP.
+ALTER TABLE public.nip_persist_outbox
+  ADD COLUMN IF NOT EXISTS subscriber text NOT NULL DEFAULT 'nip_persist',
+  ADD COLUMN IF NOT EXISTS event_id uuid;
+
+DROP INDEX IF EXISTS public.ux_nip_persist_outbox_request_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_nip_persist_outbox_subscriber_evento_request_id
+  ON public.nip_persist_outbox (subscriber, evento, request_id);
+
+CREATE INDEX IF NOT EXISTS idx_nip_persist_outbox_request_id
+  ON public.nip_persist_outbox (request_id);
+
+-- NIP_RESET_LINK_EXPIRADO sale una vez por token
+ALTER TABLE public.nip_reset_tokens
+  ADD COLUMN IF NOT EXISTS expired_event_at timestamptz;
+
+-- Las ligas ya vencidas al migrar no generan evento
+UPDATE public.nip_reset_tokens
+SET expired_event_at = now()
+WHERE used_at IS NULL
+  AND expires_at < now()
+  AND expired_event_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_nip_reset_tokens_expired_event_pending
+  ON public.nip_reset_tokens (expires_at)
+  WHERE used_at IS NULL AND expired_event_at IS NULL;
@@ -0,0 +1,16 @@
+-- v1.2.0.0 - Rotacion de la llave de firma del webhook de persistencia (los secretos viven en env)
+CREATE TABLE IF NOT EXISTS public.nip_persist_signing_keys (
+  kid text PRIMARY KEY,
+  estado text NOT NULL,
+  activated_at timestamptz NOT NULL DEFAULT now(),
+  retire_at timestamptz,
+  rotated_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT ck_nip_persist_signing_keys_estado CHECK (estado IN ('activa', 'retirando'))
+);
+
+-- Una sola llave activa
+CREATE UNIQUE INDEX IF NOT EXISTS ux_nip_persist_signing_keys_activa
+  ON public.nip_persist_signing_keys (estado)
+  WHERE estado = 'activa';
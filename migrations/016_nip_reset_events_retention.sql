@@ -0,0 +1,27 @@
+-- v1.2.0.0 - Retencion de la bitacora: la IP y el user agent de eventos viejos se anonimizan
+ALTER TABLE public.nip_reset_events
+  ADD COLUMN IF NOT EXISTS anonymized_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_nip_reset_events_retention
+  ON public.nip_reset_events (created_at)
+  WHERE anonymized_at IS NULL;
+
+-- Sigue siendo append-only: el unico UPDATE permitido es el de retencion, que quita
+-- request_ip/user_agent y marca anonymized_at una sola vez sin tocar nada mas
+CREATE OR REPLACE FUNCTION public.nip_reset_events_append_only()
+RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND OLD.anonymized_at IS NULL
+     AND NEW.anonymized_at IS NOT NULL
+     AND NEW.request_ip IS NULL
+     AND NEW.user_agent IS NULL
+     AND (NEW.id, NEW.evento, NEW.cliente_id, NEW.vehiculo_id, NEW.request_id, NEW.detalle, NEW.created_at)
+         IS NOT DISTINCT FROM
+         (OLD.id, OLD.evento, OLD.cliente_id, OLD.vehiculo_id, OLD.request_id, OLD.detalle, OLD.created_at)
+  THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'nip_reset_events es append-only';
+END;
+$$ LANGUAGE plpgsql;
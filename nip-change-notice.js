@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const { pool } = require("./db");
+const { RESET_EVENTS, recordResetEvent } = require("./audit");
+const { sendNipChangedEmail } = require("./mail");
+const { WEBHOOK_EVENTS, PERSIST_SUBSCRIBER } = require("./webhook");
+const { createLogger } = require("./logger");
+
+const log = createLogger("nip-change-notice");
+
+/**
+ * Aviso "tu NIP fue cambiado" y reporte "no fui yo".
+ *
+ * El aviso sale cuando el outbox termina las entregas del token (el NIP ya quedo
+ * aplicado), al correo capturado en send-link (`notify_email`, se borra al
+ * enviarlo). La liga del aviso lleva un token propio (`report_hash`); reportarlo
+ * abre una revision manual por vehiculo en `nip_reset_reviews`.
+ */
+function getNipChangeNoticeConfig() {
+  return {
+    enabled: String(process.env.NIP_CHANGE_NOTICE_ENABLED || "true").toLowerCase() !== "false",
+    reportTtlDays: Number(process.env.NIP_CHANGE_REPORT_TTL_DAYS || 30),
+  };
+}
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Nunca lanza: un aviso fallido no afecta la confirmacion. Sale una vez por token
+ * (`change_notified_at`) y solo cuando ya no queda ninguna entrega `nip_persist`
+ * pendiente del token: una liga de varios vehiculos manda un solo correo con los
+ * vehiculos cuyo NIP se aplico. La liga "no fui yo" va en la primera fila.
+ */
+async function sendNipChangeNotice({ tokenHash, requestId = null }) {
+  if (!getNipChangeNoticeConfig().enabled || !tokenHash) return false;
+
+  const reportToken = crypto.randomBytes(32).toString("base64url");
+  let rows;
+  try {
+    ({ rows } = await pool.query(
+      `WITH prev AS (
+         SELECT t.id, t.notify_email
+         FROM nip_reset_tokens t
+         WHERE t.token_hash = $1
+           AND t.change_notified_at IS NULL
+           AND t.notify_email IS NOT NULL
+           AND EXISTS (
+             SELECT 1 FROM nip_persist_outbox o
+             WHERE o.token_hash = t.token_hash AND o.vehiculo_id = t.vehiculo_id
+               AND o.subscriber = $3 AND o.evento = $4 AND o.status = 'delivered'
+           )
+           AND NOT EXISTS (
+             SELECT 1 FROM nip_persist_outbox o
+             WHERE o.token_hash = t.token_hash AND o.subscriber = $3 AND o.evento = $4 AND o.status = 'pending'
+           )
+         ORDER BY t.id
+         FOR UPDATE OF t
+       )
+       UPDATE nip_reset_tokens t
+       SET change_notified_at = now(),
+           report_hash = CASE WHEN t.id = (SELECT min(id) FROM prev) THEN $2 END,
+           notify_email = NULL
+       FROM prev
+       WHERE t.id = prev.id
+       RETURNING t.id, t.cliente_id, t.vehiculo_id, t.vehiculo_apodo, t.used_at, t.request_ip, t.user_agent,
+                 t.locale, prev.notify_email`,
+      [tokenHash, sha256Hex(reportToken), PERSIST_SUBSCRIBER, WEBHOOK_EVENTS.CONFIRMADO]
+    ));
+  } catch (e) {
+    log.error("no se pudo reclamar el aviso", { request_id: requestId, err: e });
+    return false;
+  }
+  if (!rows.length) return false;
+
+  rows.sort((a, b) => Number(a.id) - Number(b.id));
+  const [row] = rows;
+  const lote = rows.length > 1;
+  const evento = {
+    cliente_id: row.cliente_id,
+    vehiculo_id: lote ? null : row.vehiculo_id,
+    request_id: requestId,
+    ...(lote ? { detalle: { vehiculos: rows.map((r) => r.vehiculo_id) } } : {}),
+  };
+
+  try {
+    await sendNipChangedEmail(row.notify_email, {
+      apodos: rows.map((r) => r.vehiculo_apodo || r.vehiculo_id),
+      changedAt: row.used_at ? new Date(row.used_at) : new Date(),
+      requestIp: row.request_ip,
+      userAgent: row.user_agent,
+      reportToken,
+      locale: row.locale,
+    });
+    await recordResetEvent({ ...evento, evento: RESET_EVENTS.AVISO_CAMBIO_ENVIADO });
+    return true;
+  } catch (e) {
+    log.error("envio fallido", { request_id: requestId, err: e });
+    await recordResetEvent({
+      ...evento,
+      evento: RESET_EVENTS.AVISO_CAMBIO_FALLIDO,
+      detalle: { ...evento.detalle, error: String(e?.message || e).slice(0, 200) },
+    });
+    return false;
+  }
+}
+
+/**
+ * Marca el cambio como no reconocido y abre la revision manual de cada vehiculo
+ * del aviso (uno o los de un lote). Reportar dos veces regresa las mismas revisiones.
+ */
+async function reportNipChange(reportToken, { requestIp = null, userAgent = null } = {}) {
+  const { reportTtlDays } = getNipChangeNoticeConfig();
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `SELECT id, token_hash, change_notified_at, reported_at
+       FROM nip_reset_tokens
+       WHERE report_hash = $1
+       FOR UPDATE`,
+      [sha256Hex(reportToken)]
+    );
+    const token = rows[0];
+    const expired =
+      token && new Date(token.change_notified_at).getTime() + reportTtlDays * 86_400_000 < Date.now();
+    if (!token || expired) {
+      await client.query("ROLLBACK");
+      return { invalid: true };
+    }
+
+    // Filas avisadas en el mismo correo: comparten token y `change_notified_at`
+    const avisadas = await client.query(
+      `SELECT id, cliente_id, vehiculo_id
+       FROM nip_reset_tokens
+       WHERE token_hash = $1
+         AND change_notified_at = (SELECT change_notified_at FROM nip_reset_tokens WHERE id = $2)
+       ORDER BY id
+       FOR UPDATE`,
+      [token.token_hash, token.id]
+    );
+    const ids = avisadas.rows.map((r) => r.id);
+    if (!token.reported_at) {
+      await client.query("UPDATE nip_reset_tokens SET reported_at = now() WHERE id = ANY($1)", [ids]);
+    }
+    for (const row of avisadas.rows) {
+      await client.query(
+        `INSERT INTO nip_reset_reviews (token_id, cliente_id, vehiculo_id, request_ip, user_agent)
+         VALUES ($1,$2,$3,$4,$5)
+         ON CONFLICT (token_id) DO NOTHING`,
+        [row.id, row.cliente_id, row.vehiculo_id, requestIp, userAgent]
+      );
+    }
+    const reviews = await client.query(
+      `SELECT id, cliente_id, vehiculo_id, estado, created_at
+       FROM nip_reset_reviews WHERE token_id = ANY($1) ORDER BY token_id`,
+      [ids]
+    );
+    await client.query("COMMIT");
+
+    return { reviews: reviews.rows, alreadyReported: Boolean(token.reported_at) };
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function listReviews({ estado = "abierta", limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT r.id, r.cliente_id, r.vehiculo_id, r.motivo, r.estado, r.created_at, r.resolved_at, r.resolved_by,
+            r.nota, r.request_ip, r.user_agent, t.vehiculo_apodo, t.used_at AS nip_cambiado_at
+     FROM nip_reset_reviews r
+     JOIN nip_reset_tokens t ON t.id = r.token_id
+     WHERE ($1::text IS NULL OR r.estado = $1::text)
+     ORDER BY r.created_at DESC
+     LIMIT $2`,
+    [estado, limit]
+  );
+  return rows;
+}
+
+async function resolveReview(id, { resolvedBy, nota = null }) {
+  const { rows } = await pool.query(
+    `UPDATE nip_reset_reviews
+     SET estado = 'resuelta', resolved_at = now(), resolved_by = $2, nota = $3
+     WHERE id = $1 AND estado = 'abierta'
+     RETURNING id, cliente_id, vehiculo_id, estado, resolved_at, resolved_by, nota`,
+    [id, resolvedBy, nota]
+  );
+  if (rows.length) return { review: rows[0] };
+
+  const exists = await pool.query("SELECT 1 FROM nip_reset_reviews WHERE id = $1", [id]);
+  return exists.rowCount ? { notOpen: true } : { notFound: true };
+}
+
+module.exports = {
+  getNipChangeNoticeConfig,
+  sendNipChangeNotice,
+  reportNipChange,
+  listReviews,
+  resolveReview,
+};
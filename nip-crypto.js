@@ -0,0 +1,141 @@
+const crypto = require("crypto");
+
+/**
+ * Cifrado del NIP para el webhook de persistencia (AES-256-GCM).
+ *
+ * Sobre enviado en `nuevo_nip_cifrado`:
+ *   { v: 1, alg: "A256GCM", kid, iv, tag, ct }   (iv/tag/ct en base64url)
+ *
+ * El AAD amarra el sobre a `request_id.cliente_id.vehiculoId`, de modo que no
+ * puede reutilizarse en otro evento aunque la firma HMAC se filtrara.
+ */
+const NIP_ENVELOPE_VERSION = 1;
+const NIP_ENVELOPE_ALG = "A256GCM";
+
+const NIP_MODES = ["plaintext", "encrypted", "dual"];
+
+function parseNipKey(raw) {
+  const key = Buffer.from(String(raw || "").trim(), "base64");
+  if (key.length !== 32) {
+    throw new Error("Cifrado NIP: la llave debe ser de 32 bytes en base64");
+  }
+  return key;
+}
+
+function getNipEncryptionConfig() {
+  const mode = String(process.env.NIP_PERSIST_WEBHOOK_NIP_MODE || "plaintext").trim().toLowerCase();
+  if (!NIP_MODES.includes(mode)) {
+    throw new Error(`Cifrado NIP: NIP_PERSIST_WEBHOOK_NIP_MODE invalido (${mode})`);
+  }
+  if (mode === "plaintext") return { mode };
+
+  const keyId = String(process.env.NIP_PERSIST_ENCRYPTION_KEY_ID || "").trim();
+  if (!keyId || !process.env.NIP_PERSIST_ENCRYPTION_KEY) {
+    throw new Error("Cifrado NIP: faltan NIP_PERSIST_ENCRYPTION_KEY o NIP_PERSIST_ENCRYPTION_KEY_ID");
+  }
+  return { mode, keyId, key: parseNipKey(process.env.NIP_PERSIST_ENCRYPTION_KEY) };
+}
+
+function buildNipAad({ request_id, cliente_id, vehiculoId }) {
+  return Buffer.from(`${request_id}.${cliente_id}.${vehiculoId}`, "utf8");
+}
+
+function sealNip(nip, { key, keyId, aad }) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(aad);
+  const ct = Buffer.concat([cipher.update(String(nip), "utf8"), cipher.final()]);
+  return {
+    v: NIP_ENVELOPE_VERSION,
+    alg: NIP_ENVELOPE_ALG,
+    kid: keyId,
+    iv: iv.toString("base64url"),
+    tag: cipher.getAuthTag().toString("base64url"),
+    ct: ct.toString("base64url"),
+  };
+}
+
+/**
+ * `keys` es un mapa kid -> Buffer(32) para poder descifrar durante una rotacion.
+ */
+function openNip(envelope, { keys, aad }) {
+  if (!envelope || envelope.v !== NIP_ENVELOPE_VERSION || envelope.alg !== NIP_ENVELOPE_ALG) {
+    throw new Error("Cifrado NIP: sobre no soportado");
+  }
+  const key = keys.get(envelope.kid);
+  if (!key) {
+    throw new Error(`Cifrado NIP: kid desconocido (${envelope.kid})`);
+  }
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(envelope.iv, "base64url"));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64url"));
+  const plain = Buffer.concat([decipher.update(Buffer.from(envelope.ct, "base64url")), decipher.final()]);
+  return plain.toString("utf8");
+}
+
+/**
+ * Campos del NIP para el payload del webhook segun el modo configurado:
+ * - plaintext: solo `nuevo_nip` (comportamiento historico).
+ * - encrypted: solo `nuevo_nip_cifrado`.
+ * - dual: ambos, para migrar el receptor sin cortar confirmaciones.
+ */
+function buildPersistNipFields(nip, context) {
+  const cfg = getNipEncryptionConfig();
+  if (cfg.mode === "plaintext") return { nuevo_nip: nip };
+
+  const nuevo_nip_cifrado = sealNip(nip, { key: cfg.key, keyId: cfg.keyId, aad: buildNipAad(context) });
+  if (cfg.mode === "dual") return { nuevo_nip: nip, nuevo_nip_cifrado };
+  return { nuevo_nip_cifrado };
+}
+
+/**
+ * Llave para guardar el NIP en `nip_persist_outbox` mientras espera entrega: en
+ * reposo siempre va sellado, sin importar el modo del webhook.
+ * `NIP_OUTBOX_ENCRYPTION_KEY` (id `NIP_OUTBOX_ENCRYPTION_KEY_ID`, default `o1`)
+ * o, si no esta, la llave del webhook. `keys` incluye ambas para abrir filas
+ * selladas antes de un cambio de llave.
+ */
+function getOutboxNipKeyConfig() {
+  const keys = new Map();
+  let keyId = null;
+  if (process.env.NIP_OUTBOX_ENCRYPTION_KEY) {
+    keyId = String(process.env.NIP_OUTBOX_ENCRYPTION_KEY_ID || "o1").trim();
+    keys.set(keyId, parseNipKey(process.env.NIP_OUTBOX_ENCRYPTION_KEY));
+  }
+  const persistKeyId = String(process.env.NIP_PERSIST_ENCRYPTION_KEY_ID || "").trim();
+  if (persistKeyId && process.env.NIP_PERSIST_ENCRYPTION_KEY && !keys.has(persistKeyId)) {
+    keys.set(persistKeyId, parseNipKey(process.env.NIP_PERSIST_ENCRYPTION_KEY));
+    keyId = keyId || persistKeyId;
+  }
+  if (!keyId) {
+    throw new Error("Cifrado NIP: falta NIP_OUTBOX_ENCRYPTION_KEY para guardar el NIP en el outbox");
+  }
+  return { keyId, key: keys.get(keyId), keys };
+}
+
+// `nuevo_nip` -> `nuevo_nip_sellado` antes de insertar en el outbox
+function sealOutboxNip(payload) {
+  if (payload.nuevo_nip === undefined) return payload;
+  const { nuevo_nip, ...rest } = payload;
+  const { key, keyId } = getOutboxNipKeyConfig();
+  return { ...rest, nuevo_nip_sellado: sealNip(nuevo_nip, { key, keyId, aad: buildNipAad(payload) }) };
+}
+
+// Inverso de `sealOutboxNip`, justo antes de enviar
+function openOutboxNip(payload) {
+  if (!payload?.nuevo_nip_sellado) return payload;
+  const { nuevo_nip_sellado, ...rest } = payload;
+  const nuevo_nip = openNip(nuevo_nip_sellado, { keys: getOutboxNipKeyConfig().keys, aad: buildNipAad(payload) });
+  return { ...rest, nuevo_nip };
+}
+
+module.exports = {
+  getNipEncryptionConfig,
+  getOutboxNipKeyConfig,
+  sealOutboxNip,
+  openOutboxNip,
+  buildNipAad,
+  sealNip,
+  openNip,
+  buildPersistNipFields,
+};
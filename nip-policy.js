@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+const { onlyDigits } = require("./sources/phone");
+
+/**
+ * Politica del NIP nuevo en `confirm`. El NIP es el que se pide al reportar un
+ * siniestro, asi que se rechazan valores faciles de adivinar. Cada regla tiene su
+ * codigo (`error_code` en la respuesta):
+ * - `nip_repetido`: un solo digito (0000, 7777);
+ * - `nip_secuencial`: digitos consecutivos ascendentes o descendentes (1234, 9876);
+ * - `nip_comun`: lista de NIP comunes mas NIP_POLICY_DENYLIST;
+ * - `nip_telefono`: cuatro digitos seguidos del `whatsapp_id` con que se pidio la liga;
+ * - `nip_reutilizado`: igual a alguno de los ultimos NIP_POLICY_HISTORY_SIZE del vehiculo.
+ *
+ * NIP_POLICY_RULES elige las reglas activas (default todas). El historial guarda
+ * `HMAC(NIP_POLICY_HISTORY_SECRET, salt:cliente_id:vehiculo_id:nip)` con salt por
+ * fila; sin ese secreto no se guarda ni se compara.
+ */
+const NIP_POLICY_RULES = ["repetido", "secuencial", "comun", "telefono", "reutilizado"];
+
+const NIP_POLICY_CODES = {
+  repetido: "nip_repetido",
+  secuencial: "nip_secuencial",
+  comun: "nip_comun",
+  telefono: "nip_telefono",
+  reutilizado: "nip_reutilizado",
+};
+
+// NIP de 4 digitos mas usados (sin los que ya cubren repetido/secuencial)
+const COMMON_NIPS = [
+  "1212", "1004", "2000", "6969", "1122", "1313", "2001", "1010", "2580", "0852",
+  "1230", "1998", "1999", "2002", "2020", "0007", "1969", "5683", "1221", "0101",
+];
+
+function getNipPolicyConfig() {
+  const rules = String(process.env.NIP_POLICY_RULES || NIP_POLICY_RULES.join(","))
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = rules.filter((r) => !NIP_POLICY_RULES.includes(r));
+  if (unknown.length) {
+    throw new Error(`Politica NIP: NIP_POLICY_RULES invalido (${unknown.join(",")})`);
+  }
+
+  const denylist = new Set(COMMON_NIPS);
+  for (const nip of String(process.env.NIP_POLICY_DENYLIST || "").split(",")) {
+    if (/^\d{4}$/.test(nip.trim())) denylist.add(nip.trim());
+  }
+
+  return {
+    rules,
+    denylist,
+    historySize: Number(process.env.NIP_POLICY_HISTORY_SIZE || 3),
+    historySecret: process.env.NIP_POLICY_HISTORY_SECRET || null,
+  };
+}
+
+function isRepeated(nip) {
+  return /^(\d)\1+$/.test(nip);
+}
+
+function isSequential(nip) {
+  const digits = [...nip].map(Number);
+  const steps = new Set(digits.slice(1).map((d, i) => d - digits[i]));
+  return steps.size === 1 && (steps.has(1) || steps.has(-1));
+}
+
+function isPhoneDerived(nip, whatsappDigits) {
+  const digits = onlyDigits(whatsappDigits);
+  return digits.length >= nip.length && digits.includes(nip);
+}
+
+/**
+ * Reglas que no necesitan base de datos. `whatsappDigits` puede ser null (token
+ * emitido antes de guardar el telefono). Regresa el codigo de la primera regla
+ * violada o null.
+ */
+function checkNipPolicy(nip, { whatsappDigits = null } = {}, cfg = getNipPolicyConfig()) {
+  const active = (rule) => cfg.rules.includes(rule);
+  if (active("repetido") && isRepeated(nip)) return NIP_POLICY_CODES.repetido;
+  if (active("secuencial") && isSequential(nip)) return NIP_POLICY_CODES.secuencial;
+  if (active("comun") && cfg.denylist.has(nip)) return NIP_POLICY_CODES.comun;
+  if (active("telefono") && whatsappDigits && isPhoneDerived(nip, whatsappDigits)) return NIP_POLICY_CODES.telefono;
+  return null;
+}
+
+function historyEnabled(cfg) {
+  return cfg.rules.includes("reutilizado") && cfg.historySize > 0 && Boolean(cfg.historySecret);
+}
+
+function hashHistoryNip(cfg, salt, { cliente_id, vehiculo_id, nip }) {
+  return crypto
+    .createHmac("sha256", cfg.historySecret)
+    .update(`${salt}:${cliente_id}:${vehiculo_id}:${nip}`)
+    .digest("hex");
+}
+
+/**
+ * `true` si el NIP esta en el historial del vehiculo. No cuenta los NIP cuyo
+ * webhook termino en dead-letter (nunca se aplicaron).
+ */
+async function isNipReused(client, { cliente_id, vehiculo_id, nip }, cfg = getNipPolicyConfig()) {
+  if (!historyEnabled(cfg)) return false;
+
+  const { rows } = await client.query(
+    `SELECT h.nip_salt, h.nip_hash
+     FROM nip_history h
+     WHERE h.cliente_id = $1
+       AND h.vehiculo_id = $2
+       AND NOT EXISTS (
+         SELECT 1 FROM nip_persist_outbox o
+         WHERE o.request_id = h.request_id
+           AND o.subscriber = 'nip_persist'
+           AND o.evento = 'NIP_RESET_CONFIRMADO'
+           AND o.status = 'dead'
+       )
+     ORDER BY h.created_at DESC, h.id DESC
+     LIMIT $3`,
+    [cliente_id, vehiculo_id, cfg.historySize]
+  );
+
+  return rows.some((row) => {
+    const expected = Buffer.from(row.nip_hash, "hex");
+    const actual = Buffer.from(hashHistoryNip(cfg, row.nip_salt, { cliente_id, vehiculo_id, nip }), "hex");
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  });
+}
+
+/**
+ * Guarda el NIP (hash) en la misma transaccion que consume el token y deja solo
+ * los ultimos NIP_POLICY_HISTORY_SIZE del vehiculo.
+ */
+async function recordNipHistory(client, { cliente_id, vehiculo_id, nip, request_id }, cfg = getNipPolicyConfig()) {
+  if (!historyEnabled(cfg)) return;
+
+  const salt = crypto.randomBytes(16).toString("hex");
+  await client.query(
+    `INSERT INTO nip_history (cliente_id, vehiculo_id, request_id, nip_salt, nip_hash)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [cliente_id, vehiculo_id, request_id, salt, hashHistoryNip(cfg, salt, { cliente_id, vehiculo_id, nip })]
+  );
+  await client.query(
+    `DELETE FROM nip_history
+     WHERE cliente_id = $1
+       AND vehiculo_id = $2
+       AND id NOT IN (
+         SELECT id FROM nip_history
+         WHERE cliente_id = $1 AND vehiculo_id = $2
+         ORDER BY created_at DESC, id DESC
+         LIMIT $3
+       )`,
+    [cliente_id, vehiculo_id, cfg.historySize]
+  );
+}
+
+module.exports = {
+  NIP_POLICY_RULES,
+  NIP_POLICY_CODES,
+  getNipPolicyConfig,
+  checkNipPolicy,
+  isNipReused,
+  recordNipHistory,
+};
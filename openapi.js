@@ -0,0 +1,244 @@
+const { API_ROUTES, API_SCHEMA_NAMES } = require("./api-schemas");
+const { errorBody } = require("./i18n");
+const { createLogger } = require("./logger");
+const { version } = require("./package.json");
+
+const log = createLogger("openapi");
+
+/**
+ * Documento OpenAPI 3 (`GET /api/openapi.json`) generado de los schemas de zod
+ * en `api-schemas.js`, y validacion de respuestas contra esos mismos schemas.
+ *
+ * API_RESPONSE_VALIDATION: `strict` (default fuera de produccion) responde 500
+ * `response_invalid` si una respuesta se sale del contrato, para que las pruebas
+ * lo detecten; `log` solo lo registra; `off` (default con NODE_ENV=production)
+ * no valida.
+ */
+const RESPONSE_VALIDATION_MODES = ["off", "log", "strict"];
+
+const STATUS_DESCRIPTIONS = {
+  200: "OK",
+  202: "Aceptado; consultar `confirm-status`",
+  400: "Datos invalidos",
+  403: "Liga, codigo o CAPTCHA invalido",
+  404: "No encontrado",
+  429: "Demasiados intentos",
+  500: "Error interno",
+  503: "Servicio no disponible",
+};
+
+function getApiContractConfig() {
+  const fallback = process.env.NODE_ENV === "production" ? "off" : "strict";
+  const mode = String(process.env.API_RESPONSE_VALIDATION || fallback).trim().toLowerCase();
+  if (!RESPONSE_VALIDATION_MODES.includes(mode)) {
+    throw new Error(`OpenAPI: API_RESPONSE_VALIDATION invalido (${mode})`);
+  }
+  return { responseValidation: mode };
+}
+
+function stringToJsonSchema(def) {
+  const out = { type: "string" };
+  for (const check of def.checks || []) {
+    if (check.kind === "min") out.minLength = check.value;
+    else if (check.kind === "max") out.maxLength = check.value;
+    else if (check.kind === "length") out.minLength = out.maxLength = check.value;
+    else if (check.kind === "regex") out.pattern = check.regex.source;
+    else if (check.kind === "email") out.format = "email";
+    else if (check.kind === "uuid") out.format = "uuid";
+    else if (check.kind === "url") out.format = "uri";
+    else if (check.kind === "datetime") out.format = "date-time";
+  }
+  return out;
+}
+
+function numberToJsonSchema(def) {
+  const out = { type: "number" };
+  for (const check of def.checks || []) {
+    if (check.kind === "int") out.type = "integer";
+    else if (check.kind === "min") out[check.inclusive ? "minimum" : "exclusiveMinimum"] = check.value;
+    else if (check.kind === "max") out[check.inclusive ? "maximum" : "exclusiveMaximum"] = check.value;
+  }
+  return out;
+}
+
+/**
+ * Subconjunto de zod que usan los schemas del API -> JSON Schema (dialecto de
+ * OpenAPI 3.0). Los schemas con nombre en `API_SCHEMA_NAMES` salen como `$ref`,
+ * salvo la raiz de su propio componente.
+ */
+function zodToJsonSchema(schema, { root = true } = {}) {
+  const name = API_SCHEMA_NAMES.get(schema);
+  if (name && !root) return { $ref: `#/components/schemas/${name}` };
+
+  const def = schema._def;
+  const child = (s) => zodToJsonSchema(s, { root: false });
+  let out;
+
+  switch (def.typeName) {
+    case "ZodObject": {
+      const properties = {};
+      const required = [];
+      for (const [key, value] of Object.entries(schema.shape)) {
+        properties[key] = child(value);
+        if (!value.isOptional()) required.push(key);
+      }
+      out = { type: "object", properties, ...(required.length ? { required } : {}) };
+      if (def.unknownKeys === "strict") out.additionalProperties = false;
+      break;
+    }
+    case "ZodString":
+      out = stringToJsonSchema(def);
+      break;
+    case "ZodNumber":
+      out = numberToJsonSchema(def);
+      break;
+    case "ZodBoolean":
+      out = { type: "boolean" };
+      break;
+    case "ZodLiteral":
+      out = { type: typeof def.value, enum: [def.value] };
+      break;
+    case "ZodEnum":
+      out = { type: "string", enum: [...def.values] };
+      break;
+    case "ZodArray":
+      out = { type: "array", items: child(def.type) };
+      if (def.minLength) out.minItems = def.minLength.value;
+      if (def.maxLength) out.maxItems = def.maxLength.value;
+      break;
+    case "ZodUnion":
+      out = { oneOf: def.options.map(child) };
+      break;
+    case "ZodOptional":
+      out = child(def.innerType);
+      break;
+    case "ZodNullable":
+      out = { ...child(def.innerType), nullable: true };
+      break;
+    case "ZodDefault":
+      out = { ...child(def.innerType), default: def.defaultValue() };
+      break;
+    // refine/transform: se documenta el schema base
+    case "ZodEffects":
+      out = zodToJsonSchema(def.schema, { root });
+      break;
+    default:
+      out = {};
+  }
+
+  if (schema.description && !out.$ref) out.description = schema.description;
+  return out;
+}
+
+function buildOperation(route) {
+  const operation = { summary: route.summary, parameters: [], responses: {} };
+
+  if (route.request.query) {
+    for (const [name, value] of Object.entries(route.request.query.shape)) {
+      operation.parameters.push({
+        name,
+        in: "query",
+        required: !value.isOptional(),
+        schema: zodToJsonSchema(value, { root: false }),
+      });
+    }
+  }
+  operation.parameters.push({
+    name: "Accept-Language",
+    in: "header",
+    required: false,
+    description: "Idioma de `message` (`es` default, `en`); tambien `locale` en body o query",
+    schema: { type: "string" },
+  });
+  if (route.request.body) {
+    operation.requestBody = {
+      required: true,
+      content: { "application/json": { schema: zodToJsonSchema(route.request.body, { root: false }) } },
+    };
+  }
+
+  for (const [status, schema] of Object.entries(route.responses)) {
+    operation.responses[status] = {
+      description: STATUS_DESCRIPTIONS[status] || "",
+      content: { "application/json": { schema: zodToJsonSchema(schema, { root: false }) } },
+    };
+  }
+  return operation;
+}
+
+function buildOpenApiDocument() {
+  const paths = {};
+  for (const route of API_ROUTES) {
+    paths[route.path] = { ...paths[route.path], [route.method]: buildOperation(route) };
+  }
+
+  const schemas = {};
+  for (const [schema, name] of API_SCHEMA_NAMES) {
+    schemas[name] = zodToJsonSchema(schema);
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "AMA Reset NIP API",
+      version,
+      description:
+        "Restablecimiento de NIP por liga o codigo. Los errores llevan `error_code` (estable) y `message` (segun idioma).",
+    },
+    paths,
+    components: { schemas },
+  };
+}
+
+let cachedDocument = null;
+
+// Los schemas no cambian en runtime: se arma una vez
+function getOpenApiDocument() {
+  if (!cachedDocument) cachedDocument = buildOpenApiDocument();
+  return cachedDocument;
+}
+
+function findRoute(method, path) {
+  const m = String(method).toLowerCase();
+  return API_ROUTES.find((r) => r.method === m && r.path === path) || null;
+}
+
+/**
+ * Valida el body de `res.json` de las rutas de `API_ROUTES` contra el schema de
+ * su status. Se valida el JSON tal como sale (fechas ya serializadas).
+ */
+function responseValidationMiddleware() {
+  return (req, res, next) => {
+    const { responseValidation } = getApiContractConfig();
+    const route = responseValidation === "off" ? null : findRoute(req.method, req.path);
+    if (!route) return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const schema = route.responses[res.statusCode];
+      const result = schema
+        ? schema.safeParse(JSON.parse(JSON.stringify(body)))
+        : { success: false, error: { issues: [{ path: [], message: `Status ${res.statusCode} sin schema` }] } };
+      if (result.success) return json(body);
+
+      const errors = result.error.issues.map((i) => ({ field: i.path.join("."), msg: i.message }));
+      log.error("respuesta fuera de contrato", {
+        route: `${route.method.toUpperCase()} ${route.path}`,
+        status: res.statusCode,
+        errors,
+      });
+      if (responseValidation !== "strict") return json(body);
+      res.status(500);
+      return json(errorBody(req, "response_invalid", { errors }));
+    };
+    return next();
+  };
+}
+
+module.exports = {
+  getApiContractConfig,
+  zodToJsonSchema,
+  buildOpenApiDocument,
+  getOpenApiDocument,
+  responseValidationMiddleware,
+};
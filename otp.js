@@ -0,0 +1,47 @@
+const crypto = require("crypto");
+
+/**
+ * Codigo de verificacion de 6 digitos (modo `codigo` de send-link).
+ *
+ * `verificacion_id` se entrega al front y en DB solo vive su sha256
+ * (`challenge_hash`); el codigo se guarda como sha256(verificacion_id:codigo)
+ * para amarrarlo a su reto.
+ */
+function getOtpConfig() {
+  return {
+    ttlMinutes: Number(process.env.OTP_TTL_MINUTES || 10),
+    maxAttempts: Number(process.env.OTP_MAX_ATTEMPTS || 5),
+  };
+}
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function generateOtpChallenge() {
+  const verificacionId = crypto.randomBytes(24).toString("base64url");
+  const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+  return {
+    verificacionId,
+    code,
+    challengeHash: sha256Hex(verificacionId),
+    otpHash: hashOtp(verificacionId, code),
+  };
+}
+
+function hashOtp(verificacionId, code) {
+  return sha256Hex(`${verificacionId}:${code}`);
+}
+
+function otpMatches(storedHash, verificacionId, code) {
+  const expected = Buffer.from(String(storedHash || ""), "hex");
+  const actual = Buffer.from(hashOtp(verificacionId, code), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  getOtpConfig,
+  generateOtpChallenge,
+  hashOtp,
+  otpMatches,
+};
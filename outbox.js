@@ -0,0 +1,426 @@
+const { pool } = require("./db");
+const {
+  WEBHOOK_EVENTS,
+  PERSIST_SUBSCRIBER,
+  getWebhookSubscribers,
+  buildWebhookEvent,
+  sendWebhookEvent,
+} = require("./webhook");
+const { RESET_EVENTS, recordResetEvent } = require("./audit");
+const { sealOutboxNip, openOutboxNip } = require("./nip-crypto");
+const { sendNipChangeNotice } = require("./nip-change-notice");
+const { createLogger } = require("./logger");
+const { trackBackgroundTask } = require("./lifecycle");
+
+const log = createLogger("outbox");
+
+/**
+ * Outbox durable de los webhooks (`nip_persist_outbox`).
+ *
+ * `confirm` inserta el evento dentro de la misma transaccion que consume el
+ * token; el despachador lo entrega con backoff exponencial y lo manda a
+ * dead-letter al agotar intentos. Hay una fila por suscriptor que recibe el
+ * evento, unica por `(subscriber, evento, request_id)`: reintentos y reenvios
+ * nunca generan un segundo evento. Una liga de varios vehiculos encola un evento
+ * por vehiculo con el mismo `lote_request_id`.
+ *
+ * El estado de `confirm` (`confirm-status`) es el de la fila `nip_persist` de
+ * `NIP_RESET_CONFIRMADO`; las entregas a otros suscriptores no lo afectan.
+ */
+const OUTBOX_STATUS_LABELS = {
+  pending: "procesando",
+  delivered: "confirmado",
+  dead: "fallido",
+};
+
+function getOutboxConfig() {
+  const webhookTimeoutMs = Number(process.env.NIP_PERSIST_WEBHOOK_TIMEOUT_MS || 8000);
+  return {
+    maxAttempts: Number(process.env.NIP_PERSIST_OUTBOX_MAX_ATTEMPTS || 10),
+    baseDelayMs: Number(process.env.NIP_PERSIST_OUTBOX_BASE_DELAY_MS || 2000),
+    maxDelayMs: Number(process.env.NIP_PERSIST_OUTBOX_MAX_DELAY_MS || 10 * 60 * 1000),
+    pollMs: Number(process.env.NIP_PERSIST_OUTBOX_POLL_MS || 2000),
+    batchSize: Number(process.env.NIP_PERSIST_OUTBOX_BATCH_SIZE || 10),
+    inlineWaitMs: Number(process.env.NIP_PERSIST_OUTBOX_INLINE_WAIT_MS || 3000),
+    // Si el proceso muere a media entrega, el evento se vuelve a tomar al vencer el lease
+    leaseMs: webhookTimeoutMs + 5000,
+  };
+}
+
+function computeBackoffMs(attempts, cfg) {
+  const exp = Math.min(cfg.baseDelayMs * 2 ** Math.max(attempts - 1, 0), cfg.maxDelayMs);
+  const jitter = exp * 0.2 * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(exp + jitter));
+}
+
+// Solo el webhook de persistencia recibe el NIP, y en la fila va sellado
+function withoutNip(payload) {
+  const { nuevo_nip, nuevo_nip_cifrado, ...rest } = payload;
+  return rest;
+}
+
+/**
+ * Encola `event` (de `buildWebhookEvent`) para cada suscriptor que lo recibe.
+ * `client` puede ser el de una transaccion o el pool. Regresa `{ [subscriber]: id }`.
+ */
+async function enqueueWebhookEvent(client, event, { tokenHash = null, loteRequestId = null } = {}) {
+  const ids = {};
+  for (const subscriber of getWebhookSubscribers()) {
+    if (!subscriber.events.includes(event.evento)) continue;
+    const payload = subscriber.name === PERSIST_SUBSCRIBER ? sealOutboxNip(event) : withoutNip(event);
+    const { rows } = await client.query(
+      `INSERT INTO nip_persist_outbox
+         (request_id, evento, payload, token_hash, cliente_id, vehiculo_id, lote_request_id, subscriber, event_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+       ON CONFLICT (subscriber, evento, request_id) DO NOTHING
+       RETURNING id`,
+      [
+        event.request_id,
+        event.evento,
+        payload,
+        tokenHash,
+        event.cliente_id || null,
+        event.vehiculoId || null,
+        loteRequestId,
+        subscriber.name,
+        event.event_id || null,
+      ]
+    );
+    if (rows.length) {
+      ids[subscriber.name] = rows[0].id;
+      continue;
+    }
+    const existing = await client.query(
+      "SELECT id FROM nip_persist_outbox WHERE subscriber = $1 AND evento = $2 AND request_id = $3",
+      [subscriber.name, event.evento, event.request_id]
+    );
+    ids[subscriber.name] = existing.rows[0].id;
+  }
+  return ids;
+}
+
+/**
+ * Debe llamarse con el `client` de la transaccion que consume el token. Regresa
+ * el id de la fila `nip_persist` (la que `confirm` entrega de inmediato).
+ */
+async function enqueuePersistEvent(client, payload, opts) {
+  const ids = await enqueueWebhookEvent(client, payload, opts);
+  return ids[PERSIST_SUBSCRIBER];
+}
+
+// El aviso de un lote se correlaciona con el x-request-id de confirm
+function noticeRequestId(entry) {
+  return entry.payload?.lote_request_id || entry.request_id;
+}
+
+function isPersistConfirm(entry) {
+  return entry.subscriber === PERSIST_SUBSCRIBER && entry.evento === WEBHOOK_EVENTS.CONFIRMADO;
+}
+
+// Un NIP que no se pudo aplicar se avisa a los suscriptores de NIP_RESET_FALLIDO
+async function enqueueFailedEvent(entry, message) {
+  try {
+    const event = buildWebhookEvent(
+      WEBHOOK_EVENTS.FALLIDO,
+      {
+        cliente_id: entry.payload?.cliente_id || null,
+        vehiculoId: entry.payload?.vehiculoId || null,
+        ...(entry.payload?.lote_request_id ? { lote_request_id: entry.payload.lote_request_id } : {}),
+        motivo: "persistencia_fallida",
+        intentos: entry.attempts,
+        error: message.slice(0, 200),
+      },
+      { requestId: entry.request_id }
+    );
+    await enqueueWebhookEvent(pool, event, { tokenHash: entry.token_hash });
+  } catch (e) {
+    log.error("no se pudo encolar NIP_RESET_FALLIDO", { request_id: entry.request_id, err: e });
+  }
+}
+
+/**
+ * Encola `NIP_RESET_LINK_EXPIRADO` para las ligas que vencieron sin usarse (una
+ * vez por token, `expired_event_at`). Solo revisa las vencidas en las ultimas
+ * EXPIRED_LINK_LOOKBACK_HOURS: un suscriptor nuevo no recibe el historial.
+ */
+const EXPIRED_LINK_LOOKBACK_HOURS = 24;
+
+async function enqueueExpiredLinkEvents(cfg = getOutboxConfig()) {
+  if (!getWebhookSubscribers().some((s) => s.events.includes(WEBHOOK_EVENTS.LINK_EXPIRADO))) return 0;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `SELECT id, cliente_id, vehiculo_id, token_hash, expires_at,
+              CASE WHEN challenge_hash IS NOT NULL THEN 'codigo' ELSE 'liga' END AS modo
+       FROM nip_reset_tokens
+       WHERE used_at IS NULL
+         AND expired_event_at IS NULL
+         AND expires_at < now()
+         AND expires_at > now() - ($1 * interval '1 hour')
+         AND cliente_id IS NOT NULL
+       ORDER BY expires_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED`,
+      [EXPIRED_LINK_LOOKBACK_HOURS, cfg.batchSize]
+    );
+    for (const row of rows) {
+      const event = buildWebhookEvent(WEBHOOK_EVENTS.LINK_EXPIRADO, {
+        cliente_id: row.cliente_id,
+        vehiculoId: row.vehiculo_id,
+        modo: row.modo,
+        expires_at: new Date(row.expires_at).toISOString(),
+      });
+      await enqueueWebhookEvent(client, event, { tokenHash: row.token_hash });
+    }
+    if (rows.length) {
+      await client.query("UPDATE nip_reset_tokens SET expired_event_at = now() WHERE id = ANY($1)", [
+        rows.map((r) => r.id),
+      ]);
+    }
+    await client.query("COMMIT");
+    return rows.length;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function claimOutboxEntries({ id = null, limit = 1 }, cfg) {
+  const { rows } = await pool.query(
+    `UPDATE nip_persist_outbox o
+     SET attempts = o.attempts + 1,
+         next_attempt_at = now() + ($3 * interval '1 millisecond'),
+         updated_at = now()
+     WHERE o.id IN (
+       SELECT id
+       FROM nip_persist_outbox
+       WHERE status = 'pending'
+         AND next_attempt_at <= now()
+         AND ($1::bigint IS NULL OR id = $1::bigint)
+       ORDER BY next_attempt_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING o.id, o.request_id, o.evento, o.subscriber, o.payload, o.attempts, o.token_hash`,
+    [id, limit, cfg.leaseMs]
+  );
+  return rows;
+}
+
+// Al cerrar el evento (entregado o dead-letter) se elimina el NIP del payload
+const SCRUB_NIP_SQL = "payload = payload - 'nuevo_nip' - 'nuevo_nip_sellado' - 'nuevo_nip_cifrado'";
+
+// Fallo del envio: se reprograma con backoff o pasa a dead-letter al agotar intentos
+async function failOutboxEntry(entry, error, cfg) {
+  const message = String(error?.message || error).slice(0, 500);
+
+  // `status = 'pending'`: una fila que otro despachador ya entrego no se degrada
+  if (entry.attempts >= cfg.maxAttempts) {
+    const { rowCount } = await pool.query(
+      `UPDATE nip_persist_outbox
+       SET status = 'dead', last_error = $2, updated_at = now(), ${SCRUB_NIP_SQL}
+       WHERE id = $1 AND status = 'pending'`,
+      [entry.id, message]
+    );
+    if (!rowCount) return null;
+    log.error("dead-letter", {
+      request_id: entry.request_id,
+      subscriber: entry.subscriber,
+      evento: entry.evento,
+      attempts: entry.attempts,
+      error: message,
+    });
+    if (!isPersistConfirm(entry)) return "dead";
+
+    await recordResetEvent({
+      evento: RESET_EVENTS.CONFIRM_WEBHOOK_FALLIDO,
+      cliente_id: entry.payload?.cliente_id || null,
+      vehiculo_id: entry.payload?.vehiculoId || null,
+      request_id: entry.request_id,
+      detalle: { intentos: entry.attempts, error: message.slice(0, 200) },
+    });
+    await enqueueFailedEvent(entry, message);
+    // Si era la ultima entrega pendiente de un lote, avisa de los vehiculos que si se aplicaron
+    trackBackgroundTask(sendNipChangeNotice({ tokenHash: entry.token_hash, requestId: noticeRequestId(entry) }));
+    return "dead";
+  }
+
+  const delayMs = computeBackoffMs(entry.attempts, cfg);
+  const { rowCount } = await pool.query(
+    `UPDATE nip_persist_outbox
+     SET next_attempt_at = now() + ($2 * interval '1 millisecond'), last_error = $3, updated_at = now()
+     WHERE id = $1 AND status = 'pending'`,
+    [entry.id, delayMs, message]
+  );
+  if (!rowCount) return null;
+  log.warn("intento fallido", {
+    request_id: entry.request_id,
+    subscriber: entry.subscriber,
+    attempts: entry.attempts,
+    retry_in_ms: delayMs,
+    error: message,
+  });
+  return "pending";
+}
+
+/**
+ * Solo un error del envio cuenta como intento fallido. Lo que sigue a un envio
+ * exitoso (marcar la fila, auditoria, aviso) se registra en el log si falla:
+ * reprogramarlo reenviaria el webhook.
+ */
+async function deliverOutboxEntry(entry, cfg) {
+  try {
+    const subscriber = getWebhookSubscribers().find((s) => s.name === entry.subscriber);
+    if (!subscriber) throw new Error(`Suscriptor ${entry.subscriber} no configurado`);
+    await sendWebhookEvent(subscriber, openOutboxNip(entry.payload), { maxAttempts: 1 });
+  } catch (e) {
+    return failOutboxEntry(entry, e, cfg);
+  }
+
+  try {
+    await pool.query(
+      `UPDATE nip_persist_outbox
+       SET status = 'delivered', delivered_at = now(), last_error = NULL, updated_at = now(), ${SCRUB_NIP_SQL}
+       WHERE id = $1`,
+      [entry.id]
+    );
+  } catch (e) {
+    // La fila sigue pendiente: al vencer el lease se reenvia y el receptor deduplica por request_id
+    log.error("entregado pero no se pudo marcar", {
+      request_id: entry.request_id,
+      subscriber: entry.subscriber,
+      err: e,
+    });
+    return "delivered";
+  }
+  if (!isPersistConfirm(entry)) return "delivered";
+
+  await recordResetEvent({
+    evento: RESET_EVENTS.CONFIRM_EXITOSO,
+    cliente_id: entry.payload?.cliente_id || null,
+    vehiculo_id: entry.payload?.vehiculoId || null,
+    request_id: entry.request_id,
+    detalle: { intentos: entry.attempts },
+  });
+  // Aviso al titular en segundo plano (uno por token, al terminar las entregas del lote)
+  trackBackgroundTask(sendNipChangeNotice({ tokenHash: entry.token_hash, requestId: noticeRequestId(entry) }));
+  return "delivered";
+}
+
+/**
+ * Intenta entregar un evento especifico de inmediato (usado por `confirm`).
+ * Regresa null si otro despachador ya lo tiene tomado.
+ */
+async function dispatchOutboxEntry(id) {
+  const cfg = getOutboxConfig();
+  const [entry] = await claimOutboxEntries({ id, limit: 1 }, cfg);
+  if (!entry) return null;
+  return deliverOutboxEntry(entry, cfg);
+}
+
+async function dispatchPendingOutbox() {
+  const cfg = getOutboxConfig();
+  await enqueueExpiredLinkEvents(cfg).catch((e) => log.error("eventos de liga expirada", { err: e }));
+  const entries = await claimOutboxEntries({ limit: cfg.batchSize }, cfg);
+  for (const entry of entries) {
+    await deliverOutboxEntry(entry, cfg);
+  }
+  return entries.length;
+}
+
+/**
+ * Regresa la funcion para detenerlo; su promesa resuelve al terminar la entrega en curso.
+ */
+function startOutboxDispatcher() {
+  const { pollMs } = getOutboxConfig();
+  let stopped = false;
+  let timer = null;
+  let running = null;
+
+  const schedule = () => {
+    if (stopped) return;
+    timer = setTimeout(tick, pollMs);
+    timer.unref?.();
+  };
+
+  async function tick() {
+    running = dispatchPendingOutbox().catch((e) => log.error("dispatcher error", { err: e }));
+    await running;
+    running = null;
+    schedule();
+  }
+
+  schedule();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    return running || Promise.resolve();
+  };
+}
+
+/**
+ * Estado de un lote a partir del de cada vehiculo: `procesando` mientras alguno
+ * este pendiente; `confirmado` o `fallido` si todos terminaron igual; si no, `parcial`.
+ */
+function summarizeOutboxEstados(estados) {
+  if (estados.includes("procesando")) return "procesando";
+  if (estados.every((e) => e === "confirmado")) return "confirmado";
+  if (estados.every((e) => e === "fallido")) return "fallido";
+  return "parcial";
+}
+
+/**
+ * `requestId` puede ser el de un evento o el `lote_request_id` de un lote; en el
+ * segundo caso agrega `vehiculos` con el estado de cada uno.
+ */
+async function getOutboxStatusByRequestId(requestId) {
+  const { rows } = await pool.query(
+    `SELECT request_id, lote_request_id, vehiculo_id, status, attempts, delivered_at
+     FROM nip_persist_outbox
+     WHERE (request_id = $1 OR lote_request_id = $1)
+       AND subscriber = $2
+       AND evento = $3
+     ORDER BY id`,
+    [requestId, PERSIST_SUBSCRIBER, WEBHOOK_EVENTS.CONFIRMADO]
+  );
+  if (!rows.length) return null;
+
+  const single = rows.find((row) => row.request_id === requestId);
+  if (single) {
+    return {
+      request_id: single.request_id,
+      status: single.status,
+      estado: OUTBOX_STATUS_LABELS[single.status] || "procesando",
+      attempts: single.attempts,
+      delivered_at: single.delivered_at,
+    };
+  }
+
+  const vehiculos = rows.map((row) => ({
+    vehiculoId: row.vehiculo_id,
+    request_id: row.request_id,
+    estado: OUTBOX_STATUS_LABELS[row.status] || "procesando",
+  }));
+  return {
+    request_id: requestId,
+    estado: summarizeOutboxEstados(vehiculos.map((v) => v.estado)),
+    vehiculos,
+  };
+}
+
+module.exports = {
+  OUTBOX_STATUS_LABELS,
+  getOutboxConfig,
+  enqueueWebhookEvent,
+  enqueuePersistEvent,
+  enqueueExpiredLinkEvents,
+  dispatchOutboxEntry,
+  dispatchPendingOutbox,
+  startOutboxDispatcher,
+  summarizeOutboxEstados,
+  getOutboxStatusByRequestId,
+};
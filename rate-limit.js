@@ -0,0 +1,164 @@
+const crypto = require("crypto");
+const rateLimit = require("express-rate-limit");
+const { pool } = require("./db");
+const { createLogger } = require("./logger");
+const { normalizePhone10 } = require("./sources/phone");
+const { errorBody } = require("./i18n");
+
+const log = createLogger("rate-limit");
+
+/**
+ * Rate limits del API sobre express-rate-limit.
+ *
+ * RATE_LIMIT_STORE=memory (default) cuenta por proceso; con `postgres` los
+ * contadores viven en `rate_limit_counters`, sobreviven a deploys y se comparten
+ * entre contenedores. Ademas de IP, lookup y send-link limitan por identidad
+ * (correo y whatsapp_id por separado) porque quien enumera clientes rota IPs.
+ */
+const RATE_LIMIT_STORES = ["memory", "postgres"];
+const PURGE_EVERY_MS = 60_000;
+
+function getRateLimitStoreKind() {
+  const kind = String(process.env.RATE_LIMIT_STORE || "memory").trim().toLowerCase();
+  if (!RATE_LIMIT_STORES.includes(kind)) {
+    throw new Error(`Rate limit: RATE_LIMIT_STORE invalido (${kind})`);
+  }
+  return kind;
+}
+
+let lastPurgeAt = 0;
+
+function purgeExpiredCounters() {
+  if (Date.now() - lastPurgeAt < PURGE_EVERY_MS) return;
+  lastPurgeAt = Date.now();
+  pool.query("DELETE FROM rate_limit_counters WHERE reset_at < now()").catch((e) => {
+    log.warn("no se pudieron purgar contadores vencidos", { err: e });
+  });
+}
+
+/**
+ * Store de express-rate-limit (ventana fija) en Postgres. Si la base falla se deja
+ * pasar el request: el limite no debe tirar el servicio.
+ */
+class PostgresRateLimitStore {
+  constructor({ prefix }) {
+    this.prefix = `${prefix}:`;
+    this.localKeys = false;
+    this.windowMs = 60_000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    purgeExpiredCounters();
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO rate_limit_counters (key, hits, reset_at)
+         VALUES ($1, 1, now() + ($2 * interval '1 millisecond'))
+         ON CONFLICT (key) DO UPDATE SET
+           hits = CASE WHEN rate_limit_counters.reset_at <= now() THEN 1 ELSE rate_limit_counters.hits + 1 END,
+           reset_at = CASE WHEN rate_limit_counters.reset_at <= now() THEN EXCLUDED.reset_at
+                           ELSE rate_limit_counters.reset_at END
+         RETURNING hits, reset_at`,
+        [`${this.prefix}${key}`, this.windowMs]
+      );
+      return { totalHits: rows[0].hits, resetTime: new Date(rows[0].reset_at) };
+    } catch (e) {
+      log.warn("store no disponible, se deja pasar el request", { limiter: this.prefix, err: e });
+      return { totalHits: 1, resetTime: new Date(Date.now() + this.windowMs) };
+    }
+  }
+
+  async decrement(key) {
+    await pool
+      .query("UPDATE rate_limit_counters SET hits = GREATEST(hits - 1, 0) WHERE key = $1", [`${this.prefix}${key}`])
+      .catch((e) => log.warn("decrement fallido", { limiter: this.prefix, err: e }));
+  }
+
+  async resetKey(key) {
+    await pool.query("DELETE FROM rate_limit_counters WHERE key = $1", [`${this.prefix}${key}`]);
+  }
+}
+
+function tooManyRequestsBody(req) {
+  return errorBody(req, "too_many_requests");
+}
+
+/**
+ * `name` identifica los contadores del limiter en el store compartido.
+ */
+function createLimiter({ name, windowMs, max, keyGenerator, skip }) {
+  return rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: tooManyRequestsBody,
+    ...(keyGenerator ? { keyGenerator } : {}),
+    ...(skip ? { skip } : {}),
+    ...(getRateLimitStoreKind() === "postgres" ? { store: new PostgresRateLimitStore({ prefix: name }) } : {}),
+  });
+}
+
+/**
+ * IDENTITY_HASH_SECRET (minimo 32 caracteres) es la llave del HMAC de correo y
+ * telefono en las llaves de rate limit y de bloqueo: un sha256 sin llave de un
+ * telefono de 10 digitos se revierte por fuerza bruta en minutos. Sin ella el
+ * app no arranca.
+ */
+function getIdentityHashSecret() {
+  const secret = process.env.IDENTITY_HASH_SECRET || "";
+  if (secret.length < 32) {
+    throw new Error("Rate limit: IDENTITY_HASH_SECRET debe tener al menos 32 caracteres");
+  }
+  return secret;
+}
+
+function identityKey(value) {
+  return crypto.createHmac("sha256", getIdentityHashSecret()).update(value).digest("hex");
+}
+
+function requestEmail(req) {
+  const email = req.body?.email;
+  return typeof email === "string" && email.trim() ? email.trim().toLowerCase() : null;
+}
+
+function requestPhone(req) {
+  return normalizePhone10(req.body?.whatsapp_id);
+}
+
+/**
+ * Dos limiters (correo y whatsapp_id) para montar despues del de IP. La llave es
+ * el HMAC (`identityKey`) del valor normalizado: el store nunca guarda PII en claro.
+ */
+function createIdentityLimiters({ name, windowMs, max }) {
+  getIdentityHashSecret();
+  return [
+    createLimiter({
+      name: `${name}:email`,
+      windowMs,
+      max,
+      skip: (req) => !requestEmail(req),
+      keyGenerator: (req) => identityKey(requestEmail(req)),
+    }),
+    createLimiter({
+      name: `${name}:whatsapp`,
+      windowMs,
+      max,
+      skip: (req) => !requestPhone(req),
+      keyGenerator: (req) => identityKey(requestPhone(req)),
+    }),
+  ];
+}
+
+module.exports = {
+  getRateLimitStoreKind,
+  PostgresRateLimitStore,
+  tooManyRequestsBody,
+  createLimiter,
+  createIdentityLimiters,
+  getIdentityHashSecret,
+  identityKey,
+};
@@ -0,0 +1,167 @@
+const { pool } = require("./db");
+const { fetchWithTimeout } = require("./http-util");
+const { getNipPersistWebhookConfig } = require("./webhook");
+const { getMailer } = require("./mail");
+const { getAirtableConfig } = require("./sources/airtable");
+const { getCustomerSource } = require("./sources");
+const { isDraining } = require("./lifecycle");
+const { createLogger } = require("./logger");
+
+const log = createLogger("readiness");
+
+/**
+ * Readiness (`GET /api/ready`) con estado por dependencia:
+ * - `postgres`: `SELECT 1`;
+ * - `customer_source`: configuracion del proveedor (Airtable: llave y base; no
+ *   consulta la API para no gastar cuota);
+ * - `smtp`: `verify()` del transporter, cacheado READY_CACHE_SECONDS;
+ * - `webhook`: HEAD a NIP_PERSIST_WEBHOOK_URL, cacheado igual. Cualquier respuesta
+ *   HTTP menor a 500 cuenta como alcanzable (n8n responde 404 a metodos no registrados).
+ *
+ * Solo las dependencias de READY_REQUIRED_CHECKS (default `postgres,customer_source`)
+ * vuelven el servicio `not_ready`; las demas se reportan sin sacarlo del balanceador
+ * (si SMTP o n8n caen, fallan igual en todas las instancias y confirm sigue
+ * encolando en el outbox).
+ */
+const READY_CHECKS = ["postgres", "customer_source", "smtp", "webhook"];
+
+function getReadinessConfig() {
+  const required = String(process.env.READY_REQUIRED_CHECKS || "postgres,customer_source")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = required.filter((name) => !READY_CHECKS.includes(name));
+  if (unknown.length) {
+    throw new Error(`Readiness: READY_REQUIRED_CHECKS invalido (${unknown.join(",")})`);
+  }
+  return {
+    required,
+    cacheSeconds: Number(process.env.READY_CACHE_SECONDS || 60),
+    timeoutMs: Number(process.env.READY_CHECK_TIMEOUT_MS || 3000),
+  };
+}
+
+class CheckError extends Error {
+  constructor(code, message) {
+    super(message || code);
+    this.name = "CheckError";
+    this.code = code;
+  }
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new CheckError("timeout")), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkPostgres(cfg) {
+  await withTimeout(pool.query("SELECT 1"), cfg.timeoutMs);
+  return {};
+}
+
+async function checkCustomerSource() {
+  const source = String(process.env.CUSTOMER_SOURCE || "airtable").trim().toLowerCase();
+  try {
+    if (source === "airtable") getAirtableConfig();
+    getCustomerSource();
+  } catch (e) {
+    throw new CheckError("no_configurado", e.message);
+  }
+  return { source };
+}
+
+async function checkSmtp(cfg) {
+  let mailer;
+  try {
+    mailer = getMailer();
+  } catch (e) {
+    throw new CheckError("no_configurado", e.message);
+  }
+  await withTimeout(Promise.resolve(mailer.verify()), cfg.timeoutMs);
+  return {};
+}
+
+async function checkWebhook(cfg) {
+  let webhookUrl;
+  try {
+    ({ webhookUrl } = getNipPersistWebhookConfig());
+  } catch (e) {
+    throw new CheckError("no_configurado", e.message);
+  }
+  const resp = await fetchWithTimeout(webhookUrl, { method: "HEAD" }, cfg.timeoutMs);
+  if (resp.status >= 500) throw new CheckError("http_error", `HTTP ${resp.status}`);
+  return { http_status: resp.status };
+}
+
+/**
+ * Corre un check y lo deja como `{ status: "ok"|"error", ... }`. Al cliente solo
+ * sale el codigo de error; el detalle va al log.
+ */
+async function runCheck(name, fn, cfg) {
+  const started = Date.now();
+  try {
+    const extra = await fn(cfg);
+    return { status: "ok", latency_ms: Date.now() - started, ...extra };
+  } catch (e) {
+    log.warn("dependencia no disponible", { check: name, err: e });
+    return { status: "error", latency_ms: Date.now() - started, error: e.code || e.name || "error" };
+  }
+}
+
+/**
+ * Cachea el resultado (ok o error) `cacheSeconds`; llamadas concurrentes comparten
+ * la misma verificacion.
+ */
+function createCachedCheck(name, fn) {
+  let cached = null;
+  let inFlight = null;
+
+  return async (cfg) => {
+    if (cached && Date.now() - cached.at < cfg.cacheSeconds * 1000) {
+      return { ...cached.result, cached: true, checked_at: new Date(cached.at).toISOString() };
+    }
+    if (!inFlight) {
+      inFlight = runCheck(name, fn, cfg)
+        .then((result) => {
+          cached = { result, at: Date.now() };
+          return result;
+        })
+        .finally(() => {
+          inFlight = null;
+        });
+    }
+    const result = await inFlight;
+    return { ...result, cached: false, checked_at: new Date(cached.at).toISOString() };
+  };
+}
+
+const cachedSmtpCheck = createCachedCheck("smtp", checkSmtp);
+const cachedWebhookCheck = createCachedCheck("webhook", checkWebhook);
+
+/**
+ * `{ ready, status: "ready"|"not_ready"|"draining", checks }`. Durante el apagado
+ * responde `draining` sin revisar dependencias.
+ */
+async function checkReadiness() {
+  if (isDraining()) return { ready: false, status: "draining", checks: {} };
+
+  const cfg = getReadinessConfig();
+  const [postgres, customerSource, smtp, webhook] = await Promise.all([
+    runCheck("postgres", checkPostgres, cfg),
+    runCheck("customer_source", checkCustomerSource, cfg),
+    cachedSmtpCheck(cfg),
+    cachedWebhookCheck(cfg),
+  ]);
+
+  const checks = { postgres, customer_source: customerSource, smtp, webhook };
+  for (const [name, check] of Object.entries(checks)) {
+    check.required = cfg.required.includes(name);
+  }
+  const ready = Object.values(checks).every((c) => !c.required || c.status === "ok");
+  return { ready, status: ready ? "ready" : "not_ready", checks };
+}
+
+module.exports = { READY_CHECKS, getReadinessConfig, checkReadiness };
@@ -0,0 +1,256 @@
+const { pool } = require("./db");
+const { getNipChangeNoticeConfig } = require("./nip-change-notice");
+const { createLogger } = require("./logger");
+
+const log = createLogger("retention");
+
+/**
+ * Retencion de `nip_reset_tokens` (LFPDPPP): los tokens vencidos o usados con mas
+ * de TOKEN_RETENTION_DAYS se borran (`delete`, default) o se anonimizan
+ * (`anonymize`: se quitan IP, user agent, correo, telefono, record id y hashes; quedan
+ * `cliente_id`, `vehiculo_id`, fechas y motivo para historial de soporte).
+ *
+ * Antes de tocarlos se suman a `nip_reset_token_daily_stats` por dia de creacion
+ * (UTC), modo y resultado, en la misma transaccion: cada token cuenta una vez
+ * aunque corran varios contenedores (`FOR UPDATE SKIP LOCKED`).
+ *
+ * No se tocan tokens con una revision "no fui yo" abierta ni con la liga del
+ * aviso aun vigente (NIP_CHANGE_REPORT_TTL_DAYS). Los que tienen revision
+ * resuelta se anonimizan en lugar de borrarse (la revision los referencia).
+ *
+ * La bitacora `nip_reset_events` es append-only: sus eventos no se borran, pero
+ * con mas de EVENT_RETENTION_DAYS (default TOKEN_RETENTION_DAYS) pierden IP y
+ * user agent y se marcan con `anonymized_at`, el unico UPDATE que permite su
+ * trigger (migracion 016).
+ */
+const RETENTION_MODES = ["delete", "anonymize"];
+const FIRST_RUN_DELAY_MS = 60_000;
+
+function getTokenRetentionConfig() {
+  const mode = String(process.env.TOKEN_RETENTION_MODE || "delete").trim().toLowerCase();
+  if (!RETENTION_MODES.includes(mode)) {
+    throw new Error(`Retencion: TOKEN_RETENTION_MODE invalido (${mode})`);
+  }
+  return {
+    enabled: String(process.env.TOKEN_RETENTION_ENABLED || "true").toLowerCase() !== "false",
+    days: Number(process.env.TOKEN_RETENTION_DAYS || 90),
+    eventDays: Number(process.env.EVENT_RETENTION_DAYS || process.env.TOKEN_RETENTION_DAYS || 90),
+    mode,
+    aggregate: String(process.env.TOKEN_RETENTION_AGGREGATE || "true").toLowerCase() !== "false",
+    intervalMinutes: Number(process.env.TOKEN_RETENTION_INTERVAL_MINUTES || 360),
+    batchSize: Number(process.env.TOKEN_RETENTION_BATCH_SIZE || 500),
+  };
+}
+
+// $1 = dias de retencion, $2 = dias de vigencia de la liga "no fui yo"
+const CANDIDATES_WHERE = `
+  t.anonymized_at IS NULL
+  AND t.created_at < now() - ($1 * interval '1 day')
+  AND (t.used_at IS NOT NULL OR t.expires_at < now())
+  AND (t.change_notified_at IS NULL OR t.change_notified_at < now() - ($2 * interval '1 day'))
+  AND NOT EXISTS (SELECT 1 FROM nip_reset_reviews r WHERE r.token_id = t.id AND r.estado = 'abierta')
+`;
+
+async function aggregateBatch(client, ids) {
+  await client.query(
+    `INSERT INTO nip_reset_token_daily_stats (dia, modo, resultado, tokens)
+     SELECT (created_at AT TIME ZONE 'UTC')::date,
+            CASE WHEN challenge_hash IS NOT NULL OR otp_hash IS NOT NULL THEN 'codigo' ELSE 'liga' END,
+            COALESCE(invalidated_reason, CASE WHEN used_at IS NULL THEN 'expirado' ELSE 'usado' END),
+            COUNT(*)::int
+     FROM nip_reset_tokens
+     WHERE id = ANY($1)
+     GROUP BY 1, 2, 3
+     ON CONFLICT (dia, modo, resultado) DO UPDATE SET
+       tokens = nip_reset_token_daily_stats.tokens + EXCLUDED.tokens,
+       updated_at = now()`,
+    [ids]
+  );
+}
+
+async function anonymizeTokens(client, ids) {
+  const { rowCount } = await client.query(
+    `UPDATE nip_reset_tokens
+     SET anonymized_at = now(),
+         customer_ref = 'anonimizado',
+         contacto_record_id = NULL,
+         vehiculo_record_id = NULL,
+         request_ip = NULL,
+         user_agent = NULL,
+         notify_email = NULL,
+         whatsapp_digits = NULL,
+         challenge_hash = NULL,
+         otp_hash = NULL,
+         report_hash = NULL
+     WHERE id = ANY($1)`,
+    [ids]
+  );
+  return rowCount;
+}
+
+// $1 = dias de retencion de eventos
+const EVENT_CANDIDATES_WHERE = `
+  anonymized_at IS NULL
+  AND created_at < now() - ($1 * interval '1 day')
+`;
+
+async function anonymizeEventsBatch(cfg) {
+  const { rowCount } = await pool.query(
+    `UPDATE nip_reset_events
+     SET request_ip = NULL, user_agent = NULL, anonymized_at = now()
+     WHERE id IN (
+       SELECT id FROM nip_reset_events
+       WHERE ${EVENT_CANDIDATES_WHERE}
+       ORDER BY created_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )`,
+    [cfg.eventDays, cfg.batchSize]
+  );
+  return rowCount;
+}
+
+async function processBatch(cfg, noticeTtlDays) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `SELECT t.id, EXISTS (SELECT 1 FROM nip_reset_reviews r WHERE r.token_id = t.id) AS has_review
+       FROM nip_reset_tokens t
+       WHERE ${CANDIDATES_WHERE}
+       ORDER BY t.created_at
+       LIMIT $3
+       FOR UPDATE OF t SKIP LOCKED`,
+      [cfg.days, noticeTtlDays, cfg.batchSize]
+    );
+    if (!rows.length) {
+      await client.query("COMMIT");
+      return null;
+    }
+
+    const ids = rows.map((r) => r.id);
+    if (cfg.aggregate) await aggregateBatch(client, ids);
+
+    // Con revision resuelta no se puede borrar (FK de nip_reset_reviews)
+    const toAnonymize = cfg.mode === "anonymize" ? ids : rows.filter((r) => r.has_review).map((r) => r.id);
+    const toDelete = cfg.mode === "anonymize" ? [] : rows.filter((r) => !r.has_review).map((r) => r.id);
+
+    const anonymized = toAnonymize.length ? await anonymizeTokens(client, toAnonymize) : 0;
+    const deleted = toDelete.length
+      ? (await client.query("DELETE FROM nip_reset_tokens WHERE id = ANY($1)", [toDelete])).rowCount
+      : 0;
+
+    await client.query("COMMIT");
+    return { found: rows.length, deleted, anonymized };
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Corre la retencion completa por lotes de TOKEN_RETENTION_BATCH_SIZE.
+ * `dryRun` solo cuenta los candidatos. Regresa `{ deleted, anonymized, aggregated,
+ * events_anonymized }` (o `{ candidates, event_candidates }` en dry run).
+ */
+async function purgeExpiredTokens({ dryRun = false } = {}) {
+  const cfg = getTokenRetentionConfig();
+  const noticeTtlDays = getNipChangeNoticeConfig().reportTtlDays;
+
+  if (dryRun) {
+    const tokens = await pool.query(
+      `SELECT COUNT(*)::int AS c FROM nip_reset_tokens t WHERE ${CANDIDATES_WHERE}`,
+      [cfg.days, noticeTtlDays]
+    );
+    const events = await pool.query(`SELECT COUNT(*)::int AS c FROM nip_reset_events WHERE ${EVENT_CANDIDATES_WHERE}`, [
+      cfg.eventDays,
+    ]);
+    const counts = { candidates: tokens.rows[0].c, event_candidates: events.rows[0].c };
+    log.info("dry run", { retention_days: cfg.days, event_retention_days: cfg.eventDays, mode: cfg.mode, ...counts });
+    return counts;
+  }
+
+  const summary = { deleted: 0, anonymized: 0, aggregated: 0, events_anonymized: 0 };
+  for (;;) {
+    const batch = await processBatch(cfg, noticeTtlDays);
+    if (!batch) break;
+    summary.deleted += batch.deleted;
+    summary.anonymized += batch.anonymized;
+    if (cfg.aggregate) summary.aggregated += batch.found;
+    if (batch.found < cfg.batchSize) break;
+  }
+  for (;;) {
+    const events = await anonymizeEventsBatch(cfg);
+    summary.events_anonymized += events;
+    if (events < cfg.batchSize) break;
+  }
+
+  if (summary.deleted || summary.anonymized || summary.events_anonymized) {
+    log.info("tokens purgados", {
+      retention_days: cfg.days,
+      event_retention_days: cfg.eventDays,
+      mode: cfg.mode,
+      ...summary,
+    });
+  } else {
+    log.debug("sin tokens por purgar", { retention_days: cfg.days });
+  }
+  return summary;
+}
+
+/**
+ * Corre la retencion en proceso: la primera vez al minuto de arrancar y despues
+ * cada TOKEN_RETENTION_INTERVAL_MINUTES. Regresa la funcion para detenerla (su
+ * promesa resuelve al terminar la corrida en curso).
+ */
+function startTokenRetentionJob() {
+  const cfg = getTokenRetentionConfig();
+  if (!cfg.enabled || cfg.intervalMinutes <= 0) {
+    log.info("job deshabilitado");
+    return () => Promise.resolve();
+  }
+
+  let stopped = false;
+  let timer = null;
+  let running = null;
+
+  const schedule = (delayMs) => {
+    if (stopped) return;
+    timer = setTimeout(tick, delayMs);
+    timer.unref?.();
+  };
+
+  async function tick() {
+    running = purgeExpiredTokens().catch((e) => log.error("job error", { err: e }));
+    await running;
+    running = null;
+    schedule(cfg.intervalMinutes * 60_000);
+  }
+
+  schedule(Math.min(FIRST_RUN_DELAY_MS, cfg.intervalMinutes * 60_000));
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    return running || Promise.resolve();
+  };
+}
+
+async function main(args) {
+  const dryRun = args.includes("--dry-run");
+  const summary = await purgeExpiredTokens({ dryRun });
+  console.log(`[retention] ${JSON.stringify(summary)}`);
+}
+
+// `node retention.js [--dry-run]` (cron externo o prueba manual)
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .catch((e) => {
+      console.error("[retention] error:", e?.message || e);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { getTokenRetentionConfig, purgeExpiredTokens, startTokenRetentionJob };
@@ -0,0 +1,312 @@
+const { sleep, fetchTextWithTimeout } = require("../http-util");
+const { normalizePhoneForAirtable, normalizePhone10 } = require("./phone");
+const { CustomerSourceUnavailableError } = require("./errors");
+const { toVehiculo } = require("./vehiculos");
+const { airtableRequestDuration } = require("../metrics");
+const { createLogger } = require("../logger");
+
+const log = createLogger("airtable");
+
+/**
+ * Proveedor Airtable (REST API + filterByFormula) para Contactos/Vehiculos.
+ */
+function airtableEscapeFormulaString(str) {
+  return String(str).replace(/'/g, "\\'");
+}
+
+function normalizeAirtableText(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) {
+    if (!value.length) return null;
+    return String(value[0]).trim() || null;
+  }
+  const text = String(value).trim();
+  return text || null;
+}
+
+function getAirtableConfig() {
+  const vehiculosClienteIdFieldRaw = String(process.env.AIRTABLE_VEHICULOS_CLIENTE_ID_FIELD || "").trim();
+  const vehiculosWhatsappFieldRaw = String(process.env.AIRTABLE_VEHICULOS_WHATSAPP_FIELD || "").trim();
+
+  const config = {
+    apiUrl: String(process.env.AIRTABLE_API_URL || "https://api.airtable.com").replace(/\/+$/, ""),
+    apiKey: process.env.AIRTABLE_API_KEY,
+    baseId: process.env.AIRTABLE_BASE_ID,
+    contactosTable: process.env.AIRTABLE_CONTACTOS_TABLE_NAME || "Contactos",
+    contactosEmailField: process.env.AIRTABLE_CONTACTOS_EMAIL_FIELD || "email",
+    contactosWhatsappField: process.env.AIRTABLE_CONTACTOS_WHATSAPP_FIELD || "whatsapp_id",
+    contactosClienteIdField: process.env.AIRTABLE_CONTACTOS_CLIENTE_ID_FIELD || "cliente_id",
+    vehiculosTable: process.env.AIRTABLE_VEHICULOS_TABLE_NAME || "Vehiculos",
+    vehiculosContactoLinkField: process.env.AIRTABLE_VEHICULOS_CONTACTO_LINK_FIELD || "whatsappNumero",
+    vehiculosClienteIdField: vehiculosClienteIdFieldRaw || null,
+    vehiculosWhatsappField: vehiculosWhatsappFieldRaw || null,
+    vehiculosVehiculoIdField: process.env.AIRTABLE_VEHICULOS_VEHICULO_ID_FIELD || "vehiculoId",
+    vehiculosApodoField: process.env.AIRTABLE_VEHICULOS_APODO_FIELD || "apodo",
+    vehiculosMaxRecords: Number(process.env.AIRTABLE_VEHICULOS_MAX_RECORDS || 500),
+    timeoutMs: Number(process.env.AIRTABLE_TIMEOUT_MS || 5000),
+    deadlineMs: Number(process.env.AIRTABLE_DEADLINE_MS || 12000),
+    maxAttempts: Math.max(1, Number(process.env.AIRTABLE_MAX_ATTEMPTS || 3)),
+    retryBaseMs: Number(process.env.AIRTABLE_RETRY_BASE_MS || 500),
+  };
+
+  if (!config.apiKey || !config.baseId) {
+    throw new Error("Airtable: faltan AIRTABLE_API_KEY o AIRTABLE_BASE_ID");
+  }
+  return config;
+}
+
+function isRetryableAirtableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Espera antes de reintentar: respeta Retry-After (Airtable lo manda en 429) y si
+ * no viene usa backoff exponencial con jitter. Nunca rebasa el deadline restante.
+ */
+function airtableRetryDelayMs(cfg, attempt, resp, remainingMs) {
+  const retryAfter = Number(resp?.headers?.get("retry-after"));
+  const backoff = Number.isFinite(retryAfter) && retryAfter > 0
+    ? retryAfter * 1000
+    : cfg.retryBaseMs * 2 ** (attempt - 1) + Math.floor(Math.random() * cfg.retryBaseMs);
+  return Math.min(backoff, Math.max(0, remainingMs));
+}
+
+/**
+ * Una pagina de la REST API con timeout por request (incluida la lectura del
+ * body) y reintentos en 429/5xx/red/JSON invalido. Un 4xx distinto de 429
+ * (formula invalida, campo inexistente, credenciales) no se reintenta y se lanza
+ * como Error normal; lo demas termina en CustomerSourceUnavailableError.
+ */
+async function airtableFetchPage(cfg, { url, tableName }, deadlineAt) {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= cfg.maxAttempts; attempt++) {
+    const remainingMs = deadlineAt - Date.now();
+    if (remainingMs <= 0) break;
+
+    let resp = null;
+    let text = "";
+    const endTimer = airtableRequestDuration.startTimer({ table: tableName });
+    try {
+      ({ resp, text } = await fetchTextWithTimeout(
+        url,
+        {
+          method: "GET",
+          headers: { Authorization: `Bearer ${cfg.apiKey}` },
+        },
+        Math.min(cfg.timeoutMs, remainingMs)
+      ));
+      endTimer({ outcome: resp.ok ? "ok" : `http_${resp.status}` });
+    } catch (e) {
+      endTimer({ outcome: e?.name === "AbortError" ? "timeout" : "error" });
+      const reason = e?.name === "AbortError" ? "timeout" : e?.message || String(e);
+      lastError = new CustomerSourceUnavailableError(`Airtable sin respuesta: ${reason}`, {
+        source: "airtable",
+        cause: e,
+      });
+    }
+
+    if (resp?.ok) {
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        lastError = new CustomerSourceUnavailableError(`Airtable respuesta invalida: ${e.message}`, {
+          source: "airtable",
+          status: resp.status,
+          cause: e,
+        });
+      }
+    } else if (resp) {
+      if (!isRetryableAirtableStatus(resp.status)) {
+        throw new Error(`Airtable lookup failed (${resp.status}): ${text.slice(0, 200)}`);
+      }
+      lastError = new CustomerSourceUnavailableError(`Airtable lookup failed (${resp.status}): ${text.slice(0, 200)}`, {
+        source: "airtable",
+        status: resp.status,
+      });
+    }
+
+    if (attempt < cfg.maxAttempts) {
+      log.warn("intento fallido", { table: tableName, attempt, err: lastError });
+      await sleep(airtableRetryDelayMs(cfg, attempt, resp, deadlineAt - Date.now()));
+    }
+  }
+
+  throw lastError || new CustomerSourceUnavailableError("Airtable: deadline agotado", { source: "airtable" });
+}
+
+/**
+ * Lista registros siguiendo el cursor `offset` hasta juntar `maxRecords`. Todas
+ * las paginas comparten un solo deadline (AIRTABLE_DEADLINE_MS).
+ */
+async function airtableListRecords({ tableName, formula, maxRecords = 100 }) {
+  const cfg = getAirtableConfig();
+  const base = `${cfg.apiUrl}/v0/${cfg.baseId}/${encodeURIComponent(tableName)}`;
+  const deadlineAt = Date.now() + cfg.deadlineMs;
+
+  const records = [];
+  let offset = null;
+  do {
+    const query = new URLSearchParams({
+      maxRecords: String(maxRecords),
+      pageSize: String(Math.min(100, maxRecords)),
+      filterByFormula: formula,
+    });
+    if (offset) query.set("offset", offset);
+
+    const data = await airtableFetchPage(cfg, { url: `${base}?${query.toString()}`, tableName }, deadlineAt);
+    if (Array.isArray(data?.records)) records.push(...data.records);
+    offset = typeof data?.offset === "string" && data.offset ? data.offset : null;
+  } while (offset && records.length < maxRecords);
+
+  return records.slice(0, maxRecords);
+}
+
+/**
+ * Para las consultas de fallback de vehiculos: un 4xx (p. ej. campo configurado
+ * que no existe en la tabla) cuenta como "sin resultados", pero si Airtable no
+ * esta disponible el error se propaga.
+ */
+async function airtableListRecordsSafe({ tableName, formula, maxRecords = 100, context = "lookup" }) {
+  try {
+    return await airtableListRecords({ tableName, formula, maxRecords });
+  } catch (e) {
+    if (e instanceof CustomerSourceUnavailableError) throw e;
+    log.warn("consulta de fallback sin resultados", { table: tableName, context, err: e });
+    return [];
+  }
+}
+
+async function findContacto(email, whatsapp10) {
+  const cfg = getAirtableConfig();
+  const phone10 = normalizePhone10(whatsapp10);
+  if (!phone10) return null;
+
+  const emailEsc = airtableEscapeFormulaString(email.toLowerCase());
+  const formula = `LOWER({${cfg.contactosEmailField}})='${emailEsc}'`;
+  const records = await airtableListRecords({
+    tableName: cfg.contactosTable,
+    formula,
+    maxRecords: 20,
+  });
+
+  if (!records.length) return null;
+
+  let rec = null;
+  let clienteId = null;
+  for (const r of records) {
+    const raw = normalizeAirtableText(r?.fields?.[cfg.contactosWhatsappField]);
+    const last10 = normalizePhone10(raw);
+    if (last10 !== phone10) continue;
+    const cid = normalizeAirtableText(r?.fields?.[cfg.contactosClienteIdField]);
+    if (!cid) continue;
+    rec = r;
+    clienteId = cid;
+    break;
+  }
+
+  if (!rec || !clienteId) return null;
+
+  return {
+    contacto_record_id: rec.id,
+    cliente_id: clienteId,
+  };
+}
+
+function mapVehiculos(records, cfg) {
+  return records
+    .map((rec) =>
+      toVehiculo({
+        recordId: rec.id,
+        vehiculoId: normalizeAirtableText(rec?.fields?.[cfg.vehiculosVehiculoIdField]),
+        apodo: normalizeAirtableText(rec?.fields?.[cfg.vehiculosApodoField]),
+      })
+    )
+    .filter(Boolean);
+}
+
+async function listVehiculos({ contacto_record_id: contactoRecordId, cliente_id: clienteId }, whatsapp10) {
+  const cfg = getAirtableConfig();
+  const collected = new Map();
+
+  const collect = (records) => {
+    for (const rec of records) {
+      if (!rec?.id) continue;
+      if (!collected.has(rec.id)) {
+        collected.set(rec.id, rec);
+      }
+    }
+  };
+
+  if (contactoRecordId) {
+    const contactoEsc = airtableEscapeFormulaString(contactoRecordId);
+    const formulaByLink = `FIND('${contactoEsc}', ARRAYJOIN({${cfg.vehiculosContactoLinkField}}, ','))`;
+    const byLink = await airtableListRecordsSafe({
+      tableName: cfg.vehiculosTable,
+      formula: formulaByLink,
+      maxRecords: cfg.vehiculosMaxRecords,
+      context: "vehiculos_by_link",
+    });
+    collect(byLink);
+  }
+
+  // Fallback: algunos equipos guardan el campo configurado como texto/telefono
+  // (por ejemplo whatsappNumero) en lugar de record-link.
+  if (collected.size === 0 && whatsapp10 && cfg.vehiculosContactoLinkField) {
+    const phone10 = normalizePhone10(whatsapp10);
+    const phone12 = normalizePhoneForAirtable(phone10 || whatsapp10);
+    const phone10Esc = airtableEscapeFormulaString(phone10 || "");
+    const phone12Esc = airtableEscapeFormulaString(phone12);
+    const formulaByContactoFieldAsPhone =
+      `OR(({${cfg.vehiculosContactoLinkField}}&'')='${phone12Esc}', ({${cfg.vehiculosContactoLinkField}}&'')='${phone10Esc}')`;
+
+    const byContactoFieldAsPhone = await airtableListRecordsSafe({
+      tableName: cfg.vehiculosTable,
+      formula: formulaByContactoFieldAsPhone,
+      maxRecords: cfg.vehiculosMaxRecords,
+      context: "vehiculos_by_contacto_field_as_phone",
+    });
+    collect(byContactoFieldAsPhone);
+  }
+
+  if (collected.size === 0 && clienteId && cfg.vehiculosClienteIdField) {
+    const clienteEsc = airtableEscapeFormulaString(clienteId);
+    const formulaByClienteId = `({${cfg.vehiculosClienteIdField}}&'')='${clienteEsc}'`;
+    const byClienteId = await airtableListRecordsSafe({
+      tableName: cfg.vehiculosTable,
+      formula: formulaByClienteId,
+      maxRecords: cfg.vehiculosMaxRecords,
+      context: "vehiculos_by_cliente_id",
+    });
+    collect(byClienteId);
+  }
+
+  if (collected.size === 0 && whatsapp10 && cfg.vehiculosWhatsappField) {
+    const phone10 = normalizePhone10(whatsapp10);
+    const phone12 = normalizePhoneForAirtable(phone10 || whatsapp10);
+    const phoneEsc = airtableEscapeFormulaString(phone12);
+    const phone10Esc = airtableEscapeFormulaString(phone10 || "");
+    const formulaByWhatsapp = `OR(({${cfg.vehiculosWhatsappField}}&'')='${phoneEsc}', ({${cfg.vehiculosWhatsappField}}&'')='${phone10Esc}')`;
+    const byWhatsapp = await airtableListRecordsSafe({
+      tableName: cfg.vehiculosTable,
+      formula: formulaByWhatsapp,
+      maxRecords: cfg.vehiculosMaxRecords,
+      context: "vehiculos_by_whatsapp",
+    });
+    collect(byWhatsapp);
+  }
+
+  return mapVehiculos(Array.from(collected.values()), cfg);
+}
+
+function createAirtableCustomerSource() {
+  return { name: "airtable", findContacto, listVehiculos };
+}
+
+module.exports = {
+  createAirtableCustomerSource,
+  getAirtableConfig,
+  airtableListRecords,
+  airtableEscapeFormulaString,
+  normalizeAirtableText,
+};
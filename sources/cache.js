@@ -0,0 +1,37 @@
+/**
+ * Cache en memoria con TTL y tamano maximo (expulsa la entrada mas antigua).
+ */
+function createTtlCache({ ttlMs, maxEntries }) {
+  const entries = new Map();
+
+  function get(key) {
+    const hit = entries.get(key);
+    if (!hit) return undefined;
+    if (hit.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return hit.value;
+  }
+
+  function set(key, value) {
+    if (ttlMs <= 0 || maxEntries <= 0) return;
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+module.exports = { createTtlCache };
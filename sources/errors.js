@@ -0,0 +1,14 @@
+/**
+ * El proveedor de clientes no respondio (timeout, 429/5xx, red). Se distingue de
+ * "no encontrado" para que lookup/send-link respondan 503 y no un 404 enganoso.
+ */
+class CustomerSourceUnavailableError extends Error {
+  constructor(message, { source = null, status = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "CustomerSourceUnavailableError";
+    this.source = source;
+    this.status = status;
+  }
+}
+
+module.exports = { CustomerSourceUnavailableError };
@@ -0,0 +1,50 @@
+const fs = require("fs");
+const { normalizePhone10 } = require("./phone");
+const { toVehiculo } = require("./vehiculos");
+
+/**
+ * Proveedor en memoria para correr el flujo completo sin Airtable ni Postgres.
+ *
+ * Datos:
+ * {
+ *   "contactos": [{ "record_id", "email", "whatsapp_id", "cliente_id" }],
+ *   "vehiculos": [{ "record_id", "contacto_record_id", "cliente_id", "vehiculoId", "apodo" }]
+ * }
+ */
+function createFixtureCustomerSource(data = {}) {
+  const contactos = Array.isArray(data.contactos) ? data.contactos : [];
+  const vehiculos = Array.isArray(data.vehiculos) ? data.vehiculos : [];
+
+  return {
+    name: "fixture",
+    async findContacto(email, whatsapp10) {
+      const phone10 = normalizePhone10(whatsapp10);
+      if (!phone10) return null;
+      const emailLower = String(email).toLowerCase();
+
+      const match = contactos.find(
+        (c) =>
+          String(c.email || "").toLowerCase() === emailLower &&
+          normalizePhone10(c.whatsapp_id) === phone10 &&
+          String(c.cliente_id || "").trim()
+      );
+      if (!match) return null;
+      return { contacto_record_id: match.record_id, cliente_id: String(match.cliente_id).trim() };
+    },
+    async listVehiculos({ contacto_record_id, cliente_id }) {
+      return vehiculos
+        .filter((v) => v.contacto_record_id === contacto_record_id || (cliente_id && v.cliente_id === cliente_id))
+        .map((v) => toVehiculo({ recordId: v.record_id, vehiculoId: v.vehiculoId, apodo: v.apodo }))
+        .filter(Boolean);
+    },
+  };
+}
+
+function loadFixtureCustomerSource(filePath) {
+  if (!filePath) {
+    throw new Error("Fixture: falta CUSTOMER_SOURCE_FIXTURE_FILE");
+  }
+  return createFixtureCustomerSource(JSON.parse(fs.readFileSync(filePath, "utf8")));
+}
+
+module.exports = { createFixtureCustomerSource, loadFixtureCustomerSource };
@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+const { normalizePhone10 } = require("./phone");
+const { createTtlCache } = require("./cache");
+const { CustomerSourceUnavailableError } = require("./errors");
+const { createAirtableCustomerSource } = require("./airtable");
+const { createPostgresCustomerSource } = require("./postgres");
+const { loadFixtureCustomerSource } = require("./fixture");
+const { createLogger } = require("../logger");
+
+const log = createLogger("customer-source");
+
+/**
+ * Fuente de datos de clientes. Todo proveedor expone:
+ * - findContacto(email, whatsapp10) -> { contacto_record_id, cliente_id } | null
+ * - listVehiculos({ contacto_record_id, cliente_id }, whatsapp10) -> vehiculos[]
+ *
+ * Se elige con CUSTOMER_SOURCE (`airtable` por default, `postgres`, `fixture`)
+ * o se reemplaza con `setCustomerSource`.
+ *
+ * Si el proveedor no responde debe lanzar `CustomerSourceUnavailableError`;
+ * `null` / lista vacia significa "no encontrado".
+ */
+let customerSource = null;
+
+function getCustomerSource() {
+  if (customerSource) return customerSource;
+
+  const name = String(process.env.CUSTOMER_SOURCE || "airtable").trim().toLowerCase();
+  if (name === "airtable") {
+    customerSource = createAirtableCustomerSource();
+  } else if (name === "postgres") {
+    customerSource = createPostgresCustomerSource();
+  } else if (name === "fixture") {
+    customerSource = loadFixtureCustomerSource(process.env.CUSTOMER_SOURCE_FIXTURE_FILE);
+  } else {
+    throw new Error(`CUSTOMER_SOURCE invalido (${name})`);
+  }
+  return customerSource;
+}
+
+function setCustomerSource(source) {
+  customerSource = source;
+  lookupCache.clear();
+}
+
+/**
+ * Cache de resultados positivos entre lookup y send-link (ahorra la cadena de
+ * consultas al proveedor). Los "no encontrado" no se cachean.
+ */
+const lookupCache = createTtlCache({
+  ttlMs: Number(process.env.LOOKUP_CACHE_TTL_SECONDS ?? 120) * 1000,
+  maxEntries: Number(process.env.LOOKUP_CACHE_MAX_ENTRIES ?? 500),
+});
+
+function lookupCacheKey(email, phone10) {
+  return crypto.createHash("sha256").update(`${String(email).trim().toLowerCase()}|${phone10}`).digest("hex");
+}
+
+async function findContactoAndVehiculos(email, whatsapp10) {
+  const phone10 = normalizePhone10(whatsapp10);
+  if (!phone10) return null;
+
+  const cacheKey = lookupCacheKey(email, phone10);
+  const cached = lookupCache.get(cacheKey);
+  if (cached) return cached;
+
+  const source = getCustomerSource();
+  const contacto = await source.findContacto(email, phone10);
+  if (!contacto) return null;
+
+  const vehiculos = await source.listVehiculos(contacto, phone10);
+  log.info("contacto y vehiculos", {
+    source: source.name,
+    contacto_record_id: contacto.contacto_record_id,
+    vehiculos_encontrados: Array.isArray(vehiculos) ? vehiculos.length : 0,
+  });
+
+  const found = { ...contacto, vehiculos };
+  if (Array.isArray(vehiculos) && vehiculos.length) {
+    lookupCache.set(cacheKey, found);
+  }
+  return found;
+}
+
+module.exports = {
+  CustomerSourceUnavailableError,
+  getCustomerSource,
+  setCustomerSource,
+  findContactoAndVehiculos,
+  lookupCache,
+};
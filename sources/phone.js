@@ -0,0 +1,19 @@
+/**
+ * Normalizacion de telefonos compartida por los proveedores de datos.
+ */
+function normalizePhoneForAirtable(whatsappId10) {
+  return `52${whatsappId10}`;
+}
+
+function onlyDigits(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).replace(/\D/g, "");
+}
+
+function normalizePhone10(value) {
+  const digits = onlyDigits(value);
+  if (digits.length < 10) return null;
+  return digits.slice(-10);
+}
+
+module.exports = { normalizePhoneForAirtable, onlyDigits, normalizePhone10 };
@@ -0,0 +1,76 @@
+const db = require("../db");
+const { normalizePhone10 } = require("./phone");
+const { CustomerSourceUnavailableError } = require("./errors");
+const { toVehiculo } = require("./vehiculos");
+
+/**
+ * Proveedor Postgres: tablas `contactos` y `vehiculos` (migracion 007).
+ *
+ * Como en Airtable, una caida (red, conexion, recursos, timeout) termina en
+ * CustomerSourceUnavailableError; un error del SQL (tabla o columna
+ * inexistente) es de configuracion y se lanza tal cual.
+ */
+const UNAVAILABLE_SQLSTATE_CLASSES = ["08", "53", "57"];
+
+function isPostgresUnavailable(e) {
+  const code = String(e?.code || "");
+  // Sin SQLSTATE (ECONNREFUSED, "Connection terminated", timeout del pool) es de red
+  if (!/^[0-9A-Z]{5}$/.test(code)) return true;
+  return UNAVAILABLE_SQLSTATE_CLASSES.includes(code.slice(0, 2));
+}
+
+function createPostgresCustomerSource({ pool = db.pool } = {}) {
+  async function query(sql, params) {
+    try {
+      return await pool.query(sql, params);
+    } catch (e) {
+      if (!isPostgresUnavailable(e)) throw e;
+      throw new CustomerSourceUnavailableError(`Postgres sin respuesta: ${e?.message || e}`, {
+        source: "postgres",
+        cause: e,
+      });
+    }
+  }
+
+  async function findContacto(email, whatsapp10) {
+    const phone10 = normalizePhone10(whatsapp10);
+    if (!phone10) return null;
+
+    const { rows } = await query(
+      `SELECT record_id, whatsapp_id, cliente_id
+       FROM contactos
+       WHERE lower(email) = $1
+       ORDER BY created_at
+       LIMIT 20`,
+      [String(email).toLowerCase()]
+    );
+
+    const match = rows.find((r) => normalizePhone10(r.whatsapp_id) === phone10 && String(r.cliente_id || "").trim());
+    if (!match) return null;
+
+    return {
+      contacto_record_id: match.record_id,
+      cliente_id: String(match.cliente_id).trim(),
+    };
+  }
+
+  async function listVehiculos({ contacto_record_id, cliente_id }) {
+    const { rows } = await query(
+      `SELECT record_id, vehiculo_id, apodo
+       FROM vehiculos
+       WHERE contacto_record_id = $1
+          OR ($2::text IS NOT NULL AND cliente_id = $2::text)
+       ORDER BY created_at, record_id
+       LIMIT 500`,
+      [contacto_record_id, cliente_id || null]
+    );
+
+    return rows
+      .map((r) => toVehiculo({ recordId: r.record_id, vehiculoId: r.vehiculo_id, apodo: r.apodo }))
+      .filter(Boolean);
+  }
+
+  return { name: "postgres", findContacto, listVehiculos };
+}
+
+module.exports = { createPostgresCustomerSource };
@@ -0,0 +1,16 @@
+/**
+ * Forma comun de vehiculo que regresan todos los proveedores.
+ */
+function toVehiculo({ recordId, vehiculoId, apodo }) {
+  const id = vehiculoId === null || vehiculoId === undefined ? "" : String(vehiculoId).trim();
+  if (!id) return null;
+  const label = (apodo === null || apodo === undefined ? "" : String(apodo).trim()) || "Vehículo sin apodo";
+  return {
+    vehiculo_record_id: recordId,
+    vehiculoId: id,
+    apodo: label,
+    identifica_tu_vehiculo: label,
+  };
+}
+
+module.exports = { toVehiculo };
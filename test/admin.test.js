@@ -0,0 +1,161 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startTestApp, issueResetToken, extractResetToken } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { CLIENTE_DOS_VEHICULOS } = require("./support/fixtures");
+
+const ADMIN_KEY = "llave-admin-pruebas";
+
+describe("admin /admin/nip-reset", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp({ env: { ADMIN_API_KEYS: `soporte:${ADMIN_KEY}` } });
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+  });
+
+  const cliente = CLIENTE_DOS_VEHICULOS;
+  const auth = { authorization: `Bearer ${ADMIN_KEY}` };
+  const admin = (method, path, body, headers = auth) => ctx.request(method, `/admin${path}`, { body, headers });
+  const listTokens = async (query = "") =>
+    (await admin("GET", `/nip-reset/tokens?cliente_id=${cliente.cliente_id}${query}`)).body.tokens;
+
+  async function tokenId(token) {
+    const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
+    const { rows } = await ctx.pool.query("SELECT id FROM nip_reset_tokens WHERE token_hash = $1", [tokenHash]);
+    return rows[0].id;
+  }
+
+  it("401 sin llave o con una llave incorrecta; sin encabezados CORS", async () => {
+    const sinLlave = await admin("GET", `/nip-reset/tokens?cliente_id=${cliente.cliente_id}`, undefined, {});
+    assert.equal(sinLlave.status, 401);
+    assert.equal(sinLlave.body.error_code, "unauthorized");
+
+    for (const headers of [{ authorization: "Bearer otra-llave" }, { "x-admin-api-key": "otra-llave" }]) {
+      const res = await admin("GET", `/nip-reset/tokens?cliente_id=${cliente.cliente_id}`, undefined, headers);
+      assert.equal(res.status, 401);
+    }
+    const porHeader = await admin("GET", `/nip-reset/tokens?cliente_id=${cliente.cliente_id}`, undefined, {
+      "x-admin-api-key": ADMIN_KEY,
+    });
+    assert.equal(porHeader.status, 200);
+
+    // El Origin permitido del front no habilita CORS en /admin
+    assert.equal(porHeader.headers.get("access-control-allow-origin"), null);
+    const preflight = await ctx.request("OPTIONS", "/admin/nip-reset/tokens", {
+      headers: { "access-control-request-method": "GET" },
+    });
+    assert.equal(preflight.headers.get("access-control-allow-origin"), null);
+  });
+
+  it("clasifica los tokens en active, expired, used y superseded", async () => {
+    const reemplazado = await issueResetToken(ctx, cliente, "V-101");
+    const expirado = await issueResetToken(ctx, cliente, "V-101");
+    await ctx.pool.query("UPDATE nip_reset_tokens SET expires_at = now() - interval '1 minute' WHERE id = $1", [
+      await tokenId(expirado),
+    ]);
+    const usado = await issueResetToken(ctx, cliente, "V-102");
+    const confirm = await ctx.request("POST", "/nip-reset/confirm", {
+      body: { token: usado, nip: "4821", nipConfirm: "4821" },
+    });
+    assert.equal(confirm.status, 200);
+    const activo = await issueResetToken(ctx, cliente, "V-102");
+
+    const tokens = await listTokens();
+    const statusOf = async (token) => {
+      const id = await tokenId(token);
+      return tokens.find((t) => t.id === id)?.status;
+    };
+    assert.equal(await statusOf(reemplazado), "superseded");
+    assert.equal(await statusOf(expirado), "expired");
+    assert.equal(await statusOf(usado), "used");
+    assert.equal(await statusOf(activo), "active");
+
+    // Filtro por vehiculo
+    assert.deepEqual(
+      (await listTokens("&vehiculo_id=V-101")).map((t) => t.status).sort(),
+      ["expired", "superseded"]
+    );
+  });
+
+  it("revocar es idempotente: la segunda vez 409 sin otro evento; 404 si no existe", async () => {
+    const token = await issueResetToken(ctx, cliente, "V-101");
+    const id = await tokenId(token);
+
+    const res = await admin("POST", `/nip-reset/tokens/${id}/revoke`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.token.status, "revoked");
+    const [evento] = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.equal(evento.evento, "ADMIN_TOKEN_REVOCADO");
+    assert.equal(evento.detalle.admin, "soporte");
+    assert.equal(evento.detalle.registro_id, id);
+
+    const otraVez = await admin("POST", `/nip-reset/tokens/${id}/revoke`);
+    assert.equal(otraVez.status, 409);
+    assert.equal(otraVez.body.error_code, "admin_token_not_active");
+    assert.deepEqual(await ctx.eventsFor(otraVez.headers.get("x-request-id")), []);
+
+    assert.equal((await ctx.request("GET", `/nip-reset/token-info?token=${token}`)).status, 403);
+    assert.equal((await listTokens()).find((t) => t.id === id).status, "revoked");
+    assert.equal((await admin("POST", "/nip-reset/tokens/999999999/revoke")).status, 404);
+  });
+
+  it("revocar una fila de una liga de varios vehiculos revoca la liga completa", async () => {
+    const link = await ctx.request("POST", "/nip-reset/send-link", {
+      body: {
+        email: cliente.email,
+        whatsapp_id: cliente.whatsapp_id,
+        cliente_id: cliente.cliente_id,
+        vehiculoIds: "all",
+      },
+    });
+    assert.equal(link.status, 200);
+    const token = extractResetToken(ctx.mailer.last().text);
+    const id = await tokenId(token);
+
+    const res = await admin("POST", `/nip-reset/tokens/${id}/revoke`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.token.id, id);
+    assert.deepEqual(res.body.vehiculos, ["V-101", "V-102"]);
+    const [evento] = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.equal(evento.vehiculo_id, null);
+    assert.deepEqual(evento.detalle.vehiculos, ["V-101", "V-102"]);
+
+    assert.deepEqual((await listTokens()).map((t) => t.status), ["revoked", "revoked"]);
+    assert.equal((await ctx.request("GET", `/nip-reset/token-info?token=${token}`)).status, 403);
+    const confirm = await ctx.request("POST", "/nip-reset/confirm", {
+      body: { token, nip: "4821", nipConfirm: "4821" },
+    });
+    assert.equal(confirm.status, 403);
+    assert.equal(ctx.webhook.deliveries.length, 0);
+  });
+
+  it("limpiar el rate limit vuelve a permitir send-link del vehiculo", async () => {
+    process.env.CUSTOMER_VEHICLE_RATE_MAX = "1";
+    await issueResetToken(ctx, cliente, "V-101");
+    const body = { email: cliente.email, whatsapp_id: cliente.whatsapp_id, cliente_id: cliente.cliente_id };
+    const sendLink = () => ctx.request("POST", "/nip-reset/send-link", { body: { ...body, vehiculoId: "V-101" } });
+    assert.equal((await sendLink()).status, 429);
+
+    const res = await admin("POST", "/nip-reset/rate-limit/clear", {
+      cliente_id: cliente.cliente_id,
+      vehiculo_id: "V-101",
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cleared, 1);
+    const [evento] = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.equal(evento.evento, "ADMIN_RATE_LIMIT_LIMPIADO");
+    assert.equal(evento.detalle.registros, 1);
+    assert.notEqual((await listTokens("&vehiculo_id=V-101"))[0].rate_limit_cleared_at, null);
+
+    assert.equal((await sendLink()).status, 200);
+    // Los tokens nuevos vuelven a contar
+    assert.equal((await sendLink()).status, 429);
+  });
+});
@@ -0,0 +1,429 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startTestApp, issueResetToken, extractResetToken } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { CLIENTE_DOS_VEHICULOS } = require("./support/fixtures");
+
+async function waitFor(check, { timeoutMs = 3000, intervalMs = 50 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("waitFor: tiempo agotado");
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+describe("POST /nip-reset/confirm", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+  });
+
+  const cliente = CLIENTE_DOS_VEHICULOS;
+  const confirm = (body) => ctx.request("POST", "/nip-reset/confirm", { body });
+  const confirmStatus = (requestId) =>
+    ctx.request("GET", `/nip-reset/confirm-status?request_id=${encodeURIComponent(requestId)}`);
+
+  // CONFIRM_INTENTO se escribe al liberar la conexion, despues de responder
+  async function confirmResultado(res) {
+    const evento = await waitFor(async () =>
+      (await ctx.eventsFor(res.headers.get("x-request-id"))).find((e) => e.evento === "CONFIRM_INTENTO")
+    );
+    return evento.detalle.resultado;
+  }
+
+  async function outboxOf(requestId) {
+    const { rows } = await ctx.pool.query(
+      "SELECT status, attempts, last_error, payload FROM nip_persist_outbox WHERE request_id = $1",
+      [requestId]
+    );
+    return rows[0];
+  }
+
+  async function tokenRow(token) {
+    const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
+    const { rows } = await ctx.pool.query(
+      "SELECT used_at, invalidated_reason FROM nip_reset_tokens WHERE token_hash = $1",
+      [tokenHash]
+    );
+    return rows[0];
+  }
+
+  it("400 con datos invalidos", async () => {
+    const res = await confirm({ token: "corto", nip: "12a4", nipConfirm: "1234" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Datos inválidos.");
+  });
+
+  it("400 si los NIP no coinciden (el token sigue vigente)", async () => {
+    const token = await issueResetToken(ctx, cliente);
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4822" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Los NIP no coinciden.");
+    assert.equal(await confirmResultado(res), "nip_no_coincide");
+    assert.equal((await tokenRow(token)).used_at, null);
+  });
+
+  it("403 si el token no existe", async () => {
+    const res = await confirm({ token: "y".repeat(43), nip: "4821", nipConfirm: "4821" });
+    assert.equal(res.status, 403);
+    assert.equal(await confirmResultado(res), "token_invalido");
+  });
+
+  it("403 si el token expiro", async () => {
+    const token = await issueResetToken(ctx, cliente);
+    await ctx.pool.query("UPDATE nip_reset_tokens SET expires_at = now() - interval '1 minute'");
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    assert.equal(res.status, 403);
+    assert.equal(await confirmResultado(res), "token_expirado");
+    assert.equal(ctx.webhook.deliveries.length, 0);
+  });
+
+  it("503 si el token no tiene contexto de vehiculo", async () => {
+    const token = await issueResetToken(ctx, cliente);
+    await ctx.pool.query("UPDATE nip_reset_tokens SET vehiculo_id = NULL");
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    assert.equal(res.status, 503);
+    assert.equal(await confirmResultado(res), "token_sin_contexto");
+    assert.equal((await tokenRow(token)).used_at, null);
+  });
+
+  it("503 sin webhook configurado: rollback, el token no se consume", async () => {
+    const token = await issueResetToken(ctx, cliente);
+    delete process.env.NIP_PERSIST_WEBHOOK_URL;
+
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    assert.equal(res.status, 503);
+    assert.equal(await confirmResultado(res), "webhook_no_configurado");
+    assert.equal(await outboxOf(res.headers.get("x-request-id")), undefined);
+    assert.equal((await tokenRow(token)).used_at, null);
+    assert.equal((await ctx.request("GET", `/nip-reset/token-info?token=${token}`)).status, 200);
+  });
+
+  it("200 confirmado: webhook firmado con el request_id de la respuesta", async () => {
+    const token = await issueResetToken(ctx, cliente, "V-102");
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    const requestId = res.headers.get("x-request-id");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.estado, "confirmado");
+    assert.equal(res.body.request_id, requestId);
+
+    assert.equal(ctx.webhook.deliveries.length, 1);
+    const [delivery] = ctx.webhook.deliveries;
+    assert.equal(delivery.signatureValid, true);
+    assert.equal(delivery.headers["x-ama-event"], "NIP_RESET_CONFIRMADO");
+    assert.equal(delivery.body.request_id, requestId);
+    assert.equal(delivery.body.cliente_id, cliente.cliente_id);
+    assert.equal(delivery.body.vehiculoId, "V-102");
+    assert.equal(delivery.body.vehiculo_record_id, "recVehiculo102");
+    assert.equal(delivery.body.contacto_record_id, cliente.contacto_record_id);
+    assert.equal(delivery.body.apodo, "Tsuru");
+    assert.equal(delivery.body.nuevo_nip, "4821");
+
+    assert.equal((await tokenRow(token)).invalidated_reason, "confirmado");
+    const outbox = await outboxOf(requestId);
+    assert.equal(outbox.status, "delivered");
+    assert.equal(outbox.payload.nuevo_nip, undefined);
+
+    assert.deepEqual(
+      (await ctx.eventsFor(requestId)).map((e) => e.evento).slice(0, 2),
+      ["CONFIRM_INTENTO", "CONFIRM_EXITOSO"]
+    );
+    assert.equal(await confirmResultado(res), "encolado");
+
+    const status = await confirmStatus(requestId);
+    assert.equal(status.status, 200);
+    assert.equal(status.body.estado, "confirmado");
+
+    // Aviso "tu NIP fue cambiado" al correo que pidio la liga
+    const aviso = await waitFor(() => ctx.mailer.sent[1]);
+    assert.equal(aviso.subject, "Tu NIP de Tsuru fue cambiado | AMA Track & Safe");
+    assert.equal(aviso.to[0].address, cliente.email);
+  });
+
+  it("403 al reutilizar un token ya confirmado", async () => {
+    const token = await issueResetToken(ctx, cliente);
+    assert.equal((await confirm({ token, nip: "4821", nipConfirm: "4821" })).status, 200);
+
+    const res = await confirm({ token, nip: "1357", nipConfirm: "1357" });
+    assert.equal(res.status, 403);
+    assert.equal(await confirmResultado(res), "token_usado");
+    assert.equal(ctx.webhook.deliveries.length, 1);
+  });
+
+  it("202 procesando si el webhook tarda mas que la espera inline", async () => {
+    process.env.NIP_PERSIST_OUTBOX_INLINE_WAIT_MS = "200";
+    ctx.webhook.respondWith(200, { delayMs: 700 });
+    const token = await issueResetToken(ctx, cliente);
+
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.estado, "procesando");
+    assert.equal((await confirmStatus(res.body.request_id)).body.estado, "procesando");
+
+    await waitFor(async () => (await confirmStatus(res.body.request_id)).body.estado === "confirmado");
+  });
+
+  it("webhook con error y reintentos pendientes: 202 y el evento queda en el outbox", async () => {
+    ctx.webhook.respondWith(500);
+    const token = await issueResetToken(ctx, cliente);
+
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    assert.equal(res.status, 202);
+
+    const outbox = await outboxOf(res.body.request_id);
+    assert.equal(outbox.status, "pending");
+    assert.equal(outbox.attempts, 1);
+    assert.match(outbox.last_error, /500/);
+    assert.equal((await tokenRow(token)).invalidated_reason, "confirmado");
+
+    // En reposo el NIP va sellado; el despachador lo abre al enviar
+    assert.equal(outbox.payload.nuevo_nip, undefined);
+    assert.equal(outbox.payload.nuevo_nip_sellado.kid, "o1");
+    assert.doesNotMatch(JSON.stringify(outbox.payload), /4821/);
+
+    ctx.webhook.respondWith(200);
+    await ctx.pool.query("UPDATE nip_persist_outbox SET next_attempt_at = now() WHERE request_id = $1", [
+      res.body.request_id,
+    ]);
+    await require("../outbox").dispatchPendingOutbox();
+    const [, entrega] = ctx.webhook.deliveries;
+    assert.equal(entrega.body.nuevo_nip, "4821");
+    assert.equal(entrega.body.nuevo_nip_sellado, undefined);
+    assert.equal((await outboxOf(res.body.request_id)).payload.nuevo_nip_sellado, undefined);
+  });
+
+  it("si no se puede marcar la fila tras entregar: ni reintento inmediato ni last_error", async () => {
+    const token = await issueResetToken(ctx, cliente);
+    await ctx.pool.query(`
+      CREATE FUNCTION test_falla_entregado() RETURNS trigger LANGUAGE plpgsql AS $$
+      BEGIN
+        IF NEW.status = 'delivered' THEN RAISE EXCEPTION 'escritura no disponible'; END IF;
+        RETURN NEW;
+      END $$;
+      CREATE TRIGGER test_falla_entregado BEFORE UPDATE ON nip_persist_outbox
+        FOR EACH ROW EXECUTE FUNCTION test_falla_entregado();
+    `);
+    try {
+      const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+      assert.equal(res.status, 200);
+      assert.equal(ctx.webhook.deliveries.length, 1);
+
+      // Sigue pendiente hasta que venza el lease, sin un error que confirm-status reporte
+      const outbox = await outboxOf(res.body.request_id);
+      assert.equal(outbox.status, "pending");
+      assert.equal(outbox.last_error, null);
+      assert.equal(outbox.attempts, 1);
+    } finally {
+      await ctx.pool.query(
+        "DROP TRIGGER test_falla_entregado ON nip_persist_outbox; DROP FUNCTION test_falla_entregado();"
+      );
+    }
+  });
+
+  it("503 sin llave para sellar el NIP en el outbox: el token no se consume", async () => {
+    const token = await issueResetToken(ctx, cliente);
+    delete process.env.NIP_OUTBOX_ENCRYPTION_KEY;
+
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    assert.equal(res.status, 503);
+    assert.equal(await outboxOf(res.headers.get("x-request-id")), undefined);
+    assert.equal((await tokenRow(token)).used_at, null);
+  });
+
+  it("503 fallido si el webhook agota intentos: dead-letter sin NIP", async () => {
+    process.env.NIP_PERSIST_OUTBOX_MAX_ATTEMPTS = "1";
+    ctx.webhook.respondWith(500);
+    const token = await issueResetToken(ctx, cliente);
+
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    assert.equal(res.status, 503);
+    assert.equal(res.body.estado, "fallido");
+    assert.equal(res.body.message, "No fue posible aplicar tu nuevo NIP. Solicita un nuevo restablecimiento.");
+
+    const outbox = await outboxOf(res.body.request_id);
+    assert.equal(outbox.status, "dead");
+    assert.equal(outbox.payload.nuevo_nip, undefined);
+
+    const eventos = (await ctx.eventsFor(res.body.request_id)).map((e) => e.evento);
+    assert.ok(eventos.includes("CONFIRM_WEBHOOK_FALLIDO"));
+    assert.equal((await confirmStatus(res.body.request_id)).body.estado, "fallido");
+
+    // El token ya se consumio: hay que pedir una liga nueva
+    assert.equal((await ctx.request("GET", `/nip-reset/token-info?token=${token}`)).status, 403);
+    assert.equal(ctx.mailer.sent.length, 1);
+  });
+
+  it("400 con NIP debil: codigo por regla y el token sigue vigente", async () => {
+    const token = await issueResetToken(ctx, cliente);
+    const casos = [
+      ["0000", "nip_repetido"],
+      ["9876", "nip_secuencial"],
+      ["1212", "nip_comun"],
+      // Cuatro digitos seguidos del whatsapp_id 5512345678
+      ["5512", "nip_telefono"],
+    ];
+
+    for (const [nip, code] of casos) {
+      const res = await confirm({ token, nip, nipConfirm: nip });
+      assert.equal(res.status, 400, nip);
+      assert.equal(res.body.error_code, code);
+      const evento = await waitFor(async () =>
+        (await ctx.eventsFor(res.headers.get("x-request-id"))).find((e) => e.evento === "CONFIRM_INTENTO")
+      );
+      assert.deepEqual(evento.detalle, { resultado: "nip_rechazado", regla: code });
+    }
+
+    const res = await confirm({ token, nip: "0000", nipConfirm: "0000", locale: "en" });
+    assert.equal(res.body.message, "The PIN cannot repeat the same digit.");
+
+    assert.equal((await tokenRow(token)).used_at, null);
+    assert.equal(ctx.webhook.deliveries.length, 0);
+    assert.equal((await confirm({ token, nip: "4821", nipConfirm: "4821" })).status, 200);
+  });
+
+  it("NIP_POLICY_RULES y NIP_POLICY_DENYLIST ajustan la politica", async () => {
+    process.env.NIP_POLICY_DENYLIST = "4821, 7391";
+    process.env.NIP_POLICY_RULES = "comun";
+    const token = await issueResetToken(ctx, cliente);
+
+    assert.equal((await confirm({ token, nip: "7391", nipConfirm: "7391" })).body.error_code, "nip_comun");
+    assert.equal((await confirm({ token, nip: "1234", nipConfirm: "1234" })).status, 200);
+  });
+
+  it("400 nip_reutilizado con un NIP reciente del mismo vehiculo; el historial solo guarda HMAC", async () => {
+    process.env.NIP_POLICY_HISTORY_SIZE = "2";
+    const confirmarCon = async (nip, vehiculoId = "V-101") => {
+      const token = await issueResetToken(ctx, cliente, vehiculoId);
+      return confirm({ token, nip, nipConfirm: nip });
+    };
+
+    assert.equal((await confirmarCon("4821")).status, 200);
+    const res = await confirmarCon("4821");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error_code, "nip_reutilizado");
+    assert.equal(res.body.message, "Ya usaste ese NIP recientemente. Elige uno distinto.");
+
+    // Otro vehiculo tiene su propio historial
+    assert.equal((await confirmarCon("4821", "V-102")).status, 200);
+
+    const { rows } = await ctx.pool.query("SELECT nip_salt, nip_hash FROM nip_history WHERE vehiculo_id = 'V-101'");
+    assert.equal(rows.length, 1);
+    assert.match(rows[0].nip_hash, /^[0-9a-f]{64}$/);
+    assert.ok(!rows[0].nip_hash.includes("4821") && !rows[0].nip_salt.includes("4821"));
+
+    // Con NIP_POLICY_HISTORY_SIZE=2 el tercero saca al primero del historial
+    assert.equal((await confirmarCon("7391")).status, 200);
+    assert.equal((await confirmarCon("5930")).status, 200);
+    assert.equal((await confirmarCon("4821")).status, 200);
+  });
+
+  it("un NIP que termino en dead-letter no cuenta como reutilizado", async () => {
+    process.env.NIP_PERSIST_OUTBOX_MAX_ATTEMPTS = "1";
+    ctx.webhook.respondWith(500);
+    const fallido = await issueResetToken(ctx, cliente);
+    assert.equal((await confirm({ token: fallido, nip: "4821", nipConfirm: "4821" })).status, 503);
+
+    const token = await issueResetToken(ctx, cliente);
+    assert.equal((await confirm({ token, nip: "4821", nipConfirm: "4821" })).status, 200);
+  });
+
+  async function issueBulkResetToken() {
+    const res = await ctx.request("POST", "/nip-reset/send-link", {
+      body: { email: cliente.email, whatsapp_id: cliente.whatsapp_id, cliente_id: cliente.cliente_id, vehiculoIds: "all" },
+    });
+    assert.equal(res.status, 200);
+    return extractResetToken(ctx.mailer.last().text);
+  }
+
+  it("lote: un webhook por vehiculo y estado por vehiculo", async () => {
+    const token = await issueBulkResetToken();
+    const inicio = ctx.mailer.sent.length;
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    const requestId = res.headers.get("x-request-id");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.estado, "confirmado");
+    assert.equal(res.body.request_id, requestId);
+    assert.deepEqual(res.body.vehiculos, [
+      { vehiculoId: "V-101", request_id: `${requestId}-1`, estado: "confirmado" },
+      { vehiculoId: "V-102", request_id: `${requestId}-2`, estado: "confirmado" },
+    ]);
+
+    const entregas = [...ctx.webhook.deliveries].sort((a, b) => a.body.request_id.localeCompare(b.body.request_id));
+    assert.deepEqual(
+      entregas.map((d) => [d.body.request_id, d.body.lote_request_id, d.body.vehiculoId, d.body.nuevo_nip]),
+      [
+        [`${requestId}-1`, requestId, "V-101", "4821"],
+        [`${requestId}-2`, requestId, "V-102", "4821"],
+      ]
+    );
+    assert.ok(entregas.every((d) => d.signatureValid));
+
+    const status = await confirmStatus(requestId);
+    assert.equal(status.status, 200);
+    assert.equal(status.body.estado, "confirmado");
+    assert.equal(status.body.vehiculos.length, 2);
+    assert.equal((await confirmStatus(`${requestId}-2`)).body.estado, "confirmado");
+
+    // Un solo aviso de cambio para todo el lote
+    const aviso = await waitFor(() => ctx.mailer.sent[inicio]);
+    assert.equal(aviso.subject, "El NIP de tus vehículos fue cambiado | AMA Track & Safe");
+    assert.match(aviso.text, /tus vehículos Vocho, Tsuru fue cambiado/);
+    assert.equal(await confirmResultado(res), "encolado");
+    assert.equal(ctx.mailer.sent.length, inicio + 1);
+  });
+
+  it("lote: parcial si el webhook de un vehiculo termina en dead-letter", async () => {
+    process.env.NIP_PERSIST_OUTBOX_MAX_ATTEMPTS = "1";
+    ctx.webhook.respondWith(500);
+    const token = await issueBulkResetToken();
+
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.estado, "parcial");
+    assert.equal(
+      res.body.message,
+      "Tu NIP se actualizó solo en algunos vehículos. Solicita un nuevo restablecimiento para los demás."
+    );
+    assert.deepEqual(res.body.vehiculos.map((v) => v.estado).sort(), ["confirmado", "fallido"]);
+
+    const status = await confirmStatus(res.headers.get("x-request-id"));
+    assert.equal(status.body.estado, "parcial");
+
+    // El aviso sale al cerrar la ultima entrega y solo nombra el vehiculo aplicado
+    const [confirmado] = res.body.vehiculos.filter((v) => v.estado === "confirmado");
+    const apodo = confirmado.vehiculoId === "V-101" ? "Vocho" : "Tsuru";
+    const aviso = await waitFor(() => ctx.mailer.sent[1]);
+    assert.equal(aviso.subject, `Tu NIP de ${apodo} fue cambiado | AMA Track & Safe`);
+  });
+
+  it("lote: un vehiculo reemplazado por otra liga queda fuera de la confirmacion", async () => {
+    const token = await issueBulkResetToken();
+    await issueResetToken(ctx, cliente, "V-101");
+
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.request_id, res.headers.get("x-request-id"));
+    assert.deepEqual(
+      res.body.vehiculos.map((v) => v.vehiculoId),
+      ["V-102"]
+    );
+    assert.equal(ctx.webhook.deliveries.length, 1);
+  });
+
+  it("confirm-status: 400 con request_id invalido y 404 si no existe", async () => {
+    assert.equal((await ctx.request("GET", "/nip-reset/confirm-status?request_id=x")).status, 400);
+    assert.equal((await confirmStatus(crypto.randomUUID())).status, 404);
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const { startTestApp, issueResetToken } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { ORIGIN, CLIENTE_DOS_VEHICULOS } = require("./support/fixtures");
+
+async function freePort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+async function waitFor(check, { timeoutMs = 5000, intervalMs = 50 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check().catch(() => null);
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("waitFor: tiempo agotado");
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+describe("readiness y apagado ordenado", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+
+  before(async () => {
+    // Sin cache entre pruebas salvo donde se prueba explicitamente
+    ctx = await startTestApp({ env: { READY_CACHE_SECONDS: "0" } });
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+  });
+
+  const ready = () => ctx.request("GET", "/api/ready");
+
+  it("200 con el estado de cada dependencia", async () => {
+    const res = await ready();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ready");
+    const { postgres, customer_source: source, smtp, webhook } = res.body.checks;
+    assert.equal(postgres.status, "ok");
+    assert.equal(postgres.required, true);
+    assert.deepEqual([source.status, source.source, source.required], ["ok", "airtable", true]);
+    assert.deepEqual([smtp.status, smtp.required], ["ok", false]);
+    assert.deepEqual([webhook.status, webhook.required], ["ok", false]);
+    // Sin firma el receptor responde 401: alcanzable
+    assert.equal(webhook.http_status, 401);
+
+    // El sondeo es un HEAD sin cuerpo: no es una entrega de evento
+    assert.deepEqual(
+      ctx.webhook.deliveries.map((d) => [d.method, d.body]),
+      [["HEAD", null]]
+    );
+  });
+
+  it("una dependencia opcional caida se reporta sin sacar el servicio", async () => {
+    ctx.mailer.failVerify(new Error("535 auth failed user@ama.test"));
+    ctx.webhook.respondWith(503);
+
+    const res = await ready();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.checks.smtp.status, "error");
+    assert.equal(res.body.checks.smtp.error, "Error");
+    assert.equal(res.body.checks.webhook.status, "error");
+    assert.equal(res.body.checks.webhook.error, "http_error");
+    // El detalle del error solo va al log
+    assert.ok(!JSON.stringify(res.body).includes("auth failed"));
+  });
+
+  it("503 si falla una dependencia requerida", async () => {
+    process.env.READY_REQUIRED_CHECKS = "postgres,customer_source,smtp";
+    ctx.mailer.failVerify();
+    const res = await ready();
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, "not_ready");
+    assert.equal(res.body.checks.smtp.required, true);
+
+    delete process.env.AIRTABLE_API_KEY;
+    process.env.READY_REQUIRED_CHECKS = "postgres,customer_source";
+    const sinAirtable = await ready();
+    assert.equal(sinAirtable.status, 503);
+    assert.deepEqual(
+      [sinAirtable.body.checks.customer_source.status, sinAirtable.body.checks.customer_source.error],
+      ["error", "no_configurado"]
+    );
+    assert.equal(sinAirtable.body.checks.postgres.status, "ok");
+  });
+
+  it("SMTP y webhook se verifican una vez por READY_CACHE_SECONDS", async () => {
+    const first = await ready();
+    process.env.READY_CACHE_SECONDS = "60";
+    const second = await ready();
+    const third = await ready();
+    assert.equal(ctx.mailer.verifyCalls, 1);
+    assert.equal(ctx.webhook.deliveries.length, 1);
+    assert.equal(third.body.checks.webhook.cached, true);
+    assert.equal(first.body.checks.smtp.cached, false);
+    assert.equal(second.body.checks.smtp.cached, true);
+    assert.equal(second.body.checks.smtp.checked_at, first.body.checks.smtp.checked_at);
+  });
+
+  it("SIGTERM espera el confirm en vuelo y la entrega del webhook antes de salir", async () => {
+    const token = await issueResetToken(ctx, CLIENTE_DOS_VEHICULOS);
+    ctx.webhook.respondWith(200, { delayMs: 1500 });
+
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, "..", "index.js")], {
+      env: {
+        ...process.env,
+        PORT: String(port),
+        NIP_CHANGE_NOTICE_ENABLED: "false",
+        TOKEN_RETENTION_ENABLED: "false",
+        SHUTDOWN_TIMEOUT_MS: "10000",
+      },
+      stdio: ["ignore", "ignore", "pipe"],
+    });
+    let stderr = "";
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    const exited = new Promise((resolve) => child.on("exit", (code) => resolve(code)));
+
+    try {
+      const baseUrl = `http://127.0.0.1:${port}`;
+      await waitFor(async () => (await fetch(`${baseUrl}/api/health`)).ok);
+
+      const pending = fetch(`${baseUrl}/nip-reset/confirm`, {
+        method: "POST",
+        headers: { "content-type": "application/json", origin: ORIGIN },
+        body: JSON.stringify({ token, nip: "4821", nipConfirm: "4821" }),
+      });
+      // La senal llega con el webhook aun sin responder
+      await waitFor(async () => ctx.webhook.deliveries.some((d) => d.method === "POST"));
+      child.kill("SIGTERM");
+
+      const res = await pending;
+      assert.equal(res.status, 202);
+      const body = await res.json();
+      assert.equal(body.estado, "procesando");
+
+      assert.equal(await exited, 0, stderr);
+      const { rows } = await ctx.pool.query("SELECT status FROM nip_persist_outbox WHERE request_id = $1", [
+        body.request_id,
+      ]);
+      assert.equal(rows[0].status, "delivered");
+    } finally {
+      if (child.exitCode === null) child.kill("SIGKILL");
+    }
+  });
+});
@@ -0,0 +1,200 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startTestApp } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { CLIENTE_DOS_VEHICULOS, CLIENTE_UN_VEHICULO } = require("./support/fixtures");
+
+const ADMIN_KEY = "llave-admin-pruebas";
+const CAPTCHA_OK = "captcha-ok";
+
+describe("bloqueo progresivo y CAPTCHA en lookup/send-link", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp({
+      env: {
+        LOOKUP_LOCKOUT_IDENTITY_THRESHOLD: "3",
+        LOOKUP_LOCKOUT_SUBNET_THRESHOLD: "5",
+        LOOKUP_LOCKOUT_BASE_MINUTES: "5",
+        LOOKUP_CAPTCHA_AFTER_FAILURES: "2",
+        CAPTCHA_PROVIDER: "stub",
+        ADMIN_API_KEYS: `soporte:${ADMIN_KEY}`,
+      },
+    });
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  // nip_reset_events es append-only: cada prueba lee solo sus eventos
+  let lastEventId;
+  beforeEach(async () => {
+    await ctx.reset();
+    const { rows } = await ctx.pool.query("SELECT COALESCE(MAX(id), 0) AS id FROM nip_reset_events");
+    lastEventId = rows[0].id;
+  });
+
+  // `trust proxy` = 1: la IP del cliente sale de X-Forwarded-For
+  const lookupFrom = (ip, body) =>
+    ctx.request("POST", "/nip-reset/lookup", { body, headers: { "x-forwarded-for": ip } });
+
+  const identidad = (c) => ({ email: c.email, whatsapp_id: c.whatsapp_id });
+
+  const eventos = async (evento) => {
+    const { rows } = await ctx.pool.query(
+      "SELECT detalle FROM nip_reset_events WHERE evento = $1 AND id > $2 ORDER BY id",
+      [evento, lastEventId]
+    );
+    return rows.map((r) => r.detalle);
+  };
+
+  it("bloquea el correo tras N fallos aunque cambien telefono e IP", async () => {
+    const email = CLIENTE_UN_VEHICULO.email;
+    for (const [i, ip] of ["203.0.113.1", "198.51.100.1", "192.0.2.1"].entries()) {
+      const res = await lookupFrom(ip, { email, whatsapp_id: `550000000${i}`, captcha_token: CAPTCHA_OK });
+      assert.equal(res.status, 404);
+      assert.equal(res.body.message, "Datos incorrectos");
+    }
+    assert.deepEqual(
+      (await eventos("BLOQUEO_APLICADO")).map((d) => [d.dimension, d.minutos]),
+      [["email", 5]]
+    );
+
+    const airtableCalls = ctx.airtable.requests.length;
+    const res = await lookupFrom("203.0.113.50", { ...identidad(CLIENTE_UN_VEHICULO), captcha_token: CAPTCHA_OK });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.message, "Demasiados intentos con datos incorrectos. Intenta nuevamente más tarde.");
+    const retryAfter = Number(res.headers.get("retry-after"));
+    assert.ok(retryAfter > 290 && retryAfter <= 300, `Retry-After ${retryAfter}`);
+    assert.equal(ctx.airtable.requests.length, airtableCalls);
+
+    const [bloqueado] = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.equal(bloqueado.evento, "LOOKUP_BLOQUEADO");
+    assert.equal(bloqueado.detalle.dimension, "email");
+  });
+
+  it("el bloqueo crece exponencialmente al reincidir", async () => {
+    // Una subred por intento para que solo cuente el correo
+    const fallar = (i) =>
+      lookupFrom(`203.0.${i}.1`, { email: "enumera@ama.test", whatsapp_id: `55000001${String(i).padStart(2, "0")}`, captcha_token: CAPTCHA_OK });
+
+    for (let i = 0; i < 3; i++) await fallar(i);
+    await ctx.pool.query("UPDATE lookup_failures SET locked_until = now() - interval '1 second'");
+    for (let i = 3; i < 6; i++) assert.equal((await fallar(i)).status, 404);
+
+    const bloqueos = (await eventos("BLOQUEO_APLICADO")).filter((d) => d.dimension === "email");
+    assert.deepEqual(
+      bloqueos.map((d) => d.minutos),
+      [5, 10]
+    );
+  });
+
+  it("bloquea la subred /24 con correos y telefonos distintos", async () => {
+    for (let i = 0; i < 5; i++) {
+      const res = await lookupFrom(`203.0.113.${10 + i}`, {
+        email: `enum${i}@ama.test`,
+        whatsapp_id: `550000002${i}`,
+        captcha_token: CAPTCHA_OK,
+      });
+      assert.equal(res.status, 404);
+    }
+    assert.deepEqual(
+      (await eventos("BLOQUEO_APLICADO")).map((d) => d.dimension),
+      ["subnet"]
+    );
+
+    assert.equal((await lookupFrom("203.0.113.200", identidad(CLIENTE_DOS_VEHICULOS))).status, 429);
+    assert.equal((await lookupFrom("198.51.100.7", identidad(CLIENTE_DOS_VEHICULOS))).status, 200);
+  });
+
+  it("un lookup exitoso limpia los fallos de correo y telefono, no los de la subred", async () => {
+    const ip = "198.51.100.20";
+    await lookupFrom(ip, { email: CLIENTE_UN_VEHICULO.email, whatsapp_id: "5500000031" });
+    assert.equal((await lookupFrom(ip, identidad(CLIENTE_UN_VEHICULO))).status, 200);
+
+    const { rows } = await ctx.pool.query("SELECT key, dimension, failures FROM lookup_failures ORDER BY key");
+    assert.deepEqual(
+      rows.map((r) => [r.dimension, r.failures]),
+      [
+        ["subnet", 1],
+        ["whatsapp", 1],
+      ]
+    );
+    assert.equal(rows[0].key, "subnet:198.51.100.0/24");
+    assert.ok(!rows.some((r) => r.key.includes("5500000031")));
+    // HMAC con IDENTITY_HASH_SECRET, no un sha256 que se revierte probando telefonos
+    const hmac = crypto.createHmac("sha256", process.env.IDENTITY_HASH_SECRET).update("5500000031").digest("hex");
+    assert.equal(rows[1].key, `whatsapp:${hmac}`);
+  });
+
+  it("pide CAPTCHA tras fallos recientes y lo valida con el verifier", async () => {
+    const phone = CLIENTE_DOS_VEHICULOS.whatsapp_id;
+    await lookupFrom("203.0.113.60", { email: "x1@ama.test", whatsapp_id: phone });
+    await lookupFrom("198.51.100.60", { email: "x2@ama.test", whatsapp_id: phone });
+
+    const airtableCalls = ctx.airtable.requests.length;
+    const faltante = await lookupFrom("192.0.2.60", identidad(CLIENTE_DOS_VEHICULOS));
+    assert.equal(faltante.status, 403);
+    assert.equal(faltante.body.captcha_required, true);
+    assert.equal(faltante.body.captcha_provider, "stub");
+    assert.equal(faltante.body.message, "Confirma que no eres un robot para continuar.");
+
+    const invalido = await lookupFrom("192.0.2.60", { ...identidad(CLIENTE_DOS_VEHICULOS), captcha_token: "otro" });
+    assert.equal(invalido.status, 403);
+    assert.equal(invalido.body.message, "No pudimos validar la verificación. Intenta de nuevo.");
+    assert.equal(ctx.airtable.requests.length, airtableCalls);
+
+    assert.deepEqual(
+      (await eventos("CAPTCHA_REQUERIDO")).map((d) => [d.resultado, d.proveedor]),
+      [
+        ["faltante", "stub"],
+        ["invalido", "stub"],
+      ]
+    );
+
+    const ok = await lookupFrom("192.0.2.60", { ...identidad(CLIENTE_DOS_VEHICULOS), captcha_token: CAPTCHA_OK });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.cliente_id, CLIENTE_DOS_VEHICULOS.cliente_id);
+  });
+
+  it("send-link con datos incorrectos suma fallos y respeta el bloqueo", async () => {
+    const sendLink = (ip, body) =>
+      ctx.request("POST", "/nip-reset/send-link", { body, headers: { "x-forwarded-for": ip } });
+    const base = { ...identidad(CLIENTE_UN_VEHICULO), vehiculoId: "V-201", captcha_token: CAPTCHA_OK };
+
+    for (const cliente_id of ["CL-999", "CL-998", "CL-997"]) {
+      assert.equal((await sendLink("203.0.113.70", { ...base, cliente_id })).status, 404);
+    }
+    assert.deepEqual(
+      (await eventos("BLOQUEO_APLICADO")).map((d) => d.dimension).sort(),
+      ["email", "whatsapp"]
+    );
+
+    const res = await sendLink("198.51.100.70", { ...base, cliente_id: CLIENTE_UN_VEHICULO.cliente_id });
+    assert.equal(res.status, 429);
+    assert.equal(ctx.mailer.sent.length, 0);
+  });
+
+  it("admin limpia el bloqueo por correo o subred", async () => {
+    const email = CLIENTE_UN_VEHICULO.email;
+    for (let i = 0; i < 3; i++) {
+      await lookupFrom("203.0.113.80", { email, whatsapp_id: `550000004${i}`, captcha_token: CAPTCHA_OK });
+    }
+    assert.equal((await lookupFrom("198.51.100.80", identidad(CLIENTE_UN_VEHICULO))).status, 429);
+
+    const admin = (body) =>
+      ctx.request("POST", "/admin/nip-reset/lockout/clear", { body, headers: { authorization: `Bearer ${ADMIN_KEY}` } });
+
+    assert.equal((await admin({})).status, 400);
+
+    const res = await admin({ email: email.toUpperCase(), subnet: "203.0.113.0/24" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cleared, 2);
+
+    const [limpiado] = await eventos("ADMIN_BLOQUEO_LIMPIADO");
+    assert.deepEqual(limpiado.dimensiones, ["email", "subnet"]);
+    assert.equal(limpiado.admin, "soporte");
+
+    assert.equal((await lookupFrom("198.51.100.81", identidad(CLIENTE_UN_VEHICULO))).status, 200);
+  });
+});
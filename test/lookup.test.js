@@ -0,0 +1,150 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { CLIENTE_DOS_VEHICULOS, CLIENTE_UN_VEHICULO, CLIENTE_SIN_VEHICULOS } = require("./support/fixtures");
+
+describe("POST /nip-reset/lookup", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+  });
+
+  const lookup = (body, headers) => ctx.request("POST", "/nip-reset/lookup", { body, headers });
+
+  it("400 con errores de validacion traducidos", async () => {
+    const res = await lookup({ email: "no-es-correo", whatsapp_id: "123" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.ok, false);
+    assert.deepEqual(
+      res.body.errors.map((e) => e.field),
+      ["email", "whatsapp_id"]
+    );
+    assert.equal(res.body.errors[1].msg, "Teléfono debe ser de 10 dígitos");
+
+    const en = await lookup({ email: "x", whatsapp_id: "123" }, { "accept-language": "en" });
+    assert.equal(en.body.errors[1].msg, "Phone number must be 10 digits");
+    assert.equal(ctx.airtable.requests.length, 0);
+  });
+
+  it("403 sin Origin permitido", async () => {
+    const res = await lookup(
+      { email: CLIENTE_UN_VEHICULO.email, whatsapp_id: CLIENTE_UN_VEHICULO.whatsapp_id },
+      { origin: "https://otro.example" }
+    );
+    assert.equal(res.status, 403);
+  });
+
+  it("200 con un vehiculo: confirmar_vehiculo_unico y lookup_session", async () => {
+    const res = await lookup({ email: CLIENTE_UN_VEHICULO.email.toUpperCase(), whatsapp_id: CLIENTE_UN_VEHICULO.whatsapp_id });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.step, "confirmar_vehiculo_unico");
+    assert.equal(res.body.cliente_id, CLIENTE_UN_VEHICULO.cliente_id);
+    assert.equal(res.body.contacto_record_id, undefined);
+    assert.deepEqual(res.body.vehiculos, [{ vehiculoId: "V-201", identifica_tu_vehiculo: "Jetta" }]);
+    assert.match(res.body.lookup_session, /^[\w-]+\.[\w-]+$/);
+    // La sesion va cifrada: no expone record ids
+    const sessionPayload = Buffer.from(res.body.lookup_session.split(".")[0], "base64url").toString("latin1");
+    assert.ok(!sessionPayload.includes("recVehiculo201") && !sessionPayload.includes("recContacto200"));
+
+    const eventos = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.deepEqual(
+      eventos.map((e) => [e.evento, e.cliente_id, e.detalle.vehiculos]),
+      [["LOOKUP_EXITOSO", CLIENTE_UN_VEHICULO.cliente_id, 1]]
+    );
+  });
+
+  it("200 con varios vehiculos: seleccionar_vehiculo", async () => {
+    const res = await lookup({ email: CLIENTE_DOS_VEHICULOS.email, whatsapp_id: CLIENTE_DOS_VEHICULOS.whatsapp_id });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.step, "seleccionar_vehiculo");
+    assert.deepEqual(
+      res.body.vehiculos.map((v) => v.vehiculoId),
+      ["V-101", "V-102"]
+    );
+  });
+
+  it("404 si el correo no existe", async () => {
+    const res = await lookup({ email: "nadie@ama.test", whatsapp_id: "5500000000" });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.message, "Datos incorrectos");
+
+    const [evento] = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.equal(evento.evento, "LOOKUP_FALLIDO");
+    assert.equal(evento.detalle.motivo, "contacto_no_encontrado");
+    assert.match(evento.detalle.identidad_hash, /^[0-9a-f]{64}$/);
+  });
+
+  it("404 si el telefono no coincide con el del contacto", async () => {
+    const res = await lookup({ email: CLIENTE_UN_VEHICULO.email, whatsapp_id: "5599999999" });
+    assert.equal(res.status, 404);
+    const [evento] = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.equal(evento.detalle.motivo, "contacto_no_encontrado");
+  });
+
+  it("404 si el contacto no tiene vehiculos", async () => {
+    const res = await lookup({ email: CLIENTE_SIN_VEHICULOS.email, whatsapp_id: CLIENTE_SIN_VEHICULOS.whatsapp_id });
+    assert.equal(res.status, 404);
+
+    const [evento] = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.equal(evento.cliente_id, CLIENTE_SIN_VEHICULOS.cliente_id);
+    assert.equal(evento.detalle.motivo, "sin_vehiculos");
+  });
+
+  it("reintenta un 429 de Airtable y responde 200", async () => {
+    ctx.airtable.failWith(429);
+    const res = await lookup({ email: CLIENTE_UN_VEHICULO.email, whatsapp_id: CLIENTE_UN_VEHICULO.whatsapp_id });
+    assert.equal(res.status, 200);
+    assert.equal(ctx.airtable.requests.length, 3);
+  });
+
+  it("503 con Retry-After si Airtable no esta disponible", async () => {
+    ctx.airtable.failWith(503, 2);
+    const res = await lookup({ email: CLIENTE_UN_VEHICULO.email, whatsapp_id: CLIENTE_UN_VEHICULO.whatsapp_id });
+    assert.equal(res.status, 503);
+    assert.equal(res.headers.get("retry-after"), "30");
+
+    const [evento] = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.equal(evento.evento, "LOOKUP_FALLIDO");
+    assert.equal(evento.detalle.motivo, "proveedor_no_disponible");
+  });
+
+  it("reintenta un 200 con JSON invalido; si no se corrige responde 503", async () => {
+    ctx.airtable.failWith("malformed");
+    const ok = await lookup({ email: CLIENTE_UN_VEHICULO.email, whatsapp_id: CLIENTE_UN_VEHICULO.whatsapp_id });
+    assert.equal(ok.status, 200);
+    assert.equal(ctx.airtable.requests.length, 3);
+
+    ctx.airtable.failWith("malformed", 2);
+    const res = await lookup({ email: CLIENTE_UN_VEHICULO.email, whatsapp_id: CLIENTE_UN_VEHICULO.whatsapp_id });
+    assert.equal(res.status, 503);
+    const [evento] = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.equal(evento.detalle.motivo, "proveedor_no_disponible");
+  });
+
+  it("503 dentro del deadline si Airtable deja el body a medias", async () => {
+    process.env.AIRTABLE_TIMEOUT_MS = "150";
+    process.env.AIRTABLE_DEADLINE_MS = "400";
+    ctx.airtable.failWith("stall", 2);
+    const startedAt = Date.now();
+    const res = await lookup({ email: CLIENTE_UN_VEHICULO.email, whatsapp_id: CLIENTE_UN_VEHICULO.whatsapp_id });
+    assert.equal(res.status, 503);
+    assert.ok(Date.now() - startedAt < 2000, `tardo ${Date.now() - startedAt} ms`);
+    assert.equal(ctx.airtable.requests.length, 2);
+  });
+
+  it("500 si Airtable rechaza la consulta (4xx no reintentable)", async () => {
+    ctx.airtable.failWith(422);
+    const res = await lookup({ email: CLIENTE_UN_VEHICULO.email, whatsapp_id: CLIENTE_UN_VEHICULO.whatsapp_id });
+    assert.equal(res.status, 500);
+    assert.equal(res.body.message, "No fue posible completar la operación.");
+    assert.equal(ctx.airtable.requests.length, 1);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { CLIENTE_DOS_VEHICULOS } = require("./support/fixtures");
+
+const METRICS_TOKEN = "token-metricas-pruebas";
+
+// `nombre{labels} valor` -> valor de la primera serie que contiene `pattern`
+function sample(text, pattern) {
+  const line = text.split("\n").find((l) => !l.startsWith("#") && l.includes(pattern));
+  return line === undefined ? undefined : Number(line.slice(line.lastIndexOf(" ") + 1));
+}
+
+describe("GET /metrics", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp({ env: { METRICS_TOKEN } });
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+  });
+
+  const cliente = CLIENTE_DOS_VEHICULOS;
+  const scrape = async (headers = { authorization: `Bearer ${METRICS_TOKEN}` }) => {
+    const resp = await fetch(`${ctx.baseUrl}/metrics`, { headers });
+    return { status: resp.status, headers: resp.headers, text: await resp.text() };
+  };
+
+  it("con METRICS_TOKEN: 401 sin token o con otro; 200 con el Bearer correcto", async () => {
+    assert.equal((await scrape({})).status, 401);
+    const otro = await scrape({ authorization: "Bearer otro-token" });
+    assert.equal(otro.status, 401);
+    assert.equal(JSON.parse(otro.text).error_code, "unauthorized");
+
+    const ok = await scrape();
+    assert.equal(ok.status, 200);
+    assert.match(ok.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+
+    delete process.env.METRICS_TOKEN;
+    assert.equal((await scrape({})).status, 200);
+  });
+
+  it("formato de texto Prometheus: HELP/TYPE por metrica y una muestra por linea", async () => {
+    const { text } = await scrape();
+    assert.ok(text.endsWith("\n"));
+
+    const lines = text.trimEnd().split("\n");
+    const types = new Map();
+    for (const line of lines) {
+      const type = line.match(/^# TYPE (\w+) (counter|gauge|histogram)$/);
+      if (type) types.set(type[1], type[2]);
+      else if (!line.startsWith("# HELP ")) assert.match(line, /^\w+(\{[^}]*\})? -?\d+(\.\d+)?(e[+-]?\d+)?$/, line);
+    }
+    assert.equal(types.get("ama_http_requests_total"), "counter");
+    assert.equal(types.get("ama_airtable_request_duration_seconds"), "histogram");
+    assert.equal(types.get("ama_nip_reset_active_tokens"), "gauge");
+    assert.equal(types.get("ama_nip_persist_outbox_events"), "gauge");
+  });
+
+  it("series por ruta, por resultado y de latencia", async () => {
+    const before = (await scrape()).text;
+    const route = 'ama_http_requests_total{method="POST",route="/nip-reset/lookup",status="200"}';
+    const airtable = 'ama_airtable_request_duration_seconds_count{table="Contactos",outcome="ok"}';
+
+    const res = await ctx.request("POST", "/nip-reset/lookup", {
+      body: { email: cliente.email, whatsapp_id: cliente.whatsapp_id },
+    });
+    assert.equal(res.status, 200);
+    const notFound = await ctx.request("POST", "/nip-reset/lookup", {
+      body: { email: "nadie@ama.test", whatsapp_id: "5500000000" },
+    });
+    assert.equal(notFound.status, 404);
+
+    const { text } = await scrape();
+    assert.equal(sample(text, route), (sample(before, route) || 0) + 1);
+    assert.ok(sample(text, 'route="/nip-reset/lookup",status="404"') >= 1);
+    // Rutas sin declarar no abren una serie por URL
+    await ctx.request("GET", "/no-existe/123");
+    assert.ok(sample((await scrape()).text, 'route="unmatched",status="404"') >= 1);
+
+    const fallido = 'ama_nip_reset_events_total{evento="LOOKUP_FALLIDO",resultado="contacto_no_encontrado"}';
+    assert.ok(sample(text, fallido) >= 1);
+
+    // Las dos busquedas consultan Contactos; el 404 es una respuesta vacia, no un error
+    assert.equal(sample(text, airtable), (sample(before, airtable) || 0) + 2);
+    const inf = sample(text, 'ama_airtable_request_duration_seconds_bucket{table="Contactos",outcome="ok",le="+Inf"}');
+    assert.equal(inf, sample(text, airtable));
+    assert.ok(sample(text, 'ama_airtable_request_duration_seconds_sum{table="Contactos",outcome="ok"}') > 0);
+  });
+
+  it("ama_nip_reset_active_tokens cuenta ligas: un lote de dos vehiculos cuenta una", async () => {
+    const res = await ctx.request("POST", "/nip-reset/send-link", {
+      body: {
+        email: cliente.email,
+        whatsapp_id: cliente.whatsapp_id,
+        cliente_id: cliente.cliente_id,
+        vehiculoIds: "all",
+      },
+    });
+    assert.equal(res.status, 200);
+    const { rows } = await ctx.pool.query("SELECT COUNT(*)::int AS c FROM nip_reset_tokens WHERE used_at IS NULL");
+    assert.equal(rows[0].c, 2);
+
+    const { text } = await scrape();
+    assert.equal(sample(text, "ama_nip_reset_active_tokens "), 1);
+  });
+});
@@ -0,0 +1,173 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startTestApp, issueResetToken, extractResetToken } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { CLIENTE_UN_VEHICULO, CLIENTE_DOS_VEHICULOS } = require("./support/fixtures");
+
+async function waitFor(check, { timeoutMs = 3000, intervalMs = 50 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("waitFor: tiempo agotado");
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function extractReportToken(text) {
+  const match = String(text || "").match(/https:\/\/reset\.ama\.test\/reportar\?token=([A-Za-z0-9_%-]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+describe("aviso de cambio de NIP y report-change", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+  let sendNipChangeNotice;
+  let dispatchPendingOutbox;
+
+  before(async () => {
+    ctx = await startTestApp();
+    ({ sendNipChangeNotice } = require("../nip-change-notice"));
+    ({ dispatchPendingOutbox } = require("../outbox"));
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+  });
+
+  const cliente = CLIENTE_UN_VEHICULO;
+  const reportChange = (token) => ctx.request("POST", "/nip-reset/report-change", { body: { token } });
+
+  async function tokenRow(token) {
+    const { rows } = await ctx.pool.query(
+      `SELECT token_hash, notify_email, change_notified_at, report_hash, reported_at
+       FROM nip_reset_tokens WHERE token_hash = $1`,
+      [sha256Hex(token)]
+    );
+    return rows[0];
+  }
+
+  // Confirma y regresa el token de la liga del aviso
+  async function confirmAndNotify() {
+    const token = await issueResetToken(ctx, cliente);
+    const res = await ctx.request("POST", "/nip-reset/confirm", { body: { token, nip: "4821", nipConfirm: "4821" } });
+    assert.equal(res.status, 200);
+    const aviso = await waitFor(() => ctx.mailer.sent[1]);
+    return { token, reportToken: extractReportToken(aviso.text), requestId: res.body.request_id };
+  }
+
+  it("el aviso sale solo al entregar el webhook, una vez por token, y borra notify_email", async () => {
+    ctx.webhook.respondWith(500);
+    const token = await issueResetToken(ctx, cliente);
+    assert.equal((await tokenRow(token)).notify_email, cliente.email);
+
+    const res = await ctx.request("POST", "/nip-reset/confirm", { body: { token, nip: "4821", nipConfirm: "4821" } });
+    assert.equal(res.status, 202);
+    // Webhook pendiente: el NIP aun no se aplica, no hay aviso
+    assert.equal(ctx.mailer.sent.length, 1);
+    assert.equal((await tokenRow(token)).change_notified_at, null);
+
+    ctx.webhook.respondWith(200);
+    await ctx.pool.query("UPDATE nip_persist_outbox SET next_attempt_at = now() WHERE request_id = $1", [
+      res.body.request_id,
+    ]);
+    await dispatchPendingOutbox();
+    const aviso = await waitFor(() => ctx.mailer.sent[1]);
+    assert.equal(aviso.to[0].address, cliente.email);
+
+    const row = await waitFor(async () => {
+      const r = await tokenRow(token);
+      return r.change_notified_at && r;
+    });
+    assert.equal(row.notify_email, null);
+    const reportToken = extractReportToken(aviso.text);
+    assert.ok(reportToken);
+    assert.equal(row.report_hash, sha256Hex(reportToken));
+
+    // Un segundo intento (reentrega, otro despachador) ya no manda nada
+    assert.equal(await sendNipChangeNotice({ tokenHash: row.token_hash, requestId: res.body.request_id }), false);
+    assert.equal(ctx.mailer.sent.length, 2);
+    assert.equal((await tokenRow(token)).report_hash, row.report_hash);
+
+    const eventos = (await ctx.eventsFor(res.body.request_id)).map((e) => e.evento);
+    assert.equal(eventos.filter((e) => e === "AVISO_CAMBIO_ENVIADO").length, 1);
+  });
+
+  it("report-change abre una sola revision aunque se reporte dos veces", async () => {
+    const { token, reportToken } = await confirmAndNotify();
+
+    const primero = await reportChange(reportToken);
+    assert.equal(primero.status, 200);
+    assert.equal(primero.body.ok, true);
+    const [evento] = await ctx.eventsFor(primero.headers.get("x-request-id"));
+    assert.equal(evento.evento, "CAMBIO_NO_RECONOCIDO");
+    assert.equal(evento.vehiculo_id, cliente.vehiculos[0].vehiculoId);
+
+    const segundo = await reportChange(reportToken);
+    assert.equal(segundo.status, 200);
+    assert.deepEqual(await ctx.eventsFor(segundo.headers.get("x-request-id")), []);
+
+    const { rows } = await ctx.pool.query(
+      "SELECT r.id, r.estado FROM nip_reset_reviews r JOIN nip_reset_tokens t ON t.id = r.token_id WHERE t.token_hash = $1",
+      [sha256Hex(token)]
+    );
+    assert.deepEqual(rows.map((r) => r.estado), ["abierta"]);
+    assert.equal(evento.detalle.revision_id, rows[0].id);
+    assert.notEqual((await tokenRow(token)).reported_at, null);
+  });
+
+  it("lote: un solo aviso con todos los vehiculos y una revision por vehiculo al reportarlo", async () => {
+    const flota = CLIENTE_DOS_VEHICULOS;
+    const link = await ctx.request("POST", "/nip-reset/send-link", {
+      body: { email: flota.email, whatsapp_id: flota.whatsapp_id, cliente_id: flota.cliente_id, vehiculoIds: "all" },
+    });
+    assert.equal(link.status, 200);
+    const token = extractResetToken(ctx.mailer.last().text);
+
+    const res = await ctx.request("POST", "/nip-reset/confirm", { body: { token, nip: "4821", nipConfirm: "4821" } });
+    assert.equal(res.status, 200);
+    assert.equal(ctx.webhook.deliveries.length, 2);
+
+    const aviso = await waitFor(() => ctx.mailer.sent[1]);
+    assert.match(aviso.subject, /tus vehículos/);
+    assert.match(aviso.text, /Vocho, Tsuru/);
+    // Dar tiempo a un segundo aviso si lo hubiera
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(ctx.mailer.sent.length, 2);
+
+    const eventosConfirm = await ctx.eventsFor(res.body.request_id);
+    const [enviado] = eventosConfirm.filter((e) => e.evento === "AVISO_CAMBIO_ENVIADO");
+    assert.equal(enviado.vehiculo_id, null);
+    assert.deepEqual(enviado.detalle.vehiculos, ["V-101", "V-102"]);
+
+    const reporte = await reportChange(extractReportToken(aviso.text));
+    assert.equal(reporte.status, 200);
+    const eventos = await ctx.eventsFor(reporte.headers.get("x-request-id"));
+    assert.deepEqual(eventos.map((e) => e.vehiculo_id).sort(), ["V-101", "V-102"]);
+    const { rows } = await ctx.pool.query("SELECT vehiculo_id FROM nip_reset_reviews ORDER BY vehiculo_id");
+    assert.deepEqual(rows.map((r) => r.vehiculo_id), ["V-101", "V-102"]);
+  });
+
+  it("403 con la liga del aviso expirada o desconocida", async () => {
+    const { token, reportToken } = await confirmAndNotify();
+    await ctx.pool.query(
+      "UPDATE nip_reset_tokens SET change_notified_at = now() - interval '31 days' WHERE token_hash = $1",
+      [sha256Hex(token)]
+    );
+
+    const expirada = await reportChange(reportToken);
+    assert.equal(expirada.status, 403);
+    assert.equal(expirada.body.error_code, "link_invalid");
+    assert.equal((await tokenRow(token)).reported_at, null);
+    const { rowCount } = await ctx.pool.query("SELECT 1 FROM nip_reset_reviews");
+    assert.equal(rowCount, 0);
+
+    assert.equal((await reportChange("x".repeat(43))).status, 403);
+  });
+});
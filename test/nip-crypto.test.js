@@ -0,0 +1,123 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  buildNipAad,
+  sealNip,
+  openNip,
+  buildPersistNipFields,
+  sealOutboxNip,
+  openOutboxNip,
+} = require("../nip-crypto");
+
+const KEY = Buffer.alloc(32, 1);
+const OTRA_KEY = Buffer.alloc(32, 2);
+const CONTEXTO = { request_id: "req-1234567890abcdef", cliente_id: "8", vehiculoId: "V-101" };
+
+// Codigo del nodo `Descifrar_NIP` de un workflow de n8n
+function descifrarNipNode(file) {
+  const workflow = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "n8n", file), "utf8"));
+  const node = workflow.nodes.find((n) => n.name === "Descifrar_NIP");
+  return new Function("require", "$input", "$env", node.parameters.jsCode);
+}
+
+describe("sobre del NIP (nip-crypto)", () => {
+  const ENV_KEYS = [
+    "NIP_PERSIST_WEBHOOK_NIP_MODE",
+    "NIP_PERSIST_ENCRYPTION_KEY",
+    "NIP_PERSIST_ENCRYPTION_KEY_ID",
+    "NIP_OUTBOX_ENCRYPTION_KEY",
+    "NIP_OUTBOX_ENCRYPTION_KEY_ID",
+  ];
+  const envSnapshot = { ...process.env };
+  beforeEach(() => {
+    for (const key of ENV_KEYS) {
+      if (key in envSnapshot) process.env[key] = envSnapshot[key];
+      else delete process.env[key];
+    }
+  });
+
+  it("sealNip/openNip: ida y vuelta con el formato v1 A256GCM", () => {
+    const envelope = sealNip("4821", { key: KEY, keyId: "k1", aad: buildNipAad(CONTEXTO) });
+    assert.deepEqual(Object.keys(envelope), ["v", "alg", "kid", "iv", "tag", "ct"]);
+    assert.equal(envelope.v, 1);
+    assert.equal(envelope.alg, "A256GCM");
+    assert.equal(envelope.kid, "k1");
+    assert.match(envelope.iv, /^[\w-]{16}$/);
+
+    const keys = new Map([
+      ["k0", OTRA_KEY],
+      ["k1", KEY],
+    ]);
+    assert.equal(openNip(envelope, { keys, aad: buildNipAad(CONTEXTO) }), "4821");
+    // IV aleatorio: el mismo NIP no produce el mismo sobre
+    assert.notEqual(sealNip("4821", { key: KEY, keyId: "k1", aad: buildNipAad(CONTEXTO) }).iv, envelope.iv);
+  });
+
+  it("openNip falla con otro AAD, con un kid desconocido o con el sobre alterado", () => {
+    const envelope = sealNip("4821", { key: KEY, keyId: "k1", aad: buildNipAad(CONTEXTO) });
+    const keys = new Map([["k1", KEY]]);
+
+    // El sobre de un vehiculo no sirve en el evento de otro
+    assert.throws(() => openNip(envelope, { keys, aad: buildNipAad({ ...CONTEXTO, vehiculoId: "V-102" }) }), /auth/i);
+    assert.throws(() => openNip(envelope, { keys: new Map([["k2", KEY]]), aad: buildNipAad(CONTEXTO) }), {
+      message: "Cifrado NIP: kid desconocido (k1)",
+    });
+    assert.throws(() => openNip(envelope, { keys: new Map([["k1", OTRA_KEY]]), aad: buildNipAad(CONTEXTO) }));
+    assert.throws(() => openNip({ ...envelope, v: 2 }, { keys, aad: buildNipAad(CONTEXTO) }), /sobre no soportado/);
+    const ct = Buffer.from(envelope.ct, "base64url");
+    ct[0] ^= 1;
+    assert.throws(() => openNip({ ...envelope, ct: ct.toString("base64url") }, { keys, aad: buildNipAad(CONTEXTO) }));
+  });
+
+  it("el nodo Descifrar_NIP de n8n abre el sobre de buildPersistNipFields", () => {
+    process.env.NIP_PERSIST_WEBHOOK_NIP_MODE = "encrypted";
+    process.env.NIP_PERSIST_ENCRYPTION_KEY = KEY.toString("base64");
+    process.env.NIP_PERSIST_ENCRYPTION_KEY_ID = "k1";
+    const { nuevo_nip_cifrado } = buildPersistNipFields("4821", CONTEXTO);
+    const $env = {
+      NIP_PERSIST_ENCRYPTION_KEYS: `k0:${OTRA_KEY.toString("base64")},k1:${KEY.toString("base64")}`,
+      NIP_PERSIST_REQUIRE_ENCRYPTED: "true",
+      AIRTABLE_BASE_ID: "appTest",
+    };
+
+    for (const file of [
+      "AMA_Reset_NIP_Persist_Subworkflow_v1.1.0.0.json",
+      "AMA_Reset_NIP_Persist_Produccion_v1.1.0.0.json",
+    ]) {
+      const node = descifrarNipNode(file);
+      const run = (data) => node(require, { first: () => ({ json: data }) }, $env);
+
+      const [out] = run({ ...CONTEXTO, vehiculo_record_id: "recV101", _nuevoNipCifrado: nuevo_nip_cifrado });
+      assert.deepEqual(out.json._airtableBody, { fields: { nip: "4821" } }, file);
+
+      assert.throws(() => run({ ...CONTEXTO, vehiculoId: "V-102", _nuevoNipCifrado: nuevo_nip_cifrado }), file);
+      assert.throws(() => run({ ...CONTEXTO, _nuevoNip: "4821" }), /texto plano/, file);
+    }
+  });
+
+  it("outbox: sella nuevo_nip en reposo y lo abre con la llave del outbox o la del webhook", () => {
+    process.env.NIP_OUTBOX_ENCRYPTION_KEY = KEY.toString("base64");
+    const evento = { evento: "NIP_RESET_CONFIRMADO", ...CONTEXTO, nuevo_nip: "4821" };
+
+    const sellado = sealOutboxNip(evento);
+    assert.equal(sellado.nuevo_nip, undefined);
+    assert.equal(sellado.nuevo_nip_sellado.kid, "o1");
+    assert.deepEqual(openOutboxNip(sellado), evento);
+    assert.equal(sealOutboxNip(CONTEXTO), CONTEXTO);
+
+    // Fila sellada con la llave del webhook antes de configurar una propia
+    delete process.env.NIP_OUTBOX_ENCRYPTION_KEY;
+    process.env.NIP_PERSIST_ENCRYPTION_KEY = OTRA_KEY.toString("base64");
+    process.env.NIP_PERSIST_ENCRYPTION_KEY_ID = "k1";
+    const conLlaveWebhook = sealOutboxNip(evento);
+    assert.equal(conLlaveWebhook.nuevo_nip_sellado.kid, "k1");
+    process.env.NIP_OUTBOX_ENCRYPTION_KEY = KEY.toString("base64");
+    assert.equal(openOutboxNip(conLlaveWebhook).nuevo_nip, "4821");
+
+    delete process.env.NIP_OUTBOX_ENCRYPTION_KEY;
+    delete process.env.NIP_PERSIST_ENCRYPTION_KEY;
+    assert.throws(() => sealOutboxNip(evento), /NIP_OUTBOX_ENCRYPTION_KEY/);
+  });
+});
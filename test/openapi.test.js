@@ -0,0 +1,149 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { startTestApp, issueResetToken } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { CLIENTE_UN_VEHICULO } = require("./support/fixtures");
+const { localeMiddleware } = require("../i18n");
+const { responseValidationMiddleware } = require("../openapi");
+
+describe("contrato del API (OpenAPI y error_code)", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+  });
+
+  it("GET /api/openapi.json documenta los endpoints desde los schemas de zod", async () => {
+    const res = await ctx.request("GET", "/api/openapi.json");
+    assert.equal(res.status, 200);
+    const doc = res.body;
+    assert.equal(doc.openapi, "3.0.3");
+    assert.deepEqual(Object.keys(doc.paths).sort(), [
+      "/nip-reset/confirm",
+      "/nip-reset/confirm-status",
+      "/nip-reset/lookup",
+      "/nip-reset/report-change",
+      "/nip-reset/send-link",
+      "/nip-reset/token-info",
+      "/nip-reset/verify-code",
+    ]);
+
+    const lookup = doc.paths["/nip-reset/lookup"].post;
+    assert.deepEqual(lookup.requestBody.content["application/json"].schema, { $ref: "#/components/schemas/LookupRequest" });
+    assert.deepEqual(Object.keys(lookup.responses), ["200", "400", "403", "404", "429", "500", "503"]);
+
+    const { LookupRequest, SendLinkRequest, Error: ErrorSchema } = doc.components.schemas;
+    assert.deepEqual(LookupRequest.required, ["email", "whatsapp_id"]);
+    assert.equal(LookupRequest.properties.whatsapp_id.pattern, "^\\d{10}$");
+    assert.equal(LookupRequest.properties.email.format, "email");
+    assert.deepEqual(SendLinkRequest.properties.canal, { type: "string", enum: ["email", "whatsapp"], default: "email" });
+    assert.deepEqual(ErrorSchema.required, ["ok", "error_code", "message"]);
+
+    const tokenInfo = doc.paths["/nip-reset/token-info"].get;
+    assert.deepEqual(tokenInfo.parameters[0], {
+      name: "token",
+      in: "query",
+      required: true,
+      schema: { type: "string", minLength: 20, maxLength: 200 },
+    });
+  });
+
+  it("los errores llevan error_code estable y message segun idioma", async () => {
+    const lookup = await ctx.request("POST", "/nip-reset/lookup", { body: { email: "x", whatsapp_id: "1" } });
+    assert.equal(lookup.status, 400);
+    assert.equal(lookup.body.error_code, "invalid_lookup_data");
+    assert.equal(lookup.body.errors.length, 2);
+
+    const token = await issueResetToken(ctx, CLIENTE_UN_VEHICULO);
+    const mismatch = await ctx.request("POST", "/nip-reset/confirm", {
+      body: { token, nip: "4821", nipConfirm: "4822" },
+      headers: { "accept-language": "en" },
+    });
+    assert.equal(mismatch.status, 400);
+    assert.equal(mismatch.body.error_code, "nip_mismatch");
+    assert.equal(mismatch.body.message, "The PINs do not match.");
+
+    const invalid = await ctx.request("GET", `/nip-reset/token-info?token=${"x".repeat(40)}`);
+    assert.equal(invalid.status, 403);
+    assert.deepEqual(invalid.body, { ok: false, error_code: "link_invalid", message: "Liga inválida o expirada." });
+
+    // Fuera de /nip-reset tambien
+    const admin = await ctx.request("GET", "/admin/nip-reset/reviews");
+    assert.equal(admin.body.error_code, "admin_not_configured");
+  });
+});
+
+describe("validacion de respuestas", () => {
+  let server;
+  let baseUrl;
+  let body;
+
+  before(async () => {
+    const app = express();
+    app.use(localeMiddleware);
+    app.use(responseValidationMiddleware());
+    app.get("/nip-reset/token-info", (req, res) => res.status(Number(req.query.status || 200)).json(body));
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const envSnapshot = { ...process.env };
+  beforeEach(() => {
+    for (const key of ["API_RESPONSE_VALIDATION", "NODE_ENV"]) {
+      if (key in envSnapshot) process.env[key] = envSnapshot[key];
+      else delete process.env[key];
+    }
+    body = { ok: true, cliente_id: "8", vehiculoId: "V-1", identifica_tu_vehiculo: "Jetta" };
+  });
+
+  const get = async (status = 200) => {
+    const resp = await fetch(`${baseUrl}/nip-reset/token-info?status=${status}`);
+    return { status: resp.status, body: await resp.json() };
+  };
+
+  it("deja pasar las respuestas que cumplen el schema", async () => {
+    assert.deepEqual(await get(), { status: 200, body });
+  });
+
+  it("strict (default fuera de produccion): 500 response_invalid con el detalle", async () => {
+    body = { ...body, campo_nuevo: true };
+    const res = await get();
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error_code, "response_invalid");
+    assert.match(res.body.errors[0].msg, /campo_nuevo/);
+
+    body = { ok: false, message: "sin codigo" };
+    const sinCodigo = await get(403);
+    assert.equal(sinCodigo.status, 500);
+    assert.deepEqual(
+      sinCodigo.body.errors.map((e) => e.field),
+      ["error_code"]
+    );
+
+    // Un status que el contrato no declara tambien es desviacion
+    body = { ok: false, error_code: "x", message: "x" };
+    assert.equal((await get(409)).status, 500);
+  });
+
+  it("log y produccion no cambian la respuesta", async () => {
+    body = { ...body, campo_nuevo: true };
+    process.env.API_RESPONSE_VALIDATION = "log";
+    assert.deepEqual(await get(), { status: 200, body });
+
+    delete process.env.API_RESPONSE_VALIDATION;
+    process.env.NODE_ENV = "production";
+    assert.deepEqual(await get(), { status: 200, body });
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startTestApp } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { CLIENTE_DOS_VEHICULOS, CLIENTE_UN_VEHICULO } = require("./support/fixtures");
+
+describe("rate limit compartido (RATE_LIMIT_STORE=postgres)", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp({
+      env: {
+        RATE_LIMIT_STORE: "postgres",
+        NIP_LOOKUP_IP_RATE_MAX: "4",
+        NIP_LOOKUP_IDENTITY_RATE_MAX: "2",
+      },
+    });
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+  });
+
+  // `trust proxy` = 1: la IP del cliente sale de X-Forwarded-For
+  const lookupFrom = (ip, body) =>
+    ctx.request("POST", "/nip-reset/lookup", { body, headers: { "x-forwarded-for": ip } });
+
+  const identidad = (c) => ({ email: c.email, whatsapp_id: c.whatsapp_id });
+
+  it("limita por correo aunque cambie la IP", async () => {
+    assert.equal((await lookupFrom("203.0.113.1", identidad(CLIENTE_DOS_VEHICULOS))).status, 200);
+    assert.equal((await lookupFrom("203.0.113.2", identidad(CLIENTE_DOS_VEHICULOS))).status, 200);
+
+    const res = await lookupFrom("203.0.113.3", { ...identidad(CLIENTE_DOS_VEHICULOS), whatsapp_id: "5500000001" });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.message, "Demasiados intentos. Intenta nuevamente más tarde.");
+
+    assert.equal((await lookupFrom("203.0.113.4", identidad(CLIENTE_UN_VEHICULO))).status, 200);
+  });
+
+  it("limita por whatsapp_id aunque cambie el correo", async () => {
+    const phone = CLIENTE_UN_VEHICULO.whatsapp_id;
+    assert.equal((await lookupFrom("198.51.100.1", { email: "a@ama.test", whatsapp_id: phone })).status, 404);
+    assert.equal((await lookupFrom("198.51.100.2", { email: "b@ama.test", whatsapp_id: phone })).status, 404);
+    assert.equal((await lookupFrom("198.51.100.3", { email: "c@ama.test", whatsapp_id: phone })).status, 429);
+  });
+
+  it("limita por IP con correos distintos", async () => {
+    const ip = "192.0.2.10";
+    for (let i = 0; i < 4; i++) {
+      const res = await lookupFrom(ip, { email: `enum${i}@ama.test`, whatsapp_id: `550000000${i}` });
+      assert.equal(res.status, 404);
+    }
+    const res = await lookupFrom(ip, { email: "enum9@ama.test", whatsapp_id: "5500000009" });
+    assert.equal(res.status, 429);
+    assert.equal(res.headers.get("ratelimit-limit"), "4");
+  });
+
+  it("los contadores viven en Postgres sin correo ni telefono en claro", async () => {
+    await lookupFrom("192.0.2.20", identidad(CLIENTE_DOS_VEHICULOS));
+
+    const { rows } = await ctx.pool.query("SELECT key, hits, reset_at > now() AS vigente FROM rate_limit_counters");
+    const keys = rows.map((r) => r.key);
+    assert.ok(keys.includes("lookup:192.0.2.20"));
+    assert.ok(keys.some((k) => /^lookup-identity:email:[0-9a-f]{64}$/.test(k)));
+    assert.ok(keys.some((k) => /^lookup-identity:whatsapp:[0-9a-f]{64}$/.test(k)));
+    assert.ok(rows.every((r) => r.vigente && r.hits >= 1));
+    assert.ok(!keys.some((k) => k.includes(CLIENTE_DOS_VEHICULOS.email) || k.includes(CLIENTE_DOS_VEHICULOS.whatsapp_id)));
+
+    // HMAC con IDENTITY_HASH_SECRET: el sha256 del telefono no aparece
+    const phone = CLIENTE_DOS_VEHICULOS.whatsapp_id;
+    const hmac = crypto.createHmac("sha256", process.env.IDENTITY_HASH_SECRET).update(phone).digest("hex");
+    assert.ok(keys.includes(`lookup-identity:whatsapp:${hmac}`));
+    assert.ok(!keys.some((k) => k.endsWith(crypto.createHash("sha256").update(phone).digest("hex"))));
+  });
+
+  it("sin IDENTITY_HASH_SECRET los limiters por identidad no se crean", () => {
+    const { createIdentityLimiters } = require("../rate-limit");
+    process.env.IDENTITY_HASH_SECRET = "corta";
+    assert.throws(() => createIdentityLimiters({ name: "x", windowMs: 1000, max: 1 }), /IDENTITY_HASH_SECRET/);
+    delete process.env.IDENTITY_HASH_SECRET;
+    assert.throws(() => createIdentityLimiters({ name: "x", windowMs: 1000, max: 1 }), /IDENTITY_HASH_SECRET/);
+  });
+
+  it("un contador vencido vuelve a empezar", async () => {
+    await lookupFrom("192.0.2.30", identidad(CLIENTE_DOS_VEHICULOS));
+    await lookupFrom("192.0.2.31", identidad(CLIENTE_DOS_VEHICULOS));
+    await ctx.pool.query("UPDATE rate_limit_counters SET reset_at = now() - interval '1 second'");
+
+    assert.equal((await lookupFrom("192.0.2.32", identidad(CLIENTE_DOS_VEHICULOS))).status, 200);
+  });
+});
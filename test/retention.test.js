@@ -0,0 +1,232 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startTestApp } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+
+describe("retencion de nip_reset_tokens y nip_reset_events", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+  let purgeExpiredTokens;
+
+  before(async () => {
+    // reset() restaura estas variables entre pruebas
+    ctx = await startTestApp({
+      env: { TOKEN_RETENTION_DAYS: "90", TOKEN_RETENTION_MODE: "delete", TOKEN_RETENTION_BATCH_SIZE: "500" },
+    });
+    ({ purgeExpiredTokens } = require("../retention"));
+    // reset() no vacia la bitacora (append-only): anonimiza lo que dejaran corridas previas
+    await purgeExpiredTokens();
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+  });
+
+  /**
+   * Token creado hace `diasAtras` dias; sin `usado` queda expirado (o vigente con `vigente`).
+   * Cada token va a un vehiculo distinto (un solo token sin usar por vehiculo).
+   */
+  async function insertToken({ diasAtras, usado = null, vigente = false, codigo = false, avisoDiasAtras = null }) {
+    const { rows } = await ctx.pool.query(
+      `INSERT INTO nip_reset_tokens (
+         customer_ref, cliente_id, contacto_record_id, vehiculo_id, vehiculo_record_id, token_hash,
+         created_at, expires_at, used_at, invalidated_reason, request_ip, user_agent, notify_email,
+         challenge_hash, otp_hash, change_notified_at, report_hash
+       )
+       VALUES (
+         'recContacto100', 'CL-100', 'recContacto100', 'V-' || left($1, 8), 'recVehiculo101', $1,
+         now() - ($2 * interval '1 day'),
+         CASE WHEN $4 THEN now() + interval '1 hour' ELSE now() - ($2 * interval '1 day') + interval '1 hour' END,
+         CASE WHEN $3::text IS NULL THEN NULL ELSE now() - ($2 * interval '1 day') + interval '5 minutes' END,
+         $3, '203.0.113.9', 'Mozilla/5.0', 'cliente@ama.test',
+         CASE WHEN $5 THEN $1 || ':c' END, CASE WHEN $5 THEN $1 || ':o' END,
+         CASE WHEN $6::int IS NULL THEN NULL ELSE now() - ($6 * interval '1 day') END,
+         CASE WHEN $6::int IS NULL THEN NULL ELSE $1 || ':r' END
+       )
+       RETURNING id`,
+      [crypto.randomBytes(16).toString("hex"), diasAtras, usado, vigente, codigo, avisoDiasAtras]
+    );
+    return rows[0].id;
+  }
+
+  async function tokenIds() {
+    const { rows } = await ctx.pool.query("SELECT id FROM nip_reset_tokens ORDER BY id");
+    return rows.map((r) => r.id);
+  }
+
+  async function stats() {
+    const { rows } = await ctx.pool.query(
+      "SELECT dia::text, modo, resultado, tokens FROM nip_reset_token_daily_stats ORDER BY modo, resultado"
+    );
+    return rows;
+  }
+
+  it("borra tokens vencidos o usados fuera de retencion y los suma a las estadisticas", async () => {
+    await insertToken({ diasAtras: 120, usado: "confirmado" });
+    await insertToken({ diasAtras: 120 });
+    await insertToken({ diasAtras: 120, usado: "reemplazado", codigo: true });
+    const reciente = await insertToken({ diasAtras: 10 });
+    const vigente = await insertToken({ diasAtras: 120, vigente: true });
+
+    const summary = await purgeExpiredTokens();
+    assert.deepEqual(summary, { deleted: 3, anonymized: 0, aggregated: 3, events_anonymized: 0 });
+    assert.deepEqual(await tokenIds(), [reciente, vigente]);
+
+    const { rows } = await ctx.pool.query(
+      "SELECT ((now() - interval '120 days') AT TIME ZONE 'UTC')::date::text AS dia"
+    );
+    assert.deepEqual(await stats(), [
+      { dia: rows[0].dia, modo: "codigo", resultado: "reemplazado", tokens: 1 },
+      { dia: rows[0].dia, modo: "liga", resultado: "confirmado", tokens: 1 },
+      { dia: rows[0].dia, modo: "liga", resultado: "expirado", tokens: 1 },
+    ]);
+
+    assert.deepEqual(await purgeExpiredTokens(), { deleted: 0, anonymized: 0, aggregated: 0, events_anonymized: 0 });
+  });
+
+  it("las estadisticas se acumulan entre corridas", async () => {
+    await insertToken({ diasAtras: 100 });
+    await purgeExpiredTokens();
+    await insertToken({ diasAtras: 100 });
+    await purgeExpiredTokens();
+
+    assert.deepEqual(
+      (await stats()).map((s) => [s.resultado, s.tokens]),
+      [["expirado", 2]]
+    );
+  });
+
+  it("modo anonymize conserva la fila sin datos personales y no la cuenta dos veces", async () => {
+    process.env.TOKEN_RETENTION_MODE = "anonymize";
+    const id = await insertToken({ diasAtras: 120, usado: "confirmado", codigo: true });
+
+    assert.deepEqual(await purgeExpiredTokens(), { deleted: 0, anonymized: 1, aggregated: 1, events_anonymized: 0 });
+    const { rows } = await ctx.pool.query("SELECT * FROM nip_reset_tokens WHERE id = $1", [id]);
+    const row = rows[0];
+    assert.ok(row.anonymized_at);
+    assert.equal(row.customer_ref, "anonimizado");
+    const personales = ["contacto_record_id", "vehiculo_record_id", "request_ip", "user_agent", "notify_email"];
+    for (const col of [...personales, "challenge_hash", "otp_hash"]) {
+      assert.equal(row[col], null, col);
+    }
+    assert.equal(row.cliente_id, "CL-100");
+    assert.equal(row.invalidated_reason, "confirmado");
+
+    assert.deepEqual(await purgeExpiredTokens(), { deleted: 0, anonymized: 0, aggregated: 0, events_anonymized: 0 });
+    assert.equal((await stats())[0].tokens, 1);
+  });
+
+  it("respeta revisiones abiertas y ligas 'no fui yo' vigentes; anonimiza las revisadas", async () => {
+    const abierta = await insertToken({ diasAtras: 120, usado: "confirmado", avisoDiasAtras: 119 });
+    const resuelta = await insertToken({ diasAtras: 120, usado: "confirmado", avisoDiasAtras: 119 });
+    await ctx.pool.query(
+      `INSERT INTO nip_reset_reviews (token_id, cliente_id, vehiculo_id, estado)
+       VALUES ($1, 'CL-100', 'V-101', 'abierta'), ($2, 'CL-100', 'V-101', 'resuelta')`,
+      [abierta, resuelta]
+    );
+    // Liga del aviso aun vigente (NIP_CHANGE_REPORT_TTL_DAYS = 30)
+    const avisoVigente = await insertToken({ diasAtras: 120, usado: "confirmado", avisoDiasAtras: 5 });
+
+    assert.deepEqual(await purgeExpiredTokens(), { deleted: 0, anonymized: 1, aggregated: 1, events_anonymized: 0 });
+
+    const { rows } = await ctx.pool.query(
+      "SELECT id, anonymized_at IS NOT NULL AS anonimizado FROM nip_reset_tokens ORDER BY id"
+    );
+    assert.deepEqual(
+      rows.map((r) => [r.id, r.anonimizado]),
+      [
+        [abierta, false],
+        [resuelta, true],
+        [avisoVigente, false],
+      ]
+    );
+
+    await ctx.pool.query("UPDATE nip_reset_tokens SET change_notified_at = now() - interval '31 days' WHERE id = $1", [
+      avisoVigente,
+    ]);
+    assert.deepEqual(await purgeExpiredTokens(), { deleted: 1, anonymized: 0, aggregated: 1, events_anonymized: 0 });
+    assert.deepEqual(await tokenIds(), [abierta, resuelta]);
+  });
+
+  it("procesa por lotes y dry run no modifica nada", async () => {
+    process.env.TOKEN_RETENTION_BATCH_SIZE = "2";
+    for (let i = 0; i < 5; i++) await insertToken({ diasAtras: 91 + i });
+
+    assert.deepEqual(await purgeExpiredTokens({ dryRun: true }), { candidates: 5, event_candidates: 0 });
+    assert.equal((await tokenIds()).length, 5);
+    assert.deepEqual(await stats(), []);
+
+    assert.deepEqual(await purgeExpiredTokens(), { deleted: 5, anonymized: 0, aggregated: 5, events_anonymized: 0 });
+    assert.deepEqual(await tokenIds(), []);
+  });
+
+  async function insertEvent(diasAtras) {
+    const { rows } = await ctx.pool.query(
+      `INSERT INTO nip_reset_events (evento, cliente_id, vehiculo_id, request_ip, user_agent, detalle, created_at)
+       VALUES ('LINK_ENVIADO', 'CL-100', 'V-101', '203.0.113.9', 'Mozilla/5.0', '{"canal":"email"}',
+               now() - ($1 * interval '1 day'))
+       RETURNING id`,
+      [diasAtras]
+    );
+    return rows[0].id;
+  }
+
+  async function eventRows(ids) {
+    const { rows } = await ctx.pool.query(
+      `SELECT id, evento, cliente_id, request_ip, user_agent, detalle, anonymized_at IS NOT NULL AS anonimizado
+       FROM nip_reset_events WHERE id = ANY($1) ORDER BY id`,
+      [ids]
+    );
+    return rows;
+  }
+
+  it("quita IP y user agent de eventos viejos y conserva el resto del evento", async () => {
+    const viejo = await insertEvent(120);
+    const reciente = await insertEvent(10);
+
+    assert.deepEqual(await purgeExpiredTokens({ dryRun: true }), { candidates: 0, event_candidates: 1 });
+    assert.deepEqual(await purgeExpiredTokens(), {
+      deleted: 0,
+      anonymized: 0,
+      aggregated: 0,
+      events_anonymized: 1,
+    });
+
+    const base = { evento: "LINK_ENVIADO", cliente_id: "CL-100", detalle: { canal: "email" } };
+    assert.deepEqual(await eventRows([viejo, reciente]), [
+      { id: viejo, ...base, request_ip: null, user_agent: null, anonimizado: true },
+      { id: reciente, ...base, request_ip: "203.0.113.9", user_agent: "Mozilla/5.0", anonimizado: false },
+    ]);
+    assert.equal((await purgeExpiredTokens()).events_anonymized, 0);
+  });
+
+  it("EVENT_RETENTION_DAYS separa la retencion de eventos de la de tokens", async () => {
+    process.env.EVENT_RETENTION_DAYS = "365";
+    const viejo = await insertEvent(120);
+    assert.equal((await purgeExpiredTokens()).events_anonymized, 0);
+
+    process.env.EVENT_RETENTION_DAYS = "30";
+    assert.equal((await purgeExpiredTokens()).events_anonymized, 1);
+    assert.equal((await eventRows([viejo]))[0].anonimizado, true);
+  });
+
+  it("la bitacora sigue siendo append-only fuera de la anonimizacion", async () => {
+    const id = await insertEvent(120);
+    const rejects = (sql) => assert.rejects(ctx.pool.query(sql, [id]), /append-only/);
+
+    await rejects("UPDATE nip_reset_events SET evento = 'OTRO' WHERE id = $1");
+    await rejects("UPDATE nip_reset_events SET request_ip = NULL, user_agent = NULL WHERE id = $1");
+    await rejects(
+      `UPDATE nip_reset_events SET request_ip = NULL, user_agent = NULL, anonymized_at = now(), cliente_id = NULL
+       WHERE id = $1`
+    );
+    await rejects("DELETE FROM nip_reset_events WHERE id = $1");
+
+    await purgeExpiredTokens();
+    await rejects("UPDATE nip_reset_events SET anonymized_at = now() WHERE id = $1");
+    await rejects("DELETE FROM nip_reset_events WHERE id = $1");
+    assert.equal((await eventRows([id])).length, 1);
+  });
+});
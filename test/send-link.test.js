@@ -0,0 +1,320 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, extractResetToken, RESET_LINK_BASE } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { CLIENTE_DOS_VEHICULOS, CLIENTE_UN_VEHICULO } = require("./support/fixtures");
+
+describe("POST /nip-reset/send-link", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+  });
+
+  const cliente = CLIENTE_DOS_VEHICULOS;
+  const baseBody = {
+    email: cliente.email,
+    whatsapp_id: cliente.whatsapp_id,
+    cliente_id: cliente.cliente_id,
+    vehiculoId: "V-102",
+  };
+  const sendLink = (body, headers) => ctx.request("POST", "/nip-reset/send-link", { body, headers });
+
+  async function tokensOf(vehiculoId) {
+    const { rows } = await ctx.pool.query(
+      `SELECT token_hash, used_at, invalidated_reason, vehiculo_apodo, notify_email, locale, otp_hash
+       FROM nip_reset_tokens WHERE cliente_id = $1 AND vehiculo_id = $2 ORDER BY id`,
+      [cliente.cliente_id, vehiculoId]
+    );
+    return rows;
+  }
+
+  it("400 con datos invalidos", async () => {
+    const res = await sendLink({ ...baseBody, canal: "sms" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Datos inválidos. Revisa correo, teléfono y vehículo.");
+    assert.deepEqual(
+      res.body.errors.map((e) => e.field),
+      ["canal"]
+    );
+  });
+
+  it("200 por correo: guarda el token y envia la liga", async () => {
+    const res = await sendLink(baseBody);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      ok: true,
+      canal: "email",
+      message: "Hemos enviado al correo registrado la URL para reiniciar tu NIP.",
+    });
+
+    assert.equal(ctx.mailer.sent.length, 1);
+    const mail = ctx.mailer.last();
+    assert.equal(mail.to[0].address, cliente.email);
+    assert.match(mail.subject, /^Restablece tu NIP/);
+    const link = `${RESET_LINK_BASE}?token=${encodeURIComponent(extractResetToken(mail.text))}`;
+    assert.ok(mail.text.includes(link));
+    assert.ok(mail.html.includes(link));
+
+    const [token] = await tokensOf("V-102");
+    assert.equal(token.used_at, null);
+    assert.equal(token.vehiculo_apodo, "Tsuru");
+    assert.equal(token.notify_email, cliente.email);
+    assert.equal(token.locale, "es");
+
+    const [evento] = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.equal(evento.evento, "LIGA_EMITIDA");
+    assert.deepEqual(evento.detalle, { canal: "email", modo: "liga", ttl_minutes: 60 });
+  });
+
+  it("envia el correo en ingles con Accept-Language: en", async () => {
+    const res = await sendLink(baseBody, { "accept-language": "en-US,en;q=0.9" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, "We sent a link to reset your PIN to your registered email.");
+    assert.equal((await tokensOf("V-102"))[0].locale, "en");
+
+    // Misma plantilla que en espanol, con los textos de strings/en.json
+    const mail = ctx.mailer.last();
+    assert.equal(mail.subject, "Reset your PIN | AMA Track & Safe");
+    assert.match(mail.text, /^Hello,\n\nWe received a request to reset your security PIN\./);
+    assert.match(mail.html, /<html lang="en">/);
+    assert.doesNotMatch(mail.html, /\{\{|NIP/);
+  });
+
+  it("una liga nueva reemplaza a la anterior del mismo vehiculo", async () => {
+    await sendLink(baseBody);
+    await sendLink(baseBody);
+    const [first, second] = await tokensOf("V-102");
+    assert.equal(first.invalidated_reason, "reemplazado");
+    assert.notEqual(first.used_at, null);
+    assert.equal(second.used_at, null);
+  });
+
+  it("usa la lookup_session sin volver a consultar Airtable", async () => {
+    const lookup = await ctx.request("POST", "/nip-reset/lookup", {
+      body: { email: cliente.email, whatsapp_id: cliente.whatsapp_id },
+    });
+    ctx.airtable.reset();
+
+    const res = await sendLink({ ...baseBody, lookup_session: lookup.body.lookup_session });
+    assert.equal(res.status, 200);
+    assert.equal(ctx.airtable.requests.length, 0);
+  });
+
+  it("ignora una lookup_session alterada y vuelve a consultar", async () => {
+    const lookup = await ctx.request("POST", "/nip-reset/lookup", {
+      body: { email: cliente.email, whatsapp_id: cliente.whatsapp_id },
+    });
+    ctx.airtable.reset();
+
+    const [data, signature] = lookup.body.lookup_session.split(".");
+    const res = await sendLink({ ...baseBody, lookup_session: `${data}.${signature.slice(1)}x` });
+    assert.equal(res.status, 200);
+    assert.ok(ctx.airtable.requests.length > 0);
+  });
+
+  it("404 si cliente_id no corresponde al contacto", async () => {
+    const res = await sendLink({ ...baseBody, cliente_id: CLIENTE_UN_VEHICULO.cliente_id });
+    assert.equal(res.status, 404);
+    assert.equal(ctx.mailer.sent.length, 0);
+  });
+
+  it("404 si el vehiculo no es del contacto", async () => {
+    const res = await sendLink({ ...baseBody, vehiculoId: "V-201" });
+    assert.equal(res.status, 404);
+    assert.equal((await tokensOf("V-201")).length, 0);
+  });
+
+  it("404 si el contacto no existe", async () => {
+    const res = await sendLink({ ...baseBody, email: "nadie@ama.test" });
+    assert.equal(res.status, 404);
+  });
+
+  it("429 al rebasar el limite por vehiculo", async () => {
+    process.env.CUSTOMER_VEHICLE_RATE_MAX = "2";
+    assert.equal((await sendLink(baseBody)).status, 200);
+    assert.equal((await sendLink(baseBody)).status, 200);
+
+    const res = await sendLink(baseBody);
+    assert.equal(res.status, 429);
+    assert.equal(ctx.mailer.sent.length, 2);
+    const [evento] = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.equal(evento.evento, "LIGA_LIMITADA");
+
+    // El limite es por vehiculo
+    assert.equal((await sendLink({ ...baseBody, vehiculoId: "V-101" })).status, 200);
+  });
+
+  it("modo codigo: envia un codigo de 6 digitos y regresa verificacion_id", async () => {
+    const res = await sendLink({ ...baseBody, modo: "codigo" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.modo, "codigo");
+    assert.match(res.body.verificacion_id, /^[\w-]{20,}$/);
+    assert.equal(res.body.message, "Hemos enviado al correo registrado un código para reiniciar tu NIP.");
+    assert.match(ctx.mailer.last().text, /\b\d{6}\b/);
+    assert.equal(extractResetToken(ctx.mailer.last().text), null);
+    assert.notEqual((await tokensOf("V-102"))[0].otp_hash, null);
+  });
+
+  it("canal whatsapp: envia la liga al numero con lada 52", async () => {
+    const res = await sendLink({ ...baseBody, canal: "whatsapp" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.canal, "whatsapp");
+    assert.equal(ctx.mailer.sent.length, 0);
+    assert.equal(ctx.whatsapp.sent.length, 1);
+    assert.equal(ctx.whatsapp.sent[0].tipo, "liga");
+    assert.equal(ctx.whatsapp.sent[0].to, `52${cliente.whatsapp_id}`);
+    assert.ok(extractResetToken(ctx.whatsapp.sent[0].link));
+  });
+
+  it("canal whatsapp en modo codigo", async () => {
+    const res = await sendLink({ ...baseBody, canal: "whatsapp", modo: "codigo" });
+    assert.equal(res.status, 200);
+    assert.equal(ctx.whatsapp.sent[0].tipo, "codigo");
+    assert.match(ctx.whatsapp.sent[0].code, /^\d{6}$/);
+  });
+
+  it("500 si falla el correo: el token emitido queda invalidado", async () => {
+    ctx.mailer.failNext(new Error("SMTP 421 servicio no disponible"));
+    const res = await sendLink(baseBody);
+    assert.equal(res.status, 500);
+    assert.equal(res.body.message, "No fue posible completar la operación.");
+
+    const [token] = await tokensOf("V-102");
+    assert.notEqual(token.used_at, null);
+    assert.equal(token.invalidated_reason, "correo_fallido");
+
+    const eventos = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.deepEqual(
+      eventos.map((e) => e.evento),
+      ["LIGA_CORREO_FALLIDO"]
+    );
+    assert.match(eventos[0].detalle.error, /SMTP 421/);
+  });
+
+  it("500 si falla WhatsApp: el token emitido queda invalidado", async () => {
+    const { setWhatsappSender } = require("../whatsapp");
+    setWhatsappSender({
+      name: "falla",
+      async sendResetLink() {
+        throw new Error("WhatsApp HTTP 500");
+      },
+      async sendResetCode() {
+        throw new Error("WhatsApp HTTP 500");
+      },
+    });
+    try {
+      const res = await sendLink({ ...baseBody, canal: "whatsapp" });
+      assert.equal(res.status, 500);
+      const [token] = await tokensOf("V-102");
+      assert.equal(token.invalidated_reason, "whatsapp_fallido");
+      const [evento] = await ctx.eventsFor(res.headers.get("x-request-id"));
+      assert.equal(evento.evento, "LIGA_WHATSAPP_FALLIDO");
+    } finally {
+      setWhatsappSender(ctx.whatsapp);
+    }
+  });
+
+  it("lote con vehiculoIds \"all\": una sola liga para todos los vehiculos", async () => {
+    const { vehiculoId, ...sinVehiculo } = baseBody;
+    const res = await sendLink({ ...sinVehiculo, vehiculoIds: "all" });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.vehiculos, ["V-101", "V-102"]);
+    assert.deepEqual(res.body.vehiculos_omitidos, []);
+
+    assert.equal(ctx.mailer.sent.length, 1);
+    const [v101] = await tokensOf("V-101");
+    const [v102] = await tokensOf("V-102");
+    assert.equal(v101.token_hash, v102.token_hash);
+
+    const eventos = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.deepEqual(
+      eventos.map((e) => [e.evento, e.vehiculo_id, e.detalle.vehiculos_lote]),
+      [
+        ["LIGA_EMITIDA", "V-101", 2],
+        ["LIGA_EMITIDA", "V-102", 2],
+      ]
+    );
+  });
+
+  it("lote: 400 con vehiculoId y vehiculoIds juntos, sin ninguno o arriba del maximo", async () => {
+    const { vehiculoId, ...sinVehiculo } = baseBody;
+    const ambos = await sendLink({ ...baseBody, vehiculoIds: ["V-101"] });
+    assert.equal(ambos.status, 400);
+    assert.deepEqual(ambos.body.errors, [
+      { field: "vehiculoId", msg: "Indica vehiculoId o vehiculoIds (uno de los dos)" },
+    ]);
+    assert.equal((await sendLink(sinVehiculo)).status, 400);
+
+    process.env.NIP_RESET_BULK_MAX_VEHICLES = "1";
+    const excedido = await sendLink({ ...sinVehiculo, vehiculoIds: ["V-101", "V-102"] });
+    assert.equal(excedido.status, 400);
+    assert.equal(excedido.body.message, "Puedes restablecer máximo 1 vehículos a la vez.");
+    assert.equal(ctx.mailer.sent.length, 0);
+  });
+
+  it("lote: 404 si alguno de los vehiculos no es del contacto", async () => {
+    const { vehiculoId, ...sinVehiculo } = baseBody;
+    const res = await sendLink({ ...sinVehiculo, vehiculoIds: ["V-101", "V-201"] });
+    assert.equal(res.status, 404);
+    assert.equal((await tokensOf("V-101")).length, 0);
+  });
+
+  it("lote: omite los vehiculos que llegaron a su limite", async () => {
+    process.env.CUSTOMER_VEHICLE_RATE_MAX = "1";
+    assert.equal((await sendLink({ ...baseBody, vehiculoId: "V-101" })).status, 200);
+
+    const { vehiculoId, ...sinVehiculo } = baseBody;
+    const res = await sendLink({ ...sinVehiculo, vehiculoIds: ["V-101", "V-102"] });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.vehiculos, ["V-102"]);
+    assert.deepEqual(res.body.vehiculos_omitidos, ["V-101"]);
+    // La liga anterior de V-101 sigue vigente
+    assert.equal((await tokensOf("V-101"))[0].used_at, null);
+
+    const eventos = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.deepEqual(
+      eventos.map((e) => [e.evento, e.vehiculo_id]),
+      [
+        ["LIGA_LIMITADA", "V-101"],
+        ["LIGA_EMITIDA", "V-102"],
+      ]
+    );
+
+    const limitado = await sendLink({ ...sinVehiculo, vehiculoIds: ["V-101", "V-102"] });
+    assert.equal(limitado.status, 429);
+  });
+
+  it("lote en modo codigo: verify-code entrega un token para todos los vehiculos", async () => {
+    const { vehiculoId, ...sinVehiculo } = baseBody;
+    const res = await sendLink({ ...sinVehiculo, vehiculoIds: "all", modo: "codigo" });
+    assert.equal(res.status, 200);
+    const [codigo] = ctx.mailer.last().text.match(/\b\d{6}\b/);
+
+    const verify = await ctx.request("POST", "/nip-reset/verify-code", {
+      body: { verificacion_id: res.body.verificacion_id, codigo },
+    });
+    assert.equal(verify.status, 200);
+
+    const info = await ctx.request("GET", `/nip-reset/token-info?token=${encodeURIComponent(verify.body.token)}`);
+    assert.equal(info.status, 200);
+    assert.deepEqual(
+      info.body.vehiculos.map((v) => v.vehiculoId),
+      ["V-101", "V-102"]
+    );
+  });
+
+  it("503 si Airtable no esta disponible", async () => {
+    ctx.airtable.failWith(503, 2);
+    const res = await sendLink(baseBody);
+    assert.equal(res.status, 503);
+    assert.equal(res.headers.get("retry-after"), "30");
+    assert.equal((await tokensOf("V-102")).length, 0);
+  });
+});
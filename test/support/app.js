@@ -0,0 +1,170 @@
+const { startFakeAirtable } = require("./fake-airtable");
+const { startWebhookReceiver } = require("./webhook-receiver");
+const { createCapturedMailer } = require("./captured-mailer");
+const { createTestDatabase } = require("./test-db");
+const { ORIGIN, buildAirtableTables } = require("./fixtures");
+
+/**
+ * Levanta el API completo contra dependencias locales: base desechable, Airtable
+ * falso, SMTP capturado, WhatsApp `stub` y receptor del webhook firmado.
+ *
+ * `db.js` lee DATABASE_URL al cargarse, asi que el app se requiere hasta despues
+ * de crear la base (una por archivo de prueba; `node --test` corre cada archivo
+ * en su propio proceso).
+ */
+const RESET_LINK_BASE = "https://reset.ama.test/nip";
+
+let started = false;
+
+function buildTestEnv({ databaseUrl, airtable, webhook }) {
+  return {
+    DATABASE_URL: databaseUrl,
+    LOG_LEVEL: process.env.LOG_LEVEL || "silent",
+    ALLOWED_ORIGINS: ORIGIN,
+    CUSTOMER_SOURCE: "airtable",
+    AIRTABLE_API_URL: airtable.url,
+    AIRTABLE_API_KEY: airtable.apiKey,
+    AIRTABLE_BASE_ID: "appTest",
+    AIRTABLE_MAX_ATTEMPTS: "2",
+    AIRTABLE_RETRY_BASE_MS: "10",
+    AIRTABLE_TIMEOUT_MS: "2000",
+    LOOKUP_CACHE_TTL_SECONDS: "0",
+    LOOKUP_SESSION_SECRET: "lookup-session-secret-para-pruebas-0123456789",
+    IDENTITY_HASH_SECRET: "identity-hash-secret-para-pruebas-0123456789",
+    SMTP_USER: "no-reply@ama.test",
+    MAIL_FROM: "AMA <no-reply@ama.test>",
+    RESET_LINK_BASE,
+    NIP_CHANGE_REPORT_LINK_BASE: "https://reset.ama.test/reportar",
+    WHATSAPP_PROVIDER: "stub",
+    NIP_PERSIST_WEBHOOK_URL: webhook.url,
+    NIP_PERSIST_WEBHOOK_SECRET: webhook.secret,
+    NIP_PERSIST_WEBHOOK_TIMEOUT_MS: "3000",
+    NIP_PERSIST_OUTBOX_INLINE_WAIT_MS: "1000",
+    NIP_OUTBOX_ENCRYPTION_KEY: Buffer.alloc(32, 7).toString("base64"),
+    NIP_PERSIST_OUTBOX_MAX_ATTEMPTS: "10",
+    NIP_LOOKUP_IP_RATE_MAX: "1000",
+    NIP_SEND_LINK_IP_RATE_MAX: "1000",
+    NIP_CONFIRM_IP_RATE_MAX: "1000",
+    NIP_VERIFY_CODE_IP_RATE_MAX: "1000",
+    NIP_LOOKUP_IDENTITY_RATE_MAX: "1000",
+    NIP_SEND_LINK_IDENTITY_RATE_MAX: "1000",
+    CUSTOMER_VEHICLE_RATE_MAX: "100",
+    LOOKUP_LOCKOUT_IDENTITY_THRESHOLD: "1000",
+    LOOKUP_LOCKOUT_SUBNET_THRESHOLD: "1000",
+    LOOKUP_CAPTCHA_AFTER_FAILURES: "1000",
+    CAPTCHA_PROVIDER: "none",
+    NIP_POLICY_HISTORY_SECRET: "nip-history-secret-para-pruebas",
+  };
+}
+
+/**
+ * `env` sobreescribe las variables de prueba antes de cargar el app (p. ej.
+ * limites de rate limit, que se leen al crear los limiters).
+ */
+async function startTestApp({ env = {} } = {}) {
+  if (started) throw new Error("startTestApp: solo una vez por archivo de prueba");
+  started = true;
+
+  const airtable = await startFakeAirtable({ tables: buildAirtableTables() });
+  const webhook = await startWebhookReceiver();
+  const database = await createTestDatabase();
+
+  const baseEnv = { ...buildTestEnv({ databaseUrl: database.url, airtable, webhook }), ...env };
+  Object.assign(process.env, baseEnv);
+  // reset() quita tambien las variables que agrego una prueba
+  const envSnapshot = { ...process.env };
+
+  const { runMigrations } = require("../../migrate");
+  await runMigrations({ log: () => {} });
+
+  const { app } = require("../../index");
+  const { pool } = require("../../db");
+  const { setMailer } = require("../../mail");
+  const { getWhatsappSender } = require("../../whatsapp");
+
+  const mailer = createCapturedMailer();
+  setMailer(mailer);
+  const whatsapp = getWhatsappSender();
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * `request("POST", "/nip-reset/lookup", { body })` -> `{ status, headers, body }`
+   */
+  async function request(method, path, { body, headers = {} } = {}) {
+    const resp = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        origin: ORIGIN,
+        ...(body !== undefined ? { "content-type": "application/json" } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await resp.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = null;
+    }
+    return { status: resp.status, headers: resp.headers, body: json };
+  }
+
+  async function eventsFor(requestId) {
+    const { rows } = await pool.query(
+      "SELECT evento, cliente_id, vehiculo_id, detalle FROM nip_reset_events WHERE request_id = $1 ORDER BY id",
+      [requestId]
+    );
+    return rows;
+  }
+
+  async function reset() {
+    for (const key of Object.keys(process.env)) {
+      if (!(key in envSnapshot)) delete process.env[key];
+    }
+    Object.assign(process.env, envSnapshot);
+    airtable.reset();
+    airtable.setTables(buildAirtableTables());
+    webhook.reset();
+    mailer.reset();
+    whatsapp.sent.length = 0;
+    await pool.query(
+      `TRUNCATE nip_persist_outbox, nip_reset_reviews, nip_reset_tokens, rate_limit_counters, lookup_failures, nip_history,
+                nip_reset_token_daily_stats, nip_persist_signing_keys`
+    );
+  }
+
+  async function close() {
+    await new Promise((resolve) => server.close(resolve));
+    await pool.end();
+    await Promise.all([airtable.close(), webhook.close()]);
+    await database.drop();
+  }
+
+  return { baseUrl, request, eventsFor, reset, close, pool, airtable, webhook, mailer, whatsapp };
+}
+
+/**
+ * Token de la liga (`...?token=<token>`) dentro del texto del correo o WhatsApp.
+ */
+function extractResetToken(text) {
+  const match = String(text || "").match(/[?&]token=([A-Za-z0-9_%-]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Pide una liga por correo con `send-link` y regresa el token en claro.
+ */
+async function issueResetToken(ctx, cliente, vehiculoId = cliente.vehiculos[0].vehiculoId) {
+  const res = await ctx.request("POST", "/nip-reset/send-link", {
+    body: { email: cliente.email, whatsapp_id: cliente.whatsapp_id, cliente_id: cliente.cliente_id, vehiculoId },
+  });
+  if (res.status !== 200) throw new Error(`send-link respondio ${res.status}`);
+  return extractResetToken(ctx.mailer.last().text);
+}
+
+module.exports = { RESET_LINK_BASE, startTestApp, extractResetToken, issueResetToken };
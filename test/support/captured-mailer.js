@@ -0,0 +1,47 @@
+const nodemailer = require("nodemailer");
+
+/**
+ * Transport de nodemailer que no sale a la red (`jsonTransport`): arma el mensaje
+ * completo y lo guarda en `sent`. `failNext(error)` hace fallar el siguiente envio y
+ * `failVerify(error)` la siguiente verificacion (`verifyCalls` cuenta las llamadas).
+ */
+function createCapturedMailer() {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const sent = [];
+  const failures = [];
+  const verifyFailures = [];
+
+  return {
+    sent,
+    verifyCalls: 0,
+    async verify() {
+      this.verifyCalls += 1;
+      if (verifyFailures.length) throw verifyFailures.shift();
+      return true;
+    },
+    async sendMail(mail) {
+      if (failures.length) throw failures.shift();
+      const info = await transport.sendMail(mail);
+      const message = JSON.parse(info.message);
+      sent.push(message);
+      return { messageId: info.messageId };
+    },
+    failNext(error = new Error("SMTP no disponible")) {
+      failures.push(error);
+    },
+    failVerify(error = new Error("SMTP no disponible")) {
+      verifyFailures.push(error);
+    },
+    last() {
+      return sent[sent.length - 1];
+    },
+    reset() {
+      sent.length = 0;
+      failures.length = 0;
+      verifyFailures.length = 0;
+      this.verifyCalls = 0;
+    },
+  };
+}
+
+module.exports = { createCapturedMailer };
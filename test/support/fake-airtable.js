@@ -0,0 +1,119 @@
+const http = require("http");
+
+/**
+ * Airtable falso (REST `GET /v0/<base>/<tabla>`) para las pruebas.
+ *
+ * Evalua solo las formulas que genera `sources/airtable.js`:
+ * `LOWER({f})='v'`, `FIND('v', ARRAYJOIN({f}, ','))`, `({f}&'')='v'` y `OR(...)`
+ * de las anteriores. Pagina con `pageSize`/`offset` como la API real.
+ */
+function unescapeFormulaString(value) {
+  return value.replace(/\\'/g, "'");
+}
+
+function fieldText(value) {
+  if (value === null || value === undefined) return "";
+  return Array.isArray(value) ? value.join(",") : String(value);
+}
+
+function matchesFormula(formula, fields) {
+  const or = formula.match(/^OR\((.*)\)$/);
+  if (or) {
+    return or[1].split(/,\s*(?=\(\{)/).some((part) => matchesFormula(part.trim(), fields));
+  }
+
+  const lower = formula.match(/^LOWER\(\{([^}]+)\}\)='((?:[^'\\]|\\.)*)'$/);
+  if (lower) return fieldText(fields[lower[1]]).toLowerCase() === unescapeFormulaString(lower[2]);
+
+  const find = formula.match(/^FIND\('((?:[^'\\]|\\.)*)', ARRAYJOIN\(\{([^}]+)\}, ','\)\)$/);
+  if (find) return fieldText(fields[find[2]]).includes(unescapeFormulaString(find[1]));
+
+  const equals = formula.match(/^\(\{([^}]+)\}&''\)='((?:[^'\\]|\\.)*)'$/);
+  if (equals) return fieldText(fields[equals[1]]) === unescapeFormulaString(equals[2]);
+
+  throw new Error(`Formula no soportada por el Airtable falso: ${formula}`);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * `tables` = `{ Contactos: [{ id, fields }], Vehiculos: [...] }`.
+ * `failWith(status, times)` responde error en las siguientes `times` llamadas;
+ * `status` tambien puede ser `"malformed"` (200 con JSON truncado) o `"stall"`
+ * (200 que manda parte del body y no termina).
+ */
+async function startFakeAirtable({ apiKey = "test-airtable-key", tables = {} } = {}) {
+  const state = { tables, requests: [], failures: [], stalled: new Set() };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const [, version, , tableName] = url.pathname.split("/").map(decodeURIComponent);
+    state.requests.push({ table: tableName, formula: url.searchParams.get("filterByFormula") });
+
+    if (state.failures.length) {
+      const status = state.failures.shift();
+      if (status === "malformed") {
+        res.writeHead(200, { "content-type": "application/json" });
+        return res.end('{"records": [{"id": "rec');
+      }
+      if (status === "stall") {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.write('{"records": [');
+        state.stalled.add(res);
+        return res.on("close", () => state.stalled.delete(res));
+      }
+      return send(res, status, { error: { type: "FAKE_FAILURE" } });
+    }
+    if (req.headers.authorization !== `Bearer ${apiKey}`) {
+      return send(res, 401, { error: { type: "AUTHENTICATION_REQUIRED" } });
+    }
+    if (version !== "v0" || !state.tables[tableName]) {
+      return send(res, 404, { error: { type: "TABLE_NOT_FOUND" } });
+    }
+
+    let records;
+    try {
+      const formula = url.searchParams.get("filterByFormula") || "";
+      records = state.tables[tableName].filter((r) => !formula || matchesFormula(formula, r.fields));
+    } catch (e) {
+      return send(res, 422, { error: { type: "INVALID_FILTER_BY_FORMULA", message: e.message } });
+    }
+
+    const maxRecords = Number(url.searchParams.get("maxRecords") || records.length);
+    const pageSize = Math.min(100, Number(url.searchParams.get("pageSize") || 100));
+    const start = Number(url.searchParams.get("offset") || 0);
+    const limited = records.slice(0, maxRecords);
+    const page = limited.slice(start, start + pageSize);
+    const next = start + pageSize < limited.length ? String(start + pageSize) : undefined;
+    return send(res, 200, { records: page, ...(next ? { offset: next } : {}) });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    apiKey,
+    requests: state.requests,
+    setTables(next) {
+      state.tables = next;
+    },
+    failWith(status, times = 1) {
+      for (let i = 0; i < times; i++) state.failures.push(status);
+    },
+    reset() {
+      state.requests.length = 0;
+      state.failures.length = 0;
+      for (const res of state.stalled) res.destroy();
+    },
+    close: () =>
+      new Promise((resolve) => {
+        for (const res of state.stalled) res.destroy();
+        server.close(resolve);
+      }),
+  };
+}
+
+module.exports = { startFakeAirtable };
@@ -0,0 +1,57 @@
+/**
+ * Datos de Airtable para las pruebas. Se regeneran en cada `reset()` para que
+ * una prueba que altera tablas no afecte a la siguiente.
+ */
+const ORIGIN = "https://reset.ama.test";
+
+const CLIENTE_DOS_VEHICULOS = {
+  email: "cliente@ama.test",
+  whatsapp_id: "5512345678",
+  cliente_id: "CL-100",
+  contacto_record_id: "recContacto100",
+  vehiculos: [
+    { vehiculoId: "V-101", vehiculo_record_id: "recVehiculo101", apodo: "Vocho" },
+    { vehiculoId: "V-102", vehiculo_record_id: "recVehiculo102", apodo: "Tsuru" },
+  ],
+};
+
+const CLIENTE_UN_VEHICULO = {
+  email: "unico@ama.test",
+  whatsapp_id: "5587654321",
+  cliente_id: "CL-200",
+  contacto_record_id: "recContacto200",
+  vehiculos: [{ vehiculoId: "V-201", vehiculo_record_id: "recVehiculo201", apodo: "Jetta" }],
+};
+
+const CLIENTE_SIN_VEHICULOS = {
+  email: "sinauto@ama.test",
+  whatsapp_id: "5511112222",
+  cliente_id: "CL-300",
+  contacto_record_id: "recContacto300",
+  vehiculos: [],
+};
+
+const CLIENTES = [CLIENTE_DOS_VEHICULOS, CLIENTE_UN_VEHICULO, CLIENTE_SIN_VEHICULOS];
+
+function buildAirtableTables() {
+  return {
+    Contactos: CLIENTES.map((c) => ({
+      id: c.contacto_record_id,
+      fields: { email: c.email, whatsapp_id: `52${c.whatsapp_id}`, cliente_id: c.cliente_id },
+    })),
+    Vehiculos: CLIENTES.flatMap((c) =>
+      c.vehiculos.map((v) => ({
+        id: v.vehiculo_record_id,
+        fields: { vehiculoId: v.vehiculoId, apodo: v.apodo, whatsappNumero: [c.contacto_record_id] },
+      }))
+    ),
+  };
+}
+
+module.exports = {
+  ORIGIN,
+  CLIENTE_DOS_VEHICULOS,
+  CLIENTE_UN_VEHICULO,
+  CLIENTE_SIN_VEHICULOS,
+  buildAirtableTables,
+};
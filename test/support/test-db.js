@@ -0,0 +1,46 @@
+const crypto = require("crypto");
+const { Client } = require("pg");
+
+/**
+ * Base desechable: crea `ama_test_<pid>_<rand>` en el servidor de
+ * TEST_DATABASE_URL (usuario con permiso CREATE DATABASE) y la borra al terminar.
+ */
+function getTestDatabaseUrl() {
+  return process.env.TEST_DATABASE_URL || "";
+}
+
+async function withAdminClient(adminUrl, fn) {
+  const client = new Client({ connectionString: adminUrl });
+  await client.connect();
+  try {
+    return await fn(client);
+  } finally {
+    await client.end();
+  }
+}
+
+async function createTestDatabase() {
+  const adminUrl = getTestDatabaseUrl();
+  if (!adminUrl) throw new Error("Falta TEST_DATABASE_URL");
+
+  const name = `ama_test_${process.pid}_${crypto.randomBytes(4).toString("hex")}`;
+  await withAdminClient(adminUrl, (client) => client.query(`CREATE DATABASE ${name}`));
+
+  const url = new URL(adminUrl);
+  url.pathname = `/${name}`;
+
+  return {
+    name,
+    url: url.toString(),
+    drop: () =>
+      withAdminClient(adminUrl, async (client) => {
+        await client.query(
+          "SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE datname = $1 AND pid <> pg_backend_pid()",
+          [name]
+        );
+        await client.query(`DROP DATABASE IF EXISTS ${name}`);
+      }),
+  };
+}
+
+module.exports = { getTestDatabaseUrl, createTestDatabase };
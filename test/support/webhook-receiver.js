@@ -0,0 +1,85 @@
+const http = require("http");
+const { verifyWebhookRequest } = require("../../webhook-verifier");
+
+/**
+ * Receptor local de webhooks: valida cada entrega con `webhook-verifier` (lo mismo
+ * que debe hacer n8n) y la guarda con `signatureValid` y `verificationError`.
+ *
+ * `respondWith(status, { times, delayMs })` programa las siguientes respuestas;
+ * sin programacion responde 200 si la firma es valida y 401 si no.
+ * `acceptKeys({ kid: secreto })` verifica como un receptor en rotacion (por
+ * `x-ama-key-id`) hasta el siguiente `reset()`.
+ */
+async function startWebhookReceiver({ secret = "test-webhook-secret" } = {}) {
+  const deliveries = [];
+  const plan = [];
+  const sockets = new Set();
+  let acceptedKeys = null;
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", async () => {
+      let verificationError = null;
+      try {
+        verifyWebhookRequest({ headers: req.headers, rawBody: raw, secret, secrets: acceptedKeys || undefined });
+      } catch (e) {
+        verificationError = e.code || e.message;
+      }
+      const signatureValid = verificationError === null;
+
+      let body = null;
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        body = null;
+      }
+      deliveries.push({
+        method: req.method,
+        headers: req.headers,
+        body,
+        keyId: req.headers["x-ama-key-id"] || null,
+        signatureValid,
+        verificationError,
+      });
+
+      const next = plan.length ? plan.shift() : { status: signatureValid ? 200 : 401, delayMs: 0 };
+      if (next.delayMs) await new Promise((resolve) => setTimeout(resolve, next.delayMs));
+      if (res.destroyed) return;
+      res.writeHead(next.status, { "content-type": "application/json" });
+      res.end(JSON.stringify({ ok: next.status < 300 }));
+    });
+  });
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/webhook/ama/nip-persist`,
+    secret,
+    deliveries,
+    respondWith(status, { times = 1, delayMs = 0 } = {}) {
+      for (let i = 0; i < times; i++) plan.push({ status, delayMs });
+    },
+    acceptKeys(keys) {
+      acceptedKeys = keys;
+    },
+    reset() {
+      deliveries.length = 0;
+      plan.length = 0;
+      acceptedKeys = null;
+    },
+    close() {
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { startWebhookReceiver };
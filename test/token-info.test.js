@@ -0,0 +1,102 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, issueResetToken, extractResetToken } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { CLIENTE_DOS_VEHICULOS } = require("./support/fixtures");
+
+describe("GET /nip-reset/token-info", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+  });
+
+  const tokenInfo = (token) => ctx.request("GET", `/nip-reset/token-info?token=${encodeURIComponent(token)}`);
+
+  async function resultadoDe(res) {
+    const [evento] = await ctx.eventsFor(res.headers.get("x-request-id"));
+    return evento?.detalle?.resultado;
+  }
+
+  it("400 con token mal formado", async () => {
+    const res = await ctx.request("GET", "/nip-reset/token-info?token=corto");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Token inválido.");
+
+    const sinToken = await ctx.request("GET", "/nip-reset/token-info");
+    assert.equal(sinToken.status, 400);
+  });
+
+  it("200 con token vigente", async () => {
+    const token = await issueResetToken(ctx, CLIENTE_DOS_VEHICULOS, "V-102");
+    const res = await tokenInfo(token);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      ok: true,
+      cliente_id: CLIENTE_DOS_VEHICULOS.cliente_id,
+      vehiculoId: "V-102",
+      identifica_tu_vehiculo: "Tsuru",
+    });
+    assert.equal(await resultadoDe(res), "valido");
+  });
+
+  it("200 con la lista de vehiculos de una liga en lote", async () => {
+    const cliente = CLIENTE_DOS_VEHICULOS;
+    const sent = await ctx.request("POST", "/nip-reset/send-link", {
+      body: { email: cliente.email, whatsapp_id: cliente.whatsapp_id, cliente_id: cliente.cliente_id, vehiculoIds: "all" },
+    });
+    assert.equal(sent.status, 200);
+    const token = extractResetToken(ctx.mailer.last().text);
+
+    const res = await tokenInfo(token);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      ok: true,
+      cliente_id: cliente.cliente_id,
+      vehiculos: [
+        { vehiculoId: "V-101", identifica_tu_vehiculo: "Vocho" },
+        { vehiculoId: "V-102", identifica_tu_vehiculo: "Tsuru" },
+      ],
+    });
+  });
+
+  it("403 si el token no existe", async () => {
+    const res = await tokenInfo("x".repeat(43));
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, "Liga inválida o expirada.");
+    assert.equal(await resultadoDe(res), "no_encontrado");
+  });
+
+  it("403 si el token ya se uso o fue reemplazado", async () => {
+    const token = await issueResetToken(ctx, CLIENTE_DOS_VEHICULOS);
+    await issueResetToken(ctx, CLIENTE_DOS_VEHICULOS);
+
+    const res = await tokenInfo(token);
+    assert.equal(res.status, 403);
+    assert.equal(await resultadoDe(res), "usado");
+  });
+
+  it("403 si el token expiro", async () => {
+    const token = await issueResetToken(ctx, CLIENTE_DOS_VEHICULOS);
+    await ctx.pool.query("UPDATE nip_reset_tokens SET expires_at = now() - interval '1 minute'");
+
+    const res = await tokenInfo(token);
+    assert.equal(res.status, 403);
+    assert.equal(await resultadoDe(res), "expirado");
+  });
+
+  it("apodo por default si el token no lo tiene", async () => {
+    const token = await issueResetToken(ctx, CLIENTE_DOS_VEHICULOS);
+    await ctx.pool.query("UPDATE nip_reset_tokens SET vehiculo_apodo = NULL");
+
+    const res = await tokenInfo(token);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.identifica_tu_vehiculo, "Vehículo sin apodo");
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { CLIENTE_DOS_VEHICULOS } = require("./support/fixtures");
+
+async function waitFor(check, { timeoutMs = 3000, intervalMs = 50 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("waitFor: tiempo agotado");
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+describe("POST /nip-reset/verify-code", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp({ env: { OTP_MAX_ATTEMPTS: "3" } });
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+  });
+
+  const cliente = CLIENTE_DOS_VEHICULOS;
+  const verify = (verificacion_id, codigo) =>
+    ctx.request("POST", "/nip-reset/verify-code", { body: { verificacion_id, codigo } });
+
+  // Pide un codigo (de un vehiculo o de todos) y regresa verificacion_id y el codigo enviado
+  async function requestCode(seleccion = { vehiculoId: "V-102" }) {
+    const res = await ctx.request("POST", "/nip-reset/send-link", {
+      body: {
+        email: cliente.email,
+        whatsapp_id: cliente.whatsapp_id,
+        cliente_id: cliente.cliente_id,
+        modo: "codigo",
+        ...seleccion,
+      },
+    });
+    assert.equal(res.status, 200);
+    const [codigo] = ctx.mailer.last().text.match(/\b\d{6}\b/);
+    return { verificacionId: res.body.verificacion_id, codigo, incorrecto: codigo === "000000" ? "111111" : "000000" };
+  }
+
+  async function tokenRows() {
+    const { rows } = await ctx.pool.query(
+      `SELECT vehiculo_id, token_hash, used_at, invalidated_reason, otp_attempts, otp_locked_at
+       FROM nip_reset_tokens WHERE cliente_id = $1 ORDER BY vehiculo_id`,
+      [cliente.cliente_id]
+    );
+    return rows;
+  }
+
+  async function eventoDe(res) {
+    return waitFor(async () => (await ctx.eventsFor(res.headers.get("x-request-id")))[0]);
+  }
+
+  it("codigo incorrecto: 403 code_incorrect con intentos_restantes decreciente", async () => {
+    const { verificacionId, incorrecto } = await requestCode();
+
+    const primero = await verify(verificacionId, incorrecto);
+    assert.equal(primero.status, 403);
+    assert.equal(primero.body.error_code, "code_incorrect");
+    assert.equal(primero.body.intentos_restantes, 2);
+    const evento = await eventoDe(primero);
+    assert.equal(evento.evento, "CODIGO_FALLIDO");
+    assert.equal(evento.detalle.intentos, 1);
+
+    const segundo = await verify(verificacionId, incorrecto);
+    assert.equal(segundo.body.intentos_restantes, 1);
+    const [row] = await tokenRows();
+    assert.equal(row.otp_attempts, 2);
+    assert.equal(row.used_at, null);
+  });
+
+  it("429 code_locked al llegar a OTP_MAX_ATTEMPTS; despues ni el codigo correcto pasa", async () => {
+    const { verificacionId, codigo, incorrecto } = await requestCode();
+    await verify(verificacionId, incorrecto);
+    await verify(verificacionId, incorrecto);
+
+    const bloqueo = await verify(verificacionId, incorrecto);
+    assert.equal(bloqueo.status, 429);
+    assert.equal(bloqueo.body.error_code, "code_locked");
+    assert.equal(bloqueo.body.intentos_restantes, undefined);
+    assert.equal((await eventoDe(bloqueo)).evento, "CODIGO_BLOQUEADO");
+
+    const [row] = await tokenRows();
+    assert.notEqual(row.otp_locked_at, null);
+    assert.notEqual(row.used_at, null);
+    assert.equal(row.invalidated_reason, "codigo_bloqueado");
+
+    const correcto = await verify(verificacionId, codigo);
+    assert.equal(correcto.status, 429);
+    assert.equal(correcto.body.error_code, "code_locked");
+  });
+
+  it("lote: el bloqueo invalida todas las filas que comparten el token", async () => {
+    const { verificacionId, incorrecto } = await requestCode({ vehiculoIds: "all" });
+    const antes = await tokenRows();
+    assert.equal(antes.length, 2);
+    assert.equal(antes[0].token_hash, antes[1].token_hash);
+
+    for (let i = 0; i < 3; i++) await verify(verificacionId, incorrecto);
+
+    const despues = await tokenRows();
+    assert.deepEqual(
+      despues.map((r) => [r.vehiculo_id, r.used_at !== null, r.invalidated_reason]),
+      [
+        ["V-101", true, "codigo_bloqueado"],
+        ["V-102", true, "codigo_bloqueado"],
+      ]
+    );
+  });
+
+  it("403 code_invalid si el codigo expiro aunque la liga siga vigente", async () => {
+    const { verificacionId, codigo } = await requestCode();
+    await ctx.pool.query(
+      "UPDATE nip_reset_tokens SET otp_expires_at = now() - interval '1 second' WHERE cliente_id = $1",
+      [cliente.cliente_id]
+    );
+
+    const res = await verify(verificacionId, codigo);
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error_code, "code_invalid");
+    // No cuenta como intento fallido
+    assert.equal((await tokenRows())[0].otp_attempts, 0);
+  });
+
+  it("403 code_invalid al reutilizar un codigo ya verificado", async () => {
+    const { verificacionId, codigo } = await requestCode();
+
+    const primero = await verify(verificacionId, codigo);
+    assert.equal(primero.status, 200);
+    assert.match(primero.body.token, /^[\w-]{40,}$/);
+
+    const reuso = await verify(verificacionId, codigo);
+    assert.equal(reuso.status, 403);
+    assert.equal(reuso.body.error_code, "code_invalid");
+
+    // El token entregado sigue sirviendo para confirm
+    const info = await ctx.request("GET", `/nip-reset/token-info?token=${encodeURIComponent(primero.body.token)}`);
+    assert.equal(info.status, 200);
+  });
+
+  it("403 code_invalid con un verificacion_id desconocido", async () => {
+    const res = await verify("x".repeat(43), "123456");
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error_code, "code_invalid");
+  });
+});
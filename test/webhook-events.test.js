@@ -0,0 +1,157 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, issueResetToken } = require("./support/app");
+const { startWebhookReceiver } = require("./support/webhook-receiver");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { CLIENTE_DOS_VEHICULOS } = require("./support/fixtures");
+
+describe("eventos de webhook y suscriptores", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+  let crm;
+  let dispatchPendingOutbox;
+
+  before(async () => {
+    crm = await startWebhookReceiver({ secret: "crm-webhook-secret" });
+    ctx = await startTestApp({
+      env: { WEBHOOK_SUBSCRIBERS: "crm", WEBHOOK_CRM_URL: crm.url, WEBHOOK_CRM_SECRET: crm.secret },
+    });
+    // El despachador no corre en pruebas: se entrega a mano
+    ({ dispatchPendingOutbox } = require("../outbox"));
+  });
+  after(async () => {
+    await ctx?.close();
+    await crm?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+    crm.reset();
+  });
+
+  const cliente = CLIENTE_DOS_VEHICULOS;
+  const confirm = (body) => ctx.request("POST", "/nip-reset/confirm", { body });
+  const crmEvents = (evento) => crm.deliveries.filter((d) => d.body.evento === evento);
+
+  it("send-link: NIP_RESET_SOLICITADO con sobre versionado, sin token ni contacto", async () => {
+    const res = await ctx.request("POST", "/nip-reset/send-link", {
+      body: { email: cliente.email, whatsapp_id: cliente.whatsapp_id, cliente_id: cliente.cliente_id, vehiculoId: "V-102" },
+    });
+    assert.equal(res.status, 200);
+    await dispatchPendingOutbox();
+
+    assert.equal(ctx.webhook.deliveries.length, 0);
+    assert.equal(crm.deliveries.length, 1);
+    const [delivery] = crm.deliveries;
+    assert.equal(delivery.signatureValid, true);
+    assert.equal(delivery.headers["x-ama-event"], "NIP_RESET_SOLICITADO");
+    assert.equal(delivery.headers["x-ama-event-id"], delivery.body.event_id);
+    assert.equal(delivery.headers["x-ama-schema-version"], "1");
+
+    const { event_id: eventId, occurred_at: occurredAt, timestamp, expires_at: expiresAt, ...resto } = delivery.body;
+    assert.match(eventId, /^[0-9a-f-]{36}$/);
+    assert.equal(timestamp, occurredAt);
+    assert.ok(Date.parse(expiresAt) > Date.parse(occurredAt));
+    assert.deepEqual(resto, {
+      schema_version: 1,
+      evento: "NIP_RESET_SOLICITADO",
+      request_id: res.headers.get("x-request-id"),
+      cliente_id: cliente.cliente_id,
+      vehiculoId: "V-102",
+      canal: "email",
+      modo: "liga",
+    });
+  });
+
+  it("confirm: solo persistencia recibe el NIP; los demas el mismo evento sin NIP", async () => {
+    const token = await issueResetToken(ctx, cliente, "V-102");
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    assert.equal(res.status, 200);
+    await dispatchPendingOutbox();
+
+    const [persist] = ctx.webhook.deliveries;
+    assert.equal(ctx.webhook.deliveries.length, 1);
+    assert.equal(persist.body.schema_version, 1);
+    assert.equal(persist.body.nuevo_nip, "4821");
+
+    const [copia] = crmEvents("NIP_RESET_CONFIRMADO");
+    assert.equal(copia.signatureValid, true);
+    assert.equal(copia.body.event_id, persist.body.event_id);
+    assert.equal(copia.body.request_id, res.headers.get("x-request-id"));
+    assert.equal(copia.body.vehiculoId, "V-102");
+    assert.equal(copia.body.nuevo_nip, undefined);
+    assert.equal(copia.body.nuevo_nip_cifrado, undefined);
+  });
+
+  it("un suscriptor caido no cambia el estado de confirm", async () => {
+    process.env.WEBHOOK_CRM_EVENTS = "NIP_RESET_CONFIRMADO";
+    process.env.NIP_PERSIST_OUTBOX_MAX_ATTEMPTS = "1";
+    crm.respondWith(500);
+    const token = await issueResetToken(ctx, cliente);
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    await dispatchPendingOutbox();
+
+    assert.equal(crm.deliveries.length, 1);
+    const { rows } = await ctx.pool.query(
+      "SELECT subscriber, status FROM nip_persist_outbox WHERE request_id = $1 ORDER BY subscriber",
+      [res.headers.get("x-request-id")]
+    );
+    assert.deepEqual(
+      rows.map((r) => [r.subscriber, r.status]),
+      [
+        ["crm", "dead"],
+        ["nip_persist", "delivered"],
+      ]
+    );
+    const status = await ctx.request("GET", `/nip-reset/confirm-status?request_id=${res.headers.get("x-request-id")}`);
+    assert.equal(status.body.estado, "confirmado");
+  });
+
+  it("WEBHOOK_<NOMBRE>_EVENTS filtra los eventos del suscriptor", async () => {
+    process.env.WEBHOOK_CRM_EVENTS = "NIP_RESET_FALLIDO";
+    const token = await issueResetToken(ctx, cliente);
+    assert.equal((await confirm({ token, nip: "4821", nipConfirm: "4821" })).status, 200);
+    await dispatchPendingOutbox();
+    assert.equal(crm.deliveries.length, 0);
+  });
+
+  it("dead-letter de persistencia: NIP_RESET_FALLIDO a los suscriptores", async () => {
+    process.env.NIP_PERSIST_OUTBOX_MAX_ATTEMPTS = "1";
+    ctx.webhook.respondWith(500);
+    const token = await issueResetToken(ctx, cliente, "V-101");
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    assert.equal(res.status, 503);
+    await dispatchPendingOutbox();
+
+    const [fallido] = crmEvents("NIP_RESET_FALLIDO");
+    assert.equal(fallido.body.request_id, res.headers.get("x-request-id"));
+    assert.equal(fallido.body.vehiculoId, "V-101");
+    assert.equal(fallido.body.motivo, "persistencia_fallida");
+    assert.equal(fallido.body.intentos, 1);
+    assert.notEqual(fallido.body.event_id, crmEvents("NIP_RESET_CONFIRMADO")[0].body.event_id);
+  });
+
+  it("liga vencida sin usar: NIP_RESET_LINK_EXPIRADO una sola vez", async () => {
+    await issueResetToken(ctx, cliente, "V-101");
+    await issueResetToken(ctx, cliente, "V-102");
+    await ctx.pool.query(
+      `UPDATE nip_reset_tokens
+       SET expires_at = CASE vehiculo_id WHEN 'V-101' THEN now() - interval '1 minute' ELSE now() - interval '2 days' END`
+    );
+    await dispatchPendingOutbox();
+    await dispatchPendingOutbox();
+
+    // La de hace dos dias queda fuera de la ventana de revision
+    const expirados = crmEvents("NIP_RESET_LINK_EXPIRADO");
+    assert.equal(expirados.length, 1);
+    assert.equal(expirados[0].body.vehiculoId, "V-101");
+    assert.equal(expirados[0].body.modo, "liga");
+    assert.equal(expirados[0].body.request_id, expirados[0].body.event_id);
+  });
+
+  it("503 en confirm si un suscriptor esta mal configurado; el token no se consume", async () => {
+    const token = await issueResetToken(ctx, cliente);
+    process.env.WEBHOOK_SUBSCRIBERS = "crm,bi";
+    const res = await confirm({ token, nip: "4821", nipConfirm: "4821" });
+    assert.equal(res.status, 503);
+    assert.equal((await ctx.request("GET", `/nip-reset/token-info?token=${token}`)).status, 200);
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, issueResetToken } = require("./support/app");
+const { getTestDatabaseUrl } = require("./support/test-db");
+const { CLIENTE_UN_VEHICULO } = require("./support/fixtures");
+
+const ADMIN_KEY = "llave-admin-pruebas";
+const K2_SECRET = "segundo-secreto-webhook";
+
+describe("rotacion de la llave de firma del webhook", { skip: !getTestDatabaseUrl() && "TEST_DATABASE_URL no definido" }, () => {
+  let ctx;
+  let dispatchPendingOutbox;
+
+  before(async () => {
+    ctx = await startTestApp({
+      env: {
+        NIP_PERSIST_WEBHOOK_SECRETS: `k1:test-webhook-secret,k2:${K2_SECRET}`,
+        ADMIN_API_KEYS: `soporte:${ADMIN_KEY}`,
+      },
+    });
+    ({ dispatchPendingOutbox } = require("../outbox"));
+  });
+  after(async () => {
+    await ctx?.close();
+  });
+  beforeEach(async () => {
+    await ctx.reset();
+    ctx.webhook.acceptKeys({ k1: "test-webhook-secret", k2: K2_SECRET });
+  });
+
+  const cliente = CLIENTE_UN_VEHICULO;
+  const auth = { authorization: `Bearer ${ADMIN_KEY}` };
+  const rotate = (body, headers = auth) =>
+    ctx.request("POST", "/admin/nip-reset/webhook-keys/rotate", { body, headers });
+  const listKeys = async () => (await ctx.request("GET", "/admin/nip-reset/webhook-keys", { headers: auth })).body.keys;
+  const confirmNip = async () => {
+    const token = await issueResetToken(ctx, cliente);
+    return ctx.request("POST", "/nip-reset/confirm", { body: { token, nip: "4821", nipConfirm: "4821" } });
+  };
+
+  it("sin rotaciones firma con la primera llave y manda x-ama-key-id", async () => {
+    const res = await confirmNip();
+    assert.equal(res.status, 200);
+    const [delivery] = ctx.webhook.deliveries;
+    assert.equal(delivery.keyId, "k1");
+    assert.equal(delivery.signatureValid, true);
+  });
+
+  it("una sola NIP_PERSIST_WEBHOOK_SECRET usa NIP_PERSIST_WEBHOOK_KEY_ID (default k1)", async () => {
+    delete process.env.NIP_PERSIST_WEBHOOK_SECRETS;
+    assert.equal((await confirmNip()).status, 200);
+    assert.equal(ctx.webhook.deliveries[0].keyId, "k1");
+    assert.deepEqual(
+      (await listKeys()).map((k) => [k.kid, k.estado]),
+      [["k1", "activa"]]
+    );
+  });
+
+  it("rota a k2: firma con k2 y k1 queda retirando durante el solapamiento", async () => {
+    const res = await rotate({ kid: "k2" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.activa.kid, "k2");
+    assert.equal(res.body.anterior.kid, "k1");
+    const horas = (Date.parse(res.body.anterior.retire_at) - Date.now()) / 3_600_000;
+    assert.ok(horas > 23.9 && horas <= 24, `retire_at a ${horas} h`);
+
+    const [evento] = await ctx.eventsFor(res.headers.get("x-request-id"));
+    assert.equal(evento.evento, "ADMIN_LLAVE_WEBHOOK_ROTADA");
+    assert.equal(evento.detalle.admin, "soporte");
+    assert.equal(evento.detalle.kid, "k2");
+    assert.equal(evento.detalle.kid_anterior, "k1");
+
+    assert.equal((await confirmNip()).status, 200);
+    const [delivery] = ctx.webhook.deliveries;
+    assert.equal(delivery.keyId, "k2");
+    assert.equal(delivery.signatureValid, true);
+
+    const keys = await listKeys();
+    assert.deepEqual(
+      keys.map((k) => [k.kid, k.estado, k.puede_eliminarse]),
+      [
+        ["k1", "retirando", false],
+        ["k2", "activa", false],
+      ]
+    );
+    assert.equal(keys.find((k) => k.kid === "k2").rotated_by, "soporte");
+    assert.ok(keys.every((k) => !("secret" in k)));
+  });
+
+  it("se puede volver a la anterior mientras esta retirando, no despues", async () => {
+    assert.equal((await rotate({ kid: "k2" })).status, 200);
+    assert.equal((await rotate({ kid: "k1" })).status, 200);
+    assert.equal((await confirmNip()).status, 200);
+    assert.equal(ctx.webhook.deliveries[0].keyId, "k1");
+
+    // Sin solapamiento k1 queda retirada de inmediato
+    assert.equal((await rotate({ kid: "k2", overlap_hours: 0 })).status, 200);
+    const keys = await listKeys();
+    assert.deepEqual(
+      keys.map((k) => [k.kid, k.estado, k.puede_eliminarse]),
+      [
+        ["k1", "retirada", true],
+        ["k2", "activa", false],
+      ]
+    );
+    const res = await rotate({ kid: "k1" });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "La llave ya se retiró; agrega una nueva.");
+  });
+
+  it("409 si la llave no esta configurada o ya es la activa; 400 y 401", async () => {
+    assert.equal((await rotate({ kid: "k3" })).status, 409);
+    assert.equal((await rotate({ kid: "k1" })).status, 409);
+    assert.equal((await rotate({ kid: "k2", overlap_hours: 1000 })).status, 400);
+    assert.equal((await rotate({})).status, 400);
+    assert.equal((await rotate({ kid: "k2" }, {})).status, 401);
+    assert.equal((await ctx.request("GET", "/admin/nip-reset/webhook-keys")).status, 401);
+  });
+
+  it("instancia sin la llave activa: la entrega queda pendiente y sale al actualizar env", async () => {
+    assert.equal((await rotate({ kid: "k2" })).status, 200);
+    process.env.NIP_PERSIST_WEBHOOK_SECRETS = "k1:test-webhook-secret";
+
+    const res = await confirmNip();
+    assert.equal(res.status, 202);
+    assert.equal(ctx.webhook.deliveries.length, 0);
+    const requestId = res.headers.get("x-request-id");
+    const { rows } = await ctx.pool.query("SELECT status, last_error FROM nip_persist_outbox WHERE request_id = $1", [
+      requestId,
+    ]);
+    assert.equal(rows[0].status, "pending");
+    assert.match(rows[0].last_error, /k2/);
+
+    process.env.NIP_PERSIST_WEBHOOK_SECRETS = `k1:test-webhook-secret,k2:${K2_SECRET}`;
+    await ctx.pool.query("UPDATE nip_persist_outbox SET next_attempt_at = now() WHERE request_id = $1", [requestId]);
+    await dispatchPendingOutbox();
+    assert.equal(ctx.webhook.deliveries[0].keyId, "k2");
+    const status = await ctx.request("GET", `/nip-reset/confirm-status?request_id=${requestId}`);
+    assert.equal(status.body.estado, "confirmado");
+  });
+});
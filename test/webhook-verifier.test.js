@@ -0,0 +1,125 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildWebhookSignature, verifyWebhookRequest } = require("../webhook-verifier");
+
+const SECRET = "secreto-del-consumidor";
+const NOW = Date.parse("2026-03-01T12:00:00.000Z");
+
+function signedRequest(event, { secret = SECRET, timestamp = new Date(NOW).toISOString(), headers = {} } = {}) {
+  const rawBody = JSON.stringify(event);
+  return {
+    rawBody,
+    headers: {
+      "x-ama-event": event.evento,
+      "x-ama-event-id": event.event_id,
+      "x-ama-timestamp": timestamp,
+      "x-ama-signature": buildWebhookSignature(secret, timestamp, rawBody),
+      ...headers,
+    },
+  };
+}
+
+const evento = {
+  schema_version: 1,
+  event_id: "0b6f2a4e-7f0c-4a8e-9c1d-2f3e4a5b6c7d",
+  evento: "NIP_RESET_SOLICITADO",
+  occurred_at: "2026-03-01T11:59:59.000Z",
+  request_id: "0b6f2a4e-7f0c-4a8e-9c1d-2f3e4a5b6c7d",
+  cliente_id: "CL-100",
+  vehiculoId: "V-101",
+};
+
+function verificationCode(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e.code;
+  }
+  return null;
+}
+
+describe("webhook-verifier", () => {
+  it("regresa el evento si firma, timestamp y tipo son validos", () => {
+    const { rawBody, headers } = signedRequest(evento);
+    assert.deepEqual(verifyWebhookRequest({ headers, rawBody, secret: SECRET, now: NOW }), evento);
+    // Tambien con Buffer y con `Headers` de fetch
+    assert.deepEqual(
+      verifyWebhookRequest({ headers: new Headers(headers), rawBody: Buffer.from(rawBody), secret: SECRET, now: NOW }),
+      evento
+    );
+  });
+
+  it("firma_invalida con el body alterado o con otro secreto", () => {
+    const { rawBody, headers } = signedRequest(evento);
+    const alterado = rawBody.replace("V-101", "V-102");
+    assert.equal(
+      verificationCode(() => verifyWebhookRequest({ headers, rawBody: alterado, secret: SECRET, now: NOW })),
+      "firma_invalida"
+    );
+    assert.equal(
+      verificationCode(() => verifyWebhookRequest({ headers, rawBody, secret: "otro", now: NOW })),
+      "firma_invalida"
+    );
+    // Re-serializar el JSON cambia los bytes firmados
+    assert.equal(
+      verificationCode(() =>
+        verifyWebhookRequest({ headers, rawBody: JSON.stringify(JSON.parse(rawBody), null, 2), secret: SECRET, now: NOW })
+      ),
+      "firma_invalida"
+    );
+  });
+
+  it("firma_faltante y timestamp_invalido", () => {
+    const { rawBody, headers } = signedRequest(evento);
+    const { "x-ama-signature": _firma, ...sinFirma } = headers;
+    assert.equal(
+      verificationCode(() => verifyWebhookRequest({ headers: sinFirma, rawBody, secret: SECRET, now: NOW })),
+      "firma_faltante"
+    );
+    const malo = signedRequest(evento, { timestamp: "ayer" });
+    assert.equal(
+      verificationCode(() => verifyWebhookRequest({ ...malo, secret: SECRET, now: NOW })),
+      "timestamp_invalido"
+    );
+  });
+
+  it("timestamp_fuera_de_rango bloquea reenvios viejos y relojes adelantados", () => {
+    const viejo = signedRequest(evento, { timestamp: new Date(NOW - 301_000).toISOString() });
+    assert.equal(
+      verificationCode(() => verifyWebhookRequest({ ...viejo, secret: SECRET, now: NOW })),
+      "timestamp_fuera_de_rango"
+    );
+    const futuro = signedRequest(evento, { timestamp: new Date(NOW + 301_000).toISOString() });
+    assert.equal(
+      verificationCode(() => verifyWebhookRequest({ ...futuro, secret: SECRET, now: NOW })),
+      "timestamp_fuera_de_rango"
+    );
+    // toleranceSeconds ajusta la ventana
+    assert.deepEqual(verifyWebhookRequest({ ...viejo, secret: SECRET, now: NOW, toleranceSeconds: 600 }), evento);
+  });
+
+  it("secrets: usa la llave de x-ama-key-id y rechaza las desconocidas", () => {
+    const secrets = { k1: SECRET, k2: "secreto-nuevo" };
+    const nueva = signedRequest(evento, { secret: "secreto-nuevo", headers: { "x-ama-key-id": "k2" } });
+    assert.deepEqual(verifyWebhookRequest({ ...nueva, secrets, now: NOW }), evento);
+    // Mismo formato que NIP_PERSIST_WEBHOOK_SECRETS
+    assert.deepEqual(verifyWebhookRequest({ ...nueva, secrets: `k1:${SECRET},k2:secreto-nuevo`, now: NOW }), evento);
+
+    const otraLlave = signedRequest(evento, { secret: "secreto-nuevo", headers: { "x-ama-key-id": "k1" } });
+    assert.equal(verificationCode(() => verifyWebhookRequest({ ...otraLlave, secrets, now: NOW })), "firma_invalida");
+
+    const retirada = signedRequest(evento, { headers: { "x-ama-key-id": "k0" } });
+    assert.equal(verificationCode(() => verifyWebhookRequest({ ...retirada, secrets, now: NOW })), "llave_desconocida");
+
+    // Sin x-ama-key-id vale cualquiera de las vigentes
+    assert.deepEqual(verifyWebhookRequest({ ...signedRequest(evento), secrets, now: NOW }), evento);
+  });
+
+  it("evento_invalido si x-ama-event no coincide con el body", () => {
+    const req = signedRequest(evento, { headers: { "x-ama-event": "NIP_RESET_CONFIRMADO" } });
+    assert.equal(
+      verificationCode(() => verifyWebhookRequest({ ...req, secret: SECRET, now: NOW })),
+      "evento_invalido"
+    );
+  });
+});
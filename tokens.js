@@ -0,0 +1,136 @@
+const { pool } = require("./db");
+
+/**
+ * Motivos de `used_at` en `nip_reset_tokens.invalidated_reason`.
+ * Filas anteriores a la columna quedan con NULL y se reportan como `used`.
+ */
+const TOKEN_INVALIDATION_REASONS = {
+  CONFIRMADO: "confirmado",
+  REEMPLAZADO: "reemplazado",
+  CORREO_FALLIDO: "correo_fallido",
+  WHATSAPP_FALLIDO: "whatsapp_fallido",
+  REVOCADO: "revocado",
+  CODIGO_BLOQUEADO: "codigo_bloqueado",
+};
+
+function getVehicleRateConfig() {
+  return {
+    windowMinutes: Number(process.env.CUSTOMER_VEHICLE_RATE_WINDOW_MINUTES || 60),
+    maxPerWindow: Number(process.env.CUSTOMER_VEHICLE_RATE_MAX || 2),
+  };
+}
+
+/**
+ * Tope de vehiculos por liga en send-link con `vehiculoIds`.
+ */
+function getBulkResetConfig() {
+  return { maxVehicles: Number(process.env.NIP_RESET_BULK_MAX_VEHICLES || 50) };
+}
+
+/**
+ * Vehiculos de `vehiculoIds` que ya llegaron a CUSTOMER_VEHICLE_RATE_MAX en la ventana.
+ */
+async function listRateLimitedVehicles(clienteId, vehiculoIds) {
+  const { windowMinutes, maxPerWindow } = getVehicleRateConfig();
+  const { rows } = await pool.query(
+    `SELECT vehiculo_id
+     FROM nip_reset_tokens
+     WHERE cliente_id = $1
+       AND vehiculo_id = ANY($2)
+       AND created_at > now() - ($3 * interval '1 minute')
+       AND rate_limit_cleared_at IS NULL
+     GROUP BY vehiculo_id
+     HAVING COUNT(*) >= $4`,
+    [clienteId, vehiculoIds, windowMinutes, maxPerWindow]
+  );
+  return rows.map((r) => r.vehiculo_id);
+}
+
+/**
+ * Excluye del conteo de `listRateLimitedVehicles` los tokens de la ventana vigente.
+ * Sin `vehiculoId` aplica a todos los vehiculos del cliente.
+ */
+async function clearVehicleRateLimit(clienteId, vehiculoId = null) {
+  const { windowMinutes } = getVehicleRateConfig();
+  const { rowCount } = await pool.query(
+    `UPDATE nip_reset_tokens
+     SET rate_limit_cleared_at = now()
+     WHERE cliente_id = $1
+       AND ($2::text IS NULL OR vehiculo_id = $2::text)
+       AND created_at > now() - ($3 * interval '1 minute')
+       AND rate_limit_cleared_at IS NULL`,
+    [clienteId, vehiculoId, windowMinutes]
+  );
+  return rowCount;
+}
+
+function resolveTokenStatus(row, now = Date.now()) {
+  if (!row.used_at) {
+    return new Date(row.expires_at).getTime() < now ? "expired" : "active";
+  }
+  switch (row.invalidated_reason) {
+    case TOKEN_INVALIDATION_REASONS.REEMPLAZADO:
+    case TOKEN_INVALIDATION_REASONS.CORREO_FALLIDO:
+    case TOKEN_INVALIDATION_REASONS.WHATSAPP_FALLIDO:
+      return "superseded";
+    case TOKEN_INVALIDATION_REASONS.REVOCADO:
+      return "revoked";
+    case TOKEN_INVALIDATION_REASONS.CODIGO_BLOQUEADO:
+      return "locked";
+    default:
+      return "used";
+  }
+}
+
+async function listResetTokens({ clienteId, vehiculoId = null, limit = 50 }) {
+  const { rows } = await pool.query(
+    `SELECT id, cliente_id, vehiculo_id, vehiculo_apodo, created_at, expires_at, used_at,
+            invalidated_reason, rate_limit_cleared_at, request_ip, user_agent
+     FROM nip_reset_tokens
+     WHERE cliente_id = $1
+       AND ($2::text IS NULL OR vehiculo_id = $2::text)
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [clienteId, vehiculoId, limit]
+  );
+  const now = Date.now();
+  return rows.map((row) => ({ ...row, status: resolveTokenStatus(row, now) }));
+}
+
+/**
+ * Revoca la liga completa: en una liga de varios vehiculos, todas las filas
+ * vigentes que comparten el `token_hash` de `id`. Regresa la fila `id` (o la
+ * primera revocada) con los `vehiculos` afectados, o `{ notFound }` /
+ * `{ notActive }` para que la ruta elija el status.
+ */
+async function revokeResetToken(id) {
+  const { rows } = await pool.query(
+    `UPDATE nip_reset_tokens
+     SET used_at = now(), invalidated_reason = $2
+     WHERE token_hash = (SELECT token_hash FROM nip_reset_tokens WHERE id = $1)
+       AND used_at IS NULL
+     RETURNING id, cliente_id, vehiculo_id, expires_at, used_at, invalidated_reason`,
+    [id, TOKEN_INVALIDATION_REASONS.REVOCADO]
+  );
+  if (rows.length) {
+    rows.sort((a, b) => Number(a.id) - Number(b.id));
+    return {
+      token: rows.find((r) => String(r.id) === String(id)) || rows[0],
+      vehiculos: rows.map((r) => r.vehiculo_id),
+    };
+  }
+
+  const existing = await pool.query("SELECT id FROM nip_reset_tokens WHERE id = $1", [id]);
+  return existing.rowCount ? { notActive: true } : { notFound: true };
+}
+
+module.exports = {
+  TOKEN_INVALIDATION_REASONS,
+  getVehicleRateConfig,
+  getBulkResetConfig,
+  listRateLimitedVehicles,
+  clearVehicleRateLimit,
+  resolveTokenStatus,
+  listResetTokens,
+  revokeResetToken,
+};
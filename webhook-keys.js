@@ -0,0 +1,189 @@
+const { pool } = require("./db");
+
+/**
+ * Llaves de firma del webhook de persistencia, con rotacion sin corte.
+ *
+ * NIP_PERSIST_WEBHOOK_SECRETS = "k2:<secreto>,k1:<secreto>" lista las llaves
+ * vigentes (sin ella, NIP_PERSIST_WEBHOOK_SECRET es una sola llave con id
+ * NIP_PERSIST_WEBHOOK_KEY_ID, default `k1`). Los secretos solo viven en env;
+ * `nip_persist_signing_keys` guarda cual firma (`activa`) y hasta cuando la
+ * anterior sigue aceptandose en los receptores (`retirando`, `retire_at`). Sin
+ * rotaciones registradas firma la primera de la lista.
+ *
+ * Rotar desde admin cambia la llave de todas las instancias a la vez: los
+ * receptores deben aceptar la nueva antes de rotar (ver documentacion).
+ */
+const DEFAULT_KEY_ID = "k1";
+
+class SigningKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SigningKeyError";
+  }
+}
+
+function getSigningKeyConfig() {
+  return {
+    overlapHours: Number(process.env.NIP_PERSIST_WEBHOOK_KEY_OVERLAP_HOURS || 24),
+  };
+}
+
+/**
+ * `[{ kid, secret }]` en el orden de la variable. Lanza si hay ids invalidos o repetidos.
+ */
+function parseSigningKeys() {
+  const raw = String(process.env.NIP_PERSIST_WEBHOOK_SECRETS || "").trim();
+  if (!raw) {
+    const secret = process.env.NIP_PERSIST_WEBHOOK_SECRET;
+    if (!secret) return [];
+    return [{ kid: String(process.env.NIP_PERSIST_WEBHOOK_KEY_ID || DEFAULT_KEY_ID).trim(), secret }];
+  }
+
+  const keys = [];
+  for (const entry of raw.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const idx = entry.indexOf(":");
+    const kid = idx > 0 ? entry.slice(0, idx).trim() : "";
+    const secret = idx > 0 ? entry.slice(idx + 1).trim() : "";
+    if (!/^[A-Za-z0-9._-]{1,32}$/.test(kid) || !secret) {
+      throw new SigningKeyError("Webhook: NIP_PERSIST_WEBHOOK_SECRETS debe ser kid:secreto,...");
+    }
+    if (keys.some((k) => k.kid === kid)) {
+      throw new SigningKeyError(`Webhook: llave repetida en NIP_PERSIST_WEBHOOK_SECRETS (${kid})`);
+    }
+    keys.push({ kid, secret });
+  }
+  return keys;
+}
+
+async function findActiveKid(client = pool) {
+  const { rows } = await client.query("SELECT kid FROM nip_persist_signing_keys WHERE estado = 'activa'");
+  return rows[0]?.kid || null;
+}
+
+/**
+ * Llave con la que se firma ahora. Si la activa no esta en env (instancia sin
+ * actualizar) lanza: la entrega queda pendiente en el outbox en lugar de salir
+ * con una firma que el receptor rechazaria.
+ */
+async function resolveActiveSigningKey(keys = parseSigningKeys()) {
+  if (!keys.length) throw new SigningKeyError("Webhook: sin llaves de firma configuradas");
+  const kid = await findActiveKid();
+  if (!kid) return keys[0];
+  const key = keys.find((k) => k.kid === kid);
+  if (!key) throw new SigningKeyError(`Webhook: la llave activa ${kid} no esta en NIP_PERSIST_WEBHOOK_SECRETS`);
+  return key;
+}
+
+function keyState(row, now = Date.now()) {
+  if (row.estado === "retirando" && row.retire_at && new Date(row.retire_at).getTime() <= now) return "retirada";
+  return row.estado;
+}
+
+/**
+ * Estado de cada llave (sin secretos): `activa`, `retirando` (los receptores aun
+ * deben aceptarla), `retirada` (ya se puede quitar de env y de n8n) o
+ * `disponible` (configurada, nunca activada). Incluye las registradas que ya no
+ * estan en env (`configurada: false`).
+ */
+async function listSigningKeys() {
+  const keys = parseSigningKeys();
+  const { rows } = await pool.query(
+    "SELECT kid, estado, activated_at, retire_at, rotated_by FROM nip_persist_signing_keys ORDER BY activated_at DESC"
+  );
+  const activeKid = rows.find((r) => r.estado === "activa")?.kid || keys[0]?.kid || null;
+
+  const list = keys.map(({ kid }) => {
+    const row = rows.find((r) => r.kid === kid);
+    const estado = kid === activeKid ? "activa" : row ? keyState(row) : "disponible";
+    return {
+      kid,
+      configurada: true,
+      estado,
+      activated_at: row?.activated_at || null,
+      retire_at: row?.retire_at || null,
+      rotated_by: row?.rotated_by || null,
+      puede_eliminarse: estado === "retirada",
+    };
+  });
+  for (const row of rows.filter((r) => !keys.some((k) => k.kid === r.kid))) {
+    const estado = keyState(row);
+    list.push({
+      kid: row.kid,
+      configurada: false,
+      estado,
+      activated_at: row.activated_at,
+      retire_at: row.retire_at,
+      rotated_by: row.rotated_by,
+      puede_eliminarse: estado === "retirada",
+    });
+  }
+  return list;
+}
+
+/**
+ * Activa `kid` y deja la anterior `retirando` por `overlapHours`. Se puede volver
+ * a una llave mientras siga `retirando` (rollback), no despues.
+ * Regresa `{ notConfigured }`, `{ alreadyActive }`, `{ retired }` o `{ key, previous }`.
+ */
+async function rotateSigningKey({ kid, overlapHours = getSigningKeyConfig().overlapHours, rotatedBy = null }) {
+  const keys = parseSigningKeys();
+  if (!keys.some((k) => k.kid === kid)) return { notConfigured: true };
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    // Serializa rotaciones concurrentes (la tabla puede estar vacia)
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('nip_persist_signing_keys'))");
+
+    const currentKid = (await findActiveKid(client)) || keys[0].kid;
+    if (currentKid === kid) {
+      await client.query("ROLLBACK");
+      return { alreadyActive: true };
+    }
+
+    const { rows } = await client.query("SELECT estado, retire_at FROM nip_persist_signing_keys WHERE kid = $1", [kid]);
+    if (rows[0] && keyState(rows[0]) === "retirada") {
+      await client.query("ROLLBACK");
+      return { retired: true };
+    }
+
+    const previous = await client.query(
+      `INSERT INTO nip_persist_signing_keys (kid, estado, activated_at, retire_at)
+       VALUES ($1, 'retirando', now(), now() + ($2 * interval '1 hour'))
+       ON CONFLICT (kid) DO UPDATE SET
+         estado = 'retirando',
+         retire_at = EXCLUDED.retire_at,
+         updated_at = now()
+       RETURNING kid, retire_at`,
+      [currentKid, overlapHours]
+    );
+    const key = await client.query(
+      `INSERT INTO nip_persist_signing_keys (kid, estado, activated_at, rotated_by)
+       VALUES ($1, 'activa', now(), $2)
+       ON CONFLICT (kid) DO UPDATE SET
+         estado = 'activa',
+         activated_at = now(),
+         retire_at = NULL,
+         rotated_by = EXCLUDED.rotated_by,
+         updated_at = now()
+       RETURNING kid, activated_at`,
+      [kid, rotatedBy]
+    );
+    await client.query("COMMIT");
+    return { key: key.rows[0], previous: previous.rows[0] };
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  SigningKeyError,
+  getSigningKeyConfig,
+  parseSigningKeys,
+  resolveActiveSigningKey,
+  listSigningKeys,
+  rotateSigningKey,
+};
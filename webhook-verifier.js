@@ -0,0 +1,141 @@
+const crypto = require("crypto");
+
+/**
+ * Verificacion de los webhooks que emite el servicio, para n8n y cualquier otro
+ * consumidor. No depende del resto del proyecto (solo `crypto`), asi que se puede
+ * copiar tal cual.
+ *
+ * Cada entrega lleva:
+ * - `x-ama-event`: tipo de evento (igual a `evento` del body);
+ * - `x-ama-event-id`: `event_id` del body, para descartar duplicados;
+ * - `x-ama-timestamp`: ISO 8601 del momento del envio (cambia en cada reintento);
+ * - `x-ama-signature`: `hex(HMAC-SHA256(secret, "<x-ama-timestamp>.<body crudo>"))`;
+ * - `x-ama-key-id`: id de la llave que firmo (solo el webhook de persistencia,
+ *   que rota su llave; ver `secrets`).
+ *
+ * La firma se calcula sobre el body tal como llego: no volver a serializar el JSON.
+ * Un timestamp fuera de `toleranceSeconds` se rechaza aunque la firma sea valida
+ * (una entrega capturada no se puede reenviar despues).
+ */
+const WEBHOOK_HEADERS = {
+  event: "x-ama-event",
+  eventId: "x-ama-event-id",
+  schemaVersion: "x-ama-schema-version",
+  timestamp: "x-ama-timestamp",
+  signature: "x-ama-signature",
+  keyId: "x-ama-key-id",
+};
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+class WebhookVerificationError extends Error {
+  constructor(code, message) {
+    super(message || code);
+    this.name = "WebhookVerificationError";
+    this.code = code;
+  }
+}
+
+function buildWebhookSignature(secret, timestamp, payloadString) {
+  const stringToSign = `${timestamp}.${payloadString}`;
+  return crypto.createHmac("sha256", secret).update(stringToSign).digest("hex");
+}
+
+/**
+ * Normaliza `secrets` a `[{ kid, secret }]`: objeto `{ kid: secreto }`, arreglo
+ * de `{ kid, secret }` o texto `"kid:secreto,kid:secreto"` (el formato de
+ * NIP_PERSIST_WEBHOOK_SECRETS).
+ */
+function normalizeSecrets(secrets) {
+  if (Array.isArray(secrets)) return secrets.filter((k) => k && k.secret);
+  if (typeof secrets === "string") {
+    return secrets
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const idx = entry.indexOf(":");
+        return { kid: entry.slice(0, idx).trim(), secret: entry.slice(idx + 1).trim() };
+      })
+      .filter((k) => k.kid && k.secret);
+  }
+  return Object.entries(secrets || {})
+    .filter(([, secret]) => secret)
+    .map(([kid, secret]) => ({ kid, secret }));
+}
+
+function signatureMatches(secret, timestamp, body, provided) {
+  const expected = Buffer.from(buildWebhookSignature(secret, timestamp, body));
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+// Acepta un objeto plano (Express, n8n, http) o `Headers` de fetch
+function readHeader(headers, name) {
+  if (!headers) return "";
+  const value = typeof headers.get === "function" ? headers.get(name) : headers[name] ?? headers[name.toLowerCase()];
+  return String((Array.isArray(value) ? value[0] : value) || "");
+}
+
+/**
+ * Valida firma, timestamp y tipo de evento y regresa el evento parseado. Lanza
+ * `WebhookVerificationError` con `code`: `firma_faltante`, `timestamp_invalido`,
+ * `timestamp_fuera_de_rango`, `llave_desconocida`, `firma_invalida` o
+ * `evento_invalido`.
+ *
+ * `rawBody` es el body crudo (string o Buffer). `secret` es una sola llave;
+ * `secrets` son todas las vigentes durante una rotacion: se usa la de
+ * `x-ama-key-id` y, si la entrega no lo trae, cualquiera que coincida.
+ */
+function verifyWebhookRequest({
+  headers,
+  rawBody,
+  secret,
+  secrets,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Date.now(),
+}) {
+  const keys = secrets ? normalizeSecrets(secrets) : secret ? [{ kid: null, secret }] : [];
+  if (!keys.length) throw new Error("verifyWebhookRequest: secret o secrets requerido");
+
+  const timestamp = readHeader(headers, WEBHOOK_HEADERS.timestamp);
+  const signature = readHeader(headers, WEBHOOK_HEADERS.signature);
+  if (!timestamp || !signature) throw new WebhookVerificationError("firma_faltante");
+
+  const sentAt = Date.parse(timestamp);
+  if (!Number.isFinite(sentAt)) throw new WebhookVerificationError("timestamp_invalido");
+  if (Math.abs(now - sentAt) > toleranceSeconds * 1000) {
+    throw new WebhookVerificationError("timestamp_fuera_de_rango");
+  }
+
+  const keyId = readHeader(headers, WEBHOOK_HEADERS.keyId);
+  let candidates = keys;
+  if (keyId && secrets) {
+    candidates = keys.filter((k) => k.kid === keyId);
+    if (!candidates.length) throw new WebhookVerificationError("llave_desconocida", `Llave ${keyId} no aceptada`);
+  }
+
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody ?? "");
+  const provided = Buffer.from(signature);
+  if (!candidates.some((k) => signatureMatches(k.secret, timestamp, body, provided))) {
+    throw new WebhookVerificationError("firma_invalida");
+  }
+
+  let event;
+  try {
+    event = JSON.parse(body);
+  } catch {
+    throw new WebhookVerificationError("evento_invalido", "Body no es JSON");
+  }
+  if (!event || event.evento !== readHeader(headers, WEBHOOK_HEADERS.event)) {
+    throw new WebhookVerificationError("evento_invalido", "x-ama-event no coincide con el body");
+  }
+  return event;
+}
+
+module.exports = {
+  WEBHOOK_HEADERS,
+  DEFAULT_TOLERANCE_SECONDS,
+  WebhookVerificationError,
+  buildWebhookSignature,
+  verifyWebhookRequest,
+};
@@ -0,0 +1,170 @@
+const crypto = require("crypto");
+const { webhookDuration } = require("./metrics");
+const { sleep, fetchWithTimeout } = require("./http-util");
+const { WEBHOOK_HEADERS, buildWebhookSignature } = require("./webhook-verifier");
+const { parseSigningKeys, resolveActiveSigningKey } = require("./webhook-keys");
+
+/**
+ * Eventos salientes. Todos comparten el sobre `{ schema_version, event_id, evento,
+ * occurred_at, request_id, ... }` (`buildWebhookEvent`); la firma y los headers
+ * estan en `webhook-verifier.js`.
+ *
+ * Suscriptores:
+ * - `nip_persist` (NIP_PERSIST_WEBHOOK_URL y NIP_PERSIST_WEBHOOK_SECRET(S)): solo
+ *   `NIP_RESET_CONFIRMADO`, es el unico que recibe el NIP; firma con la llave
+ *   activa de `webhook-keys.js` y manda su id en `x-ama-key-id`;
+ * - WEBHOOK_SUBSCRIBERS = "crm,bi": por cada nombre WEBHOOK_<NOMBRE>_URL,
+ *   WEBHOOK_<NOMBRE>_SECRET y WEBHOOK_<NOMBRE>_EVENTS (default todos). Nunca reciben
+ *   `nuevo_nip`/`nuevo_nip_cifrado`.
+ */
+const WEBHOOK_SCHEMA_VERSION = 1;
+
+const WEBHOOK_EVENTS = {
+  SOLICITADO: "NIP_RESET_SOLICITADO",
+  CONFIRMADO: "NIP_RESET_CONFIRMADO",
+  LINK_EXPIRADO: "NIP_RESET_LINK_EXPIRADO",
+  FALLIDO: "NIP_RESET_FALLIDO",
+};
+
+const PERSIST_SUBSCRIBER = "nip_persist";
+
+// Timeout y pausa entre reintentos, comunes a todos los suscriptores
+function getWebhookTimeouts() {
+  return {
+    timeoutMs: Number(process.env.NIP_PERSIST_WEBHOOK_TIMEOUT_MS || 8000),
+    retryDelayMs: Number(process.env.NIP_PERSIST_WEBHOOK_RETRY_DELAY_MS || 400),
+  };
+}
+
+function getNipPersistWebhookConfig() {
+  const webhookUrl = process.env.NIP_PERSIST_WEBHOOK_URL;
+  const signingKeys = parseSigningKeys();
+  if (!webhookUrl || !signingKeys.length) {
+    throw new Error("Webhook persistencia NIP no configurado");
+  }
+  return { webhookUrl, signingKeys, ...getWebhookTimeouts() };
+}
+
+function getWebhookSubscribers() {
+  const subscribers = [];
+  if (process.env.NIP_PERSIST_WEBHOOK_URL && (process.env.NIP_PERSIST_WEBHOOK_SECRETS || process.env.NIP_PERSIST_WEBHOOK_SECRET)) {
+    const { webhookUrl, signingKeys } = getNipPersistWebhookConfig();
+    subscribers.push({ name: PERSIST_SUBSCRIBER, url: webhookUrl, signingKeys, events: [WEBHOOK_EVENTS.CONFIRMADO] });
+  }
+
+  const allEvents = Object.values(WEBHOOK_EVENTS);
+  const names = String(process.env.WEBHOOK_SUBSCRIBERS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  for (const name of names) {
+    if (!/^[a-z0-9_]+$/.test(name) || name === PERSIST_SUBSCRIBER) {
+      throw new Error(`Webhooks: nombre de suscriptor invalido (${name})`);
+    }
+    const prefix = `WEBHOOK_${name.toUpperCase()}_`;
+    const url = process.env[`${prefix}URL`];
+    const secret = process.env[`${prefix}SECRET`];
+    if (!url || !secret) {
+      throw new Error(`Webhooks: ${prefix}URL y ${prefix}SECRET son requeridos`);
+    }
+    const events = String(process.env[`${prefix}EVENTS`] || allEvents.join(","))
+      .split(",")
+      .map((s) => s.trim().toUpperCase())
+      .filter(Boolean);
+    const unknown = events.filter((e) => !allEvents.includes(e));
+    if (unknown.length) {
+      throw new Error(`Webhooks: ${prefix}EVENTS invalido (${unknown.join(",")})`);
+    }
+    subscribers.push({ name, url, secret, events });
+  }
+  return subscribers;
+}
+
+/**
+ * `data` son los campos propios del evento; `requestId` es el del request que lo
+ * origino (si no hay, el `event_id`).
+ */
+function buildWebhookEvent(evento, data, { requestId = null, occurredAt = new Date() } = {}) {
+  const eventId = crypto.randomUUID();
+  const iso = occurredAt.toISOString();
+  return {
+    schema_version: WEBHOOK_SCHEMA_VERSION,
+    event_id: eventId,
+    evento,
+    occurred_at: iso,
+    request_id: requestId || eventId,
+    // Campo previo al sobre versionado; igual a `occurred_at`
+    timestamp: iso,
+    ...data,
+  };
+}
+
+async function sendNipPersistWebhook(payload, { maxAttempts = 2 } = {}) {
+  const { webhookUrl, signingKeys } = getNipPersistWebhookConfig();
+  return sendWebhookEvent({ name: PERSIST_SUBSCRIBER, url: webhookUrl, signingKeys }, payload, { maxAttempts });
+}
+
+/**
+ * `subscriber` con `secret` (una llave, sin id) o `signingKeys` (se firma con la
+ * activa y se manda `x-ama-key-id`).
+ */
+async function sendWebhookEvent(subscriber, payload, { maxAttempts = 2 } = {}) {
+  const { timeoutMs, retryDelayMs } = getWebhookTimeouts();
+  const key = subscriber.signingKeys
+    ? await resolveActiveSigningKey(subscriber.signingKeys)
+    : { kid: null, secret: subscriber.secret };
+  const body = JSON.stringify(payload);
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = new Date().toISOString();
+    const signature = buildWebhookSignature(key.secret, timestamp, body);
+
+    const endTimer = webhookDuration.startTimer();
+    let outcome = "error";
+    try {
+      const resp = await fetchWithTimeout(
+        subscriber.url,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            [WEBHOOK_HEADERS.event]: payload.evento,
+            ...(payload.event_id ? { [WEBHOOK_HEADERS.eventId]: payload.event_id } : {}),
+            ...(payload.schema_version ? { [WEBHOOK_HEADERS.schemaVersion]: String(payload.schema_version) } : {}),
+            ...(key.kid ? { [WEBHOOK_HEADERS.keyId]: key.kid } : {}),
+            [WEBHOOK_HEADERS.timestamp]: timestamp,
+            [WEBHOOK_HEADERS.signature]: signature,
+          },
+          body,
+        },
+        timeoutMs
+      );
+
+      outcome = resp.ok ? "ok" : `http_${resp.status}`;
+      if (resp.ok) return;
+
+      const txt = await resp.text().catch(() => "");
+      const err = new Error(`Webhook ${subscriber.name} failed (${resp.status}): ${txt.slice(0, 200)}`);
+      if (attempt === maxAttempts) throw err;
+    } catch (e) {
+      if (e?.name === "AbortError") outcome = "timeout";
+      if (attempt === maxAttempts) throw e;
+    } finally {
+      endTimer({ subscriber: subscriber.name, outcome });
+    }
+
+    await sleep(retryDelayMs);
+  }
+}
+
+module.exports = {
+  WEBHOOK_SCHEMA_VERSION,
+  WEBHOOK_EVENTS,
+  PERSIST_SUBSCRIBER,
+  buildWebhookSignature,
+  getNipPersistWebhookConfig,
+  getWebhookSubscribers,
+  buildWebhookEvent,
+  sendNipPersistWebhook,
+  sendWebhookEvent,
+};
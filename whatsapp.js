@@ -0,0 +1,161 @@
+const { fetchWithTimeout } = require("./webhook");
+const { createLogger } = require("./logger");
+
+const log = createLogger("whatsapp");
+
+/**
+ * Envio de liga o codigo de reset por WhatsApp.
+ *
+ * Un sender expone `sendResetLink({ to, link, ttlMinutes })` y
+ * `sendResetCode({ to, code, ttlMinutes })`. Se elige con
+ * WHATSAPP_PROVIDER (`cloud` por default, `stub` para local) o se reemplaza
+ * en pruebas con `setWhatsappSender`.
+ */
+function getWhatsappCloudConfig() {
+  const config = {
+    token: process.env.WHATSAPP_CLOUD_TOKEN,
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+    apiVersion: process.env.WHATSAPP_API_VERSION || "v21.0",
+    templateName: process.env.WHATSAPP_RESET_TEMPLATE_NAME || "ama_reset_nip",
+    templateLang: process.env.WHATSAPP_RESET_TEMPLATE_LANG || "es_MX",
+    codeTemplateName: process.env.WHATSAPP_CODE_TEMPLATE_NAME || "ama_reset_nip_codigo",
+    timeoutMs: Number(process.env.WHATSAPP_TIMEOUT_MS || 8000),
+  };
+
+  if (!config.token || !config.phoneNumberId) {
+    throw new Error("WhatsApp: faltan WHATSAPP_CLOUD_TOKEN o WHATSAPP_PHONE_NUMBER_ID");
+  }
+  return config;
+}
+
+async function sendCloudTemplate(cfg, { to, templateName, components }) {
+  const url = `https://graph.facebook.com/${cfg.apiVersion}/${encodeURIComponent(cfg.phoneNumberId)}/messages`;
+
+  const resp = await fetchWithTimeout(
+    url,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${cfg.token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        messaging_product: "whatsapp",
+        to,
+        type: "template",
+        template: {
+          name: templateName,
+          language: { code: cfg.templateLang },
+          components,
+        },
+      }),
+    },
+    cfg.timeoutMs
+  );
+
+  if (!resp.ok) {
+    const txt = await resp.text().catch(() => "");
+    throw new Error(`WhatsApp send failed (${resp.status}): ${txt.slice(0, 200)}`);
+  }
+
+  const data = await resp.json().catch(() => ({}));
+  return { id: data?.messages?.[0]?.id || null };
+}
+
+/**
+ * WhatsApp Business Cloud API. Mensaje iniciado por negocio => plantillas aprobadas:
+ * - liga: variables de cuerpo {{1}} liga, {{2}} minutos de vigencia.
+ * - codigo: plantilla de autenticacion, {{1}} codigo (cuerpo y boton copiar codigo).
+ */
+function createCloudWhatsappSender() {
+  return {
+    name: "cloud",
+    async sendResetLink({ to, link, ttlMinutes }) {
+      const cfg = getWhatsappCloudConfig();
+      return sendCloudTemplate(cfg, {
+        to,
+        templateName: cfg.templateName,
+        components: [
+          {
+            type: "body",
+            parameters: [
+              { type: "text", text: link },
+              { type: "text", text: String(ttlMinutes) },
+            ],
+          },
+        ],
+      });
+    },
+    async sendResetCode({ to, code }) {
+      const cfg = getWhatsappCloudConfig();
+      return sendCloudTemplate(cfg, {
+        to,
+        templateName: cfg.codeTemplateName,
+        components: [
+          { type: "body", parameters: [{ type: "text", text: code }] },
+          { type: "button", sub_type: "url", index: "0", parameters: [{ type: "text", text: code }] },
+        ],
+      });
+    },
+  };
+}
+
+/**
+ * Stub local: guarda los mensajes en memoria (`sent`) y no llama a Meta.
+ */
+function createStubWhatsappSender() {
+  const sent = [];
+  return {
+    name: "stub",
+    sent,
+    async sendResetLink(message) {
+      sent.push({ tipo: "liga", ...message });
+      return { id: `stub-${sent.length}` };
+    },
+    async sendResetCode(message) {
+      sent.push({ tipo: "codigo", ...message });
+      return { id: `stub-${sent.length}` };
+    },
+  };
+}
+
+let whatsappSender = null;
+
+function getWhatsappSender() {
+  if (whatsappSender) return whatsappSender;
+
+  const provider = String(process.env.WHATSAPP_PROVIDER || "cloud").trim().toLowerCase();
+  if (provider === "stub") {
+    whatsappSender = createStubWhatsappSender();
+  } else if (provider === "cloud") {
+    whatsappSender = createCloudWhatsappSender();
+  } else {
+    throw new Error(`WhatsApp: WHATSAPP_PROVIDER invalido (${provider})`);
+  }
+  return whatsappSender;
+}
+
+function setWhatsappSender(sender) {
+  whatsappSender = sender;
+}
+
+async function sendResetWhatsapp(to, link, ttlMinutes) {
+  const sender = getWhatsappSender();
+  const info = await sender.sendResetLink({ to, link, ttlMinutes });
+  log.info("enviado", { provider: sender.name, kind: "link", message_id: info?.id || null });
+}
+
+async function sendResetCodeWhatsapp(to, code, ttlMinutes) {
+  const sender = getWhatsappSender();
+  const info = await sender.sendResetCode({ to, code, ttlMinutes });
+  log.info("enviado", { provider: sender.name, kind: "code", message_id: info?.id || null });
+}
+
+module.exports = {
+  createCloudWhatsappSender,
+  createStubWhatsappSender,
+  getWhatsappSender,
+  setWhatsappSender,
+  sendResetWhatsapp,
+  sendResetCodeWhatsapp,
+};